@@ -1,15 +1,18 @@
 const express = require('express');
+const addressRoutes = require('./routes/addresses');
 const adminRoutes = require('./routes/admin');
 const authRoutes = require('./routes/auth');
 const checkoutRoutes = require('./routes/checkouts');
 const confirmationRoutes = require('./routes/verify-payment');
 const consentRoutes = require('./routes/consent');
 const ordersRoutes = require('./routes/orders');
+const prescribersRoutes = require('./routes/prescribers');
 const prescriptionsRoutes = require('./routes/prescriptions');
 const providersRoutes = require('./routes/providers');
 const servicesRoutes = require('./routes/services');
 const trackRoutes = require('./routes/track');
 const notificationRoutes = require('./routes/notification');
+const webhookRoutes = require('./routes/webhooks');
 
 require('./jobs/cron');
 require('dotenv').config();
@@ -17,20 +20,28 @@ const app = express();
 const cors = require('cors');
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw payload so webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use('/uploads', express.static('uploads'));
 
+app.use('/api/addresses', addressRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/checkout', checkoutRoutes);
 app.use('/api/confirmation', confirmationRoutes);
 app.use('/api/consent', consentRoutes);
 app.use('/api/orders', ordersRoutes);
+app.use('/api/prescribers', prescribersRoutes);
 app.use('/api/prescriptions', prescriptionsRoutes);
 app.use('/api/providers', providersRoutes);
 app.use('/api/services', servicesRoutes);
 app.use('/api/track', trackRoutes);
 app.use('/api/notification', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 const PORT = process.env.PORT || 5000;
 
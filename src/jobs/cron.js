@@ -1,5 +1,13 @@
 const { PrismaClient } = require('@prisma/client');
 const cron = require('node-cron');
+const { reconcilePayments } = require('../services/reconciliationService');
+const { runInventoryAlerts } = require('../services/inventoryAlertService');
+const { sendAppointmentReminders } = require('../services/appointmentService');
+const { escalateOverduePrescriptions } = require('../services/prescriptionQueueService');
+const { refundCancelledOrder } = require('../services/refundService');
+const { transitionOrderStatus } = require('../utils/orderStateMachine');
+const { expireStockHolds } = require('../utils/stockReservations');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
 const prisma = new PrismaClient();
 
 async function cleanupTimedOutOrders() {
@@ -22,45 +30,106 @@ async function cleanupTimedOutOrders() {
       return;
     }
 
-    await prisma.$transaction(async (tx) => {
-      for (const order of orders) {
-        const cancelReason = order.status === 'pending_prescription' ? 'Prescription verification timeout' : 'Payment timeout';
-        await tx.order.update({
-          where: { id: order.id },
-          data: {
-            status: 'cancelled',
-            cancelReason,
-            cancelledAt: new Date(),
-            updatedAt: new Date(),
-          },
+    // One transaction per order, so one that fails doesn't hold the rest back. The status is checked
+    // again under the row lock: an order paid for or verified since the read above is left alone.
+    let cancelledCount = 0;
+    for (const order of orders) {
+      const cancelReason = order.status === 'pending_prescription' ? 'Prescription verification timeout' : 'Payment timeout';
+      try {
+        const cancelled = await prisma.$transaction(async (tx) => {
+          const [current] = await tx.$queryRaw`SELECT status FROM "Order" WHERE id = ${order.id} FOR UPDATE`;
+          if (current?.status !== order.status) return false;
+          // Cancelling releases the order's stock holds
+          await transitionOrderStatus(order.id, 'cancelled', { reason: cancelReason }, tx);
+          return true;
         });
-
-        for (const item of order.items) {
-          await tx.providerService.update({
-            where: {
-              providerId_serviceId: {
-                providerId: item.providerServiceProviderId,
-                serviceId: item.providerServiceServiceId,
-              },
-            },
-            data: { stock: { increment: item.quantity } },
-          });
-        }
-
+        if (!cancelled) continue;
+        cancelledCount += 1;
         console.log('Order cancelled and stock released:', { orderId: order.id, status: order.status });
+      } catch (error) {
+        console.error('Timed-out order cancellation failed:', { orderId: order.id, message: error.message });
+        continue;
       }
-    });
 
-    console.log('Order cleanup completed:', { cancelledOrders: orders.length });
+      // Orders paid for while waiting on a prescription get their money back; unpaid ones are left alone
+      try {
+        await refundCancelledOrder(order.id, cancelReason, 'system');
+      } catch (error) {
+        console.error('Refund for timed-out order failed:', { orderId: order.id, message: error.message });
+      }
+    }
+
+    console.log('Order cleanup completed:', { cancelledOrders: cancelledCount });
   } catch (error) {
     console.error('Order cleanup error:', { message: error.message, stack: error.stack });
   }
 }
 
+async function expireStockReservations() {
+  try {
+    const expired = await expireStockHolds();
+    if (expired > 0) {
+      console.log('Stock holds expired:', { count: expired });
+    }
+  } catch (error) {
+    console.error('Stock hold expiry error:', { message: error.message, stack: error.stack });
+  }
+}
+
+async function reconcileGatewayPayments() {
+  try {
+    const run = await reconcilePayments();
+    console.log('Payment reconciliation run finished:', { runId: run.id, status: run.status, fixed: run.fixedCount, discrepancies: run.discrepancyCount });
+  } catch (error) {
+    console.error('Payment reconciliation error:', { message: error.message, stack: error.stack });
+  }
+}
+
+async function sendInventoryAlerts() {
+  try {
+    await runInventoryAlerts();
+  } catch (error) {
+    console.error('Inventory alerts error:', { message: error.message, stack: error.stack });
+  }
+}
+
+async function remindAppointments() {
+  try {
+    await sendAppointmentReminders();
+  } catch (error) {
+    console.error('Appointment reminders error:', { message: error.message, stack: error.stack });
+  }
+}
+
+async function escalatePrescriptionReviews() {
+  try {
+    await escalateOverduePrescriptions();
+  } catch (error) {
+    console.error('Prescription escalation error:', { message: error.message, stack: error.stack });
+  }
+}
+
+// Clock-time jobs run on platform time, whatever timezone the server is in
+
 // Schedule daily at midnight
-cron.schedule('0 0 * * *', cleanupTimedOutOrders);
+cron.schedule('0 0 * * *', cleanupTimedOutOrders, { timezone: DEFAULT_TIMEZONE });
+
+// Lapse cart and checkout holds every five minutes so search shows the stock again
+cron.schedule('*/5 * * * *', expireStockReservations);
+
+// Reconcile payments hourly, so paid orders are caught before the midnight cleanup cancels them
+cron.schedule('15 * * * *', reconcileGatewayPayments);
+
+// Low-stock and expiry alerts every morning, before pharmacies open
+cron.schedule('0 7 * * *', sendInventoryAlerts, { timezone: DEFAULT_TIMEZONE });
+
+// Appointment reminders go out 24h and 2h ahead; a 15-minute cadence keeps them close to those marks
+cron.schedule('*/15 * * * *', remindAppointments);
+
+// Stat prescriptions are due within half an hour, so overdue reviews are checked every five minutes
+cron.schedule('*/5 * * * *', escalatePrescriptionReviews);
 
 // Run immediately on startup
 cleanupTimedOutOrders();
 
-module.exports = { cleanupTimedOutOrders };
\ No newline at end of file
+module.exports = { cleanupTimedOutOrders, expireStockReservations, reconcileGatewayPayments, sendInventoryAlerts, remindAppointments, escalatePrescriptionReviews };
\ No newline at end of file
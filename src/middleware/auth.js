@@ -9,7 +9,7 @@ function authenticate(req, res, next) {
   const token = authHeader.split(' ')[1];
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // { userId, providerId, role } or { adminId, role }
+    req.user = decoded; // { userId, providerId, role }, { adminId, role } or { prescriberId, role }
     console.log('Token verified:', { userId: decoded.userId, providerId: decoded.providerId, adminId: decoded.adminId, role: decoded.role });
     next();
   } catch (error) {
@@ -21,6 +21,21 @@ function authenticate(req, res, next) {
   }
 }
 
+const PROVIDER_ROLES = ['manager', 'pharmacist', 'lab_scientist', 'pathologist', 'radiologist', 'technician', 'phlebotomist', 'rider'];
+
+// Admin and prescriber tokens are signed with the same secret, so provider routes check they got a
+// provider user's token: without a providerId their queries would not be scoped to any provider
+function authenticateProvider(req, res, next) {
+  authenticate(req, res, () => {
+    const { userId, providerId, role } = req.user;
+    if (!Number.isInteger(userId) || !Number.isInteger(providerId) || !PROVIDER_ROLES.includes(role)) {
+      console.error('Unauthorized: Not a provider user', { role, adminId: req.user.adminId, prescriberId: req.user.prescriberId });
+      return res.status(403).json({ message: 'Only provider users can perform this action' });
+    }
+    next();
+  });
+}
+
 function authenticateAdmin(req, res, next) {
   if (!req.user || req.user.role !== 'admin') {
     console.error('Unauthorized: Not an admin', { adminId: req.user?.adminId });
@@ -37,4 +52,14 @@ function authenticateManager(req, res, next) {
   next();
 }
 
-module.exports = { authenticate, authenticateAdmin, authenticateManager };
\ No newline at end of file
+function authenticateRoles(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      console.error('Unauthorized: Role not permitted', { userId: req.user?.userId, role: req.user?.role, allowed: roles });
+      return res.status(403).json({ message: `Only ${roles.join(', ')} users can perform this action` });
+    }
+    next();
+  };
+}
+
+module.exports = { authenticate, authenticateProvider, authenticateAdmin, authenticateManager, authenticateRoles };
\ No newline at end of file
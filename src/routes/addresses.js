@@ -0,0 +1,96 @@
+const express = require('express');
+const { validateAddress, validateUpdateAddress, validateAddressParams, validateFetchLocations } = require('../utils/validation');
+const addressService = require('../services/addressService');
+const router = express.Router();
+
+// States, LGAs and wards for the address form
+router.get('/locations', async (req, res) => {
+  try {
+    const { state, lga } = req.query;
+
+    const { error } = validateFetchLocations({ state, lga });
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const locations = addressService.listLocations({ state, lga });
+    res.status(200).json({ message: 'Locations fetched', ...locations });
+  } catch (error) {
+    console.error('Fetch locations error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// The patient's saved addresses, default first
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.headers['x-guest-id'];
+    if (!userId) {
+      return res.status(400).json({ message: 'Guest ID is required' });
+    }
+
+    const addresses = await addressService.listAddresses(userId);
+    res.status(200).json({ message: 'Addresses fetched', addresses });
+  } catch (error) {
+    console.error('Fetch addresses error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// Save an address to the address book
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.headers['x-guest-id'];
+
+    const { error, value } = validateAddress({ ...req.body, userId });
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const { userId: patientIdentifier, ...data } = value;
+    const address = await addressService.createAddress(patientIdentifier, data);
+    res.status(201).json({ message: 'Address saved', address });
+  } catch (error) {
+    console.error('Save address error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// Update a saved address; a new street or ward is located again
+router.patch('/:addressId', async (req, res) => {
+  try {
+    const userId = req.headers['x-guest-id'];
+
+    const { error, value } = validateUpdateAddress({ ...req.body, addressId: req.params.addressId, userId });
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const { userId: patientIdentifier, addressId, ...changes } = value;
+    const address = await addressService.updateAddress(patientIdentifier, addressId, changes);
+    res.status(200).json({ message: 'Address updated', address });
+  } catch (error) {
+    console.error('Update address error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// Remove a saved address; orders already placed keep their copy
+router.delete('/:addressId', async (req, res) => {
+  try {
+    const userId = req.headers['x-guest-id'];
+
+    const { error, value } = validateAddressParams({ addressId: req.params.addressId, userId });
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    await addressService.deleteAddress(value.userId, value.addressId);
+    res.status(200).json({ message: 'Address deleted' });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,12 @@
 const express = require('express');
 const z = require('zod');
 const adminService = require('../services/adminService');
-const { editProviderSchema, paginationSchema, createServiceSchema, updateServiceSchema, serviceFilterSchema, prescriptionFilterSchema, orderFilterSchema, adminUserFilterSchema, providerUserFilterSchema } = require('../utils/adminValidation');
+const refundService = require('../services/refundService');
+const settlementService = require('../services/settlementService');
+const reconciliationService = require('../services/reconciliationService');
+const recallService = require('../services/recallService');
+const { isSupportedGateway } = require('../utils/payment');
+const { editProviderSchema, paginationSchema, createServiceSchema, updateServiceSchema, serviceAnalytesSchema, serviceFilterSchema, prescriptionFilterSchema, orderFilterSchema, refundFilterSchema, refundDecisionSchema, denyRefundSchema, createRefundSchema, statementFilterSchema, createPayoutBatchSchema, updatePayoutSchema, discrepancyFilterSchema, resolveDiscrepancySchema, reconciliationRunSchema, createRecallSchema, recallFilterSchema, adminUserFilterSchema, providerUserFilterSchema, prescriberFilterSchema, prescriberStatusSchema } = require('../utils/adminValidation');
 const { authenticate, authenticateAdmin } = require('../middleware/auth');
 const router = express.Router();
 
@@ -161,6 +166,25 @@ router.patch('/services/:id', authenticate, authenticateAdmin, async (req, res)
   }
 });
 
+// PUT /admin/services/:id/analytes - Define structured result analytes and reference ranges
+router.put('/services/:id/analytes', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid service ID' });
+    }
+    const { analytes } = serviceAnalytesSchema.parse(req.body);
+    const service = await adminService.setServiceAnalytes(Number(id), analytes);
+    res.status(200).json({ message: 'Service analytes updated successfully', service });
+  } catch (error) {
+    console.error('Update service analytes error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(error.status === 404 || error.status === 400 ? error.status : 500).json({ message: error.message, error: error.message });
+  }
+});
+
 // DELETE /admin/services/:id - Delete service
 router.delete('/services/:id', authenticate, authenticateAdmin, async (req, res) => {
   try {
@@ -206,6 +230,40 @@ router.get('/prescriptions/:id', authenticate, authenticateAdmin, async (req, re
   }
 });
 
+// GET /admin/prescribers - Get prescribers, e.g. those awaiting licence verification
+router.get('/prescribers', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const query = prescriberFilterSchema.parse(req.query);
+    const { prescribers, pagination } = await adminService.getPrescribers(query);
+    res.status(200).json({ message: 'Prescribers fetched successfully', prescribers, pagination });
+  } catch (error) {
+    console.error('Fetch prescribers error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// PATCH /admin/prescribers/:id/status - Verify a prescriber's licence or suspend them
+router.patch('/prescribers/:id/status', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid prescriber ID' });
+    }
+    const data = prescriberStatusSchema.parse(req.body);
+    const prescriber = await adminService.updatePrescriberStatus(Number(id), data, req.user.adminId);
+    res.status(200).json({ message: 'Prescriber updated successfully', prescriber });
+  } catch (error) {
+    console.error('Update prescriber status error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(error.status === 404 ? 404 : 500).json({ message: error.status === 404 ? 'Prescriber not found' : 'Server error', error: error.message });
+  }
+});
+
 // GET /admin/orders - Get all orders
 router.get('/orders', authenticate, authenticateAdmin, async (req, res) => {
   try {
@@ -236,6 +294,305 @@ router.get('/orders/:id', authenticate, authenticateAdmin, async (req, res) => {
   }
 });
 
+// POST /admin/orders/:id/refunds - Refund an order, or selected items of it, on the patient's behalf
+router.post('/orders/:id/refunds', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+    const { itemIds, reason } = createRefundSchema.parse(req.body);
+    const refunds = await refundService.requestRefund({
+      orderId: Number(id),
+      orderItemIds: itemIds,
+      reason,
+      requestedBy: 'admin',
+      automatic: true,
+    });
+    res.status(201).json({ message: 'Refund initiated', refunds });
+  } catch (error) {
+    console.error('Create refund error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /admin/refunds - Get refunds, e.g. those awaiting approval
+router.get('/refunds', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const query = refundFilterSchema.parse(req.query);
+    const { refunds, pagination } = await refundService.getRefunds(query);
+    res.status(200).json({ message: 'Refunds fetched successfully', refunds, pagination });
+  } catch (error) {
+    console.error('Fetch refunds error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /admin/refunds/:id/approve - Approve a pending (or retry a failed) refund
+router.post('/refunds/:id/approve', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid refund ID' });
+    }
+    const { reviewNotes } = refundDecisionSchema.parse(req.body || {});
+    const refund = await refundService.approveRefund(Number(id), req.user.adminId, reviewNotes);
+    res.status(200).json({ message: 'Refund approved', refund });
+  } catch (error) {
+    console.error('Approve refund error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// POST /admin/refunds/:id/deny - Deny a pending refund
+router.post('/refunds/:id/deny', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid refund ID' });
+    }
+    const { reviewNotes } = denyRefundSchema.parse(req.body || {});
+    const refund = await refundService.denyRefund(Number(id), req.user.adminId, reviewNotes);
+    res.status(200).json({ message: 'Refund denied', refund });
+  } catch (error) {
+    console.error('Deny refund error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /admin/settlements/balances - Outstanding balance owed to each provider
+router.get('/settlements/balances', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const balances = await settlementService.getProviderBalances();
+    res.status(200).json({ message: 'Provider balances fetched successfully', balances });
+  } catch (error) {
+    console.error('Fetch provider balances error:', { message: error.message });
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// GET /admin/settlements/providers/:id/statement - Ledger statement for a provider
+router.get('/settlements/providers/:id/statement', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid provider ID' });
+    }
+    const query = statementFilterSchema.parse(req.query);
+    const statement = await settlementService.getProviderStatement(Number(id), query);
+    res.status(200).json({ message: 'Statement fetched successfully', statement });
+  } catch (error) {
+    console.error('Fetch provider statement error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(error.status === 404 ? 404 : 500).json({ message: error.status === 404 ? 'Provider not found' : 'Server error', error: error.message });
+  }
+});
+
+// GET /admin/payouts - Get payout batches
+router.get('/payouts', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const query = paginationSchema.parse(req.query);
+    const { batches, pagination } = await settlementService.getPayoutBatches(query);
+    res.status(200).json({ message: 'Payout batches fetched successfully', batches, pagination });
+  } catch (error) {
+    console.error('Fetch payout batches error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /admin/payouts - Create a payout batch from outstanding provider balances
+router.post('/payouts', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const data = createPayoutBatchSchema.parse(req.body || {});
+    const batch = await settlementService.createPayoutBatch({ adminId: req.user.adminId, ...data });
+    res.status(201).json({ message: 'Payout batch created successfully', batch });
+  } catch (error) {
+    console.error('Create payout batch error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /admin/payouts/:id - Record the outcome of a provider payout
+router.patch('/payouts/:id', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid payout ID' });
+    }
+    const data = updatePayoutSchema.parse(req.body);
+    const payout = await settlementService.updatePayoutStatus(Number(id), data);
+    res.status(200).json({ message: 'Payout updated successfully', payout });
+  } catch (error) {
+    console.error('Update payout error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /admin/reconciliation/runs - Payment reconciliation run history
+router.get('/reconciliation/runs', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const query = paginationSchema.parse(req.query);
+    const { runs, pagination } = await reconciliationService.getReconciliationRuns(query);
+    res.status(200).json({ message: 'Reconciliation runs fetched successfully', runs, pagination });
+  } catch (error) {
+    console.error('Fetch reconciliation runs error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /admin/reconciliation/runs - Reconcile a gateway and date window now
+router.post('/reconciliation/runs', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const data = reconciliationRunSchema.parse(req.body || {});
+    if (data.gateway && !isSupportedGateway(data.gateway)) {
+      return res.status(400).json({ message: 'Unknown payment gateway' });
+    }
+    const run = await reconciliationService.reconcilePayments(data);
+    res.status(201).json({ message: 'Reconciliation run completed', run });
+  } catch (error) {
+    console.error('Reconciliation run error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// GET /admin/reconciliation/discrepancies - Discrepancy report
+router.get('/reconciliation/discrepancies', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const query = discrepancyFilterSchema.parse(req.query);
+    const { discrepancies, pagination } = await reconciliationService.getDiscrepancies(query);
+    res.status(200).json({ message: 'Discrepancies fetched successfully', discrepancies, pagination });
+  } catch (error) {
+    console.error('Fetch discrepancies error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// PATCH /admin/reconciliation/discrepancies/:id/resolve - Mark a discrepancy as handled
+router.patch('/reconciliation/discrepancies/:id/resolve', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid discrepancy ID' });
+    }
+    const { notes } = resolveDiscrepancySchema.parse(req.body);
+    const discrepancy = await reconciliationService.resolveDiscrepancy(Number(id), req.user.adminId, notes);
+    res.status(200).json({ message: 'Discrepancy resolved', discrepancy });
+  } catch (error) {
+    console.error('Resolve discrepancy error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /admin/recalls - Drug recalls with provider acknowledgement progress
+router.get('/recalls', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const query = recallFilterSchema.parse(req.query);
+    const { recalls, pagination } = await recallService.getRecalls(query);
+    res.status(200).json({ message: 'Recalls fetched successfully', recalls, pagination });
+  } catch (error) {
+    console.error('Fetch recalls error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /admin/recalls - Issue a recall by NAFDAC code, optionally limited to one batch
+router.post('/recalls', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const data = createRecallSchema.parse(req.body);
+    const recall = await recallService.createRecall({ ...data, adminId: req.user.adminId });
+    res.status(201).json({ message: 'Recall issued', recall });
+  } catch (error) {
+    console.error('Create recall error:', { message: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /admin/recalls/:id - Recall with affected orders and provider acknowledgements
+router.get('/recalls/:id', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid recall ID' });
+    }
+    const recall = await recallService.getRecall(Number(id));
+    res.status(200).json({ message: 'Recall fetched successfully', recall });
+  } catch (error) {
+    console.error('Fetch recall error:', { message: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// POST /admin/recalls/:id/notify - Retry patient and provider notifications that failed
+router.post('/recalls/:id/notify', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid recall ID' });
+    }
+    const recall = await recallService.renotifyRecall(Number(id));
+    res.status(200).json({ message: 'Recall notifications sent', recall });
+  } catch (error) {
+    console.error('Recall notify error:', { message: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /admin/recalls/:id/close - Close a recall once it has been dealt with
+router.patch('/recalls/:id/close', authenticate, authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid recall ID' });
+    }
+    const recall = await recallService.closeRecall(Number(id), req.user.adminId);
+    res.status(200).json({ message: 'Recall closed', recall });
+  } catch (error) {
+    console.error('Close recall error:', { message: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
 // GET /admin/admin-users - Get all admin users
 router.get('/admin-users', authenticate, authenticateAdmin, async (req, res) => {
   try {
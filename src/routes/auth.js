@@ -1,8 +1,8 @@
 const express = require('express');
 const z = require('zod');
 const authService = require('../services/authService');
-const { registerSchema, loginSchema, editUserSchema, addUserSchema, editProfileSchema, adminRegisterSchema, adminLoginSchema } = require('../utils/adminValidation');
-const { authenticate, authenticateManager, authenticateAdmin } = require('../middleware/auth');
+const { registerSchema, loginSchema, editUserSchema, addUserSchema, editProfileSchema, scheduleExceptionSchema, adminRegisterSchema, adminLoginSchema, prescriberRegisterSchema } = require('../utils/adminValidation');
+const { authenticateProvider, authenticateManager, authenticateAdmin } = require('../middleware/auth');
 const router = express.Router();
 
 console.log('Loaded auth.js version: 2025-06-30-v2');
@@ -85,15 +85,53 @@ router.post('/admin/login', async (req, res) => {
   }
 });
 
+// POST /api/auth/prescriber/register - Register a prescriber; e-prescribing opens once the licence is verified
+router.post('/prescriber/register', async (req, res) => {
+  try {
+    const data = prescriberRegisterSchema.parse(req.body);
+    const { token, prescriber } = await authService.registerPrescriber(data);
+    res.status(201).json({
+      message: 'Prescriber registration successful; your licence will be verified before you can issue prescriptions',
+      token,
+      prescriber: { id: prescriber.id, name: prescriber.name, email: prescriber.email, licenseNumber: prescriber.licenseNumber, status: prescriber.status },
+    });
+  } catch (error) {
+    console.error('Prescriber registration error:', { message: error.message, stack: error.stack });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(error.status === 400 ? 400 : 500).json({ message: error.message || 'Server error', error: error.message });
+  }
+});
+
+// POST /api/auth/prescriber/login - Login prescriber
+router.post('/prescriber/login', async (req, res) => {
+  try {
+    const { email, password } = loginSchema.parse(req.body);
+    const { token, prescriber } = await authService.loginPrescriber({ email, password });
+    res.status(200).json({
+      message: 'Prescriber login successful',
+      token,
+      prescriber: { id: prescriber.id, name: prescriber.name, email: prescriber.email, licenseNumber: prescriber.licenseNumber, status: prescriber.status },
+    });
+  } catch (error) {
+    console.error('Prescriber login error:', { message: error.message, stack: error.stack });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(error.status === 401 ? 401 : 500).json({ message: error.message || 'Server error', error: error.message });
+  }
+});
+
 // POST /api/auth/provider/add-user - Add new provider user (manager only)
-router.post('/provider/add-user', authenticate, authenticateManager, async (req, res) => {
+router.post('/provider/add-user', authenticateProvider, authenticateManager, async (req, res) => {
   try {
-    const { name, email, password, role } = addUserSchema.parse(req.body);
+    const { name, email, password, role, licenseNumber, licenseBody } = addUserSchema.parse(req.body);
     const providerId = req.user.providerId;
-    const user = await authService.addProviderUser({ name, email, password, role, providerId });
+    const user = await authService.addProviderUser({ name, email, password, role, licenseNumber, licenseBody, providerId });
     res.status(201).json({
       message: 'Provider user added successfully',
-      user: { id: user.id, name: user.name, email: user.email, role: user.role },
+      user: { id: user.id, name: user.name, email: user.email, role: user.role, licenseNumber: user.licenseNumber, licenseBody: user.licenseBody },
     });
   } catch (error) {
     console.error('Add provider user error:', { message: error.message, stack: error.stack });
@@ -105,19 +143,19 @@ router.post('/provider/add-user', authenticate, authenticateManager, async (req,
 });
 
 // PATCH /api/auth/provider/users/:userId - Edit provider user (manager only)
-router.patch('/provider/users/:userId', authenticate, authenticateManager, async (req, res) => {
+router.patch('/provider/users/:userId', authenticateProvider, authenticateManager, async (req, res) => {
   try {
     const { userId } = req.params;
     if (isNaN(parseInt(userId))) {
       return res.status(400).json({ message: 'Invalid user ID' });
     }
-    const { name, email, password } = editUserSchema.parse(req.body);
+    const { name, email, password, licenseNumber, licenseBody } = editUserSchema.parse(req.body);
     const managerId = req.user.userId;
     const providerId = req.user.providerId;
-    const updatedUser = await authService.editProviderUser(Number(userId), { name, email, password }, managerId, providerId);
+    const updatedUser = await authService.editProviderUser(Number(userId), { name, email, password, licenseNumber, licenseBody }, managerId, providerId);
     res.status(200).json({
       message: 'Provider user updated successfully',
-      user: { id: updatedUser.id, name: updatedUser.name, email: updatedUser.email, role: updatedUser.role },
+      user: { id: updatedUser.id, name: updatedUser.name, email: updatedUser.email, role: updatedUser.role, licenseNumber: updatedUser.licenseNumber, licenseBody: updatedUser.licenseBody },
     });
   } catch (error) {
     console.error('Edit provider user error:', { message: error.message, stack: error.stack });
@@ -129,7 +167,7 @@ router.patch('/provider/users/:userId', authenticate, authenticateManager, async
 });
 
 // DELETE /api/auth/provider/users/:userId - Delete provider user (manager only)
-router.delete('/provider/users/:userId', authenticate, authenticateManager, async (req, res) => {
+router.delete('/provider/users/:userId', authenticateProvider, authenticateManager, async (req, res) => {
   try {
     const { userId } = req.params;
     if (isNaN(parseInt(userId))) {
@@ -146,7 +184,7 @@ router.delete('/provider/users/:userId', authenticate, authenticateManager, asyn
 });
 
 // GET /api/auth/provider/profile - Get provider profile details
-router.get('/provider/profile', authenticate, async (req, res) => {
+router.get('/provider/profile', authenticateProvider, async (req, res) => {
   try {
     const { userId, providerId } = req.user;
     const { user, provider } = await authService.getProviderProfile(userId, providerId);
@@ -162,14 +200,14 @@ router.get('/provider/profile', authenticate, async (req, res) => {
 });
 
 // PATCH /api/auth/provider/profile - Edit provider profile (manager only)
-router.patch('/provider/profile', authenticate, authenticateManager, async (req, res) => {
+router.patch('/provider/profile', authenticateProvider, authenticateManager, async (req, res) => {
   try {
     const { user, provider } = editProfileSchema.parse(req.body);
     const { userId, providerId } = req.user;
     const { updatedUser, updatedProvider } = await authService.editProviderProfile({ user, provider }, userId, providerId);
     res.status(200).json({
       message: 'Provider profile updated successfully',
-      user: { id: updatedUser.id, name: updatedUser.name, email: updatedUser.email, role: updatedUser.role },
+      user: { id: updatedUser.id, name: updatedUser.name, email: updatedUser.email, role: updatedUser.role, licenseNumber: updatedUser.licenseNumber, licenseBody: updatedUser.licenseBody },
       provider: {
         id: updatedProvider.id,
         name: updatedProvider.name,
@@ -181,6 +219,7 @@ router.patch('/provider/profile', authenticate, authenticateManager, async (req,
         licenseNumber: updatedProvider.licenseNumber,
         logoUrl: updatedProvider.logoUrl,
         homeCollectionAvailable: updatedProvider.homeCollectionAvailable,
+        schedule: updatedProvider.schedule,
       },
     });
   } catch (error) {
@@ -192,4 +231,34 @@ router.patch('/provider/profile', authenticate, authenticateManager, async (req,
   }
 });
 
+// POST /api/auth/provider/profile/schedule-exceptions - Add a holiday, closure or reduced-hours day (manager only)
+router.post('/provider/profile/schedule-exceptions', authenticateProvider, authenticateManager, async (req, res) => {
+  try {
+    const data = scheduleExceptionSchema.parse(req.body);
+    const exception = await authService.addScheduleException(req.user.providerId, data);
+    res.status(201).json({ message: 'Schedule exception added', exception });
+  } catch (error) {
+    console.error('Add schedule exception error:', { message: error.message, stack: error.stack });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// DELETE /api/auth/provider/profile/schedule-exceptions/:id - Remove a schedule exception (manager only)
+router.delete('/provider/profile/schedule-exceptions/:id', authenticateProvider, authenticateManager, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid schedule exception ID' });
+    }
+    await authService.deleteScheduleException(req.user.providerId, parseInt(id));
+    res.status(200).json({ message: 'Schedule exception deleted' });
+  } catch (error) {
+    console.error('Delete schedule exception error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
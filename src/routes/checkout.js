@@ -10,11 +10,21 @@ console.log('Loaded checkout.js version: 2025-06-25-v1');
 // POST /checkout - Initiate checkout
 router.post('/', upload.single('prescription'), requireConsent, async (req, res) => {
   try {
-    const { name, email, phone, address, fulfillmentMethod } = req.body;
+    const { name, email, phone, address, addressId, prescriptionCode, fulfillmentMethod } = req.body;
     const userId = req.headers['x-guest-id'];
 
+    // The form is multipart (it may carry a prescription), so a new address arrives as a JSON string
+    let { deliveryAddress } = req.body;
+    if (typeof deliveryAddress === 'string') {
+      try {
+        deliveryAddress = JSON.parse(deliveryAddress);
+      } catch {
+        return res.status(400).json({ message: 'deliveryAddress must be a JSON object' });
+      }
+    }
+
     // Validate input
-    const { error } = validateCheckout({ name, email, phone, address, fulfillmentMethod, userId });
+    const { error, value } = validateCheckout({ name, email, phone, address, addressId, deliveryAddress, prescriptionCode, fulfillmentMethod, userId });
     if (error) {
       console.error('Validation error:', error.message);
       return res.status(400).json({ message: error.message });
@@ -25,6 +35,9 @@ router.post('/', upload.single('prescription'), requireConsent, async (req, res)
       email,
       phone,
       address,
+      addressId: value.addressId,
+      deliveryAddress: value.deliveryAddress,
+      prescriptionCode: value.prescriptionCode,
       fulfillmentMethod,
       userId,
       file: req.file,
@@ -33,7 +46,7 @@ router.post('/', upload.single('prescription'), requireConsent, async (req, res)
     res.status(200).json(result);
   } catch (error) {
     console.error('Checkout error:', { message: error.message, stack: error.stack });
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
   }
 });
 
@@ -102,7 +115,7 @@ router.post('/resume/:orderId', async (req, res) => {
     res.status(200).json(result);
   } catch (error) {
     console.error('Checkout resume error:', { message: error.message, stack: error.stack });
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
   }
 });
 
@@ -1,7 +1,9 @@
 const express = require('express');
-const axios = require('axios');
 const { PrismaClient } = require('@prisma/client');
 const { v4: uuidv4 } = require('uuid');
+const { getPaymentGateway } = require('../utils/payment');
+const { HOLD_MINUTES, holdOrderStock } = require('../utils/stockReservations');
+const { transitionOrderStatus } = require('../utils/orderStateMachine');
 const router = express.Router();
 const prisma = new PrismaClient();
 
@@ -52,26 +54,27 @@ router.post('/', async (req, res) => {
       .every(item => item.prescriptions.length > 0);
     const orderStatus = requiresPrescription && !hasValidPrescription ? 'pending_prescription' : 'pending';
 
-    const paystackResponse = await axios.post(
-      'https://api.paystack.co/transaction/initialize',
-      {
+    // Extend the cart holds so the stock is still there when the payment lands
+    try {
+      await prisma.$transaction((tx) => holdOrderStock(order.id, { minutes: HOLD_MINUTES.checkout }, tx));
+    } catch (error) {
+      if (error.status === 409) return res.status(409).json({ message: error.message });
+      throw error;
+    }
+
+    const gateway = getPaymentGateway();
+    let payment;
+    try {
+      payment = await gateway.initialize({
         email: order.email || `${patientIdentifier}@example.com`,
-        amount: totalPrice * 100,
+        amount: totalPrice,
         reference: transactionReference,
-        callback_url: `${process.env.NEXT_PUBLIC_API_URL}/confirmation?session=${checkoutSessionId}&reference=${transactionReference}`,
+        callbackUrl: `${process.env.NEXT_PUBLIC_API_URL}/confirmation?session=${checkoutSessionId}&reference=${transactionReference}`,
         metadata: { orderId: order.id, isPartial, checkoutSessionId },
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    if (!paystackResponse.data.status) {
-      console.error('Paystack error:', paystackResponse.data);
-      return res.status(400).json({ message: paystackResponse.data.message || 'Failed to initialize Paystack payment' });
+      });
+    } catch (error) {
+      console.error('Payment gateway error:', { gateway: gateway.name, message: error.message });
+      return res.status(400).json({ message: 'Failed to initialize payment' });
     }
 
     await prisma.transactionReference.create({
@@ -79,31 +82,28 @@ router.post('/', async (req, res) => {
         transactionReference,
         orderReferences: [paymentReference],
         checkoutSessionId,
+        gateway: gateway.name,
         createdAt: new Date(),
       },
     });
 
-    await prisma.order.update({
-      where: { id: order.id },
-      data: {
-        paymentReference,
-        checkoutSessionId,
-        status: orderStatus, // Set status explicitly
-        updatedAt: new Date(),
-      },
-    });
+    await prisma.$transaction(tx => transitionOrderStatus(order.id, orderStatus, {
+      actorType: 'patient',
+      reason: 'Checkout started',
+      data: { paymentReference, checkoutSessionId },
+    }, tx));
 
     console.log('Checkout initiated:', { transactionReference, paymentReference, checkoutSessionId, orderId, orderStatus });
 
     res.status(200).json({
       message: 'Checkout initiated successfully',
-      paymentUrl: paystackResponse.data.data.authorization_url,
+      paymentUrl: payment.authorizationUrl,
       reference: transactionReference,
       checkoutSessionId,
     });
   } catch (error) {
     console.error('Checkout error:', { message: error.message, stack: error.stack });
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
   }
 });
 
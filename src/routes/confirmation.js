@@ -22,7 +22,7 @@ router.get('/', async (req, res) => {
     res.status(200).json(result);
   } catch (error) {
     console.error('Confirmation error:', { message: error.message, stack: error.stack });
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
   }
 });
 
@@ -1,7 +1,10 @@
 const express = require('express');
-const { validateAddToOrder, validateUpdateOrderItem, validateRemoveFromOrder, validateGetTimeSlots, validateUpdateOrderDetails } = require('../utils/validation');
+const { validateAddToOrder, validateUpdateOrderItem, validateRemoveFromOrder, validateGetTimeSlots, validateUpdateOrderDetails, validateRescheduleAppointment, validateCancelAppointment } = require('../utils/validation');
 const orderService = require('../services/orderService');
+const appointmentService = require('../services/appointmentService');
 const { recalculateOrderTotal } = require('../utils/orderUtils');
+const { HOLD_MINUTES, holdOrderStock, holdStock, releaseStockHold } = require('../utils/stockReservations');
+const { transitionOrderStatus } = require('../utils/orderStateMachine');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
@@ -28,7 +31,7 @@ router.post('/add', async (req, res) => {
     res.status(201).json({ message: 'Added to order', orderItem, order, userId: returnedUserId });
   } catch (error) {
     console.error('Order add error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
   }
 });
 
@@ -66,7 +69,7 @@ router.patch('/update/:itemId', async (req, res) => {
     res.status(200).json({ message: 'Order updated', orderItem: updatedItem });
   } catch (error) {
     console.error('Order update error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
   }
 });
 
@@ -100,8 +103,8 @@ router.get('/slots', async (req, res) => {
       return res.status(400).json({ message: error.message });
     }
 
-    const { timeSlots } = await orderService.getTimeSlots({ providerId: parseInt(providerId), serviceId: serviceId ? parseInt(serviceId) : undefined, fulfillmentType, date });
-    res.status(200).json({ timeSlots });
+    const { timeSlots, slotMinutes, timeZone, closed, reason } = await orderService.getTimeSlots({ providerId: parseInt(providerId), serviceId: serviceId ? parseInt(serviceId) : undefined, fulfillmentType, date });
+    res.status(200).json({ timeSlots, slotMinutes, timeZone, closed, reason });
   } catch (error) {
     console.error('Order slots error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -124,7 +127,47 @@ router.patch('/update-details/:id', async (req, res) => {
     res.status(200).json(result);
   } catch (error) {
     console.error('Order update details error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// Move a booked appointment to another slot, up to the provider's cutoff
+router.post('/appointments/:itemId/reschedule', async (req, res) => {
+  try {
+    const itemId = parseInt(req.params.itemId);
+    const { timeSlotStart } = req.body;
+    const userId = req.headers['x-guest-id'];
+
+    const { error } = validateRescheduleAppointment({ itemId, timeSlotStart, userId });
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const appointment = await appointmentService.rescheduleAppointment(itemId, userId, timeSlotStart);
+    res.status(200).json({ message: 'Appointment rescheduled', appointment });
+  } catch (error) {
+    console.error('Appointment reschedule error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// Cancel a booked appointment, up to the provider's cutoff; paid appointments are refunded
+router.post('/appointments/:itemId/cancel', async (req, res) => {
+  try {
+    const itemId = parseInt(req.params.itemId);
+    const { reason } = req.body;
+    const userId = req.headers['x-guest-id'];
+
+    const { error } = validateCancelAppointment({ itemId, reason, userId });
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const result = await appointmentService.cancelAppointment(itemId, userId, reason);
+    res.status(200).json({ message: 'Appointment cancelled', ...result });
+  } catch (error) {
+    console.error('Appointment cancel error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
   }
 });
 
@@ -247,6 +290,17 @@ router.post('/partial-checkout', async (req, res) => {
 
       console.log('Created order items for new order:', newOrder.id);
 
+      // The holds follow the items onto the new order and are extended for payment
+      for (const item of payableItems) {
+        await releaseStockHold(order.id, item, `Moved to order ${newOrder.id}`, tx);
+        await holdStock(newOrder.id, {
+          providerId: item.providerId,
+          serviceId: item.serviceId,
+          quantity: item.quantity,
+          minutes: HOLD_MINUTES.checkout,
+        }, tx);
+      }
+
       // Remove payable items from the original order
       const orderPayableItemIds = payableItems.map((item) => item.id);
 
@@ -269,10 +323,7 @@ router.post('/partial-checkout', async (req, res) => {
           await tx.order.delete({ where: { id: order.id } });
           console.log('Deleted empty original order:', order.id);
         } else {
-          await tx.order.update({
-            where: { id: order.id },
-            data: { status: 'partially_completed' },
-          });
+          await transitionOrderStatus(order.id, 'partially_completed', { actorType: 'patient', reason: 'Partial checkout' }, tx);
           console.log('Updated original order to partially_completed:', order.id);
         }
       }
@@ -286,7 +337,7 @@ router.post('/partial-checkout', async (req, res) => {
     });
   } catch (error) {
     console.error('Partial checkout error:', error.message, { patientIdentifier, orderId });
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
   }
 });
 
@@ -344,6 +395,7 @@ router.post('/cancel-partial-checkout', async (req, res) => {
       });
 
       await tx.order.delete({ where: { id: pendingOrder.id } });
+      await holdOrderStock(cartOrder.id, { minutes: HOLD_MINUTES.cart }, tx);
 
       await recalculateOrderTotal(cartOrder.id, tx);
 
@@ -0,0 +1,72 @@
+const express = require('express');
+const prescriberService = require('../services/prescriberService');
+const { validateEPrescription, validateFetchPrescriberPrescriptions } = require('../utils/validation');
+const { authenticate, authenticateRoles } = require('../middleware/auth');
+const router = express.Router();
+
+// GET /prescribers/profile - The signed-in prescriber and their licence status
+router.get('/profile', authenticate, authenticateRoles('prescriber'), async (req, res) => {
+  try {
+    const prescriber = await prescriberService.getProfile(req.user.prescriberId);
+    res.status(200).json({ message: 'Prescriber fetched', prescriber });
+  } catch (error) {
+    console.error('Fetch prescriber profile error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// POST /prescribers/prescriptions - Issue an e-prescription; the patient is sent a code to redeem at checkout
+router.post('/prescriptions', authenticate, authenticateRoles('prescriber'), async (req, res) => {
+  try {
+    const { patientName, patientPhone, patientEmail, diagnosis, notes, validUntil, items } = req.body;
+
+    const { error, value } = validateEPrescription({ patientName, patientPhone, patientEmail, diagnosis, notes, validUntil, items });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const prescription = await prescriberService.createEPrescription(req.user.prescriberId, value);
+    res.status(201).json({ message: 'Prescription issued', prescription });
+  } catch (error) {
+    console.error('Issue e-prescription error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /prescribers/prescriptions - Prescriptions the prescriber has issued, newest first
+router.get('/prescriptions', authenticate, authenticateRoles('prescriber'), async (req, res) => {
+  try {
+    const { page, limit, redeemed } = req.query;
+
+    const { error, value } = validateFetchPrescriberPrescriptions({ page, limit, redeemed });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const result = await prescriberService.fetchPrescriptions(req.user.prescriberId, value);
+    res.status(200).json({ message: 'Prescriptions fetched', ...result });
+  } catch (error) {
+    console.error('Fetch e-prescriptions error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /prescribers/prescriptions/:id - One issued prescription with the orders placed against it
+router.get('/prescriptions/:id', authenticate, authenticateRoles('prescriber'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid prescription ID' });
+    }
+
+    const prescription = await prescriberService.getPrescription(req.user.prescriberId, parseInt(id));
+    res.status(200).json({ message: 'Prescription fetched', prescription });
+  } catch (error) {
+    console.error('Fetch e-prescription error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
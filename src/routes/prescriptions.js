@@ -2,7 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const prescriptionService = require('../services/prescriptionService');
-const { isValidEmail, validatePrescriptionUpload, validateAddServices, validateVerifyPrescription, validateGuestOrder } = require('../utils/validation');
+const { isValidEmail, validatePrescriptionUpload, validateAddServices, validateVerifyPrescription, validateGuestOrder, validateRedeemPrescription } = require('../utils/validation');
 const { authenticate, authenticateAdmin } = require('../middleware/auth');
 const requireConsent = require('../middleware/requireConsent');
 const router = express.Router();
@@ -84,7 +84,7 @@ router.post('/upload', upload.single('prescriptionFile'), requireConsent, async
     res.status(201).json({ message: 'Prescription uploaded successfully. You will be notified when it’s ready.', prescription });
   } catch (error) {
     console.error('Upload error:', { message: error.message });
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
   }
 });
 
@@ -95,13 +95,13 @@ router.post('/:id/services', authenticate, authenticateAdmin, async (req, res) =
     const { services } = req.body;
 
     // Validate input
-    const { error } = validateAddServices({ id, services });
+    const { error, value } = validateAddServices({ id, services });
     if (error) {
       console.error('Validation error:', error.message);
       return res.status(400).json({ message: error.message });
     }
 
-    const result = await prescriptionService.addServices(Number(id), services);
+    const result = await prescriptionService.addServices(Number(id), value.services);
     res.status(201).json({ message: 'Services added', prescriptionServices: result.prescriptionServices });
   } catch (error) {
     console.error('Add services error:', { message: error.message });
@@ -113,20 +113,82 @@ router.post('/:id/services', authenticate, authenticateAdmin, async (req, res) =
 router.patch('/:id/verify', authenticate, authenticateAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, rejectReason, validUntil, rejectionCodes, notes, annotations } = req.body;
 
     // Validate input
-    const { error } = validateVerifyPrescription({ id, status });
+    const { error, value } = validateVerifyPrescription({ id, status, rejectReason, validUntil, rejectionCodes, notes, annotations });
     if (error) {
       console.error('Validation error:', error.message);
       return res.status(400).json({ message: error.message });
     }
 
-    const prescription = await prescriptionService.verifyPrescription(Number(id), status);
+    const prescription = await prescriptionService.verifyPrescription(Number(id), status, value.rejectReason, {
+      adminId: req.user.adminId,
+      validUntil: value.validUntil,
+      rejectionCodes: value.rejectionCodes,
+      notes: value.notes,
+      annotations: value.annotations,
+    });
     res.status(200).json({ message: 'Prescription updated', prescription });
   } catch (error) {
     console.error('Verification error:', { message: error.message });
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PUT /prescriptions/:id/file - Upload a new copy of a prescription the reviewer couldn't verify
+router.put('/:id/file', upload.single('prescriptionFile'), requireConsent, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+    const patientIdentifier = req.headers['x-guest-id'];
+    const { id } = req.params;
+    if (!patientIdentifier) {
+      return res.status(400).json({ message: 'Patient identifier is required' });
+    }
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({ message: 'Invalid prescription ID' });
+    }
+
+    const prescription = await prescriptionService.resubmitPrescription({
+      prescriptionId: parseInt(id),
+      patientIdentifier,
+      fileUrl: `/uploads/${req.file.filename}`,
+    });
+    res.status(200).json({ message: 'Prescription re-uploaded, awaiting verification', prescription });
+  } catch (error) {
+    console.error('Re-upload error:', { message: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// POST /prescriptions/redeem - Claim an e-prescription with the code the prescriber sent
+router.post('/redeem', requireConsent, async (req, res) => {
+  try {
+    const patientIdentifier = req.headers['x-guest-id'];
+    const { code, email, phone } = req.body;
+
+    const { error } = validateRedeemPrescription({ code, patientIdentifier, email, phone });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const prescription = await prescriptionService.redeemPrescription({ code, patientIdentifier, email, phone });
+    res.status(200).json({
+      message: 'Prescription redeemed',
+      prescription: {
+        id: prescription.id,
+        status: prescription.status,
+        referringPhysicianName: prescription.referringPhysicianName,
+        serviceIds: prescription.prescriptionItems.map(item => item.serviceId),
+        redeemedAt: prescription.redeemedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Redeem prescription error:', { message: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
   }
 });
 
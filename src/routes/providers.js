@@ -1,13 +1,24 @@
 const express = require('express');
 const providerService = require('../services/providerService');
-const { validateFetchOrders, validateUpdateOrder, validateFetchServices, validateAddService, validateUpdateService, validateDeleteService, validateFetchUsers, validateRegisterDevice } = require('../utils/validation');
-const { authenticate, authenticateManager } = require('../middleware/auth');
+const resultService = require('../services/resultService');
+const settlementService = require('../services/settlementService');
+const recallService = require('../services/recallService');
+const inventoryAlertService = require('../services/inventoryAlertService');
+const inventoryImportService = require('../services/inventoryImportService');
+const inventoryLedgerService = require('../services/inventoryLedgerService');
+const appointmentService = require('../services/appointmentService');
+const collectionService = require('../services/collectionService');
+const deliveryService = require('../services/deliveryService');
+const prescriptionQueueService = require('../services/prescriptionQueueService');
+const { validateFetchOrders, validateUpdateOrder, validateFetchServices, validateAddService, validateUpdateService, validateDeleteService, validateFetchUsers, validateRegisterDevice, validateUploadResult, validateFetchResults, validateReviewResult, validateReleaseResult, validateRequestItemRefund, validateStatement, validateAddBatch, validateUpdateBatch, validateBatchParams, validateFetchRecalls, validateAcknowledgeRecall, validateFetchNotifications, validateMarkNotificationsRead, validateAlertSettings, validateImportServices, validateExportServices, validateWriteOffBatch, validateFetchStockMovements, validateStockTake, validateFetchStockTakes, validateSlotSettings, validateFetchAppointments, validateMarkAttendance, validateFetchCollections, validateAssignCollection, validateCollectionStatus, validateDeliverySettings, validateFetchDeliveries, validateAssignRider, validateDeliveryStatus, validateConfirmDelivery, validateFetchPrescriptionQueue, validatePrescriptionPriority, validateReviewPrescription } = require('../utils/validation');
+const { authenticateProvider, authenticateManager, authenticateRoles } = require('../middleware/auth');
+const { resultUpload, inventoryUpload } = require('../utils/upload');
 const router = express.Router();
 
 console.log('Loaded providers.js version: 2025-06-25-v1');
 
 // GET /providers/orders - Fetch orders for provider
-router.get('/orders', authenticate, async (req, res) => {
+router.get('/orders', authenticateProvider, async (req, res) => {
   try {
     const { error } = validateFetchOrders({});
     if (error) {
@@ -24,27 +35,69 @@ router.get('/orders', authenticate, async (req, res) => {
 });
 
 // PATCH /providers/orders/:orderId - Update order status
-router.patch('/orders/:orderId', authenticate, async (req, res) => {
+router.patch('/orders/:orderId', authenticateProvider, async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
-    const { error } = validateUpdateOrder({ orderId, status });
+    const { error } = validateUpdateOrder({ orderId, status, reason });
     if (error) {
       console.error('Validation error:', error.message);
       return res.status(400).json({ message: error.message });
     }
 
-    const updatedOrder = await providerService.updateOrderStatus(Number(orderId), status, req.user.providerId);
+    const updatedOrder = await providerService.updateOrderStatus(Number(orderId), status, req.user.providerId, {
+      userId: req.user.userId,
+      reason,
+    });
     res.status(200).json({ message: 'Order status updated', order: updatedOrder });
   } catch (error) {
     console.error('Order update error:', { message: error.message, stack: error.stack });
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// POST /providers/orders/:orderId/refunds - Request refunds for items that could not be fulfilled
+router.post('/orders/:orderId/refunds', authenticateProvider, authenticateManager, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { itemIds, reason } = req.body;
+
+    const { error } = validateRequestItemRefund({ orderId, itemIds, reason });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const refunds = await providerService.requestItemRefund(Number(orderId), itemIds.map(Number), reason, req.user.providerId);
+    res.status(201).json({ message: 'Refund requested', refunds });
+  } catch (error) {
+    console.error('Refund request error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/statement - Earnings, commission, fees and payouts for the provider
+router.get('/statement', authenticateProvider, authenticateManager, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const { error } = validateStatement({ from, to });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const statement = await settlementService.getProviderStatement(req.user.providerId, { from, to });
+    res.status(200).json({ message: 'Statement fetched', statement });
+  } catch (error) {
+    console.error('Provider statement error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
   }
 });
 
 // GET /providers/services - Fetch provider services
-router.get('/services', authenticate, async (req, res) => {
+router.get('/services', authenticateProvider, async (req, res) => {
   try {
     const { error } = validateFetchServices({});
     if (error) {
@@ -61,7 +114,7 @@ router.get('/services', authenticate, async (req, res) => {
 });
 
 // POST /providers/services - Add new provider service
-router.post('/services', authenticate, async (req, res) => {
+router.post('/services', authenticateProvider, async (req, res) => {
   try {
     const { serviceId, stock, price, available, receivedDate, expiryDate } = req.body;
 
@@ -79,6 +132,7 @@ router.post('/services', authenticate, async (req, res) => {
       available: Boolean(available),
       receivedDate,
       expiryDate,
+      userId: req.user.userId,
     });
     res.status(201).json({ message: 'Service added', service });
   } catch (error) {
@@ -88,7 +142,7 @@ router.post('/services', authenticate, async (req, res) => {
 });
 
 // PATCH /providers/services - Update provider service
-router.patch('/services', authenticate, async (req, res) => {
+router.patch('/services', authenticateProvider, async (req, res) => {
   try {
     const { serviceId, stock, price, available, receivedDate, expiryDate } = req.body;
 
@@ -106,16 +160,17 @@ router.patch('/services', authenticate, async (req, res) => {
       available: Boolean(available),
       receivedDate,
       expiryDate,
+      userId: req.user.userId,
     });
     res.status(200).json({ message: 'Service updated', service: updatedService });
   } catch (error) {
     console.error('Update service error:', { message: error.message, stack: error.stack });
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
   }
 });
 
 // DELETE /providers/services - Delete provider service
-router.delete('/services', authenticate, async (req, res) => {
+router.delete('/services', authenticateProvider, async (req, res) => {
   try {
     const { serviceId } = req.query;
 
@@ -133,8 +188,764 @@ router.delete('/services', authenticate, async (req, res) => {
   }
 });
 
+// POST /providers/services/import - Bulk price/stock update from a CSV or XLSX sheet (dry run by default)
+router.post('/services/import', authenticateProvider, authenticateManager, inventoryUpload.single('file'), async (req, res) => {
+  try {
+    const { error, value } = validateImportServices({ dryRun: req.body.dryRun, hasFile: Boolean(req.file) });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (value.dryRun) {
+      const preview = await inventoryImportService.previewImport(req.user.providerId, req.file);
+      return res.status(200).json({ message: 'Import preview', dryRun: true, ...preview });
+    }
+
+    const result = await inventoryImportService.applyImport(req.user.providerId, req.file, req.user.userId);
+    res.status(200).json({ message: 'Import applied', dryRun: false, ...result });
+  } catch (error) {
+    console.error('Import services error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({
+      message: error.status ? error.message : 'Server error',
+      error: error.message,
+      ...(error.preview && error.preview),
+    });
+  }
+});
+
+// GET /providers/services/export - Download the provider's catalogue in the import layout
+router.get('/services/export', authenticateProvider, async (req, res) => {
+  try {
+    const { error, value } = validateExportServices(req.query);
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const buffer = await inventoryImportService.exportCatalogue(req.user.providerId, value.format);
+    const contentType = value.format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8';
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="inventory-${req.user.providerId}.${value.format}"`);
+    res.status(200).send(buffer);
+  } catch (error) {
+    console.error('Export services error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/services/:serviceId/batches - Stock batches in dispensing (first-expiry-first-out) order
+router.get('/services/:serviceId/batches', authenticateProvider, async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+
+    const { error } = validateBatchParams({ serviceId });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const batches = await providerService.fetchBatches(req.user.providerId, Number(serviceId));
+    res.status(200).json({ message: 'Batches fetched', batches });
+  } catch (error) {
+    console.error('Fetch batches error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// POST /providers/services/:serviceId/batches - Receive a stock batch
+router.post('/services/:serviceId/batches', authenticateProvider, async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+    const { batchNumber, quantity, expiryDate, receivedDate, supplier } = req.body;
+
+    const { error, value } = validateAddBatch({ serviceId, batchNumber, quantity, expiryDate, receivedDate, supplier });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const batch = await providerService.addBatch(req.user.providerId, value.serviceId, {
+      batchNumber: value.batchNumber,
+      quantity: value.quantity,
+      expiryDate: value.expiryDate,
+      receivedDate: value.receivedDate,
+      supplier: value.supplier,
+    }, req.user.userId);
+    res.status(201).json({ message: 'Batch added', batch });
+  } catch (error) {
+    console.error('Add batch error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/services/:serviceId/batches/:batchId - Correct a batch's quantity, dates or supplier
+router.patch('/services/:serviceId/batches/:batchId', authenticateProvider, async (req, res) => {
+  try {
+    const { serviceId, batchId } = req.params;
+    const { quantity, expiryDate, receivedDate, supplier, reason } = req.body;
+
+    const { error, value } = validateUpdateBatch({ serviceId, batchId, quantity, expiryDate, receivedDate, supplier, reason });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const batch = await providerService.updateBatch(req.user.providerId, value.serviceId, value.batchId, {
+      quantity: value.quantity,
+      expiryDate: value.expiryDate,
+      receivedDate: value.receivedDate,
+      supplier: value.supplier,
+      reason: value.reason,
+    }, req.user.userId);
+    res.status(200).json({ message: 'Batch updated', batch });
+  } catch (error) {
+    console.error('Update batch error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// DELETE /providers/services/:serviceId/batches/:batchId - Remove a batch entered by mistake
+router.delete('/services/:serviceId/batches/:batchId', authenticateProvider, async (req, res) => {
+  try {
+    const { serviceId, batchId } = req.params;
+
+    const { error } = validateBatchParams({ serviceId, batchId });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    await providerService.deleteBatch(req.user.providerId, Number(serviceId), Number(batchId), req.user.userId);
+    res.status(200).json({ message: 'Batch deleted' });
+  } catch (error) {
+    console.error('Delete batch error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// POST /providers/services/:serviceId/batches/:batchId/write-off - Remove expired or recalled stock from a batch
+router.post('/services/:serviceId/batches/:batchId/write-off', authenticateProvider, async (req, res) => {
+  try {
+    const { serviceId, batchId } = req.params;
+    const { type, quantity, reason } = req.body;
+
+    const { error, value } = validateWriteOffBatch({ serviceId, batchId, type, quantity, reason });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const batch = await providerService.writeOffBatch(req.user.providerId, value.serviceId, value.batchId, {
+      type: value.type,
+      quantity: value.quantity,
+      reason: value.reason,
+    }, req.user.userId);
+    res.status(200).json({ message: 'Batch written off', batch });
+  } catch (error) {
+    console.error('Write-off batch error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/stock-movements - Ledger of every stock change, newest first
+router.get('/stock-movements', authenticateProvider, async (req, res) => {
+  try {
+    const { error, value } = validateFetchStockMovements(req.query);
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const result = await inventoryLedgerService.getStockMovements(req.user.providerId, value);
+    res.status(200).json({ message: 'Stock movements fetched', ...result });
+  } catch (error) {
+    console.error('Fetch stock movements error:', { message: error.message, stack: error.stack });
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /providers/stock-takes - Record counted quantities and book the variances
+router.post('/stock-takes', authenticateProvider, async (req, res) => {
+  try {
+    const { items, notes } = req.body;
+
+    const { error, value } = validateStockTake({ items, notes });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const stockTake = await inventoryLedgerService.createStockTake(req.user.providerId, req.user.userId, value);
+    res.status(201).json({ message: 'Stock take recorded', stockTake });
+  } catch (error) {
+    console.error('Stock take error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/stock-takes - Past stock takes
+router.get('/stock-takes', authenticateProvider, async (req, res) => {
+  try {
+    const { error, value } = validateFetchStockTakes(req.query);
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const result = await inventoryLedgerService.getStockTakes(req.user.providerId, value);
+    res.status(200).json({ message: 'Stock takes fetched', ...result });
+  } catch (error) {
+    console.error('Fetch stock takes error:', { message: error.message, stack: error.stack });
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/stock-takes/:stockTakeId - One stock take with its counted lines
+router.get('/stock-takes/:stockTakeId', authenticateProvider, async (req, res) => {
+  try {
+    const { stockTakeId } = req.params;
+    if (isNaN(parseInt(stockTakeId))) {
+      return res.status(400).json({ message: 'Invalid stock take ID' });
+    }
+
+    const stockTake = await inventoryLedgerService.getStockTake(req.user.providerId, parseInt(stockTakeId));
+    res.status(200).json({ message: 'Stock take fetched', stockTake });
+  } catch (error) {
+    console.error('Fetch stock take error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/recalls - Drug recalls affecting the provider
+router.get('/recalls', authenticateProvider, async (req, res) => {
+  try {
+    const { pending } = req.query;
+
+    const { error, value } = validateFetchRecalls({ pending });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const recalls = await recallService.getProviderRecalls(req.user.providerId, { pendingOnly: value.pending });
+    res.status(200).json({ message: 'Recalls fetched', recalls });
+  } catch (error) {
+    console.error('Provider recalls error:', { message: error.message, stack: error.stack });
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /providers/recalls/:recallId/acknowledge - Confirm the recall has been actioned
+router.post('/recalls/:recallId/acknowledge', authenticateProvider, async (req, res) => {
+  try {
+    const { recallId } = req.params;
+    const { notes } = req.body;
+
+    const { error } = validateAcknowledgeRecall({ recallId, notes });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const acknowledgement = await recallService.acknowledgeRecall(Number(recallId), req.user.providerId, req.user.userId, notes);
+    res.status(200).json({ message: 'Recall acknowledged', acknowledgement });
+  } catch (error) {
+    console.error('Acknowledge recall error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/notifications - Notification inbox (inventory alerts)
+router.get('/notifications', authenticateProvider, async (req, res) => {
+  try {
+    const { page, limit, unread } = req.query;
+
+    const { error, value } = validateFetchNotifications({ page, limit, unread });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const result = await inventoryAlertService.getNotifications(req.user.providerId, value);
+    res.status(200).json({ message: 'Notifications fetched', ...result });
+  } catch (error) {
+    console.error('Fetch notifications error:', { message: error.message, stack: error.stack });
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// POST /providers/notifications/read - Mark the given notifications (or all of them) as read
+router.post('/notifications/read', authenticateProvider, async (req, res) => {
+  try {
+    const { notificationIds } = req.body;
+
+    const { error } = validateMarkNotificationsRead({ notificationIds });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const updated = await inventoryAlertService.markNotificationsRead(req.user.providerId, notificationIds);
+    res.status(200).json({ message: 'Notifications marked as read', updated });
+  } catch (error) {
+    console.error('Mark notifications error:', { message: error.message, stack: error.stack });
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/alert-settings - Low-stock and expiry alert thresholds
+router.get('/alert-settings', authenticateProvider, async (req, res) => {
+  try {
+    const settings = await inventoryAlertService.getAlertSettings(req.user.providerId);
+    res.status(200).json({ message: 'Alert settings fetched', settings });
+  } catch (error) {
+    console.error('Fetch alert settings error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/alert-settings - Update alert thresholds (manager only)
+router.patch('/alert-settings', authenticateProvider, authenticateManager, async (req, res) => {
+  try {
+    const { lowStockThreshold, expiryAlertDays } = req.body;
+
+    const { error } = validateAlertSettings({ lowStockThreshold, expiryAlertDays });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const settings = await inventoryAlertService.updateAlertSettings(req.user.providerId, { lowStockThreshold, expiryAlertDays });
+    res.status(200).json({ message: 'Alert settings updated', settings });
+  } catch (error) {
+    console.error('Update alert settings error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/slot-settings - Appointment slot length and capacity for the provider and its lab services
+router.get('/slot-settings', authenticateProvider, async (req, res) => {
+  try {
+    const settings = await providerService.fetchSlotSettings(req.user.providerId);
+    res.status(200).json({ message: 'Slot settings fetched', ...settings });
+  } catch (error) {
+    console.error('Fetch slot settings error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/slot-settings - Update the provider's default slot length, capacity and reschedule cutoff (manager only)
+router.patch('/slot-settings', authenticateProvider, authenticateManager, async (req, res) => {
+  try {
+    const { slotMinutes, slotCapacity, appointmentCutoffHours } = req.body;
+
+    const { error, value } = validateSlotSettings({ slotMinutes, slotCapacity, appointmentCutoffHours });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const settings = await providerService.updateSlotSettings(req.user.providerId, value);
+    res.status(200).json({ message: 'Slot settings updated', ...settings });
+  } catch (error) {
+    console.error('Update slot settings error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/services/:serviceId/slot-settings - Override slot length and capacity for one service (manager only)
+router.patch('/services/:serviceId/slot-settings', authenticateProvider, authenticateManager, async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+    const { slotMinutes, slotCapacity } = req.body;
+
+    const { error, value } = validateSlotSettings({ serviceId, slotMinutes, slotCapacity });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const settings = await providerService.updateServiceSlotSettings(req.user.providerId, value.serviceId, {
+      slotMinutes: value.slotMinutes,
+      slotCapacity: value.slotCapacity,
+    });
+    res.status(200).json({ message: 'Service slot settings updated', ...settings });
+  } catch (error) {
+    console.error('Update service slot settings error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/appointments - Booked appointments for a day, with attendance
+router.get('/appointments', authenticateProvider, async (req, res) => {
+  try {
+    const { date, status } = req.query;
+
+    const { error, value } = validateFetchAppointments({ date, status });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const result = await appointmentService.getProviderAppointments(req.user.providerId, value);
+    res.status(200).json({ message: 'Appointments fetched', ...result });
+  } catch (error) {
+    console.error('Fetch appointments error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/appointments/:itemId/attendance - Mark an appointment attended or a no-show
+router.patch('/appointments/:itemId/attendance', authenticateProvider, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const { status } = req.body;
+
+    const { error, value } = validateMarkAttendance({ itemId, status });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const appointment = await appointmentService.markAttendance(req.user.providerId, value.itemId, value.status, req.user.userId);
+    res.status(200).json({ message: 'Attendance recorded', appointment });
+  } catch (error) {
+    console.error('Mark attendance error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/field-staff - Phlebotomists with their visit counts for a day (manager only)
+router.get('/field-staff', authenticateProvider, authenticateManager, async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    const { error, value } = validateFetchCollections({ date });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const staff = await collectionService.fetchFieldStaff(req.user.providerId, value);
+    res.status(200).json({ message: 'Field staff fetched', staff });
+  } catch (error) {
+    console.error('Fetch field staff error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/collections - Home sample collection visits for a day
+router.get('/collections', authenticateProvider, authenticateRoles('manager', 'phlebotomist'), async (req, res) => {
+  try {
+    const { date, status, staffId } = req.query;
+
+    const { error, value } = validateFetchCollections({ date, status, staffId });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const result = await collectionService.fetchCollections(req.user.providerId, req.user, value);
+    res.status(200).json({ message: 'Collection visits fetched', ...result });
+  } catch (error) {
+    console.error('Fetch collections error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/collections/route - A field staff member's visits for a day in route order
+router.get('/collections/route', authenticateProvider, authenticateRoles('manager', 'phlebotomist'), async (req, res) => {
+  try {
+    const { date, staffId } = req.query;
+
+    const { error, value } = validateFetchCollections({ date, staffId });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const route = await collectionService.fetchDayRoute(req.user.providerId, req.user, value);
+    res.status(200).json({ message: 'Collection route fetched', ...route });
+  } catch (error) {
+    console.error('Fetch collection route error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/collections/:visitId/assign - Assign a visit to a phlebotomist (manager only)
+router.patch('/collections/:visitId/assign', authenticateProvider, authenticateManager, async (req, res) => {
+  try {
+    const { visitId } = req.params;
+    const { staffId } = req.body;
+
+    const { error, value } = validateAssignCollection({ visitId, staffId });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const visit = await collectionService.assignCollection(req.user.providerId, value.visitId, value.staffId, req.user.userId);
+    res.status(200).json({ message: 'Collection visit assigned', visit });
+  } catch (error) {
+    console.error('Assign collection error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/collections/:visitId/status - Update visit progress; collecting the sample moves the order on
+router.patch('/collections/:visitId/status', authenticateProvider, authenticateRoles('manager', 'phlebotomist'), async (req, res) => {
+  try {
+    const { visitId } = req.params;
+    const { status, notes, failureReason } = req.body;
+
+    const { error, value } = validateCollectionStatus({ visitId, status, notes, failureReason });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const visit = await collectionService.updateVisitStatus(req.user.providerId, value.visitId, req.user, value);
+    res.status(200).json({ message: 'Collection visit updated', visit });
+  } catch (error) {
+    console.error('Update collection status error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/delivery-settings - Delivery pricing for the provider
+router.get('/delivery-settings', authenticateProvider, async (req, res) => {
+  try {
+    const settings = await providerService.fetchDeliverySettings(req.user.providerId);
+    res.status(200).json({ message: 'Delivery settings fetched', ...settings });
+  } catch (error) {
+    console.error('Fetch delivery settings error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/delivery-settings - Update the provider's delivery fee, included distance and delivery radius (manager only)
+router.patch('/delivery-settings', authenticateProvider, authenticateManager, async (req, res) => {
+  try {
+    const { deliveryBaseFee, deliveryFeePerKm, deliveryIncludedKm, deliveryMaxKm, freeDeliveryThreshold } = req.body;
+
+    const { error, value } = validateDeliverySettings({ deliveryBaseFee, deliveryFeePerKm, deliveryIncludedKm, deliveryMaxKm, freeDeliveryThreshold });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const settings = await providerService.updateDeliverySettings(req.user.providerId, value);
+    res.status(200).json({ message: 'Delivery settings updated', ...settings });
+  } catch (error) {
+    console.error('Update delivery settings error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/riders - Riders and their open deliveries (manager only)
+router.get('/riders', authenticateProvider, authenticateManager, async (req, res) => {
+  try {
+    const riders = await deliveryService.fetchRiders(req.user.providerId);
+    res.status(200).json({ message: 'Riders fetched', riders });
+  } catch (error) {
+    console.error('Fetch riders error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/deliveries - Deliveries, open ones unless a status is given
+router.get('/deliveries', authenticateProvider, authenticateRoles('manager', 'rider'), async (req, res) => {
+  try {
+    const { status, riderId } = req.query;
+
+    const { error, value } = validateFetchDeliveries({ status, riderId });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const result = await deliveryService.fetchDeliveries(req.user.providerId, req.user, value);
+    res.status(200).json({ message: 'Deliveries fetched', ...result });
+  } catch (error) {
+    console.error('Fetch deliveries error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/deliveries/:deliveryId/assign - Assign a delivery to a rider (manager only)
+router.patch('/deliveries/:deliveryId/assign', authenticateProvider, authenticateManager, async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    const { riderId } = req.body;
+
+    const { error, value } = validateAssignRider({ deliveryId, riderId });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const delivery = await deliveryService.assignRider(req.user.providerId, value.deliveryId, value.riderId, req.user.userId);
+    res.status(200).json({ message: 'Delivery assigned', delivery });
+  } catch (error) {
+    console.error('Assign delivery error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/deliveries/:deliveryId/status - Dispatch a delivery (the order is shipped and the patient gets a code) or record a failed attempt
+router.patch('/deliveries/:deliveryId/status', authenticateProvider, authenticateRoles('manager', 'rider'), async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    const { status, notes, failureReason } = req.body;
+
+    const { error, value } = validateDeliveryStatus({ deliveryId, status, notes, failureReason });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const delivery = value.status === 'out_for_delivery'
+      ? await deliveryService.dispatchDelivery(req.user.providerId, value.deliveryId, req.user)
+      : await deliveryService.failDelivery(req.user.providerId, value.deliveryId, req.user, value);
+    res.status(200).json({ message: 'Delivery updated', delivery });
+  } catch (error) {
+    console.error('Update delivery status error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// POST /providers/deliveries/:deliveryId/confirm - Confirm delivery with the code the patient reads out
+router.post('/deliveries/:deliveryId/confirm', authenticateProvider, authenticateRoles('manager', 'rider'), async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    const { otp, recipientName, notes } = req.body;
+
+    const { error, value } = validateConfirmDelivery({ deliveryId, otp, recipientName, notes });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const delivery = await deliveryService.confirmDelivery(req.user.providerId, value.deliveryId, req.user, value);
+    res.status(200).json({ message: 'Delivery confirmed', delivery });
+  } catch (error) {
+    console.error('Confirm delivery error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// POST /providers/deliveries/:deliveryId/resend-otp - Send the patient a new delivery code
+router.post('/deliveries/:deliveryId/resend-otp', authenticateProvider, authenticateRoles('manager', 'rider'), async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    if (isNaN(parseInt(deliveryId))) {
+      return res.status(400).json({ message: 'Invalid delivery ID' });
+    }
+
+    const delivery = await deliveryService.resendOtp(req.user.providerId, parseInt(deliveryId), req.user);
+    res.status(200).json({ message: 'Delivery code sent', delivery });
+  } catch (error) {
+    console.error('Resend delivery code error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/prescriptions/queue - Prescriptions awaiting review on this provider's orders, most urgent first
+router.get('/prescriptions/queue', authenticateProvider, authenticateRoles('manager', 'pharmacist'), async (req, res) => {
+  try {
+    const { page, limit, status, priority, claim } = req.query;
+
+    const { error, value } = validateFetchPrescriptionQueue({ page, limit, status, priority, claim });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const result = await prescriptionQueueService.fetchQueue(req.user.providerId, req.user.userId, value);
+    res.status(200).json({ message: 'Prescription queue fetched', ...result });
+  } catch (error) {
+    console.error('Fetch prescription queue error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// POST /providers/prescriptions/:prescriptionId/claim - Lock a prescription for review
+router.post('/prescriptions/:prescriptionId/claim', authenticateProvider, authenticateRoles('manager', 'pharmacist'), async (req, res) => {
+  try {
+    const { prescriptionId } = req.params;
+    if (isNaN(parseInt(prescriptionId))) {
+      return res.status(400).json({ message: 'Invalid prescription ID' });
+    }
+
+    const prescription = await prescriptionQueueService.claimPrescription(req.user.providerId, req.user.userId, parseInt(prescriptionId));
+    res.status(200).json({ message: 'Prescription claimed', prescription });
+  } catch (error) {
+    console.error('Claim prescription error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// POST /providers/prescriptions/:prescriptionId/release - Give a claimed prescription back to the queue
+router.post('/prescriptions/:prescriptionId/release', authenticateProvider, authenticateRoles('manager', 'pharmacist'), async (req, res) => {
+  try {
+    const { prescriptionId } = req.params;
+    if (isNaN(parseInt(prescriptionId))) {
+      return res.status(400).json({ message: 'Invalid prescription ID' });
+    }
+
+    const prescription = await prescriptionQueueService.releasePrescription(req.user.providerId, req.user, parseInt(prescriptionId));
+    res.status(200).json({ message: 'Prescription released', prescription });
+  } catch (error) {
+    console.error('Release prescription error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/prescriptions/:prescriptionId/priority - Reprioritise a prescription in the queue
+router.patch('/prescriptions/:prescriptionId/priority', authenticateProvider, authenticateRoles('manager', 'pharmacist'), async (req, res) => {
+  try {
+    const { prescriptionId } = req.params;
+    const { priority } = req.body;
+
+    const { error, value } = validatePrescriptionPriority({ prescriptionId, priority });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const prescription = await prescriptionQueueService.setPriority(req.user.providerId, req.user.userId, value.prescriptionId, value.priority);
+    res.status(200).json({ message: 'Prescription priority updated', prescription });
+  } catch (error) {
+    console.error('Update prescription priority error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/prescriptions/:prescriptionId/review - Verify, reject or ask for a re-upload of a claimed prescription under the reviewer's licence
+router.patch('/prescriptions/:prescriptionId/review', authenticateProvider, authenticateRoles('manager', 'pharmacist'), async (req, res) => {
+  try {
+    const { prescriptionId } = req.params;
+    const { status, rejectReason, validUntil, rejectionCodes, notes, annotations } = req.body;
+
+    const { error, value } = validateReviewPrescription({ prescriptionId, status, rejectReason, validUntil, rejectionCodes, notes, annotations });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const prescription = await prescriptionQueueService.reviewPrescription(req.user.providerId, req.user.userId, value.prescriptionId, value);
+    res.status(200).json({ message: 'Prescription reviewed', prescription });
+  } catch (error) {
+    console.error('Review prescription error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
 // GET /providers/users - Fetch provider users (manager only)
-router.get('/users', authenticate, authenticateManager, async (req, res) => {
+router.get('/users', authenticateProvider, authenticateManager, async (req, res) => {
   try {
     const { error } = validateFetchUsers({});
     if (error) {
@@ -151,7 +962,7 @@ router.get('/users', authenticate, authenticateManager, async (req, res) => {
 });
 
 // POST /providers/notifications/register - Device registration for notifications
-router.post('/notifications/register', authenticate, async (req, res) => {
+router.post('/notifications/register', authenticateProvider, async (req, res) => {
   try {
     const { deviceToken } = req.body;
 
@@ -169,4 +980,144 @@ router.post('/notifications/register', authenticate, async (req, res) => {
   }
 });
 
+// POST /providers/results - Upload a lab result file or value for an order item
+router.post('/results', authenticateProvider, authenticateRoles('manager', 'lab_scientist', 'pathologist', 'technician'), resultUpload.single('resultFile'), async (req, res) => {
+  try {
+    const { orderItemId, value, patientSex, patientAgeYears } = req.body;
+
+    let parsedValues;
+    try {
+      parsedValues = typeof req.body.values === 'string' ? JSON.parse(req.body.values) : req.body.values;
+    } catch (e) {
+      return res.status(400).json({ message: 'Invalid result values format' });
+    }
+
+    const { error } = validateUploadResult({ orderItemId, value, values: parsedValues, patientSex, patientAgeYears, hasFile: Boolean(req.file) });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const result = await resultService.uploadResult({
+      providerId: req.user.providerId,
+      userId: req.user.userId,
+      orderItemId: Number(orderItemId),
+      value,
+      values: parsedValues,
+      patientSex,
+      patientAgeYears: patientAgeYears !== undefined ? Number(patientAgeYears) : undefined,
+      fileUrl: req.file ? req.file.filename : null,
+    });
+    res.status(201).json({ message: 'Result uploaded', result });
+  } catch (error) {
+    console.error('Upload result error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/results - Fetch lab results for provider
+router.get('/results', authenticateProvider, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const { error } = validateFetchResults({ status });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const results = await resultService.fetchResults(req.user.providerId, { status });
+    res.status(200).json({ message: 'Results fetched', results });
+  } catch (error) {
+    console.error('Fetch results error:', { message: error.message, stack: error.stack });
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/results/:resultId/file - Download a result's file
+router.get('/results/:resultId/file', authenticateProvider, async (req, res) => {
+  try {
+    const { resultId } = req.params;
+    if (isNaN(parseInt(resultId))) {
+      return res.status(400).json({ message: 'Invalid result ID' });
+    }
+
+    const filePath = await resultService.getProviderResultFile(Number(resultId), req.user.providerId);
+    res.sendFile(filePath, { headers: { 'Cache-Control': 'private, no-store' } }, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Result file error:', { resultId, message: error.message });
+        res.status(404).json({ message: 'Result file not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Download result file error:', { message: error.message, stack: error.stack });
+    res.status(error.status === 404 ? 404 : 500).json({ message: error.status === 404 ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /providers/results/template/:serviceId - Fetch the structured result template for a service
+router.get('/results/template/:serviceId', authenticateProvider, async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+    if (isNaN(parseInt(serviceId))) {
+      return res.status(400).json({ message: 'Invalid service ID' });
+    }
+
+    const template = await resultService.getResultTemplate(Number(serviceId));
+    res.status(200).json({ message: 'Result template fetched', template });
+  } catch (error) {
+    console.error('Fetch result template error:', { message: error.message, stack: error.stack });
+    res.status(error.status === 404 ? 404 : 500).json({ message: error.status === 404 ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/results/:resultId/review - Approve or reject a result (pathologist/lab scientist only)
+router.patch('/results/:resultId/review', authenticateProvider, authenticateRoles('pathologist', 'lab_scientist'), async (req, res) => {
+  try {
+    const { resultId } = req.params;
+    const { status, reviewNotes } = req.body;
+
+    const { error } = validateReviewResult({ resultId, status, reviewNotes });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const result = await resultService.reviewResult({
+      resultId: Number(resultId),
+      providerId: req.user.providerId,
+      userId: req.user.userId,
+      status,
+      reviewNotes,
+    });
+    res.status(200).json({ message: 'Result reviewed', result });
+  } catch (error) {
+    console.error('Review result error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// PATCH /providers/results/:resultId/release - Release a reviewed result to the patient
+router.patch('/results/:resultId/release', authenticateProvider, authenticateRoles('manager', 'pathologist', 'lab_scientist'), async (req, res) => {
+  try {
+    const { resultId } = req.params;
+
+    const { error } = validateReleaseResult({ resultId });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const { result, orderStatus } = await resultService.releaseResult({
+      resultId: Number(resultId),
+      providerId: req.user.providerId,
+      userId: req.user.userId,
+    });
+    res.status(200).json({ message: 'Result released', result, orderStatus });
+  } catch (error) {
+    console.error('Release result error:', { message: error.message, stack: error.stack });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
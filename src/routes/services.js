@@ -40,7 +40,7 @@ router.get('/suggestions', async (req, res) => {
 // GET /services/search - Search services with filtering and sorting
 router.get('/search', async (req, res) => {
   try {
-    const { q, serviceId, page, limit, lat, lng, radius, state, lga, ward, sortBy, homeCollection, type } = req.query;
+    const { q, serviceId, page, limit, lat, lng, radius, state, lga, ward, sortBy, homeCollection, openNow, type } = req.query;
 
     // Validate input
     const { error, value } = validateServiceSearch({
@@ -56,6 +56,7 @@ router.get('/search', async (req, res) => {
       ward,
       sortBy,
       homeCollection,
+      openNow,
       type,
     });
     if (error) {
@@ -1,5 +1,6 @@
 const express = require('express');
 const trackService = require('../services/trackService');
+const resultService = require('../services/resultService');
 const { validateTracking } = require('../utils/validation');
 const router = express.Router();
 
@@ -25,4 +26,53 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /track/results - Fetch released lab results by tracking code
+router.get('/results', async (req, res) => {
+  try {
+    const { trackingCode } = req.query;
+
+    // Validate input
+    const { error } = validateTracking({ trackingCode });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const results = await resultService.getReleasedResults(trackingCode);
+    res.status(200).json({ message: 'Results fetched', results });
+  } catch (error) {
+    console.error('Track results error:', { message: error.message, stack: error.stack });
+    res.status(error.status === 404 ? 404 : 500).json({ message: error.status === 404 ? error.message : 'Server error', error: error.message });
+  }
+});
+
+// GET /track/results/:resultId/file - Download a released lab result's file by tracking code
+router.get('/results/:resultId/file', async (req, res) => {
+  try {
+    const { resultId } = req.params;
+    const { trackingCode } = req.query;
+    if (isNaN(parseInt(resultId))) {
+      return res.status(400).json({ message: 'Invalid result ID' });
+    }
+
+    // Validate input
+    const { error } = validateTracking({ trackingCode });
+    if (error) {
+      console.error('Validation error:', error.message);
+      return res.status(400).json({ message: error.message });
+    }
+
+    const filePath = await resultService.getReleasedResultFile(Number(resultId), trackingCode);
+    res.sendFile(filePath, { headers: { 'Cache-Control': 'private, no-store' } }, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Result file error:', { resultId, message: error.message });
+        res.status(404).json({ message: 'Result file not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Track result file error:', { message: error.message, stack: error.stack });
+    res.status(error.status === 404 ? 404 : 500).json({ message: error.status === 404 ? error.message : 'Server error', error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
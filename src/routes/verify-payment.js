@@ -1,7 +1,7 @@
 const express = require('express');
-const axios = require('axios');
 const { PrismaClient } = require('@prisma/client');
-const { generateTrackingCode } = require('../utils/tracking');
+const paymentService = require('../services/paymentService');
+const { getPaymentGateway } = require('../utils/payment');
 const router = express.Router();
 const prisma = new PrismaClient();
 
@@ -28,100 +28,28 @@ router.get('/', async (req, res) => {
     }
 
     // Fetch orders associated with the transaction
-    const orders = await prisma.order.findMany({
-      where: {
-        patientIdentifier,
-        checkoutSessionId,
-        paymentReference: { in: transactionRef.orderReferences },
-        status: { in: ['pending', 'confirmed', 'pending_prescription'] }, // Updated to match OrderStatus enum
-      },
-      include: {
-        items: {
-          include: {
-            service: true,
-            prescriptions: { include: { prescription: true } },
-          },
-        },
-        provider: true,
-      },
-    });
+    const orders = await paymentService.findTransactionOrders(transactionRef, { patientIdentifier });
 
     if (orders.length === 0) {
       console.error('Orders not found:', { checkoutSessionId, patientIdentifier, orderReferences: transactionRef.orderReferences });
       return res.status(404).json({ message: 'Orders not found' });
     }
 
-    // Verify Paystack transaction
-    console.log('Verifying Paystack transaction:', { transactionReference: reference });
-    const paystackResponse = await axios.get(
-      `https://api.paystack.co/transaction/verify/${reference}`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    // Verify the transaction with the gateway that initialized it
+    console.log('Verifying payment transaction:', { transactionReference: reference, gateway: transactionRef.gateway });
+    const verification = await getPaymentGateway(transactionRef.gateway).verify(reference);
 
-    if (!paystackResponse.data.status || paystackResponse.data.data.status !== 'success') {
-      console.error('Payment verification failed:', paystackResponse.data);
-      await prisma.$transaction(async (tx) => {
-        for (const order of orders) {
-          await tx.order.update({
-            where: { id: order.id },
-            data: { paymentStatus: 'failed', updatedAt: new Date() }, // Updated to match PaymentStatus enum
-          });
-        }
-      });
+    if (verification.status !== 'success') {
+      console.error('Payment verification failed:', verification);
+      await paymentService.failTransactionPayment(transactionRef, { patientIdentifier });
       return res.status(400).json({ message: 'Payment verification failed' });
     }
 
-    // Generate or reuse tracking code
-    const existingTrackingCode = orders.find((o) => o.trackingCode)?.trackingCode;
-    const trackingCode = existingTrackingCode || generateTrackingCode(checkoutSessionId, orders[0]?.id);
-
-    // Update orders in a transaction
-    const updatedOrders = await prisma.$transaction(async (tx) => {
-      const updated = [];
-      for (const order of orders) {
-        if (transactionRef.orderReferences.includes(order.paymentReference)) {
-          const requiresPrescription = order.items.some(
-            (item) => item.service.prescriptionRequired
-          );
-          const hasValidPrescription = order.items
-            .filter((item) => item.service.prescriptionRequired)
-            .every((item) => item.prescriptions.length > 0);
-
-          let newStatus = order.status;
-          let newPaymentStatus = order.paymentStatus;
-
-          if (!requiresPrescription || hasValidPrescription) {
-            newStatus = 'confirmed';
-            newPaymentStatus = 'paid';
-          } else {
-            newStatus = 'pending_prescription';
-            newPaymentStatus = 'pending';
-          }
-
-          const updatedOrder = await tx.order.update({
-            where: { id: order.id },
-            data: {
-              paymentStatus: newPaymentStatus,
-              status: newStatus,
-              trackingCode,
-              updatedAt: new Date(),
-            },
-            include: {
-              items: {
-                include: { service: true, prescriptions: true },
-              },
-              provider: true,
-            },
-          });
-          updated.push(updatedOrder);
-        }
-      }
-      return updated;
+    // Update orders (shared with the payment webhooks)
+    const { updatedOrders, trackingCode } = await paymentService.confirmTransactionPayment(transactionRef, {
+      patientIdentifier,
+      fees: verification.fees,
+      amount: verification.amount,
     });
 
     // Format response with orders grouped by provider
@@ -183,7 +111,7 @@ router.get('/', async (req, res) => {
       query: req.query,
       headers: req.headers,
     });
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error', error: error.message });
   }
 });
 
@@ -0,0 +1,37 @@
+const express = require('express');
+const paymentService = require('../services/paymentService');
+const { getPaymentGateway, isSupportedGateway } = require('../utils/payment');
+const router = express.Router();
+
+console.log('Loaded webhooks.js version: 2025-07-10-v2');
+
+// POST /webhooks/:gateway - Receive payment events (e.g. /webhooks/paystack, /webhooks/flutterwave)
+router.post('/:gateway', async (req, res) => {
+  const { gateway: gatewayName } = req.params;
+
+  if (!isSupportedGateway(gatewayName)) {
+    return res.status(404).json({ message: 'Unknown payment gateway' });
+  }
+
+  const event = getPaymentGateway(gatewayName).parseWebhook({
+    rawBody: req.rawBody,
+    headers: req.headers,
+    body: req.body || {},
+  });
+  if (!event) {
+    console.error('Invalid webhook signature:', { gateway: gatewayName, event: req.body?.event });
+    return res.status(401).json({ message: 'Invalid signature' });
+  }
+
+  try {
+    const result = await paymentService.handleGatewayEvent(event, { gateway: gatewayName });
+    console.log('Payment webhook processed:', { gateway: gatewayName, type: event.type, reference: event.reference, ...result });
+    res.status(200).json({ message: 'Webhook received' });
+  } catch (error) {
+    // A non-2xx response makes the gateway retry the delivery
+    console.error('Payment webhook error:', { message: error.message, stack: error.stack, gateway: gatewayName, type: event.type });
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const { PrismaClient } = require('@prisma/client');
+const geoData = require('../../data/full.json');
+const { findWard, distanceKm } = require('../utils/location');
+const { geocodeAddress } = require('../utils/geocoding');
+const prisma = new PrismaClient();
+
+const MAX_ADDRESSES = 10;
+// How far a pin or geocoder result may sit from the ward's centre and still count as being in the ward
+const WARD_RADIUS_KM = parseFloat(process.env.ADDRESS_WARD_RADIUS_KM || '15');
+
+const LOCATION_FIELDS = ['state', 'lga', 'ward', 'street', 'landmark', 'latitude', 'longitude'];
+
+function formatAddressLine(address) {
+  return [address.street, address.landmark && `near ${address.landmark}`, address.ward, address.lga, address.state]
+    .filter(Boolean)
+    .join(', ');
+}
+
+function formatAddress(address) {
+  return {
+    id: address.id,
+    label: address.label,
+    recipientName: address.recipientName,
+    phone: address.phone,
+    state: address.state,
+    lga: address.lga,
+    ward: address.ward,
+    street: address.street,
+    landmark: address.landmark,
+    latitude: address.latitude,
+    longitude: address.longitude,
+    locationSource: address.locationSource,
+    isDefault: address.isDefault,
+    formatted: formatAddressLine(address),
+    createdAt: address.createdAt,
+    updatedAt: address.updatedAt,
+  };
+}
+
+// Checks the state, LGA and ward against the geo data and works out the coordinates: a pin dropped by the
+// patient wins, then the geocoder's match for the street, then the centre of the ward
+async function resolveLocation({ state, lga, ward, street, landmark, latitude, longitude }) {
+  let wardData;
+  try {
+    wardData = findWard(state, lga, ward);
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+  const place = { state: wardData.state, lga: wardData.lga, ward: wardData.ward };
+
+  if (latitude !== undefined && longitude !== undefined) {
+    if (distanceKm(wardData, { latitude, longitude }) > WARD_RADIUS_KM) {
+      const error = new Error(`The pinned location is not in ${wardData.ward}, ${wardData.lga}`);
+      error.status = 400;
+      throw error;
+    }
+    return { ...place, latitude, longitude, locationSource: 'pin' };
+  }
+
+  const point = await geocodeAddress([street, landmark, wardData.ward, wardData.lga, wardData.state].filter(Boolean).join(', '));
+  if (point && distanceKm(wardData, point) <= WARD_RADIUS_KM) {
+    return { ...place, ...point, locationSource: 'geocoded' };
+  }
+  return { ...place, latitude: wardData.latitude, longitude: wardData.longitude, locationSource: 'ward' };
+}
+
+async function findAddressOrFail(patientIdentifier, addressId, client = prisma) {
+  const address = await client.patientAddress.findFirst({ where: { id: addressId, patientIdentifier } });
+  if (!address) {
+    const error = new Error('Address not found');
+    error.status = 404;
+    throw error;
+  }
+  return address;
+}
+
+// States, the LGAs of a state, or the wards of an LGA, for address forms
+function listLocations({ state, lga }) {
+  if (!state) {
+    return { states: geoData.map(s => s.state) };
+  }
+  const stateData = geoData.find(s => s.state.toLowerCase() === state.toLowerCase());
+  if (!stateData) {
+    const error = new Error('Invalid state');
+    error.status = 400;
+    throw error;
+  }
+  if (!lga) {
+    return { state: stateData.state, lgas: stateData.lgas.map(l => l.name) };
+  }
+  const lgaData = stateData.lgas.find(l => l.name.toLowerCase() === lga.toLowerCase());
+  if (!lgaData) {
+    const error = new Error('Invalid LGA for selected state');
+    error.status = 400;
+    throw error;
+  }
+  return {
+    state: stateData.state,
+    lga: lgaData.name,
+    wards: lgaData.wards.map(w => ({ name: w.name, latitude: w.latitude, longitude: w.longitude })),
+  };
+}
+
+async function listAddresses(patientIdentifier) {
+  const addresses = await prisma.patientAddress.findMany({
+    where: { patientIdentifier },
+    orderBy: [{ isDefault: 'desc' }, { updatedAt: 'desc' }],
+  });
+  return addresses.map(formatAddress);
+}
+
+// The first address saved becomes the default; making another one the default unsets the previous one
+async function createAddress(patientIdentifier, { label, recipientName, phone, isDefault, ...location }) {
+  const existing = await prisma.patientAddress.count({ where: { patientIdentifier } });
+  if (existing >= MAX_ADDRESSES) {
+    const error = new Error(`You can save up to ${MAX_ADDRESSES} addresses; remove one to add another`);
+    error.status = 400;
+    throw error;
+  }
+  const resolved = await resolveLocation(location);
+  const makeDefault = existing === 0 || Boolean(isDefault);
+
+  const address = await prisma.$transaction(async (tx) => {
+    if (makeDefault) {
+      await tx.patientAddress.updateMany({ where: { patientIdentifier, isDefault: true }, data: { isDefault: false } });
+    }
+    return tx.patientAddress.create({
+      data: {
+        patientIdentifier,
+        label,
+        recipientName,
+        phone,
+        street: location.street,
+        landmark: location.landmark,
+        ...resolved,
+        isDefault: makeDefault,
+      },
+    });
+  });
+  console.log('Address saved:', { patientIdentifier, addressId: address.id, locationSource: address.locationSource });
+  return formatAddress(address);
+}
+
+async function updateAddress(patientIdentifier, addressId, { label, recipientName, phone, isDefault, ...changes }) {
+  const address = await findAddressOrFail(patientIdentifier, addressId);
+  const locationChanged = LOCATION_FIELDS.some(field => changes[field] !== undefined);
+  let resolved = {};
+  if (locationChanged) {
+    // A new street or ward without a new pin means the old coordinates no longer apply
+    const pinned = changes.latitude !== undefined && changes.longitude !== undefined;
+    resolved = await resolveLocation({
+      state: changes.state ?? address.state,
+      lga: changes.lga ?? address.lga,
+      ward: changes.ward ?? address.ward,
+      street: changes.street ?? address.street,
+      landmark: changes.landmark !== undefined ? changes.landmark : address.landmark,
+      ...(pinned && { latitude: changes.latitude, longitude: changes.longitude }),
+    });
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (isDefault) {
+      await tx.patientAddress.updateMany({ where: { patientIdentifier, isDefault: true }, data: { isDefault: false } });
+    }
+    return tx.patientAddress.update({
+      where: { id: address.id },
+      data: {
+        ...(label !== undefined && { label }),
+        ...(recipientName !== undefined && { recipientName }),
+        ...(phone !== undefined && { phone }),
+        ...(changes.street !== undefined && { street: changes.street }),
+        ...(changes.landmark !== undefined && { landmark: changes.landmark }),
+        ...resolved,
+        ...(isDefault && { isDefault: true }),
+      },
+    });
+  });
+  console.log('Address updated:', { patientIdentifier, addressId, locationChanged });
+  return formatAddress(updated);
+}
+
+// Orders keep their own copy of the address, so removing it from the book doesn't touch them
+async function deleteAddress(patientIdentifier, addressId) {
+  const address = await findAddressOrFail(patientIdentifier, addressId);
+  await prisma.$transaction(async (tx) => {
+    await tx.patientAddress.delete({ where: { id: address.id } });
+    if (address.isDefault) {
+      const next = await tx.patientAddress.findFirst({ where: { patientIdentifier }, orderBy: { updatedAt: 'desc' } });
+      if (next) {
+        await tx.patientAddress.update({ where: { id: next.id }, data: { isDefault: true } });
+      }
+    }
+  });
+  console.log('Address deleted:', { patientIdentifier, addressId });
+}
+
+// Checkout takes either an address from the book or a new one, which is saved to the book
+async function resolveCheckoutAddress(patientIdentifier, { addressId, deliveryAddress }) {
+  if (addressId) {
+    return findAddressOrFail(patientIdentifier, addressId);
+  }
+  const created = await createAddress(patientIdentifier, deliveryAddress);
+  return findAddressOrFail(patientIdentifier, created.id);
+}
+
+module.exports = {
+  formatAddressLine,
+  formatAddress,
+  listLocations,
+  listAddresses,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+  resolveCheckoutAddress,
+};
@@ -1,12 +1,8 @@
 const { PrismaClient } = require('@prisma/client');
-const NodeGeocoder = require('node-geocoder');
+const { geocoder } = require('../utils/geocoding');
+const { isExpired, itemAllowance } = require('../utils/prescriptionUsage');
 const prisma = new PrismaClient();
 
-const geocoder = NodeGeocoder({
-  provider: 'opencage',
-  apiKey: process.env.OPENCAGE_API_KEY,
-});
-
 async function getDashboardOverview() {
   const [providerCount, serviceCount, prescriptionCount, orderCount, userCount, pendingPrescriptions, verifiedProviders, recentOrders] = await prisma.$transaction([
     prisma.provider.count(),
@@ -98,6 +94,7 @@ async function getProvider(id) {
       logoUrl: true,
       isActive: true,
       homeCollectionAvailable: true,
+      timezone: true,
       createdAt: true,
       verifiedAt: true,
     },
@@ -152,6 +149,9 @@ async function updateProvider(id, data) {
         logoUrl: data.logoUrl,
         isActive: data.isActive,
         homeCollectionAvailable: data.homeCollectionAvailable,
+        timezone: data.timezone,
+        commissionRate: data.commissionRate,
+        paystackSubaccountCode: data.paystackSubaccountCode,
         verifiedAt: data.status === 'verified' ? new Date() : data.status === 'rejected' ? null : existingProvider.verifiedAt,
       },
     });
@@ -175,6 +175,9 @@ async function updateProvider(id, data) {
     logoUrl: updatedProvider.logoUrl,
     isActive: updatedProvider.isActive,
     homeCollectionAvailable: updatedProvider.homeCollectionAvailable,
+    timezone: updatedProvider.timezone,
+    commissionRate: updatedProvider.commissionRate,
+    paystackSubaccountCode: updatedProvider.paystackSubaccountCode,
     createdAt: updatedProvider.createdAt,
     verifiedAt: updatedProvider.verifiedAt,
   };
@@ -263,6 +266,7 @@ async function getService(id) {
       testCode: true,
       prepInstructions: true,
       prescriptionRequired: true,
+      resultFormat: true,
       imageUrl: true,
       createdAt: true,
       providerServices: {
@@ -273,6 +277,18 @@ async function getService(id) {
           provider: { select: { id: true, name: true } },
         },
       },
+      analytes: {
+        select: {
+          id: true,
+          code: true,
+          name: true,
+          unit: true,
+          valueType: true,
+          sortOrder: true,
+          referenceRanges: true,
+        },
+        orderBy: { sortOrder: 'asc' },
+      },
     },
   });
   if (!service) {
@@ -381,11 +397,69 @@ async function deleteService(id) {
   }
 }
 
-async function getPrescriptions({ page, limit, status, patientIdentifier }) {
+async function setServiceAnalytes(id, analytes) {
+  const service = await prisma.service.findUnique({
+    where: { id },
+    include: { analytes: { include: { _count: { select: { resultValues: true } } } } },
+  });
+  if (!service) {
+    const error = new Error('Service not found');
+    error.status = 404;
+    throw error;
+  }
+  if (!['diagnostic', 'diagnostic_package'].includes(service.type)) {
+    const error = new Error('Analytes can only be defined for diagnostic services');
+    error.status = 400;
+    throw error;
+  }
+
+  const submittedCodes = analytes.map(a => a.code.toUpperCase());
+  const removed = service.analytes.filter(a => !submittedCodes.includes(a.code.toUpperCase()));
+  const inUse = removed.filter(a => a._count.resultValues > 0);
+  if (inUse.length) {
+    const error = new Error(`Analytes with recorded results cannot be removed: ${inUse.map(a => a.code).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  await prisma.$transaction(async (tx) => {
+    if (removed.length) {
+      await tx.serviceAnalyte.deleteMany({ where: { id: { in: removed.map(a => a.id) } } });
+    }
+
+    for (const [index, analyte] of analytes.entries()) {
+      const existing = service.analytes.find(a => a.code.toUpperCase() === analyte.code.toUpperCase());
+      const data = {
+        code: analyte.code.toUpperCase(),
+        name: analyte.name,
+        unit: analyte.unit || null,
+        valueType: analyte.valueType,
+        sortOrder: index,
+      };
+      const saved = existing
+        ? await tx.serviceAnalyte.update({ where: { id: existing.id }, data })
+        : await tx.serviceAnalyte.create({ data: { ...data, serviceId: id } });
+
+      // Ranges are snapshotted onto each ResultValue, so replacing them leaves past results intact
+      await tx.referenceRange.deleteMany({ where: { analyteId: saved.id } });
+      if (analyte.referenceRanges.length) {
+        await tx.referenceRange.createMany({
+          data: analyte.referenceRanges.map(range => ({ ...range, analyteId: saved.id })),
+        });
+      }
+    }
+  });
+
+  console.log('Service analytes updated:', { serviceId: id, analyteCount: analytes.length, removed: removed.length });
+  return getService(id);
+}
+
+async function getPrescriptions({ page, limit, status, patientIdentifier, escalated }) {
   const skip = (page - 1) * limit;
   const where = {};
   if (status) where.status = status;
   if (patientIdentifier) where.patientIdentifier = { contains: patientIdentifier, mode: 'insensitive' };
+  if (escalated !== undefined) where.escalatedAt = escalated ? { not: null } : null;
   const [prescriptions, total] = await prisma.$transaction([
     prisma.prescription.findMany({
       where,
@@ -393,9 +467,18 @@ async function getPrescriptions({ page, limit, status, patientIdentifier }) {
         id: true,
         patientIdentifier: true,
         fileUrl: true,
+        source: true,
         status: true,
         verified: true,
+        priority: true,
         createdAt: true,
+        escalatedAt: true,
+        referringPhysicianName: true,
+        prescriber: { select: { id: true, name: true, licenseNumber: true } },
+        claimedBy: { select: { id: true, name: true } },
+        reviewedBy: { select: { id: true, name: true } },
+        reviewerLicenseNumber: true,
+        _count: { select: { reviews: true } },
         orders: {
           select: {
             id: true,
@@ -421,6 +504,23 @@ async function getPrescription(id) {
   const prescription = await prisma.prescription.findUnique({
     where: { id },
     include: {
+      prescriber: { select: { id: true, name: true, licenseNumber: true, licenseBody: true, specialty: true, practiceName: true, status: true } },
+      claimedBy: { select: { id: true, name: true, providerId: true } },
+      reviewedBy: { select: { id: true, name: true, providerId: true } },
+      // Every decision made on the prescription, oldest first, including those before a re-upload
+      reviews: {
+        include: {
+          adminUser: { select: { id: true, name: true, email: true } },
+          providerUser: { select: { id: true, name: true, role: true, provider: { select: { id: true, name: true } } } },
+        },
+        orderBy: { createdAt: 'asc' },
+      },
+      prescriptionItems: {
+        include: {
+          service: { select: { id: true, name: true, type: true } },
+          dispenses: { select: { orderId: true, quantity: true, reversedAt: true, createdAt: true }, orderBy: { createdAt: 'asc' } },
+        },
+      },
       orders: {
         include: {
           provider: true,
@@ -441,7 +541,11 @@ async function getPrescription(id) {
     throw error;
   }
   console.log('Prescription fetched:', { prescriptionId: id });
-  return prescription;
+  return {
+    ...prescription,
+    expired: isExpired(prescription),
+    prescriptionItems: prescription.prescriptionItems.map(item => ({ ...item, allowance: itemAllowance(item) })),
+  };
 }
 
 async function getOrders({ page, limit, status, patientIdentifier }) {
@@ -521,6 +625,19 @@ async function getOrder(id) {
           price: true,
         },
       },
+      refunds: {
+        select: {
+          id: true,
+          orderItemId: true,
+          amount: true,
+          reason: true,
+          status: true,
+          requestedBy: true,
+          createdAt: true,
+          processedAt: true,
+        },
+        orderBy: { createdAt: 'desc' },
+      },
     },
   });
   if (!order) {
@@ -634,6 +751,68 @@ async function getProviderUser(id) {
   return user;
 }
 
+async function getPrescribers({ page, limit, status, search }) {
+  const skip = (page - 1) * limit;
+  const where = {};
+  if (status) where.status = status;
+  if (search) {
+    where.OR = [
+      { name: { contains: search, mode: 'insensitive' } },
+      { email: { contains: search, mode: 'insensitive' } },
+      { licenseNumber: { contains: search, mode: 'insensitive' } },
+    ];
+  }
+  const [prescribers, total] = await prisma.$transaction([
+    prisma.prescriber.findMany({
+      where,
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        phone: true,
+        licenseNumber: true,
+        licenseBody: true,
+        specialty: true,
+        practiceName: true,
+        status: true,
+        verifiedAt: true,
+        suspendedReason: true,
+        createdAt: true,
+        _count: { select: { prescriptions: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip,
+    }),
+    prisma.prescriber.count({ where }),
+  ]);
+  console.log('Prescribers fetched:', { count: prescribers.length, total });
+  return {
+    prescribers,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+// Verifying confirms the licence was found on the council's register; suspending stops new prescriptions,
+// while ones already issued stay valid
+async function updatePrescriberStatus(id, { status, reason }, adminId) {
+  const prescriber = await prisma.prescriber.findUnique({ where: { id } });
+  if (!prescriber) {
+    const error = new Error('Prescriber not found');
+    error.status = 404;
+    throw error;
+  }
+  const updated = await prisma.prescriber.update({
+    where: { id },
+    data: status === 'verified'
+      ? { status, verifiedAt: new Date(), verifiedById: adminId, suspendedReason: null }
+      : { status, suspendedReason: reason },
+    select: { id: true, name: true, licenseNumber: true, licenseBody: true, status: true, verifiedAt: true, suspendedReason: true },
+  });
+  console.log('Prescriber status updated:', { prescriberId: id, status, adminId });
+  return updated;
+}
+
 module.exports = {
   getDashboardOverview,
   getProviders,
@@ -646,6 +825,7 @@ module.exports = {
   createService,
   updateService,
   deleteService,
+  setServiceAnalytes,
   getPrescriptions,
   getPrescription,
   getOrders,
@@ -654,4 +834,6 @@ module.exports = {
   getAdminUser,
   getProviderUsers,
   getProviderUser,
+  getPrescribers,
+  updatePrescriberStatus,
 };
\ No newline at end of file
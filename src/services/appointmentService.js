@@ -0,0 +1,320 @@
+const { PrismaClient } = require('@prisma/client');
+const { transitionOrderStatus } = require('../utils/orderStateMachine');
+const { syncCollectionVisitWindow } = require('../utils/collectionVisits');
+const { assertOpenForSlot } = require('../utils/operatingHours');
+const { DEFAULT_APPOINTMENT_CUTOFF_HOURS, getSlotSettings, reserveSlot } = require('../utils/slotCapacity');
+const { sendAppointmentReminder } = require('../utils/notifications');
+const { DEFAULT_TIMEZONE, zonedDateKey, zonedDayBounds, parseZonedDateTime, toZonedISOString } = require('../utils/timezone');
+const refundService = require('./refundService');
+const prisma = new PrismaClient();
+
+// Appointments can be changed until the sample is taken
+const CHANGEABLE_ORDER_STATUSES = ['pending', 'pending_prescription', 'pending_testorder', 'confirmed'];
+
+// Reminders only go to orders the patient has committed to
+const REMINDER_ORDER_STATUSES = ['pending_testorder', 'confirmed'];
+
+const HOUR = 60 * 60 * 1000;
+
+// Slot times are returned with the provider's UTC offset
+function formatAppointment(item, timeZone = DEFAULT_TIMEZONE) {
+  return {
+    itemId: item.id,
+    orderId: item.orderId,
+    serviceId: item.serviceId,
+    serviceName: item.service?.name,
+    prepInstructions: item.service?.prepInstructions ?? null,
+    timeSlotStart: toZonedISOString(item.timeSlotStart, timeZone),
+    timeSlotEnd: toZonedISOString(item.timeSlotEnd, timeZone),
+    status: item.appointmentStatus,
+    rescheduleCount: item.rescheduleCount,
+    cancelledAt: item.appointmentCancelledAt,
+    cancelReason: item.appointmentCancelReason,
+    attendanceMarkedAt: item.attendanceMarkedAt,
+    attendanceMarkedBy: item.attendanceMarkedBy ? { id: item.attendanceMarkedBy.id, name: item.attendanceMarkedBy.name } : null,
+    ...(item.order && {
+      order: {
+        id: item.order.id,
+        status: item.order.status,
+        paymentStatus: item.order.paymentStatus,
+        email: item.order.email,
+        phone: item.order.phone,
+      },
+    }),
+  };
+}
+
+// Loads a patient's booked item and checks it can still be changed
+async function findChangeableAppointment(itemId, patientIdentifier) {
+  const item = await prisma.orderItem.findUnique({
+    where: { id: itemId },
+    include: {
+      order: true,
+      service: { select: { name: true, prepInstructions: true } },
+      providerService: { include: { provider: { select: { name: true, timezone: true, appointmentCutoffHours: true } } } },
+    },
+  });
+  if (!item) {
+    const error = new Error('Appointment not found');
+    error.status = 404;
+    throw error;
+  }
+  if (item.order.patientIdentifier !== patientIdentifier) {
+    const error = new Error('Unauthorized: Order does not belong to this user');
+    error.status = 403;
+    throw error;
+  }
+  if (!item.timeSlotStart) {
+    const error = new Error('This item has no appointment');
+    error.status = 400;
+    throw error;
+  }
+  if (!CHANGEABLE_ORDER_STATUSES.includes(item.order.status)) {
+    const error = new Error(`Appointments on a ${item.order.status} order cannot be changed`);
+    error.status = 400;
+    throw error;
+  }
+  if (item.appointmentStatus && item.appointmentStatus !== 'scheduled') {
+    const error = new Error(`This appointment is already ${item.appointmentStatus.replace('_', ' ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const provider = item.providerService.provider;
+  const cutoffHours = provider.appointmentCutoffHours ?? DEFAULT_APPOINTMENT_CUTOFF_HOURS;
+  if (Date.now() > item.timeSlotStart.getTime() - cutoffHours * HOUR) {
+    const error = new Error(`Appointments at ${provider.name} can only be changed up to ${cutoffHours} hour${cutoffHours === 1 ? '' : 's'} before the slot`);
+    error.status = 400;
+    throw error;
+  }
+  return item;
+}
+
+async function rescheduleAppointment(itemId, patientIdentifier, timeSlotStart) {
+  const item = await findChangeableAppointment(itemId, patientIdentifier);
+  const { timezone } = item.providerService.provider;
+  const start = parseZonedDateTime(timeSlotStart, timezone);
+  if (start <= new Date()) {
+    const error = new Error('The new time slot must be in the future');
+    error.status = 400;
+    throw error;
+  }
+  if (start.getTime() === item.timeSlotStart.getTime()) {
+    const error = new Error('The appointment is already booked for this time');
+    error.status = 400;
+    throw error;
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const { slotMinutes } = await getSlotSettings(item.providerId, item.serviceId, tx);
+    const end = new Date(start.getTime() + slotMinutes * 60 * 1000);
+    await assertOpenForSlot(item.providerId, start, end, { providerName: item.providerService.provider.name }, tx);
+    // The order's own booking is left out of the count so moving within an overlapping slot works
+    await reserveSlot(item.providerId, item.serviceId, start, end, { excludeOrderIds: [item.orderId] }, tx);
+    const rescheduled = await tx.orderItem.update({
+      where: { id: item.id },
+      data: {
+        timeSlotStart: start,
+        timeSlotEnd: end,
+        appointmentStatus: 'scheduled',
+        rescheduleCount: { increment: 1 },
+        reminder24hSentAt: null,
+        reminder2hSentAt: null,
+      },
+      include: { service: { select: { name: true, prepInstructions: true } } },
+    });
+    await syncCollectionVisitWindow(item.orderId, tx);
+    return rescheduled;
+  });
+
+  console.log('Appointment rescheduled:', { itemId, orderId: item.orderId, from: item.timeSlotStart, to: start });
+  return formatAppointment(updated, timezone);
+}
+
+// Cancelling the last appointment on an order cancels the order (refunding it if paid); otherwise a
+// paid item is refunded on its own. Unpaid orders with other items have to be cancelled as a whole.
+async function cancelAppointment(itemId, patientIdentifier, reason) {
+  const item = await findChangeableAppointment(itemId, patientIdentifier);
+  const order = item.order;
+  const otherItems = await prisma.orderItem.findMany({
+    where: { orderId: order.id, id: { not: item.id } },
+    select: { id: true, appointmentStatus: true },
+  });
+  const cancelsOrder = otherItems.every(other => other.appointmentStatus === 'cancelled');
+  const paid = order.paymentStatus === 'paid';
+  if (!cancelsOrder && !paid) {
+    const error = new Error('This order has other items and has not been paid; cancel the whole order instead');
+    error.status = 400;
+    throw error;
+  }
+
+  const cancelReason = reason || 'Cancelled by patient';
+  const updated = await prisma.$transaction(async (tx) => {
+    const cancelled = await tx.orderItem.update({
+      where: { id: item.id },
+      data: { appointmentStatus: 'cancelled', appointmentCancelledAt: new Date(), appointmentCancelReason: cancelReason },
+      include: { service: { select: { name: true, prepInstructions: true } } },
+    });
+    if (cancelsOrder) {
+      await transitionOrderStatus(order.id, 'cancelled', { actorType: 'patient', reason: `Appointment cancelled: ${cancelReason}` }, tx);
+    } else {
+      await syncCollectionVisitWindow(order.id, tx);
+    }
+    return cancelled;
+  });
+  console.log('Appointment cancelled:', { itemId, orderId: order.id, orderCancelled: cancelsOrder });
+
+  let refunds = [];
+  try {
+    if (cancelsOrder) {
+      refunds = await refundService.refundCancelledOrder(order.id, `Appointment cancelled: ${cancelReason}`, 'patient');
+    } else {
+      refunds = await refundService.requestRefund({
+        orderId: order.id,
+        orderItemIds: [item.id],
+        reason: `Appointment cancelled: ${cancelReason}`,
+        requestedBy: 'patient',
+        automatic: true,
+      });
+    }
+  } catch (error) {
+    // The cancellation stands; a failed refund is left for an admin to retry
+    console.error('Appointment cancellation refund error:', { itemId, orderId: order.id, message: error.message });
+  }
+
+  return { appointment: formatAppointment(updated, item.providerService.provider.timezone), orderCancelled: cancelsOrder, refunds };
+}
+
+async function getProviderAppointments(providerId, { date, status }) {
+  const provider = await prisma.provider.findUnique({ where: { id: providerId }, select: { timezone: true } });
+  const timeZone = provider?.timezone || DEFAULT_TIMEZONE;
+  const day = date || zonedDateKey(new Date(), timeZone);
+  const { start, end } = zonedDayBounds(day, timeZone);
+  const items = await prisma.orderItem.findMany({
+    where: {
+      providerId,
+      timeSlotStart: { gte: start, lt: end },
+      order: { status: { not: 'cart' } },
+      ...(status && { appointmentStatus: status }),
+    },
+    include: {
+      order: true,
+      service: { select: { name: true, prepInstructions: true } },
+      attendanceMarkedBy: { select: { id: true, name: true } },
+    },
+    orderBy: [{ timeSlotStart: 'asc' }, { id: 'asc' }],
+  });
+
+  const appointments = items.map(item => formatAppointment(item, timeZone));
+  return {
+    date: day,
+    timeZone,
+    summary: appointments.reduce(
+      (acc, a) => (a.status ? { ...acc, [a.status]: acc[a.status] + 1 } : acc),
+      { total: appointments.length, scheduled: 0, attended: 0, no_show: 0, cancelled: 0 }
+    ),
+    appointments,
+  };
+}
+
+// Attendance can be corrected between attended and no_show; a no-show can't be recorded before the slot starts
+async function markAttendance(providerId, itemId, status, userId) {
+  const item = await prisma.orderItem.findFirst({
+    where: { id: itemId, providerId },
+    include: {
+      order: { select: { id: true, status: true } },
+      providerService: { select: { provider: { select: { timezone: true } } } },
+    },
+  });
+  if (!item || !item.timeSlotStart) {
+    const error = new Error('Appointment not found');
+    error.status = 404;
+    throw error;
+  }
+  if (['cart', 'cancelled'].includes(item.order.status) || item.appointmentStatus === 'cancelled') {
+    const error = new Error('This appointment has been cancelled');
+    error.status = 400;
+    throw error;
+  }
+  if (status === 'no_show' && item.timeSlotStart > new Date()) {
+    const error = new Error('A no-show can only be recorded once the slot has started');
+    error.status = 400;
+    throw error;
+  }
+
+  const updated = await prisma.orderItem.update({
+    where: { id: item.id },
+    data: { appointmentStatus: status, attendanceMarkedAt: new Date(), attendanceMarkedById: userId },
+    include: {
+      order: true,
+      service: { select: { name: true, prepInstructions: true } },
+      attendanceMarkedBy: { select: { id: true, name: true } },
+    },
+  });
+  console.log('Appointment attendance marked:', { providerId, itemId, status, userId });
+  return formatAppointment(updated, item.providerService.provider.timezone);
+}
+
+// Sends the 24h and 2h reminders that are due. Tests booked together on one order are sent as a
+// single reminder. A reminder that fails to send is retried on the next run while its window lasts.
+async function sendAppointmentReminders() {
+  const now = new Date();
+  const windows = [
+    { hoursBefore: 2, field: 'reminder2hSentAt', from: now, to: new Date(now.getTime() + 2 * HOUR) },
+    { hoursBefore: 24, field: 'reminder24hSentAt', from: new Date(now.getTime() + 2 * HOUR), to: new Date(now.getTime() + 24 * HOUR) },
+  ];
+
+  let sent = 0;
+  for (const window of windows) {
+    const items = await prisma.orderItem.findMany({
+      where: {
+        appointmentStatus: 'scheduled',
+        timeSlotStart: { gt: window.from, lte: window.to },
+        [window.field]: null,
+        order: { status: { in: REMINDER_ORDER_STATUSES } },
+      },
+      include: {
+        order: true,
+        service: { select: { name: true, prepInstructions: true } },
+        providerService: { include: { provider: { select: { id: true, name: true, address: true, timezone: true } } } },
+      },
+    });
+
+    const groups = new Map();
+    for (const item of items) {
+      const key = `${item.orderId}:${item.timeSlotStart.getTime()}`;
+      groups.set(key, [...(groups.get(key) || []), item]);
+    }
+
+    for (const group of groups.values()) {
+      const [first] = group;
+      try {
+        await sendAppointmentReminder({
+          order: first.order,
+          provider: first.providerService.provider,
+          timeSlotStart: first.timeSlotStart,
+          services: group.map(item => item.service),
+          hoursBefore: window.hoursBefore,
+        });
+        await prisma.orderItem.updateMany({
+          where: { id: { in: group.map(item => item.id) } },
+          data: { [window.field]: now },
+        });
+        sent += 1;
+      } catch (error) {
+        console.error('Appointment reminder failed:', { orderId: first.orderId, hoursBefore: window.hoursBefore, message: error.message });
+      }
+    }
+  }
+
+  console.log('Appointment reminders run finished:', { sent });
+  return sent;
+}
+
+module.exports = {
+  rescheduleAppointment,
+  cancelAppointment,
+  getProviderAppointments,
+  markAttendance,
+  sendAppointmentReminders,
+};
@@ -2,6 +2,8 @@ const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { validateLocation } = require('../utils/location');
+const { loadProviderSchedule, replaceWeeklyHours, formatSchedule, formatScheduleException } = require('../utils/operatingHours');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
 const prisma = new PrismaClient();
 
 async function registerProviderAndUser({ provider, user }) {
@@ -33,7 +35,7 @@ async function registerProviderAndUser({ provider, user }) {
   const result = await prisma.$transaction(async (prisma) => {
     const logoUrl = provider.logoUrl || null;
     const [newProvider] = await prisma.$queryRaw`
-      INSERT INTO "Provider" (name, address, lga, state, ward, phone, "licenseNumber", status, "logoUrl", "isActive", "homeCollectionAvailable", location)
+      INSERT INTO "Provider" (name, address, lga, state, ward, phone, "licenseNumber", status, "logoUrl", "isActive", "homeCollectionAvailable", timezone, location)
       VALUES (
         ${provider.name},
         ${provider.address},
@@ -46,6 +48,7 @@ async function registerProviderAndUser({ provider, user }) {
         ${logoUrl},
         false,
         ${provider.homeCollectionAvailable || false},
+        ${provider.timezone || DEFAULT_TIMEZONE},
         ST_SetSRID(ST_MakePoint(${provider.longitude}, ${provider.latitude}), 4326)
       )
       RETURNING id, name
@@ -61,6 +64,10 @@ async function registerProviderAndUser({ provider, user }) {
       },
     });
 
+    if (provider.weeklyHours) {
+      await replaceWeeklyHours(newProvider.id, provider.weeklyHours, prisma);
+    }
+
     return { provider: newProvider, user: newUser };
   });
 
@@ -165,7 +172,79 @@ async function loginAdmin({ email, password }) {
   return { token, admin };
 }
 
-async function addProviderUser({ name, email, password, role, providerId }) {
+// Prescribers can sign in as soon as they register, but only issue e-prescriptions once an admin has
+// checked their licence against the council's register
+async function registerPrescriber({ name, email, password, phone, licenseNumber, licenseBody, specialty, practiceName }) {
+  const [existingEmail, existingLicense] = await Promise.all([
+    prisma.prescriber.findUnique({ where: { email } }),
+    prisma.prescriber.findUnique({ where: { licenseNumber } }),
+  ]);
+  if (existingEmail) {
+    const error = new Error('Email already registered');
+    error.status = 400;
+    throw error;
+  }
+  if (existingLicense) {
+    const error = new Error('Licence number already registered');
+    error.status = 400;
+    throw error;
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  const prescriber = await prisma.prescriber.create({
+    data: {
+      name,
+      email,
+      password: hashedPassword,
+      phone: phone || null,
+      licenseNumber,
+      licenseBody,
+      specialty: specialty || null,
+      practiceName: practiceName || null,
+    },
+  });
+
+  console.log('Prescriber registered:', { prescriberId: prescriber.id, licenseBody });
+
+  const token = jwt.sign(
+    { prescriberId: prescriber.id, role: 'prescriber' },
+    process.env.JWT_SECRET,
+    { expiresIn: '1d' }
+  );
+
+  return { token, prescriber };
+}
+
+async function loginPrescriber({ email, password }) {
+  const prescriber = await prisma.prescriber.findUnique({
+    where: { email },
+  });
+  if (!prescriber || !(await bcrypt.compare(password, prescriber.password))) {
+    const error = new Error('Invalid email or password');
+    error.status = 401;
+    throw error;
+  }
+  if (prescriber.status === 'suspended') {
+    const error = new Error('This prescriber account is suspended');
+    error.status = 401;
+    throw error;
+  }
+
+  await prisma.prescriber.update({ where: { id: prescriber.id }, data: { lastLogin: new Date() } });
+  console.log('Prescriber authenticated:', { prescriberId: prescriber.id });
+
+  const token = jwt.sign(
+    { prescriberId: prescriber.id, role: 'prescriber' },
+    process.env.JWT_SECRET,
+    { expiresIn: '1d' }
+  );
+
+  return { token, prescriber };
+}
+
+async function addProviderUser({ name, email, password, role, licenseNumber, licenseBody, providerId }) {
   const existingUser = await prisma.providerUser.findUnique({
     where: { email },
   });
@@ -184,6 +263,8 @@ async function addProviderUser({ name, email, password, role, providerId }) {
       email,
       password: hashedPassword,
       role,
+      licenseNumber: licenseNumber || null,
+      licenseBody: licenseNumber ? licenseBody || (role === 'pharmacist' ? 'PCN' : null) : null,
       providerId,
     },
   });
@@ -193,7 +274,7 @@ async function addProviderUser({ name, email, password, role, providerId }) {
   return newUser;
 }
 
-async function editProviderUser(userId, { name, email, password }, managerId, providerId) {
+async function editProviderUser(userId, { name, email, password, licenseNumber, licenseBody }, managerId, providerId) {
   if (userId === managerId) {
     const error = new Error('Cannot edit your own account');
     error.status = 403;
@@ -220,7 +301,11 @@ async function editProviderUser(userId, { name, email, password }, managerId, pr
     }
   }
 
-  const updateData = { name, email };
+  const updateData = {
+    name,
+    email,
+    ...(licenseNumber && { licenseNumber, licenseBody: licenseBody || user.licenseBody || (user.role === 'pharmacist' ? 'PCN' : null) }),
+  };
   if (password) {
     const salt = await bcrypt.genSalt(10);
     updateData.password = await bcrypt.hash(password, salt);
@@ -262,7 +347,7 @@ async function deleteProviderUser(userId, managerId, providerId) {
 async function getProviderProfile(userId, providerId) {
   const user = await prisma.providerUser.findUnique({
     where: { id: userId },
-    select: { id: true, name: true, email: true, role: true },
+    select: { id: true, name: true, email: true, role: true, licenseNumber: true, licenseBody: true },
   });
   if (!user) {
     const error = new Error('User not found');
@@ -284,6 +369,7 @@ async function getProviderProfile(userId, providerId) {
       status: true,
       logoUrl: true,
       homeCollectionAvailable: true,
+      timezone: true,
     },
   });
   if (!provider) {
@@ -292,9 +378,10 @@ async function getProviderProfile(userId, providerId) {
     throw error;
   }
 
+  const schedule = await loadProviderSchedule(providerId);
   console.log('Provider profile fetched:', { userId, providerId });
 
-  return { user, provider };
+  return { user, provider: { ...provider, schedule: formatSchedule(schedule) } };
 }
 
 async function editProviderProfile({ user, provider }, userId, providerId) {
@@ -328,7 +415,11 @@ async function editProviderProfile({ user, provider }, userId, providerId) {
   const result = await prisma.$transaction(async (prisma) => {
     const updatedUser = await prisma.providerUser.update({
       where: { id: userId },
-      data: { name: user.name, email: user.email },
+      data: {
+        name: user.name,
+        email: user.email,
+        ...(user.licenseNumber && { licenseNumber: user.licenseNumber, licenseBody: user.licenseBody || existingUser.licenseBody }),
+      },
     });
 
     const updatedProvider = await prisma.provider.update({
@@ -343,6 +434,7 @@ async function editProviderProfile({ user, provider }, userId, providerId) {
         licenseNumber: provider.licenseNumber || null,
         logoUrl: provider.logoUrl || null,
         homeCollectionAvailable: provider.homeCollectionAvailable,
+        ...(provider.timezone && { timezone: provider.timezone }),
       },
     });
 
@@ -352,12 +444,46 @@ async function editProviderProfile({ user, provider }, userId, providerId) {
       WHERE id = ${providerId}
     `;
 
+    // Leaving weeklyHours out keeps the current schedule
+    if (provider.weeklyHours) {
+      await replaceWeeklyHours(providerId, provider.weeklyHours, prisma);
+    }
+
     return { user: updatedUser, provider: updatedProvider };
   });
 
+  const schedule = await loadProviderSchedule(providerId);
   console.log('Provider profile updated:', { userId, providerId });
 
-  return { updatedUser: result.user, updatedProvider: result.provider };
+  return { updatedUser: result.user, updatedProvider: { ...result.provider, schedule: formatSchedule(schedule) } };
+}
+
+async function addScheduleException(providerId, { startDate, endDate, opensAt, closesAt, reason }) {
+  const exception = await prisma.providerScheduleException.create({
+    data: {
+      providerId,
+      startDate: new Date(`${startDate}T00:00:00.000Z`),
+      endDate: new Date(`${endDate || startDate}T00:00:00.000Z`),
+      opensAt: opensAt || null,
+      closesAt: closesAt || null,
+      reason: reason || null,
+    },
+  });
+  console.log('Provider schedule exception added:', { providerId, exceptionId: exception.id, startDate, endDate: endDate || startDate });
+  return formatScheduleException(exception);
+}
+
+async function deleteScheduleException(providerId, exceptionId) {
+  const exception = await prisma.providerScheduleException.findFirst({
+    where: { id: exceptionId, providerId },
+  });
+  if (!exception) {
+    const error = new Error('Schedule exception not found');
+    error.status = 404;
+    throw error;
+  }
+  await prisma.providerScheduleException.delete({ where: { id: exceptionId } });
+  console.log('Provider schedule exception deleted:', { providerId, exceptionId });
 }
 
 module.exports = {
@@ -365,9 +491,13 @@ module.exports = {
   loginProviderUser,
   registerAdmin,
   loginAdmin,
+  registerPrescriber,
+  loginPrescriber,
   addProviderUser,
   editProviderUser,
   deleteProviderUser,
   getProviderProfile,
   editProviderProfile,
+  addScheduleException,
+  deleteScheduleException,
 };
\ No newline at end of file
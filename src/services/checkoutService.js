@@ -1,11 +1,87 @@
 const { PrismaClient } = require('@prisma/client');
-const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const { normalizePhone } = require('../utils/validation');
 const { recalculateOrderTotal } = require('../utils/orderUtils');
+const { getPaymentGateway } = require('../utils/payment');
+const { HOLD_MINUTES, getAvailableStock, holdOrderStock } = require('../utils/stockReservations');
+const { assertOpenForSlot } = require('../utils/operatingHours');
+const { getSlotSettings, reserveSlot } = require('../utils/slotCapacity');
+const { parseZonedDateTime } = require('../utils/timezone');
+const { DELIVERY_METHODS, assertWithinDeliveryRadius, setDeliveryLocation } = require('../utils/deliveryFees');
+const settlementService = require('./settlementService');
+const addressService = require('./addressService');
+const { findUsablePrescriptions, pickPrescription, serviceUsability, assertCoversQuantity } = require('../utils/prescriptionUsage');
+const { redeemPrescription } = require('./prescriptionService');
 const prisma = new PrismaClient();
 
-async function initiateCheckout({ name, email, phone, address, fulfillmentMethod, userId, file, timeSlotStart, timeSlotEnd }) {
+const LAB_SERVICE_TYPES = ['diagnostic', 'diagnostic_package'];
+
+// Fulfilment at the patient's door needs their address on the order
+const ADDRESS_FULFILMENT_METHODS = ['home_collection', 'home_delivery', 'delivery'];
+
+const LAB_FULFILMENT_METHODS = ['lab_visit', 'home_collection'];
+const MEDICATION_FULFILMENT_METHODS = ['pick_up', 'home_delivery', 'delivery'];
+
+// Items keep the method chosen in the cart; otherwise the checkout's method applies where it fits the item
+function itemFulfillmentMethod(item, fulfillmentMethod) {
+  if (item.fulfillmentMethod) return item.fulfillmentMethod;
+  const isLab = LAB_SERVICE_TYPES.includes(item.providerService.service.type);
+  return (isLab ? LAB_FULFILMENT_METHODS : MEDICATION_FULFILMENT_METHODS).includes(fulfillmentMethod) ? fulfillmentMethod : null;
+}
+
+// Copies a cart item onto a checkout order. Lab appointments claim their place in the time slot here,
+// in the order's transaction, so concurrent checkouts can't overbook it.
+async function createCheckoutItem(orderId, item, { timeSlotStart, timeSlotEnd, fulfillmentMethod }, tx) {
+  const { providerId, serviceId } = item.providerService;
+  let slotStart = item.timeSlotStart;
+  let slotEnd = item.timeSlotEnd;
+  if (!slotStart && timeSlotStart && LAB_SERVICE_TYPES.includes(item.providerService.service.type)) {
+    const { timezone } = item.providerService.provider;
+    slotStart = parseZonedDateTime(timeSlotStart, timezone);
+    slotEnd = timeSlotEnd ? parseZonedDateTime(timeSlotEnd, timezone) : null;
+  }
+  if (slotStart) {
+    if (!slotEnd) {
+      const { slotMinutes } = await getSlotSettings(providerId, serviceId, tx);
+      slotEnd = new Date(slotStart.getTime() + slotMinutes * 60 * 1000);
+    }
+    await reserveSlot(providerId, serviceId, slotStart, slotEnd, {}, tx);
+  }
+
+  return tx.orderItem.create({
+    data: {
+      orderId,
+      providerId,
+      serviceId,
+      quantity: item.quantity,
+      price: item.price,
+      fulfillmentMethod: itemFulfillmentMethod(item, fulfillmentMethod),
+      timeSlotStart: slotStart || null,
+      timeSlotEnd: slotStart ? slotEnd : null,
+      appointmentStatus: slotStart ? 'scheduled' : null,
+    },
+  });
+}
+
+// Totals are worked out once the items are in, so the delivery fee can use the order's located address
+async function priceCheckoutOrder(orderId, deliveryPoint, tx) {
+  if (deliveryPoint) {
+    await setDeliveryLocation(orderId, deliveryPoint, tx);
+  }
+  const { updatedOrder } = await recalculateOrderTotal(orderId, tx);
+  // The fee comes from the distance, so delivery to an address that couldn't be located would go out free
+  if (updatedOrder.deliveryDistanceKm === null) {
+    const deliveredItems = await tx.orderItem.count({ where: { orderId, fulfillmentMethod: { in: DELIVERY_METHODS } } });
+    if (deliveredItems > 0) {
+      const error = new Error('The delivery address could not be located; choose its area or drop a pin on the map, or pick the order up instead');
+      error.status = 400;
+      throw error;
+    }
+  }
+  return updatedOrder;
+}
+
+async function initiateCheckout({ name, email, phone, address, addressId, deliveryAddress, prescriptionCode, fulfillmentMethod, userId, file, timeSlotStart, timeSlotEnd }) {
   const patientIdentifier = userId;
   const normalizedPhone = normalizePhone(phone);
 
@@ -46,8 +122,12 @@ async function initiateCheckout({ name, email, phone, address, fulfillmentMethod
     const { items } = itemsByProvider[providerId];
     for (const item of items) {
       const service = item.providerService.service;
-      if (service.type === 'medication' && item.providerService.stock < item.quantity) {
-        throw new Error(`Insufficient stock for ${service.name}`);
+      if (service.type === 'medication') {
+        // The cart's own hold is about to move onto the new orders, so it doesn't count against it
+        const available = await getAvailableStock(item.providerService.providerId, item.providerService.serviceId, { excludeOrderIds: [cartOrder.id] });
+        if (available !== null && available < item.quantity) {
+          throw new Error(`Insufficient stock for ${service.name}`);
+        }
       }
       if (service.type === 'diagnostic' && !item.providerService.available) {
         throw new Error(`Service ${service.name} is not available at ${item.providerService.provider.name}`);
@@ -55,28 +135,54 @@ async function initiateCheckout({ name, email, phone, address, fulfillmentMethod
       if (service.prescriptionRequired) {
         requiresPrescription = true;
       }
+      // Appointments booked earlier may fall on a day the provider has since closed
+      if (item.timeSlotStart && item.timeSlotEnd) {
+        await assertOpenForSlot(item.providerService.providerId, item.timeSlotStart, item.timeSlotEnd, { providerName: item.providerService.provider.name });
+      }
+    }
+    if (timeSlotStart) {
+      // A slot without an offset is wall-clock time at each provider
+      const { timezone } = itemsByProvider[providerId].provider;
+      const slotStart = parseZonedDateTime(timeSlotStart, timezone);
+      let slotEnd = timeSlotEnd ? parseZonedDateTime(timeSlotEnd, timezone) : null;
+      if (!slotEnd) {
+        const { slotMinutes } = await getSlotSettings(parseInt(providerId), null);
+        slotEnd = new Date(slotStart.getTime() + slotMinutes * 60 * 1000);
+      }
+      await assertOpenForSlot(parseInt(providerId), slotStart, slotEnd, { providerName: itemsByProvider[providerId].provider.name });
     }
   }
 
   let verifiedPrescription = null;
   let newPrescription = null;
 
-  if (requiresPrescription) {
-    verifiedPrescription = await prisma.prescription.findFirst({
-      where: { patientIdentifier, status: 'verified' },
-      include: { prescriptionServices: true },
-      orderBy: [{ createdAt: 'desc' }],
-    });
+  // An e-prescription code given at checkout is redeemed first and covers the cart in place of an upload
+  const redeemedPrescription = prescriptionCode
+    ? await redeemPrescription({ code: prescriptionCode, patientIdentifier, email, phone })
+    : null;
 
-    const orderServiceIds = cartOrder.items
+  const coveredServiceIds = [];
+  if (requiresPrescription) {
+    const orderServiceIds = [...new Set(cartOrder.items
       .filter(item => item.providerService.service.prescriptionRequired)
-      .map(item => item.providerService.serviceId);
+      .map(item => item.providerService.serviceId))];
+
+    // Only prescriptions that are in date and still have refills left cover the cart. A redeemed code
+    // that has expired or run out is refused outright; otherwise uncovered services need a new upload.
+    verifiedPrescription = redeemedPrescription
+      || pickPrescription(await findUsablePrescriptions(patientIdentifier), orderServiceIds);
 
-    let isValidPrescription = false;
     if (verifiedPrescription) {
-      const prescriptionServiceIds = verifiedPrescription.prescriptionServices.map(ps => ps.serviceId);
-      isValidPrescription = orderServiceIds.every(id => prescriptionServiceIds.includes(id));
+      for (const serviceId of orderServiceIds) {
+        const usability = serviceUsability(verifiedPrescription, serviceId);
+        if (!usability || (usability !== 'usable' && !redeemedPrescription)) continue;
+        const cartItems = cartOrder.items.filter(item => item.providerService.serviceId === serviceId);
+        const quantity = cartItems.reduce((sum, item) => sum + item.quantity, 0);
+        assertCoversQuantity(verifiedPrescription, serviceId, quantity, cartItems[0].providerService.service.name);
+        coveredServiceIds.push(serviceId);
+      }
     }
+    const isValidPrescription = orderServiceIds.every(id => coveredServiceIds.includes(id));
 
     if (!isValidPrescription) {
       if (file) {
@@ -93,16 +199,14 @@ async function initiateCheckout({ name, email, phone, address, fulfillmentMethod
             updatedAt: new Date(),
           },
         });
-        const uncoveredServiceIds = verifiedPrescription
-          ? orderServiceIds.filter(id => !verifiedPrescription.prescriptionServices.map(ps => ps.serviceId).includes(id))
-          : orderServiceIds;
+        const uncoveredServiceIds = orderServiceIds.filter(id => !coveredServiceIds.includes(id));
         const prescriptionItems = uncoveredServiceIds.map(serviceId => ({
           prescriptionId: newPrescription.id,
           serviceId,
           quantity: cartOrder.items.find(item => item.providerService.serviceId === serviceId)?.quantity || 1,
         }));
         if (prescriptionItems.length > 0) {
-          await prisma.prescriptionService.createMany({ data: prescriptionItems });
+          await prisma.prescriptionItem.createMany({ data: prescriptionItems });
         }
       } else if (!verifiedPrescription) {
         throw new Error('Prescription file is required for one or more services');
@@ -112,23 +216,40 @@ async function initiateCheckout({ name, email, phone, address, fulfillmentMethod
     }
   }
 
+  // Delivered items are priced by distance and limited to each provider's delivery radius, so the
+  // address is resolved (and saved to the patient's address book) before any order is created
+  const savedAddress = addressId || deliveryAddress
+    ? await addressService.resolveCheckoutAddress(patientIdentifier, { addressId, deliveryAddress })
+    : null;
+  const deliveryProviderIds = providerIds.filter(providerId => itemsByProvider[providerId].items
+    .some(item => DELIVERY_METHODS.includes(itemFulfillmentMethod(item, fulfillmentMethod))));
+  if (deliveryProviderIds.length > 0) {
+    if (!savedAddress) {
+      const error = new Error('A delivery address is required');
+      error.status = 400;
+      throw error;
+    }
+    await assertWithinDeliveryRadius(deliveryProviderIds.map(Number), savedAddress);
+  }
+  const deliveryPoint = savedAddress && { latitude: savedAddress.latitude, longitude: savedAddress.longitude };
+  const orderAddress = savedAddress
+    ? addressService.formatAddressLine(savedAddress)
+    : (ADDRESS_FULFILMENT_METHODS.includes(fulfillmentMethod) ? address : null);
+
   const orders = [];
   const paymentReferences = [];
 
   for (const providerId of providerIds) {
     const { items, provider } = itemsByProvider[providerId];
-    const coveredItems = verifiedPrescription
-      ? items.filter(item => item.providerService.service.prescriptionRequired &&
-          verifiedPrescription.prescriptionServices.map(ps => ps.serviceId).includes(item.providerService.serviceId))
-      : [];
+    const coveredItems = items.filter(item => item.providerService.service.prescriptionRequired &&
+      coveredServiceIds.includes(item.providerService.serviceId));
     const uncoveredItems = newPrescription
       ? items.filter(item => item.providerService.service.prescriptionRequired &&
-          !verifiedPrescription?.prescriptionServices.map(ps => ps.serviceId).includes(item.providerService.serviceId))
+          !coveredServiceIds.includes(item.providerService.serviceId))
       : [];
     const nonPrescriptionItems = items.filter(item => !item.providerService.service.prescriptionRequired);
 
     if (coveredItems.length > 0) {
-      const totalPrice = await recalculateOrderTotal(coveredItems);
       const orderStatus = 'pending';
       const paymentReference = `order_${Date.now()}_${providerId}_verified`;
       const order = await prisma.$transaction(async (tx) => {
@@ -138,10 +259,11 @@ async function initiateCheckout({ name, email, phone, address, fulfillmentMethod
             providerId: parseInt(providerId),
             status: orderStatus,
             fulfillmentMethod,
-            address: fulfillmentMethod === 'delivery' ? address : null,
+            address: orderAddress,
+            addressId: savedAddress?.id ?? null,
             email,
             phone: normalizedPhone,
-            totalPrice,
+            totalPrice: 0,
             paymentReference,
             paymentStatus: 'pending',
             checkoutSessionId,
@@ -154,37 +276,19 @@ async function initiateCheckout({ name, email, phone, address, fulfillmentMethod
         });
 
         for (const item of coveredItems) {
-          await tx.orderItem.create({
-            data: {
-              orderId: newOrder.id,
-              providerId: item.providerService.providerId,
-              serviceId: item.providerService.serviceId,
-              quantity: item.quantity,
-              price: item.price,
-            },
-          });
-
-          if (item.providerService.service.type === 'medication') {
-            await tx.providerService.update({
-              where: {
-                providerId_serviceId: {
-                  providerId: item.providerService.providerId,
-                  serviceId: item.providerService.serviceId,
-                },
-              },
-              data: { stock: { decrement: item.quantity } },
-            });
-          }
+          await createCheckoutItem(newOrder.id, item, { timeSlotStart, timeSlotEnd, fulfillmentMethod }, tx);
         }
 
-        return newOrder;
+        // Stock is held until payment; it is only deducted once the order is paid for
+        await holdOrderStock(newOrder.id, { minutes: HOLD_MINUTES.checkout, excludeOrderIds: [cartOrder.id] }, tx);
+
+        return priceCheckoutOrder(newOrder.id, deliveryPoint, tx);
       });
       orders.push({ order, provider, requiresPrescription: true });
       paymentReferences.push(paymentReference);
     }
 
     if (uncoveredItems.length > 0) {
-      const totalPrice = await recalculateOrderTotal(uncoveredItems);
       const orderStatus = 'pending_prescription';
       const paymentReference = `order_${Date.now()}_${providerId}_new`;
       const order = await prisma.$transaction(async (tx) => {
@@ -194,10 +298,11 @@ async function initiateCheckout({ name, email, phone, address, fulfillmentMethod
             providerId: parseInt(providerId),
             status: orderStatus,
             fulfillmentMethod,
-            address: fulfillmentMethod === 'delivery' ? address : null,
+            address: orderAddress,
+            addressId: savedAddress?.id ?? null,
             email,
             phone: normalizedPhone,
-            totalPrice,
+            totalPrice: 0,
             paymentReference,
             paymentStatus: 'pending',
             checkoutSessionId,
@@ -210,37 +315,19 @@ async function initiateCheckout({ name, email, phone, address, fulfillmentMethod
         });
 
         for (const item of uncoveredItems) {
-          await tx.orderItem.create({
-            data: {
-              orderId: newOrder.id,
-              providerId: item.providerService.providerId,
-              serviceId: item.providerService.serviceId,
-              quantity: item.quantity,
-              price: item.price,
-            },
-          });
-
-          if (item.providerService.service.type === 'medication') {
-            await tx.providerService.update({
-              where: {
-                providerId_serviceId: {
-                  providerId: item.providerService.providerId,
-                  serviceId: item.providerService.serviceId,
-                },
-              },
-              data: { stock: { decrement: item.quantity } },
-            });
-          }
+          await createCheckoutItem(newOrder.id, item, { timeSlotStart, timeSlotEnd, fulfillmentMethod }, tx);
         }
 
-        return newOrder;
+        // Stock is held until payment; it is only deducted once the order is paid for
+        await holdOrderStock(newOrder.id, { minutes: HOLD_MINUTES.prescription, excludeOrderIds: [cartOrder.id] }, tx);
+
+        return priceCheckoutOrder(newOrder.id, deliveryPoint, tx);
       });
       orders.push({ order, provider, requiresPrescription: true });
       paymentReferences.push(paymentReference);
     }
 
     if (nonPrescriptionItems.length > 0) {
-      const totalPrice = await recalculateOrderTotal(nonPrescriptionItems);
       const orderStatus = 'pending';
       const paymentReference = `order_${Date.now()}_${providerId}_non_prescription`;
       const order = await prisma.$transaction(async (tx) => {
@@ -250,10 +337,11 @@ async function initiateCheckout({ name, email, phone, address, fulfillmentMethod
             providerId: parseInt(providerId),
             status: orderStatus,
             fulfillmentMethod,
-            address: fulfillmentMethod === 'delivery' ? address : null,
+            address: orderAddress,
+            addressId: savedAddress?.id ?? null,
             email,
             phone: normalizedPhone,
-            totalPrice,
+            totalPrice: 0,
             paymentReference,
             paymentStatus: 'pending',
             checkoutSessionId,
@@ -266,30 +354,13 @@ async function initiateCheckout({ name, email, phone, address, fulfillmentMethod
         });
 
         for (const item of nonPrescriptionItems) {
-          await tx.orderItem.create({
-            data: {
-              orderId: newOrder.id,
-              providerId: item.providerService.providerId,
-              serviceId: item.providerService.serviceId,
-              quantity: item.quantity,
-              price: item.price,
-            },
-          });
-
-          if (item.providerService.service.type === 'medication') {
-            await tx.providerService.update({
-              where: {
-                providerId_serviceId: {
-                  providerId: item.providerService.providerId,
-                  serviceId: item.providerService.serviceId,
-                },
-              },
-              data: { stock: { decrement: item.quantity } },
-            });
-          }
+          await createCheckoutItem(newOrder.id, item, { timeSlotStart, timeSlotEnd, fulfillmentMethod }, tx);
         }
 
-        return newOrder;
+        // Stock is held until payment; it is only deducted once the order is paid for
+        await holdOrderStock(newOrder.id, { minutes: HOLD_MINUTES.checkout, excludeOrderIds: [cartOrder.id] }, tx);
+
+        return priceCheckoutOrder(newOrder.id, deliveryPoint, tx);
       });
       orders.push({ order, provider, requiresPrescription: false });
       paymentReferences.push(paymentReference);
@@ -305,36 +376,33 @@ async function initiateCheckout({ name, email, phone, address, fulfillmentMethod
   console.log('Payable orders:', payableOrders.map(o => ({ orderId: o.order.id, provider: o.provider.name, totalPrice: o.order.totalPrice })));
 
   if (payableOrders.length > 0) {
-    const totalPayableAmount = payableOrders.reduce((sum, o) => sum + o.order.totalPrice, 0) * 100;
+    const totalPayableAmount = payableOrders.reduce((sum, o) => sum + o.order.totalPrice, 0);
     const transactionReference = `session_${checkoutSessionId}_${Date.now()}`;
+    const gateway = getPaymentGateway();
 
-    console.log('Initiating Paystack for payable orders:', { totalPayableAmount, transactionReference });
+    console.log('Initiating payment for payable orders:', { gateway: gateway.name, totalPayableAmount, transactionReference });
 
-    const paystackResponse = await axios.post(
-      'https://api.paystack.co/transaction/initialize',
-      {
-        email,
-        amount: totalPayableAmount,
-        reference: transactionReference,
-        callback_url: `${process.env.PAYSTACK_CALLBACK_URL}?session=${checkoutSessionId}`,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    const providerTotals = payableOrders.reduce((acc, o) => {
+      acc[o.provider.id] = (acc[o.provider.id] || 0) + o.order.totalPrice;
+      return acc;
+    }, {});
+    const splits = await settlementService.buildSplits(gateway.name, providerTotals);
 
-    if (!paystackResponse.data.status) {
-      throw new Error('Failed to initialize payment: ' + JSON.stringify(paystackResponse.data));
-    }
+    const payment = await gateway.initialize({
+      email,
+      amount: totalPayableAmount,
+      reference: transactionReference,
+      callbackUrl: `${process.env.PAYSTACK_CALLBACK_URL}?session=${checkoutSessionId}`,
+      splits,
+    });
 
     await prisma.transactionReference.create({
       data: {
         transactionReference,
         orderReferences: paymentReferences,
         checkoutSessionId,
+        gateway: gateway.name,
+        splitSettlement: Boolean(splits),
         createdAt: new Date(),
       },
     });
@@ -344,7 +412,7 @@ async function initiateCheckout({ name, email, phone, address, fulfillmentMethod
       checkoutSessionId,
       transactionReference,
       paymentReferences,
-      paymentUrl: paystackResponse.data.data.authorization_url,
+      paymentUrl: payment.authorizationUrl,
       orders: orders.map(o => ({
         orderId: o.order.id,
         provider: o.provider.name,
@@ -439,17 +507,12 @@ async function validatePrescription({ patientIdentifier, serviceIds }) {
   if (ids.length === 0) {
     return false; // Invalid or empty IDs means no prescription required
   }
-  const prescriptions = await prisma.prescription.findMany({
-    where: { patientIdentifier, status: 'verified' },
-    include: { prescriptionServices: true },
-  });
+  const prescriptions = await findUsablePrescriptions(patientIdentifier);
   if (!prescriptions.length) {
-    return true; // No verified prescriptions means upload is required
+    return true; // No usable verified prescriptions means upload is required
   }
-  const prescriptionServiceIds = prescriptions
-    .flatMap(prescription => prescription.prescriptionServices.map(ps => ps.serviceId));
-  console.log('Prescription service IDs:', prescriptionServiceIds);
-  return !ids.every(id => prescriptionServiceIds.includes(id)); // Upload required if any ID is not covered
+  // Expired or used-up prescriptions don't count
+  return !ids.every(id => prescriptions.some(prescription => serviceUsability(prescription, id) === 'usable'));
 }
 
 async function getSessionDetails({ orderId, userId }) {
@@ -565,33 +628,35 @@ async function resumeCheckout({ orderId, email, userId }) {
     }
   }
 
-  const totalAmount = sessionOrders.reduce((sum, o) => sum + o.totalPrice, 0) * 100;
+  const totalAmount = sessionOrders.reduce((sum, o) => sum + o.totalPrice, 0);
   if (totalAmount <= 0) {
     throw new Error('Invalid order amount');
   }
 
+  // Holds may have lapsed while the prescription was reviewed; take them again before charging
+  await prisma.$transaction(async (tx) => {
+    for (const sessionOrder of sessionOrders) {
+      await holdOrderStock(sessionOrder.id, { minutes: HOLD_MINUTES.checkout }, tx);
+    }
+  });
+
   const transactionReference = `session_${order.checkoutSessionId}_${Date.now()}`;
   const paymentReferences = [];
+  const gateway = getPaymentGateway();
 
-  const paystackResponse = await axios.post(
-    'https://api.paystack.co/transaction/initialize',
-    {
-      email,
-      amount: totalAmount,
-      reference: transactionReference,
-      callback_url: `${process.env.PAYSTACK_CALLBACK_URL}?session=${order.checkoutSessionId}`,
-    },
-    {
-      headers: {
-        Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-        'Content-Type': 'application/json',
-      },
-    }
-  );
-
-  if (!paystackResponse.data.status) {
-    throw new Error('Failed to initialize payment: ' + JSON.stringify(paystackResponse.data));
-  }
+  const providerTotals = sessionOrders.reduce((acc, o) => {
+    acc[o.providerId] = (acc[o.providerId] || 0) + o.totalPrice;
+    return acc;
+  }, {});
+  const splits = await settlementService.buildSplits(gateway.name, providerTotals);
+
+  const payment = await gateway.initialize({
+    email,
+    amount: totalAmount,
+    reference: transactionReference,
+    callbackUrl: `${process.env.PAYSTACK_CALLBACK_URL}?session=${order.checkoutSessionId}`,
+    splits,
+  });
 
   await prisma.$transaction(async (tx) => {
     for (const sessionOrder of sessionOrders) {
@@ -611,6 +676,8 @@ async function resumeCheckout({ orderId, email, userId }) {
         transactionReference,
         orderReferences: paymentReferences,
         checkoutSessionId: order.checkoutSessionId,
+        gateway: gateway.name,
+        splitSettlement: Boolean(splits),
         createdAt: new Date(),
       },
     });
@@ -623,8 +690,8 @@ async function resumeCheckout({ orderId, email, userId }) {
     checkoutSessionId: order.checkoutSessionId,
     transactionReference,
     paymentReferences,
-    paymentUrl: paystackResponse.data.data.authorization_url,
-    totalAmount: totalAmount / 100,
+    paymentUrl: payment.authorizationUrl,
+    totalAmount,
     orders: sessionOrders.map(o => ({
       orderId: o.id,
       totalPrice: o.totalPrice,
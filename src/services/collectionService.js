@@ -0,0 +1,321 @@
+const { PrismaClient } = require('@prisma/client');
+const { transitionOrderStatus } = require('../utils/orderStateMachine');
+const { OPEN_VISIT_STATUSES } = require('../utils/collectionVisits');
+const { geocodeAddress } = require('../utils/geocoding');
+const { DEFAULT_TIMEZONE, zonedDateKey, zonedDayBounds, toZonedISOString } = require('../utils/timezone');
+const prisma = new PrismaClient();
+
+const FIELD_STAFF_ROLE = 'phlebotomist';
+
+// Field staff move a visit forward one step at a time; a visit can fail at any point before collection
+const VISIT_TRANSITIONS = {
+  assigned: ['en_route', 'failed'],
+  en_route: ['arrived', 'sample_collected', 'failed'],
+  arrived: ['sample_collected', 'failed'],
+};
+
+const VISIT_TIMESTAMPS = {
+  en_route: 'enRouteAt',
+  arrived: 'arrivedAt',
+  sample_collected: 'collectedAt',
+  failed: 'failedAt',
+};
+
+const visitInclude = {
+  order: {
+    select: {
+      id: true,
+      status: true,
+      email: true,
+      phone: true,
+      items: {
+        where: { fulfillmentMethod: 'home_collection' },
+        select: { id: true, service: { select: { name: true, prepInstructions: true } } },
+      },
+    },
+  },
+  assignedTo: { select: { id: true, name: true } },
+};
+
+function formatVisit(visit, timeZone = DEFAULT_TIMEZONE) {
+  return {
+    id: visit.id,
+    orderId: visit.orderId,
+    status: visit.status,
+    address: visit.address,
+    scheduledStart: toZonedISOString(visit.scheduledStart, timeZone),
+    scheduledEnd: toZonedISOString(visit.scheduledEnd, timeZone),
+    assignedTo: visit.assignedTo ? { id: visit.assignedTo.id, name: visit.assignedTo.name } : null,
+    assignedAt: visit.assignedAt,
+    enRouteAt: visit.enRouteAt,
+    arrivedAt: visit.arrivedAt,
+    collectedAt: visit.collectedAt,
+    failedAt: visit.failedAt,
+    failureReason: visit.failureReason,
+    notes: visit.notes,
+    ...(visit.order && {
+      patient: { email: visit.order.email, phone: visit.order.phone },
+      orderStatus: visit.order.status,
+      tests: visit.order.items.map(item => ({
+        itemId: item.id,
+        name: item.service.name,
+        prepInstructions: item.service.prepInstructions,
+      })),
+    }),
+  };
+}
+
+async function providerTimeZone(providerId) {
+  const provider = await prisma.provider.findUnique({ where: { id: providerId }, select: { timezone: true } });
+  return provider?.timezone || DEFAULT_TIMEZONE;
+}
+
+async function findVisitOrFail(providerId, visitId) {
+  const visit = await prisma.collectionVisit.findFirst({ where: { id: visitId, providerId } });
+  if (!visit) {
+    const error = new Error('Collection visit not found');
+    error.status = 404;
+    throw error;
+  }
+  return visit;
+}
+
+// Geocodes the visit's address once; visits the geocoder can't place are still listed, just unrouted
+async function locateVisit(visit) {
+  const [row] = await prisma.$queryRaw`
+    SELECT location IS NOT NULL AS located FROM "CollectionVisit" WHERE id = ${visit.id}
+  `;
+  if (row?.located || !visit.address) return Boolean(row?.located);
+  const point = await geocodeAddress(visit.address);
+  if (!point) return false;
+  await prisma.$executeRaw`
+    UPDATE "CollectionVisit"
+    SET location = ST_SetSRID(ST_MakePoint(${point.longitude}, ${point.latitude}), 4326)
+    WHERE id = ${visit.id}
+  `;
+  return true;
+}
+
+async function fetchFieldStaff(providerId, { date }) {
+  const timeZone = await providerTimeZone(providerId);
+  const { start, end } = zonedDayBounds(date || zonedDateKey(new Date(), timeZone), timeZone);
+  const staff = await prisma.providerUser.findMany({
+    where: { providerId, role: FIELD_STAFF_ROLE },
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      collectionVisits: {
+        where: { scheduledStart: { gte: start, lt: end }, status: { not: 'cancelled' } },
+        select: { status: true },
+      },
+    },
+    orderBy: { name: 'asc' },
+  });
+  return staff.map(member => ({
+    id: member.id,
+    name: member.name,
+    email: member.email,
+    visits: member.collectionVisits.length,
+    openVisits: member.collectionVisits.filter(v => OPEN_VISIT_STATUSES.includes(v.status)).length,
+  }));
+}
+
+// Field staff only see the visits assigned to them
+async function fetchCollections(providerId, user, { date, status, staffId }) {
+  const timeZone = await providerTimeZone(providerId);
+  const day = date || zonedDateKey(new Date(), timeZone);
+  const { start, end } = zonedDayBounds(day, timeZone);
+  const assignedToId = user.role === FIELD_STAFF_ROLE ? user.userId : staffId;
+  const visits = await prisma.collectionVisit.findMany({
+    where: {
+      providerId,
+      scheduledStart: { gte: start, lt: end },
+      ...(status && { status }),
+      ...(assignedToId && { assignedToId }),
+    },
+    include: visitInclude,
+    orderBy: [{ scheduledStart: 'asc' }, { id: 'asc' }],
+  });
+  return {
+    date: day,
+    timeZone,
+    unassigned: visits.filter(v => v.status === 'pending').length,
+    visits: visits.map(visit => formatVisit(visit, timeZone)),
+  };
+}
+
+async function assignCollection(providerId, visitId, staffId, managerId) {
+  const visit = await findVisitOrFail(providerId, visitId);
+  // A failed visit can be given to someone for another attempt
+  if (!['pending', 'assigned', 'failed'].includes(visit.status)) {
+    const error = new Error(`A visit that is ${visit.status.replace('_', ' ')} can no longer be reassigned`);
+    error.status = 400;
+    throw error;
+  }
+  const staff = await prisma.providerUser.findFirst({ where: { id: staffId, providerId } });
+  if (!staff || staff.role !== FIELD_STAFF_ROLE) {
+    const error = new Error('Field staff member not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const updated = await prisma.collectionVisit.update({
+    where: { id: visit.id },
+    data: { assignedToId: staff.id, status: 'assigned', assignedAt: new Date() },
+    include: visitInclude,
+  });
+  await locateVisit(updated);
+  console.log('Collection visit assigned:', { providerId, visitId, staffId, managerId });
+  return formatVisit(updated, await providerTimeZone(providerId));
+}
+
+// Orders a staff member's day: visits go slot by slot, and within a slot each next stop is the nearest
+// one to the previous (starting from the provider), using PostGIS distances
+async function fetchDayRoute(providerId, user, { date, staffId }) {
+  const assignedToId = user.role === FIELD_STAFF_ROLE ? user.userId : staffId;
+  if (!assignedToId) {
+    const error = new Error('staffId is required');
+    error.status = 400;
+    throw error;
+  }
+  const timeZone = await providerTimeZone(providerId);
+  const day = date || zonedDateKey(new Date(), timeZone);
+  const { start, end } = zonedDayBounds(day, timeZone);
+  const visits = await prisma.collectionVisit.findMany({
+    where: {
+      providerId,
+      assignedToId,
+      scheduledStart: { gte: start, lt: end },
+      status: { notIn: ['cancelled', 'failed'] },
+    },
+    include: visitInclude,
+    orderBy: [{ scheduledStart: 'asc' }, { id: 'asc' }],
+  });
+  if (visits.length === 0) {
+    return { date: day, timeZone, staffId: assignedToId, totalDistanceKm: 0, stops: [], unrouted: [] };
+  }
+
+  for (const visit of visits) {
+    await locateVisit(visit);
+  }
+
+  const visitIds = visits.map(v => v.id);
+  const points = await prisma.$queryRaw`
+    SELECT v.id,
+      ST_Y(v.location) AS latitude,
+      ST_X(v.location) AS longitude,
+      ST_DistanceSphere(v.location, p.location) / 1000 AS from_provider_km
+    FROM "CollectionVisit" v
+    JOIN "Provider" p ON p.id = v."providerId"
+    WHERE v.id = ANY(${visitIds}) AND v.location IS NOT NULL
+  `;
+  const legs = await prisma.$queryRaw`
+    SELECT a.id AS from_id, b.id AS to_id, ST_DistanceSphere(a.location, b.location) / 1000 AS distance_km
+    FROM "CollectionVisit" a
+    JOIN "CollectionVisit" b ON a.id <> b.id
+    WHERE a.id = ANY(${visitIds}) AND b.id = ANY(${visitIds})
+      AND a.location IS NOT NULL AND b.location IS NOT NULL
+  `;
+  const pointById = new Map(points.map(p => [p.id, p]));
+  const legDistance = new Map(legs.map(l => [`${l.from_id}:${l.to_id}`, Number(l.distance_km)]));
+
+  const located = visits.filter(v => pointById.has(v.id));
+  const slots = new Map();
+  for (const visit of located) {
+    const key = visit.scheduledStart ? visit.scheduledStart.getTime() : 0;
+    slots.set(key, [...(slots.get(key) || []), visit]);
+  }
+
+  const stops = [];
+  let previousId = null;
+  let totalDistanceKm = 0;
+  for (const key of [...slots.keys()].sort((a, b) => a - b)) {
+    const remaining = [...slots.get(key)];
+    while (remaining.length > 0) {
+      const distanceTo = (visit) => (previousId === null
+        ? Number(pointById.get(visit.id).from_provider_km ?? 0)
+        : legDistance.get(`${previousId}:${visit.id}`) ?? 0);
+      remaining.sort((a, b) => distanceTo(a) - distanceTo(b));
+      const next = remaining.shift();
+      const distanceKm = Math.round(distanceTo(next) * 100) / 100;
+      totalDistanceKm += distanceKm;
+      const point = pointById.get(next.id);
+      stops.push({
+        sequence: stops.length + 1,
+        distanceFromPreviousKm: distanceKm,
+        latitude: point.latitude,
+        longitude: point.longitude,
+        visit: formatVisit(next, timeZone),
+      });
+      previousId = next.id;
+    }
+  }
+
+  return {
+    date: day,
+    timeZone,
+    staffId: assignedToId,
+    totalDistanceKm: Math.round(totalDistanceKm * 100) / 100,
+    stops,
+    unrouted: visits.filter(v => !pointById.has(v.id)).map(visit => formatVisit(visit, timeZone)),
+  };
+}
+
+// Collecting the sample moves the order to sample_collected and marks its appointments attended
+async function updateVisitStatus(providerId, visitId, user, { status, notes, failureReason }) {
+  const visit = await findVisitOrFail(providerId, visitId);
+  if (user.role === FIELD_STAFF_ROLE && visit.assignedToId !== user.userId) {
+    const error = new Error('This visit is not assigned to you');
+    error.status = 403;
+    throw error;
+  }
+  const allowed = VISIT_TRANSITIONS[visit.status] || [];
+  if (!allowed.includes(status)) {
+    const error = new Error(`Cannot move visit from ${visit.status} to ${status}${allowed.length ? ` (allowed: ${allowed.join(', ')})` : ''}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const now = new Date();
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await tx.collectionVisit.update({
+      where: { id: visit.id },
+      data: {
+        status,
+        [VISIT_TIMESTAMPS[status]]: now,
+        ...(status === 'sample_collected' && !visit.arrivedAt && { arrivedAt: now }),
+        ...(failureReason && { failureReason }),
+        ...(notes && { notes }),
+      },
+      include: visitInclude,
+    });
+
+    if (status === 'sample_collected') {
+      const order = await tx.order.findUnique({ where: { id: visit.orderId }, select: { status: true } });
+      if (order.status === 'confirmed') {
+        await transitionOrderStatus(visit.orderId, 'sample_collected', {
+          actorType: 'provider_user',
+          actorId: user.userId,
+          reason: `Sample collected at home visit #${visit.id}`,
+        }, tx);
+      }
+      await tx.orderItem.updateMany({
+        where: { orderId: visit.orderId, fulfillmentMethod: 'home_collection', appointmentStatus: 'scheduled' },
+        data: { appointmentStatus: 'attended', attendanceMarkedAt: now, attendanceMarkedById: user.userId },
+      });
+    }
+    return result;
+  });
+
+  console.log('Collection visit status updated:', { providerId, visitId, from: visit.status, to: status, userId: user.userId });
+  return formatVisit(updated, await providerTimeZone(providerId));
+}
+
+module.exports = {
+  fetchFieldStaff,
+  fetchCollections,
+  assignCollection,
+  fetchDayRoute,
+  updateVisitStatus,
+};
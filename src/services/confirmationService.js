@@ -1,9 +1,23 @@
 const { PrismaClient } = require('@prisma/client');
-const axios = require('axios');
 const { isValidOrderReference } = require('../utils/validation');
-const { generateTrackingCode } = require('../utils/tracking');
+const { getPaymentGateway } = require('../utils/payment');
+const paymentService = require('./paymentService');
 const prisma = new PrismaClient();
 
+const confirmationOrderInclude = {
+  items: {
+    include: {
+      providerService: {
+        include: { service: true, provider: true },
+      },
+    },
+  },
+  prescription: {
+    include: { prescriptionServices: true },
+  },
+  provider: true,
+};
+
 async function confirmOrder({ reference, session, userId }) {
   let transactionRef = null;
 
@@ -30,19 +44,7 @@ async function confirmOrder({ reference, session, userId }) {
         patientIdentifier: userId,
         paymentReference: { in: transactionRef.orderReferences },
       },
-      include: {
-        items: {
-          include: {
-            providerService: {
-              include: { service: true, provider: true },
-            },
-          },
-        },
-        prescription: {
-          include: { prescriptionServices: true },
-        },
-        provider: true,
-      },
+      include: confirmationOrderInclude,
     });
   } else {
     orders = await prisma.order.findMany({
@@ -51,19 +53,7 @@ async function confirmOrder({ reference, session, userId }) {
         checkoutSessionId: session,
         status: { in: ['pending', 'confirmed', 'paid', 'pending_prescription'] },
       },
-      include: {
-        items: {
-          include: {
-            providerService: {
-              include: { service: true, provider: true },
-            },
-          },
-        },
-        prescription: {
-          include: { prescriptionServices: true },
-        },
-        provider: true,
-      },
+      include: confirmationOrderInclude,
     });
   }
 
@@ -78,107 +68,32 @@ async function confirmOrder({ reference, session, userId }) {
     checkoutSessionId: session,
   });
 
-  // Generate or reuse a tracking code
-  const existingTrackingCode = orders.find(o => o.trackingCode)?.trackingCode;
-  const trackingCode = existingTrackingCode || generateTrackingCode(session, orders[0]?.id);
-  let status = 'completed';
-
-  // Verify Paystack transaction if transactionRef is found
+  // Payment is settled through the same path as the webhooks, so the orders go through the state machine
+  // and their stock, prescription, settlement and fulfilment are handled the same way
+  let updatedOrders = orders;
   if (transactionRef) {
-    console.log('Verifying Paystack transaction:', { transactionReference: transactionRef.transactionReference });
-    const paystackResponse = await axios.get(
-      `https://api.paystack.co/transaction/verify/${transactionRef.transactionReference}`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    if (!paystackResponse.data.status || paystackResponse.data.data.status !== 'success') {
-      await prisma.$transaction(async (tx) => {
-        for (const order of orders) {
-          if (transactionRef.orderReferences.includes(order.paymentReference)) {
-            await tx.order.update({
-              where: { id: order.id },
-              data: { paymentStatus: 'failed', updatedAt: new Date() },
-            });
-          }
-        }
-      });
-      throw new Error('Payment verification failed');
+    console.log('Verifying payment transaction:', { transactionReference: transactionRef.transactionReference, gateway: transactionRef.gateway });
+    const verification = await getPaymentGateway(transactionRef.gateway).verify(transactionRef.transactionReference);
+
+    if (verification.status !== 'success') {
+      await paymentService.failTransactionPayment(transactionRef, { patientIdentifier: userId });
+      const error = new Error('Payment verification failed');
+      error.status = 400;
+      throw error;
     }
-  }
 
-  // Check for verified prescriptions
-  const verifiedPrescription = await prisma.prescription.findFirst({
-    where: {
+    await paymentService.confirmTransactionPayment(transactionRef, {
       patientIdentifier: userId,
-      status: 'verified',
-    },
-    include: { prescriptionServices: true },
-    orderBy: [{ createdAt: 'desc' }],
-  });
-
-  // Update orders in a transaction
-  const updatedOrders = await prisma.$transaction(async (tx) => {
-    const updated = [];
-    for (const order of orders) {
-      let newStatus = order.status;
-      let newPaymentStatus = order.paymentStatus;
-      let newPrescriptionId = order.prescriptionId;
-
-      const requiresPrescription = order.items.some(
-        item => item.providerService.service.prescriptionRequired
-      );
-
-      if (requiresPrescription && verifiedPrescription) {
-        const orderServiceIds = order.items
-          .filter(item => item.providerService.service.prescriptionRequired)
-          .map(item => item.providerService.serviceId);
-        const prescriptionServiceIds = verifiedPrescription.prescriptionServices.map(ps => ps.serviceId);
-        const isPrescriptionValid = orderServiceIds.every(id => prescriptionServiceIds.includes(id));
-
-        if (isPrescriptionValid && transactionRef?.orderReferences.includes(order.paymentReference)) {
-          newStatus = 'confirmed';
-          newPaymentStatus = 'paid';
-          newPrescriptionId = verifiedPrescription.id;
-        } else if (order.status === 'pending_prescription') {
-          status = 'pending_prescription';
-        }
-      } else if (!requiresPrescription && transactionRef?.orderReferences.includes(order.paymentReference)) {
-        newStatus = 'confirmed';
-        newPaymentStatus = 'paid';
-      } else if (order.status === 'pending_prescription') {
-        status = 'pending_prescription';
-      }
-
-      const updatedOrder = await tx.order.update({
-        where: { id: order.id },
-        data: {
-          paymentStatus: newPaymentStatus,
-          status: newStatus,
-          trackingCode,
-          prescriptionId: newPrescriptionId,
-          updatedAt: new Date(),
-        },
-        include: {
-          items: {
-            include: {
-              providerService: {
-                include: { service: true, provider: true },
-              },
-            },
-          },
-          prescription: true,
-          provider: true,
-        },
-      });
-      updated.push(updatedOrder);
-    }
-    return updated;
-  });
+      fees: verification.fees,
+      amount: verification.amount,
+    });
+    updatedOrders = await prisma.order.findMany({
+      where: { id: { in: orders.map(o => o.id) } },
+      include: confirmationOrderInclude,
+    });
+  }
+  const trackingCode = updatedOrders.find(o => o.trackingCode)?.trackingCode || null;
+  const status = updatedOrders.some(o => o.status === 'pending_prescription') ? 'pending_prescription' : 'completed';
 
   console.log('Payment verified or session retrieved:', {
     reference,
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { PrismaClient } = require('@prisma/client');
+const { transitionOrderStatus } = require('../utils/orderStateMachine');
+const { OPEN_DELIVERY_STATUSES } = require('../utils/deliveryDispatch');
+const { sendDeliveryOtp } = require('../utils/notifications');
+const prisma = new PrismaClient();
+
+const RIDER_ROLE = 'rider';
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 60;
+
+const deliveryInclude = {
+  order: {
+    select: {
+      id: true,
+      status: true,
+      email: true,
+      phone: true,
+      address: true,
+      totalPrice: true,
+      deliveryFee: true,
+      deliveryDistanceKm: true,
+      items: {
+        where: { fulfillmentMethod: { in: ['home_delivery', 'delivery'] } },
+        select: { id: true, quantity: true, service: { select: { name: true } } },
+      },
+    },
+  },
+  rider: { select: { id: true, name: true } },
+};
+
+function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    orderId: delivery.orderId,
+    status: delivery.status,
+    rider: delivery.rider ? { id: delivery.rider.id, name: delivery.rider.name } : null,
+    assignedAt: delivery.assignedAt,
+    dispatchedAt: delivery.dispatchedAt,
+    deliveredAt: delivery.deliveredAt,
+    otpVerifiedAt: delivery.otpVerifiedAt,
+    recipientName: delivery.recipientName,
+    failedAt: delivery.failedAt,
+    failureReason: delivery.failureReason,
+    notes: delivery.notes,
+    ...(delivery.order && {
+      address: delivery.order.address,
+      patient: { email: delivery.order.email, phone: delivery.order.phone },
+      orderStatus: delivery.order.status,
+      totalPrice: delivery.order.totalPrice,
+      deliveryFee: delivery.order.deliveryFee,
+      distanceKm: delivery.order.deliveryDistanceKm,
+      items: delivery.order.items.map(item => ({ itemId: item.id, name: item.service.name, quantity: item.quantity })),
+    }),
+  };
+}
+
+async function findDeliveryOrFail(providerId, deliveryId, user) {
+  const delivery = await prisma.delivery.findFirst({ where: { id: deliveryId, providerId } });
+  if (!delivery) {
+    const error = new Error('Delivery not found');
+    error.status = 404;
+    throw error;
+  }
+  if (user && user.role === RIDER_ROLE && delivery.riderId !== user.userId) {
+    const error = new Error('This delivery is not assigned to you');
+    error.status = 403;
+    throw error;
+  }
+  return delivery;
+}
+
+function assertStatus(delivery, allowed, action) {
+  if (!allowed.includes(delivery.status)) {
+    const error = new Error(`Cannot ${action} a delivery that is ${delivery.status.replace(/_/g, ' ')}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+// A fresh code replaces the previous one and resets the attempt count
+async function issueOtp(delivery) {
+  const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const salt = await bcrypt.genSalt(10);
+  const updated = await prisma.delivery.update({
+    where: { id: delivery.id },
+    data: { otpHash: await bcrypt.hash(otp, salt), otpSentAt: new Date(), otpAttempts: 0 },
+    include: { ...deliveryInclude, provider: { select: { name: true } } },
+  });
+  await sendDeliveryOtp({ order: updated.order, provider: updated.provider, otp, riderName: updated.rider?.name });
+  return updated;
+}
+
+async function fetchRiders(providerId) {
+  const riders = await prisma.providerUser.findMany({
+    where: { providerId, role: RIDER_ROLE },
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      deliveries: { where: { status: { in: OPEN_DELIVERY_STATUSES } }, select: { status: true } },
+    },
+    orderBy: { name: 'asc' },
+  });
+  return riders.map(rider => ({
+    id: rider.id,
+    name: rider.name,
+    email: rider.email,
+    openDeliveries: rider.deliveries.length,
+    outForDelivery: rider.deliveries.filter(d => d.status === 'out_for_delivery').length,
+  }));
+}
+
+// Riders only see the deliveries assigned to them
+async function fetchDeliveries(providerId, user, { status, riderId }) {
+  const assignedRiderId = user.role === RIDER_ROLE ? user.userId : riderId;
+  const deliveries = await prisma.delivery.findMany({
+    where: {
+      providerId,
+      ...(status ? { status } : { status: { in: OPEN_DELIVERY_STATUSES } }),
+      ...(assignedRiderId && { riderId: assignedRiderId }),
+    },
+    include: deliveryInclude,
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+  });
+  return {
+    unassigned: deliveries.filter(d => d.status === 'pending').length,
+    deliveries: deliveries.map(formatDelivery),
+  };
+}
+
+async function assignRider(providerId, deliveryId, riderId, managerId) {
+  const delivery = await findDeliveryOrFail(providerId, deliveryId);
+  // A failed delivery can be given to a rider for another attempt
+  assertStatus(delivery, ['pending', 'assigned', 'failed'], 'reassign');
+  const rider = await prisma.providerUser.findFirst({ where: { id: riderId, providerId } });
+  if (!rider || rider.role !== RIDER_ROLE) {
+    const error = new Error('Rider not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const updated = await prisma.delivery.update({
+    where: { id: delivery.id },
+    data: { riderId: rider.id, status: 'assigned', assignedAt: new Date(), failedAt: null, failureReason: null },
+    include: deliveryInclude,
+  });
+  console.log('Delivery assigned:', { providerId, deliveryId, riderId, managerId });
+  return formatDelivery(updated);
+}
+
+// The rider leaves with the order: it is marked shipped and the patient is sent the delivery code
+async function dispatchDelivery(providerId, deliveryId, user) {
+  const delivery = await findDeliveryOrFail(providerId, deliveryId, user);
+  assertStatus(delivery, ['assigned'], 'dispatch');
+
+  await prisma.$transaction(async (tx) => {
+    await tx.delivery.update({
+      where: { id: delivery.id },
+      data: { status: 'out_for_delivery', dispatchedAt: new Date() },
+    });
+    await transitionOrderStatus(delivery.orderId, 'shipped', {
+      actorType: 'provider_user',
+      actorId: user.userId,
+      reason: `Out for delivery #${delivery.id}`,
+    }, tx);
+  });
+
+  const updated = await issueOtp(delivery);
+  console.log('Delivery dispatched:', { providerId, deliveryId, userId: user.userId });
+  return formatDelivery(updated);
+}
+
+async function resendOtp(providerId, deliveryId, user) {
+  const delivery = await findDeliveryOrFail(providerId, deliveryId, user);
+  assertStatus(delivery, ['out_for_delivery'], 'resend the code for');
+  const waitSeconds = delivery.otpSentAt
+    ? Math.ceil(OTP_RESEND_SECONDS - (Date.now() - delivery.otpSentAt.getTime()) / 1000)
+    : 0;
+  if (waitSeconds > 0) {
+    const error = new Error(`Please wait ${waitSeconds} seconds before sending another code`);
+    error.status = 429;
+    throw error;
+  }
+  const updated = await issueOtp(delivery);
+  console.log('Delivery OTP resent:', { providerId, deliveryId, userId: user.userId });
+  return formatDelivery(updated);
+}
+
+// The patient's code is the proof of delivery. Every guess uses up an attempt before the code is
+// checked, with a conditional update, so parallel guesses can't get past the limit.
+async function confirmDelivery(providerId, deliveryId, user, { otp, recipientName, notes }) {
+  const delivery = await findDeliveryOrFail(providerId, deliveryId, user);
+  assertStatus(delivery, ['out_for_delivery'], 'confirm');
+  const { count } = await prisma.delivery.updateMany({
+    where: { id: delivery.id, otpHash: { not: null }, otpAttempts: { lt: OTP_MAX_ATTEMPTS } },
+    data: { otpAttempts: { increment: 1 } },
+  });
+  if (count === 0) {
+    const error = new Error('Too many incorrect codes; send the patient a new code');
+    error.status = 400;
+    throw error;
+  }
+
+  if (!delivery.otpHash || !(await bcrypt.compare(otp, delivery.otpHash))) {
+    const { otpAttempts } = await prisma.delivery.findUnique({ where: { id: delivery.id }, select: { otpAttempts: true } });
+    const error = new Error(`Incorrect delivery code (${Math.max(OTP_MAX_ATTEMPTS - otpAttempts, 0)} attempts left)`);
+    error.status = 400;
+    throw error;
+  }
+
+  const now = new Date();
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await tx.delivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: 'delivered',
+        otpVerifiedAt: now,
+        deliveredAt: now,
+        otpHash: null,
+        ...(recipientName && { recipientName }),
+        ...(notes && { notes }),
+      },
+      include: deliveryInclude,
+    });
+    await transitionOrderStatus(delivery.orderId, 'delivered', {
+      actorType: 'provider_user',
+      actorId: user.userId,
+      reason: `Delivery #${delivery.id} confirmed with the patient's code`,
+    }, tx);
+    return result;
+  });
+
+  console.log('Delivery confirmed:', { providerId, deliveryId, userId: user.userId });
+  return formatDelivery(updated);
+}
+
+// A failed attempt goes back to the manager to reassign; the order stays shipped until it is delivered
+async function failDelivery(providerId, deliveryId, user, { failureReason, notes }) {
+  const delivery = await findDeliveryOrFail(providerId, deliveryId, user);
+  assertStatus(delivery, ['assigned', 'out_for_delivery'], 'fail');
+  const updated = await prisma.delivery.update({
+    where: { id: delivery.id },
+    data: {
+      status: 'failed',
+      failedAt: new Date(),
+      failureReason,
+      otpHash: null,
+      ...(notes && { notes }),
+    },
+    include: deliveryInclude,
+  });
+  console.log('Delivery failed:', { providerId, deliveryId, userId: user.userId, failureReason });
+  return formatDelivery(updated);
+}
+
+module.exports = {
+  fetchRiders,
+  fetchDeliveries,
+  assignRider,
+  dispatchDelivery,
+  resendOtp,
+  confirmDelivery,
+  failDelivery,
+};
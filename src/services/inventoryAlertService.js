@@ -0,0 +1,262 @@
+const { PrismaClient } = require('@prisma/client');
+const { differenceInCalendarDays } = require('date-fns');
+const { sendInventoryAlertDigest } = require('../utils/notifications');
+const prisma = new PrismaClient();
+
+// Used when a provider has not set its own thresholds
+const DEFAULT_LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD || '10', 10);
+const DEFAULT_EXPIRY_ALERT_DAYS = parseInt(process.env.EXPIRY_ALERT_DAYS || '30', 10);
+
+function resolveSettings(provider) {
+  return {
+    lowStockThreshold: provider?.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD,
+    expiryAlertDays: provider?.expiryAlertDays ?? DEFAULT_EXPIRY_ALERT_DAYS,
+  };
+}
+
+function displayName(service) {
+  return `${service.name}${service.dosage ? ` ${service.dosage}` : ''}`;
+}
+
+// Works out the stock and expiry state of one stock-tracked provider service. Sellable stock leaves
+// out expired and recalled batches; services without batches fall back to their own expiryDate.
+function evaluateProviderService(providerService, settings, now = new Date()) {
+  if (providerService.stock === null) {
+    return { stock: null, expiry: null, sellableStock: null, nextExpiryDate: null, daysToExpiry: null, alerts: [] };
+  }
+
+  const batches = (providerService.batches || []).filter(b => b.quantity > 0);
+  const expiredBatches = batches.filter(b => !b.recalledAt && b.expiryDate <= now);
+  const sellableBatches = batches.filter(b => !b.recalledAt && b.expiryDate > now);
+  const unsellable = batches
+    .filter(b => b.recalledAt || b.expiryDate <= now)
+    .reduce((sum, b) => sum + b.quantity, 0);
+  const sellableStock = Math.max(providerService.stock - unsellable, 0);
+
+  const name = displayName(providerService.service);
+  const alerts = [];
+
+  let stock = 'ok';
+  if (sellableStock <= 0) {
+    stock = 'out_of_stock';
+    alerts.push({ type: 'out_of_stock', alertKey: `out_of_stock:${providerService.serviceId}`, serviceId: providerService.serviceId, title: `${name} is out of stock`, message: `${name} has no sellable stock left and no longer appears in patient searches.` });
+  } else if (sellableStock <= settings.lowStockThreshold) {
+    stock = 'low_stock';
+    alerts.push({ type: 'low_stock', alertKey: `low_stock:${providerService.serviceId}`, serviceId: providerService.serviceId, title: `${name} is running low`, message: `${name} is down to ${sellableStock} (alert threshold ${settings.lowStockThreshold}).` });
+  }
+
+  let expiry = 'ok';
+  let nextExpiryDate = null;
+  for (const batch of expiredBatches) {
+    expiry = 'expired';
+    alerts.push({ type: 'expired', alertKey: `expired:${providerService.serviceId}:${batch.id}`, serviceId: providerService.serviceId, batchId: batch.id, title: `${name} batch ${batch.batchNumber} has expired`, message: `${batch.quantity} of ${name} in batch ${batch.batchNumber} expired on ${batch.expiryDate.toISOString().slice(0, 10)} and should be removed from the shelf.` });
+  }
+  if (batches.length > 0) {
+    nextExpiryDate = sellableBatches.reduce((earliest, b) => (!earliest || b.expiryDate < earliest ? b.expiryDate : earliest), null);
+    for (const batch of sellableBatches) {
+      const days = differenceInCalendarDays(batch.expiryDate, now);
+      if (days <= settings.expiryAlertDays) {
+        if (expiry === 'ok') expiry = 'near_expiry';
+        alerts.push({ type: 'near_expiry', alertKey: `near_expiry:${providerService.serviceId}:${batch.id}`, serviceId: providerService.serviceId, batchId: batch.id, title: `${name} batch ${batch.batchNumber} expires in ${days} day${days === 1 ? '' : 's'}`, message: `${batch.quantity} of ${name} in batch ${batch.batchNumber} expires on ${batch.expiryDate.toISOString().slice(0, 10)}.` });
+      }
+    }
+  } else if (providerService.expiryDate && providerService.stock > 0) {
+    nextExpiryDate = providerService.expiryDate;
+    const days = differenceInCalendarDays(providerService.expiryDate, now);
+    if (days < 0) {
+      expiry = 'expired';
+      alerts.push({ type: 'expired', alertKey: `expired:${providerService.serviceId}:stock`, serviceId: providerService.serviceId, title: `${name} has expired`, message: `${name} stock expired on ${providerService.expiryDate.toISOString().slice(0, 10)}.` });
+    } else if (days <= settings.expiryAlertDays) {
+      expiry = 'near_expiry';
+      alerts.push({ type: 'near_expiry', alertKey: `near_expiry:${providerService.serviceId}:stock`, serviceId: providerService.serviceId, title: `${name} expires in ${days} day${days === 1 ? '' : 's'}`, message: `${name} stock expires on ${providerService.expiryDate.toISOString().slice(0, 10)}.` });
+    }
+  }
+
+  return {
+    stock,
+    expiry,
+    sellableStock,
+    nextExpiryDate,
+    daysToExpiry: nextExpiryDate ? differenceInCalendarDays(nextExpiryDate, now) : null,
+    alerts,
+  };
+}
+
+// Alert state for every service a provider stocks, keyed by serviceId
+async function getProviderAlertStates(providerId) {
+  const [provider, providerServices] = await Promise.all([
+    prisma.provider.findUnique({ where: { id: providerId }, select: { lowStockThreshold: true, expiryAlertDays: true } }),
+    prisma.providerService.findMany({
+      where: { providerId },
+      include: {
+        service: { select: { name: true, dosage: true } },
+        batches: { where: { quantity: { gt: 0 } } },
+      },
+    }),
+  ]);
+  const settings = resolveSettings(provider);
+  return new Map(providerServices.map(ps => [ps.serviceId, evaluateProviderService(ps, settings)]));
+}
+
+// Raises new alerts in the provider's inbox, resolves alerts whose condition has cleared, and sends
+// the manager one digest of what is new. Open alerts are not repeated on later runs.
+async function runProviderAlerts(provider) {
+  const settings = resolveSettings(provider);
+  const providerServices = await prisma.providerService.findMany({
+    where: { providerId: provider.id, available: true, stock: { not: null } },
+    include: {
+      service: { select: { name: true, dosage: true } },
+      batches: { where: { quantity: { gt: 0 } } },
+    },
+  });
+  const alerts = providerServices.flatMap(ps => evaluateProviderService(ps, settings).alerts);
+
+  const open = await prisma.providerNotification.findMany({
+    where: { providerId: provider.id, alertKey: { not: null }, resolvedAt: null },
+    select: { id: true, alertKey: true },
+  });
+  const openKeys = new Set(open.map(n => n.alertKey));
+  const currentKeys = new Set(alerts.map(a => a.alertKey));
+
+  const newAlerts = alerts.filter(a => !openKeys.has(a.alertKey));
+  const cleared = open.filter(n => !currentKeys.has(n.alertKey));
+
+  if (newAlerts.length > 0) {
+    await prisma.providerNotification.createMany({
+      data: newAlerts.map(a => ({
+        providerId: provider.id,
+        type: a.type,
+        alertKey: a.alertKey,
+        title: a.title,
+        message: a.message,
+        serviceId: a.serviceId,
+        batchId: a.batchId ?? null,
+      })),
+    });
+  }
+  if (cleared.length > 0) {
+    await prisma.providerNotification.updateMany({
+      where: { id: { in: cleared.map(n => n.id) } },
+      data: { resolvedAt: new Date() },
+    });
+  }
+
+  if (newAlerts.length > 0) {
+    try {
+      const managers = await prisma.providerUser.findMany({
+        where: { providerId: provider.id, role: 'manager' },
+        select: { email: true, name: true },
+      });
+      await sendInventoryAlertDigest({ provider, managers, alerts: newAlerts });
+    } catch (error) {
+      // The inbox already has the alerts; a failed email or SMS is not retried
+      console.error('Inventory alert digest failed:', { providerId: provider.id, message: error.message });
+    }
+  }
+
+  return { created: newAlerts.length, resolved: cleared.length };
+}
+
+async function runInventoryAlerts() {
+  const providers = await prisma.provider.findMany({
+    where: { status: 'verified', isActive: true },
+    select: { id: true, name: true, phone: true, lowStockThreshold: true, expiryAlertDays: true },
+  });
+
+  const totals = { providers: providers.length, created: 0, resolved: 0 };
+  for (const provider of providers) {
+    try {
+      const { created, resolved } = await runProviderAlerts(provider);
+      totals.created += created;
+      totals.resolved += resolved;
+    } catch (error) {
+      console.error('Inventory alert run failed for provider:', { providerId: provider.id, message: error.message });
+    }
+  }
+  console.log('Inventory alerts run completed:', totals);
+  return totals;
+}
+
+async function getAlertSettings(providerId) {
+  const provider = await prisma.provider.findUnique({
+    where: { id: providerId },
+    select: { lowStockThreshold: true, expiryAlertDays: true },
+  });
+  if (!provider) {
+    const error = new Error('Provider not found');
+    error.status = 404;
+    throw error;
+  }
+  return {
+    ...resolveSettings(provider),
+    usingDefaults: {
+      lowStockThreshold: provider.lowStockThreshold === null,
+      expiryAlertDays: provider.expiryAlertDays === null,
+    },
+  };
+}
+
+// Passing null for a setting goes back to the platform default
+async function updateAlertSettings(providerId, { lowStockThreshold, expiryAlertDays }) {
+  await prisma.provider.update({
+    where: { id: providerId },
+    data: {
+      ...(lowStockThreshold !== undefined && { lowStockThreshold }),
+      ...(expiryAlertDays !== undefined && { expiryAlertDays }),
+    },
+  });
+  console.log('Inventory alert settings updated:', { providerId, lowStockThreshold, expiryAlertDays });
+  return getAlertSettings(providerId);
+}
+
+async function getNotifications(providerId, { page, limit, unread }) {
+  const skip = (page - 1) * limit;
+  const where = { providerId, ...(unread && { readAt: null }) };
+  const [notifications, total, unreadCount] = await prisma.$transaction([
+    prisma.providerNotification.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip,
+    }),
+    prisma.providerNotification.count({ where }),
+    prisma.providerNotification.count({ where: { providerId, readAt: null } }),
+  ]);
+  return {
+    notifications: notifications.map(n => ({
+      id: n.id,
+      type: n.type,
+      title: n.title,
+      message: n.message,
+      serviceId: n.serviceId,
+      batchId: n.batchId,
+      read: Boolean(n.readAt),
+      resolved: Boolean(n.resolvedAt),
+      createdAt: n.createdAt,
+    })),
+    unreadCount,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+async function markNotificationsRead(providerId, notificationIds) {
+  const { count } = await prisma.providerNotification.updateMany({
+    where: {
+      providerId,
+      readAt: null,
+      ...(notificationIds && { id: { in: notificationIds } }),
+    },
+    data: { readAt: new Date() },
+  });
+  return count;
+}
+
+module.exports = {
+  evaluateProviderService,
+  getProviderAlertStates,
+  runInventoryAlerts,
+  getAlertSettings,
+  updateAlertSettings,
+  getNotifications,
+  markNotificationsRead,
+};
@@ -0,0 +1,324 @@
+const { PrismaClient } = require('@prisma/client');
+const { readSheet, writeSheet } = require('../utils/spreadsheet');
+const { recordStockMovement } = require('../utils/stockMovements');
+const prisma = new PrismaClient();
+
+// One column layout is used for both import and export, so an exported catalogue can be edited and
+// uploaded again. `type` is informational on import.
+const CATALOGUE_COLUMNS = [
+  { key: 'name', header: 'name' },
+  { key: 'type', header: 'type' },
+  { key: 'nafdacCode', header: 'nafdacCode' },
+  { key: 'testCode', header: 'testCode' },
+  { key: 'price', header: 'price' },
+  { key: 'stock', header: 'stock' },
+  { key: 'available', header: 'available' },
+  { key: 'receivedDate', header: 'receivedDate' },
+  { key: 'expiryDate', header: 'expiryDate' },
+];
+
+const HEADER_ALIASES = {
+  name: 'name',
+  servicename: 'name',
+  type: 'type',
+  nafdaccode: 'nafdacCode',
+  nafdac: 'nafdacCode',
+  testcode: 'testCode',
+  price: 'price',
+  stock: 'stock',
+  quantity: 'stock',
+  available: 'available',
+  receiveddate: 'receivedDate',
+  expirydate: 'expiryDate',
+  expiry: 'expiryDate',
+};
+
+const MAX_IMPORT_ROWS = parseInt(process.env.INVENTORY_IMPORT_MAX_ROWS || '5000', 10);
+
+function normalizeHeader(header) {
+  return HEADER_ALIASES[header.toLowerCase().replace(/[\s_-]/g, '')] || null;
+}
+
+function isBlank(value) {
+  return value === '' || value === null || value === undefined;
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(text)) return true;
+  if (['false', 'no', 'n', '0'].includes(text)) return false;
+  return undefined;
+}
+
+function parseDate(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? undefined : value;
+  const date = new Date(String(value).trim());
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+function sameDate(a, b) {
+  if (!a || !b) return a === b;
+  return a.toISOString().slice(0, 10) === b.toISOString().slice(0, 10);
+}
+
+// Turns the raw cells of a row into typed fields, collecting a message for every cell that is invalid.
+// Blank cells mean "leave as is" on update.
+function parseRow(values) {
+  const errors = [];
+  const fields = {};
+
+  if (!isBlank(values.price)) {
+    const price = Number(values.price);
+    if (isNaN(price) || price <= 0) errors.push('price must be a positive number');
+    else fields.price = Math.round(price * 100) / 100;
+  }
+  if (!isBlank(values.stock)) {
+    const stock = Number(values.stock);
+    if (!Number.isInteger(stock) || stock < 0) errors.push('stock must be a whole number of 0 or more');
+    else fields.stock = stock;
+  }
+  if (!isBlank(values.available)) {
+    const available = parseBoolean(values.available);
+    if (available === undefined) errors.push('available must be true or false');
+    else fields.available = available;
+  }
+  for (const key of ['receivedDate', 'expiryDate']) {
+    if (!isBlank(values[key])) {
+      const date = parseDate(values[key]);
+      if (!date) errors.push(`${key} is not a valid date`);
+      else fields[key] = date;
+    }
+  }
+
+  return { fields, errors };
+}
+
+// Matches on NAFDAC code, then lab test code, then exact name; a name shared by several services is ambiguous
+function matchService(values, lookups) {
+  const nafdacCode = isBlank(values.nafdacCode) ? null : String(values.nafdacCode).trim().toLowerCase();
+  const testCode = isBlank(values.testCode) ? null : String(values.testCode).trim().toLowerCase();
+  const name = isBlank(values.name) ? null : String(values.name).trim().toLowerCase();
+
+  if (nafdacCode) {
+    const service = lookups.byNafdac.get(nafdacCode);
+    return service ? { service } : { error: `No product with NAFDAC code ${values.nafdacCode}` };
+  }
+  if (testCode) {
+    const service = lookups.byTestCode.get(testCode);
+    return service ? { service } : { error: `No test with code ${values.testCode}` };
+  }
+  if (name) {
+    const matches = lookups.byName.get(name) || [];
+    if (matches.length === 1) return { service: matches[0] };
+    if (matches.length > 1) return { error: `Name "${values.name}" matches ${matches.length} services; add a nafdacCode or testCode` };
+    return { error: `No service named "${values.name}"` };
+  }
+  return { error: 'Row has no nafdacCode, testCode or name to match on' };
+}
+
+async function buildLookups() {
+  const services = await prisma.service.findMany({
+    select: { id: true, name: true, type: true, nafdacCode: true, testCode: true },
+  });
+  const lookups = { byNafdac: new Map(), byTestCode: new Map(), byName: new Map() };
+  for (const service of services) {
+    if (service.nafdacCode) lookups.byNafdac.set(service.nafdacCode.toLowerCase(), service);
+    if (service.testCode) lookups.byTestCode.set(service.testCode.toLowerCase(), service);
+    const key = service.name.toLowerCase();
+    lookups.byName.set(key, [...(lookups.byName.get(key) || []), service]);
+  }
+  return lookups;
+}
+
+// Works out what every row would do without writing anything
+async function planImport(providerId, file) {
+  const { format, records } = await readSheet(file, normalizeHeader);
+  if (records.length === 0) {
+    const error = new Error('The file has no data rows');
+    error.status = 400;
+    throw error;
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    const error = new Error(`The file has ${records.length} rows; the limit is ${MAX_IMPORT_ROWS}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const [lookups, existing, batched] = await Promise.all([
+    buildLookups(),
+    prisma.providerService.findMany({ where: { providerId } }),
+    prisma.stockBatch.groupBy({ by: ['serviceId'], where: { providerId } }),
+  ]);
+  const existingByService = new Map(existing.map(ps => [ps.serviceId, ps]));
+  const batchedServiceIds = new Set(batched.map(b => b.serviceId));
+  const seen = new Map();
+
+  const rows = records.map(({ rowNumber, values }) => {
+    const match = matchService(values, lookups);
+    if (!match.service) {
+      return { row: rowNumber, action: 'unmatched', name: values.name || null, errors: [match.error] };
+    }
+
+    const { service } = match;
+    const { fields, errors } = parseRow(values);
+    const current = existingByService.get(service.id);
+    const base = { row: rowNumber, serviceId: service.id, name: service.name, type: service.type };
+
+    if (seen.has(service.id)) {
+      errors.push(`Duplicate of row ${seen.get(service.id)}`);
+    } else {
+      seen.set(service.id, rowNumber);
+    }
+    if (!current && fields.price === undefined) {
+      errors.push('price is required for a service not yet in your inventory');
+    }
+    if (current && fields.stock !== undefined && fields.stock !== current.stock && batchedServiceIds.has(service.id)) {
+      errors.push('stock for this service is managed through its batches');
+    }
+    if (errors.length > 0) {
+      return { ...base, action: 'invalid', errors };
+    }
+
+    if (!current) {
+      return {
+        ...base,
+        action: 'create',
+        data: {
+          price: fields.price,
+          stock: fields.stock ?? null,
+          available: fields.available ?? true,
+          receivedDate: fields.receivedDate ?? null,
+          expiryDate: fields.expiryDate ?? null,
+        },
+      };
+    }
+
+    const changes = {};
+    for (const [key, value] of Object.entries(fields)) {
+      const unchanged = value instanceof Date ? sameDate(value, current[key]) : value === current[key];
+      if (!unchanged) changes[key] = { from: current[key], to: value };
+    }
+    if (Object.keys(changes).length === 0) {
+      return { ...base, action: 'unchanged' };
+    }
+    return {
+      ...base,
+      action: 'update',
+      changes,
+      data: Object.fromEntries(Object.entries(changes).map(([key, change]) => [key, change.to])),
+    };
+  });
+
+  const summary = rows.reduce(
+    (acc, row) => ({ ...acc, [row.action]: acc[row.action] + 1 }),
+    { total: rows.length, create: 0, update: 0, unchanged: 0, unmatched: 0, invalid: 0 }
+  );
+  return { format, summary, rows };
+}
+
+function formatPlan(plan) {
+  return {
+    format: plan.format,
+    summary: plan.summary,
+    rows: plan.rows.map(({ data, ...row }) => (row.action === 'create' ? { ...row, values: data } : row)),
+  };
+}
+
+async function previewImport(providerId, file) {
+  return formatPlan(await planImport(providerId, file));
+}
+
+// Applies every create and update in one transaction. Nothing is written if any row is invalid;
+// unmatched rows are skipped and reported.
+async function applyImport(providerId, file, userId) {
+  const plan = await planImport(providerId, file);
+  if (plan.summary.invalid > 0) {
+    const error = new Error(`${plan.summary.invalid} row${plan.summary.invalid === 1 ? ' has' : 's have'} errors; fix them and upload again`);
+    error.status = 400;
+    error.preview = formatPlan(plan);
+    throw error;
+  }
+
+  const writes = plan.rows.filter(row => row.action === 'create' || row.action === 'update');
+  const actor = { actorType: 'provider_user', actorId: userId };
+  await prisma.$transaction(async (tx) => {
+    for (const row of writes) {
+      if (row.action === 'create') {
+        await tx.providerService.create({
+          data: { providerId, serviceId: row.serviceId, ...row.data },
+        });
+        if (row.data.stock) {
+          await recordStockMovement({
+            providerId,
+            serviceId: row.serviceId,
+            type: 'received',
+            quantity: row.data.stock,
+            stockChange: row.data.stock,
+            reason: `Inventory import row ${row.row}`,
+            actor,
+          }, tx);
+        }
+      } else {
+        // The sheet sets an absolute stock level; the change is worked out from the row as it is now,
+        // locked, since orders may have taken or released stock since the plan was made
+        let change = 0;
+        if (row.changes.stock) {
+          const [current] = await tx.$queryRaw`
+            SELECT stock FROM "ProviderService"
+            WHERE "providerId" = ${providerId} AND "serviceId" = ${row.serviceId}
+            FOR UPDATE
+          `;
+          change = (row.changes.stock.to ?? 0) - (current?.stock ?? 0);
+        }
+        await tx.providerService.update({
+          where: { providerId_serviceId: { providerId, serviceId: row.serviceId } },
+          data: row.data,
+        });
+        if (change !== 0) {
+          await recordStockMovement({
+            providerId,
+            serviceId: row.serviceId,
+            type: 'adjustment',
+            quantity: change,
+            stockChange: change,
+            reason: `Inventory import row ${row.row}`,
+            actor,
+          }, tx);
+        }
+      }
+    }
+  }, { timeout: 60000 });
+
+  console.log('Inventory import applied:', { providerId, ...plan.summary });
+  return formatPlan(plan);
+}
+
+async function exportCatalogue(providerId, format) {
+  const providerServices = await prisma.providerService.findMany({
+    where: { providerId },
+    include: { service: { select: { name: true, type: true, nafdacCode: true, testCode: true } } },
+    orderBy: { service: { name: 'asc' } },
+  });
+  const records = providerServices.map(ps => ({
+    name: ps.service.name,
+    type: ps.service.type,
+    nafdacCode: ps.service.nafdacCode,
+    testCode: ps.service.testCode,
+    price: ps.price,
+    stock: ps.stock,
+    available: ps.available,
+    receivedDate: ps.receivedDate,
+    expiryDate: ps.expiryDate,
+  }));
+
+  const buffer = await writeSheet(CATALOGUE_COLUMNS, records, format, 'Inventory');
+  console.log('Inventory exported:', { providerId, format, rows: records.length });
+  return buffer;
+}
+
+module.exports = {
+  previewImport,
+  applyImport,
+  exportCatalogue,
+};
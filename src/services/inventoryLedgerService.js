@@ -0,0 +1,191 @@
+const { PrismaClient } = require('@prisma/client');
+const { syncBatchDates } = require('../utils/stockBatches');
+const { recordStockMovement, formatMovement } = require('../utils/stockMovements');
+const prisma = new PrismaClient();
+
+async function getStockMovements(providerId, { page, limit, serviceId, type, orderId, from, to }) {
+  const skip = (page - 1) * limit;
+  const where = {
+    providerId,
+    ...(serviceId && { serviceId }),
+    ...(type && { type }),
+    ...(orderId && { orderId }),
+    ...((from || to) && {
+      createdAt: {
+        ...(from && { gte: new Date(from) }),
+        ...(to && { lte: new Date(to) }),
+      },
+    }),
+  };
+  const [movements, total] = await prisma.$transaction([
+    prisma.stockMovement.findMany({
+      where,
+      include: {
+        service: { select: { name: true } },
+        batch: { select: { batchNumber: true } },
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: limit,
+      skip,
+    }),
+    prisma.stockMovement.count({ where }),
+  ]);
+  return {
+    movements: movements.map(formatMovement),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+function formatStockTake(stockTake) {
+  const items = stockTake.items || [];
+  return {
+    id: stockTake.id,
+    notes: stockTake.notes,
+    createdBy: stockTake.createdBy ? { id: stockTake.createdBy.id, name: stockTake.createdBy.name } : null,
+    createdAt: stockTake.createdAt,
+    summary: {
+      lines: items.length,
+      discrepancies: items.filter(item => item.variance !== 0).length,
+      netVariance: items.reduce((sum, item) => sum + item.variance, 0),
+    },
+    items: items.map(item => ({
+      serviceId: item.serviceId,
+      serviceName: item.service?.name,
+      batchId: item.batchId,
+      batchNumber: item.batchNumber,
+      systemQuantity: item.systemQuantity,
+      countedQuantity: item.countedQuantity,
+      variance: item.variance,
+      reason: item.reason,
+    })),
+  };
+}
+
+const stockTakeInclude = {
+  createdBy: { select: { id: true, name: true } },
+  items: { include: { service: { select: { name: true } } }, orderBy: { id: 'asc' } },
+};
+
+// Reconciles physical counts against the system. Batch-managed services are counted batch by batch,
+// since their stock is the sum of their batches. Each variance is booked as an adjustment movement.
+async function createStockTake(providerId, userId, { items, notes }) {
+  const stockTake = await prisma.$transaction(async (tx) => {
+    const created = await tx.stockTake.create({
+      data: { providerId, createdById: userId, notes: notes || null },
+    });
+
+    for (const line of items) {
+      const [row] = await tx.$queryRaw`
+        SELECT stock FROM "ProviderService"
+        WHERE "providerId" = ${providerId} AND "serviceId" = ${line.serviceId}
+        FOR UPDATE
+      `;
+      if (!row) {
+        const error = new Error(`Service ${line.serviceId} is not in your inventory`);
+        error.status = 404;
+        throw error;
+      }
+      if (row.stock === null) {
+        const error = new Error(`Service ${line.serviceId} does not track stock`);
+        error.status = 400;
+        throw error;
+      }
+
+      const batchCount = await tx.stockBatch.count({ where: { providerId, serviceId: line.serviceId } });
+      let batch = null;
+      if (line.batchId) {
+        batch = await tx.stockBatch.findFirst({ where: { id: line.batchId, providerId, serviceId: line.serviceId } });
+        if (!batch) {
+          const error = new Error(`Batch ${line.batchId} not found for service ${line.serviceId}`);
+          error.status = 404;
+          throw error;
+        }
+      } else if (batchCount > 0) {
+        const error = new Error(`Service ${line.serviceId} is managed through batches; count each batch separately`);
+        error.status = 400;
+        throw error;
+      }
+
+      const systemQuantity = batch ? batch.quantity : row.stock;
+      const variance = line.countedQuantity - systemQuantity;
+
+      await tx.stockTakeItem.create({
+        data: {
+          stockTakeId: created.id,
+          serviceId: line.serviceId,
+          batchId: batch ? batch.id : null,
+          batchNumber: batch ? batch.batchNumber : null,
+          systemQuantity,
+          countedQuantity: line.countedQuantity,
+          variance,
+          reason: line.reason || null,
+        },
+      });
+      if (variance === 0) continue;
+
+      if (batch) {
+        await tx.stockBatch.update({ where: { id: batch.id }, data: { quantity: line.countedQuantity } });
+        await syncBatchDates(providerId, line.serviceId, tx);
+      }
+      await tx.providerService.update({
+        where: { providerId_serviceId: { providerId, serviceId: line.serviceId } },
+        data: { stock: { increment: variance } },
+      });
+      await recordStockMovement({
+        providerId,
+        serviceId: line.serviceId,
+        batchId: batch ? batch.id : null,
+        type: 'adjustment',
+        quantity: variance,
+        stockChange: variance,
+        stockTakeId: created.id,
+        reason: line.reason || `Stock take #${created.id}`,
+        actor: { actorType: 'provider_user', actorId: userId },
+      }, tx);
+    }
+
+    return tx.stockTake.findUnique({ where: { id: created.id }, include: stockTakeInclude });
+  }, { timeout: 60000 });
+
+  const result = formatStockTake(stockTake);
+  console.log('Stock take recorded:', { providerId, stockTakeId: stockTake.id, userId, ...result.summary });
+  return result;
+}
+
+async function getStockTakes(providerId, { page, limit }) {
+  const skip = (page - 1) * limit;
+  const [stockTakes, total] = await prisma.$transaction([
+    prisma.stockTake.findMany({
+      where: { providerId },
+      include: stockTakeInclude,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip,
+    }),
+    prisma.stockTake.count({ where: { providerId } }),
+  ]);
+  return {
+    stockTakes: stockTakes.map(formatStockTake),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+async function getStockTake(providerId, stockTakeId) {
+  const stockTake = await prisma.stockTake.findFirst({
+    where: { id: stockTakeId, providerId },
+    include: stockTakeInclude,
+  });
+  if (!stockTake) {
+    const error = new Error('Stock take not found');
+    error.status = 404;
+    throw error;
+  }
+  return formatStockTake(stockTake);
+}
+
+module.exports = {
+  getStockMovements,
+  createStockTake,
+  getStockTakes,
+  getStockTake,
+};
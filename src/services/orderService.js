@@ -1,7 +1,10 @@
 const { PrismaClient } = require('@prisma/client');
 const { v4: uuidv4 } = require('uuid');
 const { recalculateOrderTotal } = require('../utils/orderUtils');
-const { parse, startOfDay, endOfDay } = require('date-fns');
+const { HOLD_MINUTES, holdStock, releaseStockHold } = require('../utils/stockReservations');
+const { loadProviderSchedule, getHoursForDate, atTime, assertOpenForSlot } = require('../utils/operatingHours');
+const { DEFAULT_TIMEZONE, zonedDateKey, zonedDayBounds, parseZonedDateTime, toZonedISOString } = require('../utils/timezone');
+const { bookingFilter, getSlotSettings, capacityScope, countSlotBookings } = require('../utils/slotCapacity');
 const prisma = new PrismaClient();
 
 async function addToOrder({ serviceId, providerId, quantity, userId, type }) {
@@ -92,6 +95,14 @@ async function addToOrder({ serviceId, providerId, quantity, userId, type }) {
 
     console.log(`OrderItem ${orderItem.id} upserted: quantity=${orderItem.quantity}, price=${orderItem.price}`);
 
+    // Hold the cart's full quantity; throws 409 if other carts and checkouts already hold the rest
+    await holdStock(order.id, {
+      providerId: orderItem.providerId,
+      serviceId: orderItem.serviceId,
+      quantity: orderItem.quantity,
+      minutes: HOLD_MINUTES.cart,
+    }, tx);
+
     const { updatedOrder } = await recalculateOrderTotal(order.id, tx);
 
     return { orderItem, order: updatedOrder };
@@ -115,7 +126,7 @@ async function getOrder(userId, orderId = null) {
         include: {
           providerService: {
             include: {
-              provider: { select: { id: true, name: true, address: true, homeCollectionAvailable: true } },
+              provider: { select: { id: true, name: true, address: true, homeCollectionAvailable: true, timezone: true } },
               service: { select: { id: true, name: true, type: true, category: true, prescriptionRequired: true, prepInstructions: true, description: true, dosage: true, form: true } },
             },
           },
@@ -167,8 +178,8 @@ async function getOrder(userId, orderId = null) {
         price: item.price,
         serviceId: item.serviceId,
         providerId: item.providerId,
-        timeSlotStart: item.timeSlotStart,
-        timeSlotEnd: item.timeSlotEnd,
+        timeSlotStart: toZonedISOString(item.timeSlotStart, item.providerService?.provider?.timezone || DEFAULT_TIMEZONE),
+        timeSlotEnd: toZonedISOString(item.timeSlotEnd, item.providerService?.provider?.timezone || DEFAULT_TIMEZONE),
         fulfillmentMethod: item.fulfillmentMethod,
         prescriptions: item.prescriptions.map(p => ({
           id: p.prescription.id,
@@ -246,6 +257,13 @@ async function updateOrderItem({ orderItemId, quantity, userId }) {
       data: { quantity, price: providerService.price },
     });
 
+    await holdStock(order.id, {
+      providerId: item.providerId,
+      serviceId: item.serviceId,
+      quantity,
+      minutes: { cart: HOLD_MINUTES.cart, pending_prescription: HOLD_MINUTES.prescription }[order.status] || HOLD_MINUTES.checkout,
+    }, tx);
+
     await recalculateOrderTotal(order.id, tx); // Pass the transaction context
 
     return item;
@@ -291,6 +309,7 @@ async function removeFromOrder({ orderItemId, userId }) {
     await tx.orderItem.delete({
       where: { id: orderItemId },
     });
+    await releaseStockHold(order.id, orderItem, 'Removed from order', tx);
 
     await recalculateOrderTotal(order.id);
   });
@@ -304,7 +323,7 @@ async function getTimeSlots({ providerId, serviceId, fulfillmentType, date }) {
   try {
     const provider = await prisma.provider.findUnique({
       where: { id: parseInt(providerId) },
-      select: { operatingHours: true, homeCollectionAvailable: true },
+      select: { name: true, homeCollectionAvailable: true },
     });
     if (!provider) {
       throw new Error('Provider not found');
@@ -329,61 +348,66 @@ async function getTimeSlots({ providerId, serviceId, fulfillmentType, date }) {
       throw new Error('Home collection not available for this provider');
     }
 
-    const [startHour, endHour] = provider.operatingHours
-      ? provider.operatingHours.split('-').map(time => parse(time, 'HH:mm', new Date()))
-      : [new Date().setHours(9, 0, 0), new Date().setHours(17, 0, 0)];
+    // `date` is a calendar day at the provider, so the day's bounds come from its timezone
+    const schedule = await loadProviderSchedule(parseInt(providerId));
+    const { timeZone } = schedule;
+    const { start: dayStart, end: dayEnd } = zonedDayBounds(date || zonedDateKey(new Date(), timeZone), timeZone);
+    const hours = getHoursForDate(schedule, dayStart);
+
+    console.log('Target date:', hours.date, 'Timezone:', timeZone, 'Opening hours:', hours);
 
-    const targetDate = date ? new Date(date) : new Date();
-    const startOfTargetDay = startOfDay(targetDate);
-    const endOfTargetDay = endOfDay(targetDate);
+    if (!hours.open) {
+      return { timeSlots: [], timeZone, closed: true, reason: hours.reason };
+    }
+
+    const { slotMinutes, slotCapacity, capacityServiceId } = await getSlotSettings(parseInt(providerId), serviceId ? parseInt(serviceId) : null);
+    const slotMs = slotMinutes * 60 * 1000;
 
-    console.log('Server timezone:', Intl.DateTimeFormat().resolvedOptions().timeZone);
-    console.log('Target date:', targetDate.toISOString(), 'Start of day:', startOfTargetDay.toISOString());
-    console.log('Operating hours:', { startHour: startHour.toISOString(), endHour: endHour.toISOString() });
+    // One query for the day's bookings; each slot's remaining capacity is counted from these
+    const bookings = await prisma.orderItem.findMany({
+      where: {
+        ...(await capacityScope(parseInt(providerId), capacityServiceId)),
+        timeSlotStart: { lt: dayEnd },
+        timeSlotEnd: { gt: dayStart },
+        ...bookingFilter(),
+      },
+      select: { timeSlotStart: true, timeSlotEnd: true },
+    });
 
+    // Slots fill each opening period (e.g. either side of a lunch break)
     const timeSlots = [];
-    let currentTime = new Date(startOfTargetDay.setHours(startHour.getHours(), startHour.getMinutes(), 0));
-
-    while (currentTime < new Date(startOfTargetDay.setHours(endHour.getHours(), endHour.getMinutes(), 0))) {
-      const slotStart = new Date(currentTime);
-      const slotEnd = new Date(currentTime.setMinutes(currentTime.getMinutes() + 30));
-
-      let existingOrders = 0;
-      try {
-        existingOrders = await prisma.order.count({
-          where: {
-            providerId: parseInt(providerId),
-            status: { not: 'cancelled' },
-            items: {
-              some: {
-                ...(serviceId && { serviceId: parseInt(serviceId) }),
-                ...(fulfillmentType && { fulfillmentMethod: fulfillmentType }),
-                timeSlotStart: { lte: slotEnd },
-                timeSlotEnd: { gte: slotStart },
-              },
-            },
-          },
+    for (const period of hours.periods) {
+      let currentTime = atTime(dayStart, period.opensAt, timeZone);
+      const closesAt = atTime(dayStart, period.closesAt, timeZone);
+
+      while (currentTime.getTime() + slotMs <= closesAt.getTime()) {
+        const slotStart = new Date(currentTime);
+        const slotEnd = new Date(currentTime.getTime() + slotMs);
+
+        const booked = bookings.filter(b => b.timeSlotStart < slotEnd && b.timeSlotEnd > slotStart).length;
+        const remaining = Math.max(slotCapacity - booked, 0);
+        let availabilityStatus = 'available';
+        if (remaining === 0) availabilityStatus = 'full';
+        else if (remaining < slotCapacity / 2) availabilityStatus = 'limited';
+
+        timeSlots.push({
+          start: toZonedISOString(slotStart, timeZone),
+          end: toZonedISOString(slotEnd, timeZone),
+          fulfillmentType: fulfillmentType || 'lab_visit',
+          capacity: slotCapacity,
+          booked,
+          remaining,
+          availabilityStatus,
         });
-      } catch (err) {
-        console.error('Error counting existing orders:', err);
-        throw new Error('Failed to check existing orders');
-      }
-
-      const availabilityStatus = existingOrders >= 3 ? 'limited' : 'available';
-      timeSlots.push({
-        start: slotStart.toISOString(),
-        end: slotEnd.toISOString(),
-        fulfillmentType: fulfillmentType || 'lab_visit',
-        availabilityStatus,
-      });
 
-      currentTime = slotEnd;
+        currentTime = slotEnd;
+      }
     }
 
     console.log('Generated time slots:', timeSlots);
     console.log('Provider:', provider);
     console.log('ProviderService:', providerService);
-    return { timeSlots };
+    return { timeSlots, slotMinutes, timeZone, closed: false, reason: hours.reason };
   } catch (err) {
     console.error('getTimeSlots error:', err.message, err.stack);
     throw new Error(err.message || 'Server error');
@@ -410,8 +434,17 @@ async function updateOrderDetails({ itemId, timeSlotStart, fulfillmentType, user
 
   const updates = {};
   if (timeSlotStart) {
-    const start = new Date(timeSlotStart);
-    const end = new Date(start.getTime() + 30 * 60 * 1000); // 30-minute slot
+    const start = parseZonedDateTime(timeSlotStart, orderItem.providerService.provider.timezone);
+    const { slotMinutes, slotCapacity, capacityServiceId } = await getSlotSettings(orderItem.providerId, orderItem.serviceId);
+    const end = new Date(start.getTime() + slotMinutes * 60 * 1000);
+    await assertOpenForSlot(orderItem.providerId, start, end, { providerName: orderItem.providerService.provider.name });
+    // The place is only claimed at checkout; this just stops patients picking a slot that is already full
+    const booked = await countSlotBookings(orderItem.providerId, capacityServiceId, start, end);
+    if (booked >= slotCapacity) {
+      const error = new Error('The selected time slot is fully booked; please choose another time');
+      error.status = 409;
+      throw error;
+    }
     updates.timeSlotStart = start;
     updates.timeSlotEnd = end;
   }
@@ -436,7 +469,15 @@ async function updateOrderDetails({ itemId, timeSlotStart, fulfillmentType, user
     data: updates,
   });
 
-  return { message: 'Order item details updated', orderItem: updatedOrderItem };
+  const { timezone } = orderItem.providerService.provider;
+  return {
+    message: 'Order item details updated',
+    orderItem: {
+      ...updatedOrderItem,
+      timeSlotStart: toZonedISOString(updatedOrderItem.timeSlotStart, timezone),
+      timeSlotEnd: toZonedISOString(updatedOrderItem.timeSlotEnd, timezone),
+    },
+  };
 }
 
 module.exports = {
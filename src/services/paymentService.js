@@ -0,0 +1,260 @@
+const { PrismaClient } = require('@prisma/client');
+const { generateTrackingCode } = require('../utils/tracking');
+const { transitionOrderStatus } = require('../utils/orderStateMachine');
+const { commitOrderStock } = require('../utils/stockReservations');
+const { findPrescriptionShortfall } = require('../utils/prescriptionUsage');
+const refundService = require('./refundService');
+const settlementService = require('./settlementService');
+const prisma = new PrismaClient();
+
+const PAYABLE_ORDER_STATUSES = ['pending', 'confirmed', 'pending_prescription'];
+
+const transactionOrderInclude = {
+  items: {
+    include: {
+      service: true,
+      prescriptions: { include: { prescription: true } },
+    },
+  },
+  provider: true,
+};
+
+async function findTransactionOrders(transactionRef, { patientIdentifier } = {}) {
+  return prisma.order.findMany({
+    where: {
+      ...(patientIdentifier && { patientIdentifier }),
+      checkoutSessionId: transactionRef.checkoutSessionId,
+      paymentReference: { in: transactionRef.orderReferences },
+      status: { in: PAYABLE_ORDER_STATUSES },
+    },
+    include: transactionOrderInclude,
+  });
+}
+
+// The amount the gateway reports must cover every order on the transaction not yet paid for. One that
+// doesn't say how much was paid can't be trusted to cover them. A shortfall marks the transaction
+// amount_mismatch, which no confirmation path will settle; an admin has to look at it.
+async function assertAmountCovered(transactionRef, amount) {
+  if (transactionRef.status === 'amount_mismatch') {
+    const error = new Error('The amount paid does not cover the order total');
+    error.status = 409;
+    throw error;
+  }
+  const orders = await findTransactionOrders(transactionRef);
+  const expectedAmount = orders.filter((o) => o.paymentStatus !== 'paid').reduce((sum, o) => sum + o.totalPrice, 0);
+  if (expectedAmount > 0 && (amount == null || Math.round(amount * 100) < Math.round(expectedAmount * 100))) {
+    console.error('Gateway amount mismatch:', { reference: transactionRef.transactionReference, paid: amount, expected: expectedAmount });
+    await prisma.transactionReference.update({
+      where: { id: transactionRef.id },
+      data: { status: 'amount_mismatch' },
+    });
+    const error = new Error('The amount paid does not cover the order total');
+    error.status = 409;
+    error.expectedAmount = expectedAmount;
+    throw error;
+  }
+}
+
+// Confirms orders covered by a successful transaction; orders still awaiting a prescription stay pending.
+// `amount` is what the gateway says was paid.
+async function confirmTransactionPayment(transactionRef, { patientIdentifier, fees, amount } = {}) {
+  await assertAmountCovered(transactionRef, amount);
+  const orders = await findTransactionOrders(transactionRef, { patientIdentifier });
+  if (orders.length === 0) {
+    return { updatedOrders: [], trackingCode: null };
+  }
+
+  const existingTrackingCode = orders.find((o) => o.trackingCode)?.trackingCode;
+  const trackingCode = existingTrackingCode || generateTrackingCode(transactionRef.checkoutSessionId, orders[0]?.id);
+
+  const updatedOrders = await prisma.$transaction(async (tx) => {
+    // Locked so a webhook retry and the verify redirect confirming the same payment run one after the
+    // other; the orders are re-read under the lock, so the second sees what the first did
+    const [lockedRef] = await tx.$queryRaw`SELECT status FROM "TransactionReference" WHERE id = ${transactionRef.id} FOR UPDATE`;
+    const lockedOrders = await tx.order.findMany({
+      where: { id: { in: orders.map((o) => o.id) }, status: { in: PAYABLE_ORDER_STATUSES } },
+      include: transactionOrderInclude,
+    });
+    const updated = [];
+    for (const order of lockedOrders) {
+      // Already settled by an earlier webhook delivery or verify call
+      if (order.paymentStatus === 'paid' || (lockedRef.status === 'success' && order.status === 'pending_prescription')) {
+        updated.push(order);
+        continue;
+      }
+
+      const requiresPrescription = order.items.some((item) => item.service.prescriptionRequired);
+      const hasValidPrescription = order.items
+        .filter((item) => item.service.prescriptionRequired)
+        .every((item) => item.prescriptions.length > 0);
+
+      let newStatus = !requiresPrescription || hasValidPrescription ? 'confirmed' : 'pending_prescription';
+      // Another order may have used up the prescription since checkout; this one then waits for a new one
+      if (newStatus === 'confirmed' && requiresPrescription) {
+        const shortfall = await findPrescriptionShortfall(order.id, tx);
+        if (shortfall) {
+          console.warn('Paid order no longer covered by its prescription:', { orderId: order.id, shortfall });
+          newStatus = 'pending_prescription';
+        }
+      }
+      const newPaymentStatus = newStatus === 'confirmed' ? 'paid' : 'pending';
+
+      const updatedOrder = await transitionOrderStatus(order.id, newStatus, {
+        reason: newStatus === 'confirmed' ? 'Payment confirmed' : 'Payment received, awaiting prescription',
+        data: { paymentStatus: newPaymentStatus, trackingCode },
+        include: transactionOrderInclude,
+      }, tx);
+      // Orders still awaiting a prescription have been paid for too, so their holds become deductions
+      if (newStatus !== 'confirmed') {
+        await commitOrderStock(order.id, {}, tx);
+      }
+      updated.push(updatedOrder);
+    }
+
+    await tx.transactionReference.update({
+      where: { id: transactionRef.id },
+      data: { status: 'success', paidAt: transactionRef.paidAt || new Date() },
+    });
+
+    return updated;
+  });
+
+  console.log('Transaction payment confirmed:', {
+    transactionReference: transactionRef.transactionReference,
+    orderIds: updatedOrders.map((o) => o.id),
+    trackingCode,
+  });
+
+  // Ledger entries are keyed per order, so a failure here can be repaired by re-running it
+  try {
+    await settlementService.recordTransactionSettlement(
+      { ...transactionRef, paidAt: transactionRef.paidAt || new Date() },
+      updatedOrders,
+      { fees }
+    );
+  } catch (error) {
+    console.error('Settlement ledger error:', { transactionReference: transactionRef.transactionReference, message: error.message });
+  }
+
+  return { updatedOrders, trackingCode };
+}
+
+async function failTransactionPayment(transactionRef, { patientIdentifier } = {}) {
+  const orders = await findTransactionOrders(transactionRef, { patientIdentifier });
+
+  await prisma.$transaction(async (tx) => {
+    for (const order of orders) {
+      if (order.paymentStatus === 'paid') continue;
+      await tx.order.update({
+        where: { id: order.id },
+        data: { paymentStatus: 'failed', updatedAt: new Date() },
+      });
+    }
+    await tx.transactionReference.update({
+      where: { id: transactionRef.id },
+      data: { status: 'failed' },
+    });
+  });
+
+  console.log('Transaction payment failed:', {
+    transactionReference: transactionRef.transactionReference,
+    orderIds: orders.map((o) => o.id),
+  });
+}
+
+async function refundTransactionPayment(transactionRef) {
+  const orders = await prisma.order.findMany({
+    where: { paymentReference: { in: transactionRef.orderReferences }, paymentStatus: 'paid' },
+    select: { id: true },
+  });
+
+  await prisma.$transaction(async (tx) => {
+    for (const order of orders) {
+      await tx.order.update({
+        where: { id: order.id },
+        data: { paymentStatus: 'refunded', updatedAt: new Date() },
+      });
+    }
+    await tx.transactionReference.update({
+      where: { id: transactionRef.id },
+      data: { status: 'refunded' },
+    });
+  });
+
+  console.log('Transaction refunded:', {
+    transactionReference: transactionRef.transactionReference,
+    orderIds: orders.map((o) => o.id),
+  });
+}
+
+// Applies a normalised gateway webhook event (see utils/payment.js) to the matching transaction
+// `gateway` is the gateway whose signature the event carried; it must be the one the transaction was
+// started with, so a signature from one gateway can't settle another's payments
+async function handleGatewayEvent(event, { gateway } = {}) {
+  const { type, reference, amount, fees, refundReference } = event || {};
+
+  if (!reference) {
+    console.warn('Gateway webhook without transaction reference:', { type });
+    return { handled: false, reason: 'missing_reference' };
+  }
+
+  const transactionRef = await prisma.transactionReference.findUnique({
+    where: { transactionReference: reference },
+  });
+  if (!transactionRef) {
+    console.warn('Gateway webhook for unknown transaction:', { type, reference });
+    return { handled: false, reason: 'unknown_reference' };
+  }
+  if (!gateway || gateway !== transactionRef.gateway) {
+    console.error('Gateway webhook from the wrong gateway:', { type, reference, gateway, expected: transactionRef.gateway });
+    return { handled: false, reason: 'gateway_mismatch' };
+  }
+
+  switch (type) {
+    case 'payment.success': {
+      if (transactionRef.status === 'success' || transactionRef.status === 'refunded') {
+        console.log('Duplicate payment.success ignored:', { reference });
+        return { handled: true, duplicate: true };
+      }
+
+      try {
+        await confirmTransactionPayment(transactionRef, { fees, amount });
+      } catch (error) {
+        if (error.status === 409) return { handled: false, reason: 'amount_mismatch' };
+        throw error;
+      }
+      return { handled: true };
+    }
+    case 'payment.failed': {
+      if (transactionRef.status !== 'pending') {
+        console.log('payment.failed ignored for settled transaction:', { reference, status: transactionRef.status });
+        return { handled: true, duplicate: true };
+      }
+      await failTransactionPayment(transactionRef);
+      return { handled: true };
+    }
+    case 'refund.processed': {
+      if (transactionRef.status === 'refunded') {
+        console.log('Duplicate refund.processed ignored:', { reference });
+        return { handled: true, duplicate: true };
+      }
+      // Refunds we initiated are settled individually; anything else was refunded from the gateway dashboard
+      const { initiated } = await refundService.completeTransactionRefunds(transactionRef, { refundReference, amount });
+      if (!initiated) {
+        await refundTransactionPayment(transactionRef);
+      }
+      return { handled: true };
+    }
+    default:
+      console.log('Unhandled gateway event:', { type, reference });
+      return { handled: false, reason: 'unhandled_event' };
+  }
+}
+
+module.exports = {
+  findTransactionOrders,
+  confirmTransactionPayment,
+  failTransactionPayment,
+  refundTransactionPayment,
+  handleGatewayEvent,
+};
@@ -0,0 +1,188 @@
+const { PrismaClient } = require('@prisma/client');
+const { normalizePhone } = require('../utils/validation');
+const { signPrescriptionCode } = require('../utils/prescriptionCodes');
+const { sendEPrescriptionNotification } = require('../utils/notifications');
+const { defaultValidUntil, isExpired, itemAllowance } = require('../utils/prescriptionUsage');
+const prisma = new PrismaClient();
+
+const prescriptionInclude = {
+  prescriptionItems: {
+    include: { service: { select: { id: true, name: true, type: true, genericName: true, dosage: true, form: true } } },
+  },
+  orders: { select: { id: true, status: true, provider: { select: { name: true } } } },
+};
+
+function formatEPrescription(prescription) {
+  return {
+    id: prescription.id,
+    code: prescription.redeemCode,
+    status: prescription.status,
+    validUntil: prescription.validUntil,
+    expired: isExpired(prescription),
+    patient: { name: prescription.patientName, phone: prescription.phone, email: prescription.email },
+    referringPhysicianName: prescription.referringPhysicianName,
+    diagnosis: prescription.diagnosis,
+    notes: prescription.notes,
+    createdAt: prescription.createdAt,
+    redeemedAt: prescription.redeemedAt,
+    items: prescription.prescriptionItems.map(item => ({
+      serviceId: item.serviceId,
+      name: item.service.name,
+      type: item.service.type,
+      genericName: item.service.genericName,
+      dosage: item.service.dosage,
+      form: item.service.form,
+      quantity: item.quantity,
+      refillsAllowed: item.refillsAllowed,
+      instructions: item.instructions,
+      allowance: itemAllowance(item),
+    })),
+    orders: (prescription.orders || []).map(order => ({ id: order.id, status: order.status, provider: order.provider?.name })),
+  };
+}
+
+async function findPrescriberOrFail(prescriberId) {
+  const prescriber = await prisma.prescriber.findUnique({ where: { id: prescriberId } });
+  if (!prescriber) {
+    const error = new Error('Prescriber not found');
+    error.status = 404;
+    throw error;
+  }
+  return prescriber;
+}
+
+async function getProfile(prescriberId) {
+  const prescriber = await findPrescriberOrFail(prescriberId);
+  return {
+    id: prescriber.id,
+    name: prescriber.name,
+    email: prescriber.email,
+    phone: prescriber.phone,
+    licenseNumber: prescriber.licenseNumber,
+    licenseBody: prescriber.licenseBody,
+    specialty: prescriber.specialty,
+    practiceName: prescriber.practiceName,
+    status: prescriber.status,
+    verifiedAt: prescriber.verifiedAt,
+  };
+}
+
+// E-prescriptions are written by a verified clinician, so they skip the upload-and-transcribe queue and
+// are verified from the start. Until the patient redeems the code they are filed under the patient's
+// phone or email rather than a guest ID.
+async function createEPrescription(prescriberId, { patientName, patientPhone, patientEmail, diagnosis, notes, validUntil, items }) {
+  const prescriber = await findPrescriberOrFail(prescriberId);
+  if (prescriber.status !== 'verified') {
+    const error = new Error(prescriber.status === 'pending'
+      ? 'Your licence has not been verified yet'
+      : 'This prescriber account is suspended');
+    error.status = 403;
+    throw error;
+  }
+
+  const serviceIds = [...new Set(items.map(item => item.serviceId))];
+  if (serviceIds.length !== items.length) {
+    const error = new Error('Each service can only be prescribed once per prescription');
+    error.status = 400;
+    throw error;
+  }
+  const services = await prisma.service.findMany({ where: { id: { in: serviceIds } }, select: { id: true } });
+  const missing = serviceIds.filter(id => !services.some(service => service.id === id));
+  if (missing.length > 0) {
+    const error = new Error(`Service ${missing.join(', ')} not found`);
+    error.status = 400;
+    throw error;
+  }
+
+  const phone = patientPhone ? normalizePhone(patientPhone) : null;
+  const email = patientEmail ? patientEmail.toLowerCase() : null;
+  const now = new Date();
+  const prescription = await prisma.$transaction(async (tx) => {
+    const created = await tx.prescription.create({
+      data: {
+        patientIdentifier: phone || email,
+        source: 'electronic',
+        status: 'verified',
+        verified: true,
+        verifiedAt: now,
+        email,
+        phone,
+        patientName: patientName || null,
+        referringPhysicianName: prescriber.name,
+        prescriberId: prescriber.id,
+        diagnosis: diagnosis || null,
+        notes: notes || null,
+        validUntil: validUntil || defaultValidUntil(now),
+        createdAt: now,
+        prescriptionItems: {
+          create: items.map(item => ({
+            serviceId: item.serviceId,
+            quantity: item.quantity || 1,
+            refillsAllowed: item.refillsAllowed || 0,
+            instructions: item.instructions || null,
+          })),
+        },
+      },
+    });
+    return tx.prescription.update({
+      where: { id: created.id },
+      data: { redeemCode: signPrescriptionCode(created.id) },
+      include: prescriptionInclude,
+    });
+  });
+
+  try {
+    await sendEPrescriptionNotification({
+      prescription,
+      prescriber,
+      services: prescription.prescriptionItems.map(item => item.service),
+    });
+  } catch (error) {
+    console.error('E-prescription notification failed:', { prescriptionId: prescription.id, message: error.message });
+  }
+
+  console.log('E-prescription issued:', { prescriptionId: prescription.id, prescriberId, items: serviceIds.length });
+  return formatEPrescription(prescription);
+}
+
+async function fetchPrescriptions(prescriberId, { page, limit, redeemed }) {
+  const skip = (page - 1) * limit;
+  const where = {
+    prescriberId,
+    ...(redeemed !== undefined && { redeemedAt: redeemed ? { not: null } : null }),
+  };
+  const [prescriptions, total] = await prisma.$transaction([
+    prisma.prescription.findMany({
+      where,
+      include: prescriptionInclude,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip,
+    }),
+    prisma.prescription.count({ where }),
+  ]);
+  return {
+    prescriptions: prescriptions.map(formatEPrescription),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+async function getPrescription(prescriberId, prescriptionId) {
+  const prescription = await prisma.prescription.findFirst({
+    where: { id: prescriptionId, prescriberId },
+    include: prescriptionInclude,
+  });
+  if (!prescription) {
+    const error = new Error('Prescription not found');
+    error.status = 404;
+    throw error;
+  }
+  return formatEPrescription(prescription);
+}
+
+module.exports = {
+  getProfile,
+  createEPrescription,
+  fetchPrescriptions,
+  getPrescription,
+};
@@ -0,0 +1,306 @@
+const { PrismaClient } = require('@prisma/client');
+const { verifyPrescription } = require('./prescriptionService');
+const { sendPrescriptionEscalation } = require('../utils/notifications');
+const prisma = new PrismaClient();
+
+// How long a pharmacist has to decide, from upload, before the prescription is escalated to the admins
+const REVIEW_SLA_MINUTES = {
+  stat: parseInt(process.env.PRESCRIPTION_SLA_STAT_MINUTES || '30', 10),
+  urgent: parseInt(process.env.PRESCRIPTION_SLA_URGENT_MINUTES || '120', 10),
+  routine: parseInt(process.env.PRESCRIPTION_SLA_ROUTINE_MINUTES || '720', 10),
+};
+// A claim locks the prescription to one pharmacist; it lapses so an abandoned review goes back to the queue
+const CLAIM_MINUTES = parseInt(process.env.PRESCRIPTION_CLAIM_MINUTES || '15', 10);
+
+const queueInclude = {
+  prescriptionItems: { include: { service: { select: { id: true, name: true, type: true, genericName: true, dosage: true, form: true } } } },
+  orders: {
+    select: {
+      id: true,
+      status: true,
+      trackingCode: true,
+      items: { select: { id: true, quantity: true, service: { select: { id: true, name: true, prescriptionRequired: true } } } },
+    },
+  },
+  claimedBy: { select: { id: true, name: true } },
+  reviews: {
+    select: { decision: true, rejectionCodes: true, rejectReason: true, notes: true, annotations: true, fileUrl: true, reviewerType: true, createdAt: true },
+    orderBy: { createdAt: 'desc' },
+  },
+};
+
+// A re-uploaded file restarts the clock
+function slaDueAt(prescription) {
+  const submittedAt = prescription.resubmittedAt || prescription.createdAt;
+  return new Date(submittedAt.getTime() + REVIEW_SLA_MINUTES[prescription.priority] * 60 * 1000);
+}
+
+// Waiting on the patient for a new file after a reviewer asked for one; no deadline runs meanwhile
+function awaitingReupload(prescription) {
+  const lastReview = prescription.reviews?.[0];
+  return lastReview?.decision === 'reupload_requested'
+    && !(prescription.resubmittedAt && prescription.resubmittedAt > lastReview.createdAt);
+}
+
+function activeClaim(prescription, now = new Date()) {
+  return prescription.claimedById && prescription.claimExpiresAt > now ? prescription : null;
+}
+
+function formatQueueEntry(prescription, userId) {
+  const now = new Date();
+  const dueAt = slaDueAt(prescription);
+  const claim = activeClaim(prescription, now);
+  return {
+    id: prescription.id,
+    status: prescription.status,
+    source: prescription.source,
+    priority: prescription.priority,
+    fileUrl: prescription.fileUrl,
+    patient: { name: prescription.patientName, email: prescription.email, phone: prescription.phone },
+    createdAt: prescription.createdAt,
+    resubmittedAt: prescription.resubmittedAt,
+    slaDueAt: dueAt,
+    minutesRemaining: Math.round((dueAt - now) / 60000),
+    overdue: dueAt <= now && !awaitingReupload(prescription),
+    awaitingReupload: awaitingReupload(prescription),
+    escalatedAt: prescription.escalatedAt,
+    claim: claim && {
+      userId: claim.claimedById,
+      name: claim.claimedBy?.name,
+      claimedAt: claim.claimedAt,
+      expiresAt: claim.claimExpiresAt,
+      mine: claim.claimedById === userId,
+    },
+    items: prescription.prescriptionItems.map(item => ({
+      serviceId: item.serviceId,
+      name: item.service.name,
+      type: item.service.type,
+      genericName: item.service.genericName,
+      dosage: item.service.dosage,
+      form: item.service.form,
+      quantity: item.quantity,
+      refillsAllowed: item.refillsAllowed,
+    })),
+    orders: prescription.orders.map(order => ({
+      id: order.id,
+      status: order.status,
+      trackingCode: order.trackingCode,
+      items: order.items.map(item => ({ itemId: item.id, name: item.service.name, quantity: item.quantity, prescriptionRequired: item.service.prescriptionRequired })),
+    })),
+    previousReviews: prescription.reviews || [],
+  };
+}
+
+// A provider reviews only prescriptions whose orders are all its own; one shared with another provider's
+// orders stays with the admins, since the decision would confirm or cancel both
+function queueWhere(providerId) {
+  return { orders: { some: { providerId }, every: { providerId } } };
+}
+
+async function findQueuedPrescriptionOrFail(providerId, prescriptionId) {
+  const prescription = await prisma.prescription.findFirst({
+    where: { id: prescriptionId, ...queueWhere(providerId) },
+    include: queueInclude,
+  });
+  if (!prescription) {
+    const error = new Error('Prescription not found');
+    error.status = 404;
+    throw error;
+  }
+  return prescription;
+}
+
+function assertPending(prescription) {
+  if (prescription.status !== 'pending') {
+    const error = new Error(`Prescription is already ${prescription.status}`);
+    error.status = 409;
+    throw error;
+  }
+}
+
+// Decisions are recorded against the pharmacist's licence, so one has to be on file
+async function findLicensedReviewerOrFail(userId) {
+  const user = await prisma.providerUser.findUnique({
+    where: { id: userId },
+    select: { id: true, name: true, licenseNumber: true, licenseBody: true },
+  });
+  if (!user?.licenseNumber) {
+    const error = new Error('Add your pharmacist licence number to your profile before reviewing prescriptions');
+    error.status = 403;
+    throw error;
+  }
+  return user;
+}
+
+// Stat first, then urgent, then routine (the enum's declared order); oldest first within each
+async function fetchQueue(providerId, userId, { page, limit, priority, claim, status }) {
+  const skip = (page - 1) * limit;
+  const now = new Date();
+  const unclaimed = { OR: [{ claimedById: null }, { claimExpiresAt: { lte: now } }] };
+  const where = {
+    ...queueWhere(providerId),
+    status: status || 'pending',
+    ...(priority && { priority }),
+    ...(claim === 'mine' && { claimedById: userId, claimExpiresAt: { gt: now } }),
+    ...(claim === 'unclaimed' && unclaimed),
+  };
+  const [prescriptions, total] = await prisma.$transaction([
+    prisma.prescription.findMany({
+      where,
+      include: queueInclude,
+      orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
+      take: limit,
+      skip,
+    }),
+    prisma.prescription.count({ where }),
+  ]);
+  return {
+    prescriptions: prescriptions.map(prescription => formatQueueEntry(prescription, userId)),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+// Claiming is a single conditional update, so two pharmacists opening the same prescription can't both
+// get it. Claiming again while holding it extends the lock.
+async function claimPrescription(providerId, userId, prescriptionId) {
+  const prescription = await findQueuedPrescriptionOrFail(providerId, prescriptionId);
+  assertPending(prescription);
+  await findLicensedReviewerOrFail(userId);
+
+  const now = new Date();
+  const { count } = await prisma.prescription.updateMany({
+    where: {
+      id: prescriptionId,
+      status: 'pending',
+      OR: [{ claimedById: null }, { claimExpiresAt: { lte: now } }, { claimedById: userId }],
+    },
+    data: {
+      claimedById: userId,
+      claimedAt: activeClaim(prescription, now)?.claimedById === userId ? prescription.claimedAt : now,
+      claimExpiresAt: new Date(now.getTime() + CLAIM_MINUTES * 60 * 1000),
+    },
+  });
+  if (count === 0) {
+    const current = await findQueuedPrescriptionOrFail(providerId, prescriptionId);
+    assertPending(current);
+    const error = new Error(`${current.claimedBy?.name || 'Another pharmacist'} is reviewing this prescription`);
+    error.status = 409;
+    throw error;
+  }
+
+  console.log('Prescription claimed:', { prescriptionId, providerId, userId });
+  return formatQueueEntry(await findQueuedPrescriptionOrFail(providerId, prescriptionId), userId);
+}
+
+// Pharmacists release their own claims; a manager can release anyone's
+async function releasePrescription(providerId, user, prescriptionId) {
+  const prescription = await findQueuedPrescriptionOrFail(providerId, prescriptionId);
+  const claim = activeClaim(prescription);
+  if (!claim) {
+    const error = new Error('This prescription is not claimed');
+    error.status = 400;
+    throw error;
+  }
+  if (claim.claimedById !== user.userId && user.role !== 'manager') {
+    const error = new Error('This prescription is claimed by someone else');
+    error.status = 403;
+    throw error;
+  }
+
+  const updated = await prisma.prescription.update({
+    where: { id: prescriptionId },
+    data: { claimedById: null, claimedAt: null, claimExpiresAt: null },
+    include: queueInclude,
+  });
+  console.log('Prescription released:', { prescriptionId, providerId, userId: user.userId, claimedById: claim.claimedById });
+  return formatQueueEntry(updated, user.userId);
+}
+
+async function setPriority(providerId, userId, prescriptionId, priority) {
+  const prescription = await findQueuedPrescriptionOrFail(providerId, prescriptionId);
+  assertPending(prescription);
+  const updated = await prisma.prescription.update({
+    where: { id: prescriptionId },
+    data: { priority },
+    include: queueInclude,
+  });
+  console.log('Prescription priority set:', { prescriptionId, providerId, userId, priority });
+  return formatQueueEntry(updated, userId);
+}
+
+// The reviewer must hold the claim; the decision then confirms or cancels the orders exactly as an
+// admin verification would, recorded against the pharmacist and their licence
+async function reviewPrescription(providerId, userId, prescriptionId, { status, rejectReason, validUntil, rejectionCodes, notes, annotations }) {
+  const prescription = await findQueuedPrescriptionOrFail(providerId, prescriptionId);
+  assertPending(prescription);
+  if (activeClaim(prescription)?.claimedById !== userId) {
+    const error = new Error('Claim this prescription before reviewing it');
+    error.status = 409;
+    throw error;
+  }
+  const reviewer = await findLicensedReviewerOrFail(userId);
+
+  const updated = await verifyPrescription(prescriptionId, status, rejectReason, {
+    validUntil,
+    rejectionCodes,
+    notes,
+    annotations,
+    reviewer: { userId, licenseNumber: reviewer.licenseNumber, licenseBody: reviewer.licenseBody },
+  });
+  console.log('Prescription reviewed by pharmacist:', { prescriptionId, providerId, userId, status, licenseNumber: reviewer.licenseNumber });
+  return updated;
+}
+
+// Flags pending prescriptions that are past their deadline and emails the admins once per prescription.
+// They stay in the provider's queue, so either side can still decide.
+async function escalateOverduePrescriptions() {
+  const now = new Date();
+  const earliestDue = new Date(now.getTime() - Math.min(...Object.values(REVIEW_SLA_MINUTES)) * 60 * 1000);
+  const candidates = await prisma.prescription.findMany({
+    where: { status: 'pending', escalatedAt: null, createdAt: { lte: earliestDue } },
+    select: {
+      id: true,
+      priority: true,
+      createdAt: true,
+      resubmittedAt: true,
+      orders: { select: { provider: { select: { name: true } } } },
+      reviews: { select: { decision: true, createdAt: true }, orderBy: { createdAt: 'desc' }, take: 1 },
+    },
+  });
+  const overdue = candidates.filter(prescription => slaDueAt(prescription) <= now && !awaitingReupload(prescription));
+  if (overdue.length === 0) return 0;
+
+  await prisma.prescription.updateMany({
+    where: { id: { in: overdue.map(prescription => prescription.id) }, escalatedAt: null },
+    data: { escalatedAt: now },
+  });
+
+  const admins = await prisma.adminUser.findMany({ where: { role: 'admin' }, select: { email: true } });
+  try {
+    await sendPrescriptionEscalation({
+      admins,
+      prescriptions: overdue.map(prescription => ({
+        id: prescription.id,
+        priority: prescription.priority,
+        slaDueAt: slaDueAt(prescription),
+        providerName: [...new Set(prescription.orders.map(order => order.provider?.name).filter(Boolean))].join(', ') || 'no provider',
+      })),
+    });
+  } catch (error) {
+    console.error('Prescription escalation notification failed:', { count: overdue.length, message: error.message });
+  }
+
+  console.log('Prescriptions escalated:', { count: overdue.length, ids: overdue.map(prescription => prescription.id) });
+  return overdue.length;
+}
+
+module.exports = {
+  REVIEW_SLA_MINUTES,
+  slaDueAt,
+  fetchQueue,
+  claimPrescription,
+  releasePrescription,
+  setPriority,
+  reviewPrescription,
+  escalateOverduePrescriptions,
+};
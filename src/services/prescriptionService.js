@@ -2,8 +2,15 @@ const { PrismaClient } = require('@prisma/client');
 const { normalizePhone } = require('../utils/validation');
 const { sendVerificationNotification } = require('../utils/notifications');
 const { formatServiceDisplayName } = require('../utils/serviceUtils');
+const refundService = require('./refundService');
+const settlementService = require('./settlementService');
+const { transitionOrderStatus } = require('../utils/orderStateMachine');
+const { verifyPrescriptionCode } = require('../utils/prescriptionCodes');
+const { defaultValidUntil, isExpired, itemAllowance, serviceUsability } = require('../utils/prescriptionUsage');
 const prisma = new PrismaClient();
 
+const REVIEW_DECISIONS = ['verified', 'rejected', 'reupload_requested'];
+
 async function uploadPrescription({ patientIdentifier, email, phone, fileUrl, orderId, itemIds, type, crossService }) {
   if (!patientIdentifier || !fileUrl || !orderId) {
     throw new Error('Patient identifier, file URL, and order ID are required');
@@ -59,10 +66,7 @@ async function uploadPrescription({ patientIdentifier, email, phone, fileUrl, or
       });
     }
 
-    await tx.order.update({
-      where: { id: Number(orderId) },
-      data: { status: 'pending_prescription' },
-    });
+    await transitionOrderStatus(Number(orderId), 'pending_prescription', { actorType: 'patient', reason: 'Prescription uploaded' }, tx);
 
     return createdPrescription;
   });
@@ -85,18 +89,19 @@ async function addServices(prescriptionId, services) {
   const result = await prisma.$transaction(async (tx) => {
     const prescriptionServices = [];
     for (const service of services) {
-      const { serviceId, quantity } = service;
+      const { serviceId, quantity, refillsAllowed } = service;
       const serviceRecord = await tx.service.findUnique({
         where: { id: Number(serviceId) },
       });
       if (!serviceRecord) {
         throw new Error(`Service ${serviceId} not found`);
       }
-      const prescriptionService = await tx.prescriptionService.create({
+      const prescriptionService = await tx.prescriptionItem.create({
         data: {
           prescriptionId,
           serviceId: Number(serviceId),
           quantity: quantity || 1, // Default to 1 for diagnostics
+          refillsAllowed: refillsAllowed || 0,
         },
       });
       prescriptionServices.push(prescriptionService);
@@ -108,11 +113,14 @@ async function addServices(prescriptionId, services) {
   return result;
 }
 
-async function verifyPrescription(prescriptionId, status, rejectReason) {
+// Decisions come from an admin or, through the provider queue, from a licensed pharmacist (`reviewer`).
+// Every decision is kept as a PrescriptionReview alongside the file it was made on, so a later re-review
+// doesn't lose what earlier reviewers saw. Asking for a re-upload leaves the prescription pending.
+async function verifyPrescription(prescriptionId, status, rejectReason, { adminId, reviewer, validUntil, rejectionCodes, notes, annotations } = {}) {
   if (!prescriptionId || isNaN(parseInt(prescriptionId))) {
     throw new Error('Invalid prescription ID');
   }
-  if (!['pending', 'verified', 'rejected'].includes(status)) {
+  if (!['pending', ...REVIEW_DECISIONS].includes(status)) {
     throw new Error('Invalid status value');
   }
   if (status === 'rejected' && !rejectReason) {
@@ -144,69 +152,154 @@ async function verifyPrescription(prescriptionId, status, rejectReason) {
     throw new Error('Prescription is already processed');
   }
 
+  const actor = reviewer
+    ? { actorType: 'provider_user', actorId: reviewer.userId }
+    : { actorType: adminId ? 'admin' : 'system', actorId: adminId || null };
+  const reuploadRequested = status === 'reupload_requested';
+  // Orders paid for while waiting on the prescription were left unpaid until it was checked
+  const paymentReferences = prescription.orders.map(order => order.paymentReference).filter(Boolean);
+  const paidReferences = status === 'verified' && paymentReferences.length
+    ? new Set((await prisma.transactionReference.findMany({
+      where: { status: 'success', orderReferences: { hasSome: paymentReferences } },
+      select: { orderReferences: true },
+    })).flatMap(ref => ref.orderReferences))
+    : new Set();
+  const movedOrderIds = [];
   const updatedPrescription = await prisma.$transaction(async (tx) => {
-    const prescriptionUpdate = await tx.prescription.update({
-      where: { id: parseInt(prescriptionId) },
+    // Conditional on the prescription still being pending (and, for a pharmacist, still claimed by them),
+    // so two reviewers deciding at once can't both confirm or cancel its orders
+    const { count } = await tx.prescription.updateMany({
+      where: {
+        id: parseInt(prescriptionId),
+        status: 'pending',
+        ...(reviewer && { claimedById: reviewer.userId, claimExpiresAt: { gt: new Date() } }),
+      },
       data: {
-        status,
-        verified: status === 'verified',
-        rejectReason: status === 'rejected' ? rejectReason : null,
+        ...(!reuploadRequested && {
+          status,
+          verified: status === 'verified',
+          // Verified prescriptions are good for the reviewer's date, or the platform default from today
+          ...(status === 'verified' && { verifiedAt: new Date(), validUntil: validUntil || defaultValidUntil() }),
+          reviewedById: reviewer?.userId || null,
+          reviewerLicenseNumber: reviewer?.licenseNumber || null,
+          reviewerLicenseBody: reviewer?.licenseBody || null,
+        }),
+        rejectReason: status === 'verified' || status === 'pending' ? null : rejectReason || null,
+        claimedById: null,
+        claimedAt: null,
+        claimExpiresAt: null,
       },
     });
+    if (count === 0) {
+      const error = new Error(reviewer ? 'Prescription is already processed or your claim has lapsed' : 'Prescription is already processed');
+      error.status = 409;
+      throw error;
+    }
+    const prescriptionUpdate = await tx.prescription.findUnique({ where: { id: parseInt(prescriptionId) } });
 
-    if (prescription.orders && prescription.orders.length > 0) {
-      if (status === 'rejected') {
-        for (const order of prescription.orders) {
-          await tx.order.update({
-            where: { id: order.id },
-            data: {
-              status: 'cancelled',
-              cancelReason: 'Prescription rejected',
-              cancelledAt: new Date(),
-            },
-          });
-
-          for (const item of order.items) {
-            if (item.providerService.service.type === 'medication') {
-              await tx.providerService.update({
-                where: {
-                  providerId_serviceId: {
-                    providerId: item.providerId,
-                    serviceId: item.serviceId,
-                  },
-                },
-                data: {
-                  stock: { increment: item.quantity },
-                },
-              });
-            }
-          }
-        }
-      } else if (status === 'verified') {
-        for (const order of prescription.orders) {
-          await tx.order.update({
-            where: { id: order.id },
-            data: {
-              status: 'confirmed',
-            },
-          });
+    if (REVIEW_DECISIONS.includes(status)) {
+      await tx.prescriptionReview.create({
+        data: {
+          prescriptionId: prescription.id,
+          decision: status,
+          rejectionCodes: status === 'verified' ? [] : (rejectionCodes?.length ? rejectionCodes : ['other']),
+          rejectReason: status === 'verified' ? null : rejectReason || null,
+          notes: notes || null,
+          ...(annotations?.length && { annotations }),
+          fileUrl: prescription.fileUrl,
+          reviewerType: actor.actorType,
+          adminUserId: adminId || null,
+          providerUserId: reviewer?.userId || null,
+          reviewerLicenseNumber: reviewer?.licenseNumber || null,
+          reviewerLicenseBody: reviewer?.licenseBody || null,
+        },
+      });
+    }
+
+    // Only orders still waiting on the prescription move; ones the timed-out cleanup has cancelled (or
+    // that have moved on some other way) are left as they are. Locked so the cleanup can't cancel one
+    // under us.
+    const orderIds = prescription.orders.map(order => order.id);
+    if ((status === 'verified' || status === 'rejected') && orderIds.length > 0) {
+      const waiting = await tx.$queryRaw`
+        SELECT id FROM "Order"
+        WHERE id = ANY(${orderIds}) AND status = 'pending_prescription'
+        ORDER BY id
+        FOR UPDATE
+      `;
+      for (const { id } of waiting) {
+        const order = prescription.orders.find(o => o.id === id);
+        if (status === 'rejected') {
+          await transitionOrderStatus(id, 'cancelled', { ...actor, reason: 'Prescription rejected' }, tx);
+        } else if (paidReferences.has(order.paymentReference)) {
+          await transitionOrderStatus(id, 'confirmed', { ...actor, reason: 'Prescription verified', data: { paymentStatus: 'paid' } }, tx);
+        } else {
+          // Not paid for yet: it goes on to payment, and is confirmed (and its stock taken) once paid
+          await transitionOrderStatus(id, 'pending', { ...actor, reason: 'Prescription verified, awaiting payment' }, tx);
         }
+        movedOrderIds.push(id);
       }
     }
 
     return prescriptionUpdate;
   });
 
+  // Ledger entries are keyed per order, so a failure here can be repaired by re-running it
+  if (status === 'verified' && paidReferences.size) {
+    try {
+      await settlementService.recordOrderSettlement(movedOrderIds);
+    } catch (error) {
+      console.error('Settlement ledger error:', { prescriptionId: prescription.id, message: error.message });
+    }
+  }
+
+  // Return whatever was already paid for orders cancelled by the rejection
+  if (status === 'rejected') {
+    for (const orderId of movedOrderIds) {
+      try {
+        await refundService.refundCancelledOrder(orderId, 'Prescription rejected', 'system');
+      } catch (error) {
+        console.error('Refund for rejected prescription failed:', { orderId, message: error.message });
+      }
+    }
+  }
+
   if (prescription.orders && prescription.orders.length > 0) {
     for (const order of prescription.orders) {
       await sendVerificationNotification(updatedPrescription, status, order);
     }
   }
 
-  console.log('Prescription updated:', { prescriptionId: updatedPrescription.id, status });
+  console.log('Prescription updated:', { prescriptionId: updatedPrescription.id, status, rejectionCodes });
   return updatedPrescription;
 }
 
+// The patient answers a re-upload request with a new file on the same prescription; the clock for
+// review starts again from the new file
+async function resubmitPrescription({ prescriptionId, patientIdentifier, fileUrl }) {
+  const prescription = await prisma.prescription.findFirst({
+    where: { id: prescriptionId, patientIdentifier },
+    include: { reviews: { orderBy: { createdAt: 'desc' }, take: 1 } },
+  });
+  if (!prescription) {
+    const error = new Error('Prescription not found');
+    error.status = 404;
+    throw error;
+  }
+  if (prescription.status !== 'pending' || prescription.reviews[0]?.decision !== 'reupload_requested') {
+    const error = new Error('This prescription is not waiting for a new upload');
+    error.status = 400;
+    throw error;
+  }
+
+  const updated = await prisma.prescription.update({
+    where: { id: prescription.id },
+    data: { fileUrl, resubmittedAt: new Date(), escalatedAt: null, rejectReason: null },
+  });
+  console.log('Prescription resubmitted:', { prescriptionId: prescription.id, patientIdentifier });
+  return updated;
+}
+
 async function getGuestOrder({ patientIdentifier, lat, lng, radius }) {
   if (!patientIdentifier) {
     throw new Error('Patient identifier is required');
@@ -232,6 +325,7 @@ async function getGuestOrder({ patientIdentifier, lat, lng, radius }) {
           },
         },
       },
+      reviews: { select: { decision: true, rejectionCodes: true, rejectReason: true, createdAt: true }, orderBy: { createdAt: 'desc' }, take: 1 },
     },
   });
 
@@ -240,6 +334,8 @@ async function getGuestOrder({ patientIdentifier, lat, lng, radius }) {
   }
 
   if (prescription.status === 'pending') {
+    // Lets the patient see that the reviewer wants a clearer copy, and why
+    const lastReview = prescription.reviews[0];
     return {
       services: [],
       prescriptionId: prescription.id,
@@ -247,9 +343,11 @@ async function getGuestOrder({ patientIdentifier, lat, lng, radius }) {
       orderStatus: null,
       prescriptionMetadata: {
         id: prescription.id,
-        uploadedAt: prescription.createdAt,
+        uploadedAt: prescription.resubmittedAt || prescription.createdAt,
         status: prescription.status,
         fileUrl: prescription.fileUrl,
+        reuploadRequested: lastReview?.decision === 'reupload_requested' && !(prescription.resubmittedAt > lastReview.createdAt),
+        ...(lastReview?.decision === 'reupload_requested' && { reviewReason: lastReview.rejectReason, rejectionCodes: lastReview.rejectionCodes }),
       },
     };
   }
@@ -352,6 +450,8 @@ async function getGuestOrder({ patientIdentifier, lat, lng, radius }) {
       uploadedAt: prescription.createdAt,
       status: prescription.status,
       fileUrl: prescription.fileUrl,
+      source: prescription.source,
+      referringPhysicianName: prescription.referringPhysicianName,
     },
   };
 }
@@ -371,44 +471,38 @@ async function getPrescriptionStatuses({ patientIdentifier, serviceIds }) {
       return Object.fromEntries(serviceIds.map(id => [id, 'none']));
     }
 
-// Fetch the latest prescription for the patient
-const prescription = await prisma.prescription.findFirst({
-  where: {
-    patientIdentifier,
-    status: { in: ['pending', 'verified'] },
-  },
-  orderBy: { createdAt: 'desc' },
-  include: {
-    prescriptionItems: {
-      include: {
-        service: {
-          select: { id: true },
-        },
+    // A service is 'verified' while some prescription still covers it; otherwise a prescription awaiting
+    // review makes it 'pending', and one that covered it but has lapsed or run out says why
+    const prescriptions = await prisma.prescription.findMany({
+      where: {
+        patientIdentifier,
+        status: { in: ['pending', 'verified'] },
       },
-    },
-  },
-});
-
+      orderBy: { createdAt: 'desc' },
+      include: { prescriptionItems: true },
+    });
 
-    // Initialize statuses as 'none' for all requested serviceIds
     const statuses = Object.fromEntries(
       validServiceIds.map(id => [id, 'none'])
     );
 
-    if (!prescription) {
+    if (prescriptions.length === 0) {
       console.log('No prescription found for patient:', { patientIdentifier });
       return statuses;
     }
 
-    // Map serviceIds covered by the prescription
-    const coveredServiceIds = prescription.prescriptionItems
-    .map(item => item.service.id.toString());
-
-
+    const precedence = ['verified', 'pending', 'exhausted', 'expired'];
     for (const serviceId of validServiceIds) {
-      if (coveredServiceIds.includes(serviceId)) {
-        statuses[serviceId] = prescription.status; // 'verified' or 'pending'
-      }
+      const found = prescriptions
+        .map(prescription => {
+          const usability = serviceUsability(prescription, serviceId);
+          if (!usability) return null;
+          if (prescription.status === 'pending') return 'pending';
+          return usability === 'usable' ? 'verified' : usability;
+        })
+        .filter(Boolean);
+      const best = precedence.find(status => found.includes(status));
+      if (best) statuses[serviceId] = best;
     }
 
     console.log('Prescription statuses retrieved:', { patientIdentifier, statuses });
@@ -419,10 +513,72 @@ const prescription = await prisma.prescription.findFirst({
   }
 }
 
+// Moves an e-prescription onto the patient's guest ID. The patient has to give the phone number or
+// email the prescriber wrote it for, so a code on its own is not enough to claim someone else's
+// prescription. Redeeming the same code again from the same patient is a no-op.
+async function redeemPrescription({ code, patientIdentifier, email, phone }, tx = prisma) {
+  const prescriptionId = verifyPrescriptionCode(code);
+  const prescription = prescriptionId && await tx.prescription.findUnique({
+    where: { id: prescriptionId },
+    include: { prescriptionItems: true },
+  });
+  if (!prescription || prescription.source !== 'electronic' || prescription.redeemCode !== String(code).trim().toUpperCase()) {
+    const error = new Error('Invalid prescription code');
+    error.status = 400;
+    throw error;
+  }
+  if (prescription.status !== 'verified') {
+    const error = new Error('This prescription is no longer valid');
+    error.status = 400;
+    throw error;
+  }
+  if (isExpired(prescription) || prescription.prescriptionItems.every(item => itemAllowance(item).exhausted)) {
+    const error = new Error(isExpired(prescription) ? 'This prescription has expired' : 'This prescription has been fully dispensed');
+    error.status = 400;
+    throw error;
+  }
+
+  const normalizedPhone = phone ? normalizePhone(phone) : null;
+  const contactMatches = (normalizedPhone && normalizedPhone === prescription.phone)
+    || (email && prescription.email && email.toLowerCase() === prescription.email);
+  if (!contactMatches) {
+    const error = new Error('The phone number or email does not match the one on the prescription');
+    error.status = 403;
+    throw error;
+  }
+
+  if (prescription.redeemedAt) {
+    if (prescription.patientIdentifier === patientIdentifier) return prescription;
+    const error = new Error('This prescription code has already been used');
+    error.status = 409;
+    throw error;
+  }
+
+  // Conditional on nobody having redeemed it since it was read, so two patients can't both claim the code
+  const { count } = await tx.prescription.updateMany({
+    where: { id: prescription.id, redeemedAt: null },
+    data: { patientIdentifier, redeemedAt: new Date() },
+  });
+  const redeemed = await tx.prescription.findUnique({
+    where: { id: prescription.id },
+    include: { prescriptionItems: true },
+  });
+  if (count === 0) {
+    if (redeemed.patientIdentifier === patientIdentifier) return redeemed;
+    const error = new Error('This prescription code has already been used');
+    error.status = 409;
+    throw error;
+  }
+  console.log('E-prescription redeemed:', { prescriptionId: prescription.id, patientIdentifier });
+  return redeemed;
+}
+
 module.exports = {
+  redeemPrescription,
   uploadPrescription,
   addServices,
   verifyPrescription,
+  resubmitPrescription,
   getGuestOrder,
   getPrescriptionStatuses,
 };
\ No newline at end of file
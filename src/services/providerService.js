@@ -1,4 +1,11 @@
 const { PrismaClient } = require('@prisma/client');
+const refundService = require('./refundService');
+const inventoryAlertService = require('./inventoryAlertService');
+const { transitionOrderStatus } = require('../utils/orderStateMachine');
+const { syncBatchDates } = require('../utils/stockBatches');
+const { recordStockMovement } = require('../utils/stockMovements');
+const { DEFAULT_SLOT_MINUTES, DEFAULT_SLOT_CAPACITY, DEFAULT_APPOINTMENT_CUTOFF_HOURS } = require('../utils/slotCapacity');
+const { DELIVERY_DEFAULTS, getDeliveryPricing } = require('../utils/deliveryFees');
 const prisma = new PrismaClient();
 
 async function fetchOrders(providerId) {
@@ -32,6 +39,9 @@ async function fetchOrders(providerId) {
           id: true,
           quantity: true,
           price: true,
+          batches: {
+            select: { quantity: true, batch: { select: { id: true, batchNumber: true, expiryDate: true } } },
+          },
           providerService: {
             select: {
               service: { select: { name: true, type: true } },
@@ -68,18 +78,28 @@ async function fetchOrders(providerId) {
         },
         quantity: item.quantity,
         price: item.price,
+        batches: item.batches.map(b => ({
+          batchId: b.batch.id,
+          batchNumber: b.batch.batchNumber,
+          expiryDate: b.batch.expiryDate,
+          quantity: b.quantity,
+        })),
       })),
   }));
 }
 
-async function updateOrderStatus(orderId, status, providerId) {
+// Statuses a provider may move an order to; the state machine decides which are legal from the current one
+const PROVIDER_SETTABLE_STATUSES = ['processing', 'shipped', 'delivered', 'ready_for_pickup', 'cancelled', 'sample_collected', 'result_ready', 'completed'];
+
+async function updateOrderStatus(orderId, status, providerId, { userId, reason } = {}) {
   if (!orderId || isNaN(parseInt(orderId)) || !providerId || isNaN(parseInt(providerId))) {
     throw new Error('Invalid order or provider ID');
   }
 
-  const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'ready_for_pickup', 'cancelled', 'sample_collected', 'result_ready', 'completed'];
-  if (!validStatuses.includes(status)) {
-    throw new Error('Invalid status value');
+  if (!PROVIDER_SETTABLE_STATUSES.includes(status)) {
+    const error = new Error('Invalid status value');
+    error.status = 400;
+    throw error;
   }
 
   const order = await prisma.order.findFirst({
@@ -96,23 +116,76 @@ async function updateOrderStatus(orderId, status, providerId) {
   });
   
   if (!order) {
-    throw new Error('Order not found for provider');
+    const error = new Error('Order not found for provider');
+    error.status = 404;
+    throw error;
   }
 
-  const updateData = { status, updatedAt: new Date() };
-  if (status === 'delivered' || status === 'ready_for_pickup' || status === 'completed') {
-    updateData.filledAt = new Date();
+  // Orders with a delivery move on through it: shipped when the rider sets off (which sends the
+  // patient's code) and delivered when the rider enters that code
+  if (['shipped', 'delivered'].includes(status) && await prisma.delivery.findUnique({ where: { orderId: order.id } })) {
+    const error = new Error(status === 'shipped'
+      ? 'Deliveries are marked shipped when the rider starts the delivery'
+      : "Deliveries are marked delivered by the rider with the patient's OTP");
+    error.status = 400;
+    throw error;
   }
 
-  const updatedOrder = await prisma.order.update({
-    where: { id: parseInt(orderId) },
-    data: updateData,
-  });
+  const updatedOrder = await prisma.$transaction(tx => transitionOrderStatus(order.id, status, {
+    actorType: 'provider_user',
+    actorId: userId || null,
+    reason: reason || (status === 'cancelled' ? 'Cancelled by provider' : null),
+  }, tx));
 
   console.log('Order status updated:', { orderId, status: updatedOrder.status, filledAt: updatedOrder.filledAt });
+
+  if (status === 'cancelled' && order.status !== 'cancelled') {
+    try {
+      await refundService.refundCancelledOrder(updatedOrder.id, 'Cancelled by provider', 'provider');
+    } catch (error) {
+      console.error('Refund for cancelled order failed:', { orderId, message: error.message });
+    }
+  }
+
   return updatedOrder;
 }
 
+// Partial fulfilment: the provider asks for items it could not supply to be refunded, pending admin approval
+async function requestItemRefund(orderId, orderItemIds, reason, providerId) {
+  const order = await prisma.order.findFirst({
+    where: {
+      id: orderId,
+      items: { some: { providerService: { providerId } } },
+    },
+    include: { items: { select: { id: true, providerId: true } } },
+  });
+  if (!order) {
+    const error = new Error('Order not found for provider');
+    error.status = 404;
+    throw error;
+  }
+  const foreignItem = orderItemIds.find((id) => !order.items.some((item) => item.id === id && item.providerId === providerId));
+  if (foreignItem) {
+    const error = new Error(`Order item ${foreignItem} does not belong to this provider's order`);
+    error.status = 400;
+    throw error;
+  }
+
+  return refundService.requestRefund({ orderId, orderItemIds, reason, requestedBy: 'provider' });
+}
+
+// Stock and expiry state shown next to each item; null for services without stock tracking
+function formatAlertState(state) {
+  if (!state || state.stock === null) return null;
+  return {
+    stock: state.stock,
+    expiry: state.expiry,
+    sellableStock: state.sellableStock,
+    nextExpiryDate: state.nextExpiryDate,
+    daysToExpiry: state.daysToExpiry,
+  };
+}
+
 async function fetchServices(providerId) {
   if (!providerId || isNaN(parseInt(providerId))) {
     throw new Error('Invalid provider ID');
@@ -123,6 +196,7 @@ async function fetchServices(providerId) {
     include: { service: true },
   });
   const allServices = await prisma.service.findMany();
+  const alertStates = await inventoryAlertService.getProviderAlertStates(parseInt(providerId));
 
   return {
     services: services.map(s => ({
@@ -135,6 +209,7 @@ async function fetchServices(providerId) {
       available: s.available,
       receivedDate: s.receivedDate,
       expiryDate: s.expiryDate,
+      alert: formatAlertState(alertStates.get(s.serviceId)),
     })),
     availableServices: allServices.map(s => ({
       id: s.id,
@@ -144,7 +219,7 @@ async function fetchServices(providerId) {
   };
 }
 
-async function addService({ providerId, serviceId, stock, price, available, receivedDate, expiryDate }) {
+async function addService({ providerId, serviceId, stock, price, available, receivedDate, expiryDate, userId }) {
   if (!providerId || isNaN(parseInt(providerId)) || !serviceId || isNaN(parseInt(serviceId))) {
     throw new Error('Invalid provider or service ID');
   }
@@ -159,17 +234,31 @@ async function addService({ providerId, serviceId, stock, price, available, rece
     throw new Error('Service already exists in provider inventory');
   }
 
-  const service = await prisma.providerService.create({
-    data: {
-      providerId: parseInt(providerId),
-      serviceId: parseInt(serviceId),
-      stock: stock ? parseInt(stock) : null,
-      price: parseFloat(price),
-      available: Boolean(available),
-      receivedDate: receivedDate ? new Date(receivedDate) : null,
-      expiryDate: expiryDate ? new Date(expiryDate) : null,
-    },
-    include: { service: true },
+  const service = await prisma.$transaction(async (tx) => {
+    const created = await tx.providerService.create({
+      data: {
+        providerId: parseInt(providerId),
+        serviceId: parseInt(serviceId),
+        stock: stock ? parseInt(stock) : null,
+        price: parseFloat(price),
+        available: Boolean(available),
+        receivedDate: receivedDate ? new Date(receivedDate) : null,
+        expiryDate: expiryDate ? new Date(expiryDate) : null,
+      },
+      include: { service: true },
+    });
+    if (created.stock) {
+      await recordStockMovement({
+        providerId: created.providerId,
+        serviceId: created.serviceId,
+        type: 'received',
+        quantity: created.stock,
+        stockChange: created.stock,
+        reason: 'Opening stock',
+        actor: { actorType: 'provider_user', actorId: userId },
+      }, tx);
+    }
+    return created;
   });
 
   console.log('Service added:', { providerId: service.providerId, serviceId: service.serviceId });
@@ -186,7 +275,7 @@ async function addService({ providerId, serviceId, stock, price, available, rece
   };
 }
 
-async function updateService({ providerId, serviceId, stock, price, available, receivedDate, expiryDate }) {
+async function updateService({ providerId, serviceId, stock, price, available, receivedDate, expiryDate, userId }) {
   if (!providerId || isNaN(parseInt(providerId)) || !serviceId || isNaN(parseInt(serviceId))) {
     throw new Error('Invalid provider or service ID');
   }
@@ -201,17 +290,42 @@ async function updateService({ providerId, serviceId, stock, price, available, r
   if (!service) {
     throw new Error('Service not found');
   }
+  if (stock !== undefined && stock !== null && stock !== service.stock) {
+    const batchCount = await prisma.stockBatch.count({
+      where: { providerId: parseInt(providerId), serviceId: parseInt(serviceId) },
+    });
+    if (batchCount > 0) {
+      const error = new Error('Stock for this service is managed through its batches');
+      error.status = 400;
+      throw error;
+    }
+  }
 
-  const updatedService = await prisma.providerService.update({
-    where: { providerId_serviceId: { providerId: parseInt(providerId), serviceId: parseInt(serviceId) } },
-    data: {
-      stock: stock !== undefined ? parseInt(stock) : service.stock,
-      price: parseFloat(price),
-      available: available !== undefined ? Boolean(available) : service.available,
-      receivedDate: receivedDate ? new Date(receivedDate) : service.receivedDate,
-      expiryDate: expiryDate ? new Date(expiryDate) : service.expiryDate,
-    },
-    include: { service: true },
+  const updatedService = await prisma.$transaction(async (tx) => {
+    const updated = await tx.providerService.update({
+      where: { providerId_serviceId: { providerId: parseInt(providerId), serviceId: parseInt(serviceId) } },
+      data: {
+        stock: stock !== undefined ? parseInt(stock) : service.stock,
+        price: parseFloat(price),
+        available: available !== undefined ? Boolean(available) : service.available,
+        receivedDate: receivedDate ? new Date(receivedDate) : service.receivedDate,
+        expiryDate: expiryDate ? new Date(expiryDate) : service.expiryDate,
+      },
+      include: { service: true },
+    });
+    const change = (updated.stock ?? 0) - (service.stock ?? 0);
+    if (change !== 0) {
+      await recordStockMovement({
+        providerId: updated.providerId,
+        serviceId: updated.serviceId,
+        type: 'adjustment',
+        quantity: change,
+        stockChange: change,
+        reason: 'Stock edited',
+        actor: { actorType: 'provider_user', actorId: userId },
+      }, tx);
+    }
+    return updated;
   });
 
   console.log('Service updated:', { providerId: updatedService.providerId, serviceId: updatedService.serviceId });
@@ -247,6 +361,308 @@ async function deleteService(providerId, serviceId) {
   console.log('Service deleted:', { providerId, serviceId });
 }
 
+function formatBatch(batch) {
+  return {
+    id: batch.id,
+    serviceId: batch.serviceId,
+    batchNumber: batch.batchNumber,
+    quantity: batch.quantity,
+    expiryDate: batch.expiryDate,
+    receivedDate: batch.receivedDate,
+    supplier: batch.supplier,
+    expired: batch.expiryDate <= new Date(),
+    createdAt: batch.createdAt,
+  };
+}
+
+async function findProviderServiceOrFail(providerId, serviceId, client = prisma) {
+  const providerServiceRecord = await client.providerService.findUnique({
+    where: { providerId_serviceId: { providerId, serviceId } },
+  });
+  if (!providerServiceRecord) {
+    const error = new Error('Service not found');
+    error.status = 404;
+    throw error;
+  }
+  return providerServiceRecord;
+}
+
+async function findBatchOrFail(providerId, serviceId, batchId, client = prisma) {
+  const batch = await client.stockBatch.findFirst({ where: { id: batchId, providerId, serviceId } });
+  if (!batch) {
+    const error = new Error('Batch not found');
+    error.status = 404;
+    throw error;
+  }
+  return batch;
+}
+
+// Batches in dispensing order: the next one out comes first
+async function fetchBatches(providerId, serviceId) {
+  await findProviderServiceOrFail(providerId, serviceId);
+  const batches = await prisma.stockBatch.findMany({
+    where: { providerId, serviceId },
+    orderBy: [{ expiryDate: 'asc' }, { id: 'asc' }],
+  });
+  return batches.map(formatBatch);
+}
+
+// Receiving a batch adds its quantity to the service's stock
+async function addBatch(providerId, serviceId, { batchNumber, quantity, expiryDate, receivedDate, supplier }, userId) {
+  const batch = await prisma.$transaction(async (tx) => {
+    const providerServiceRecord = await findProviderServiceOrFail(providerId, serviceId, tx);
+    const existing = await tx.stockBatch.findUnique({
+      where: { providerId_serviceId_batchNumber: { providerId, serviceId, batchNumber } },
+    });
+    if (existing) {
+      const error = new Error(`Batch ${batchNumber} already exists for this service`);
+      error.status = 409;
+      throw error;
+    }
+
+    const created = await tx.stockBatch.create({
+      data: {
+        providerId,
+        serviceId,
+        batchNumber,
+        quantity,
+        expiryDate: new Date(expiryDate),
+        receivedDate: receivedDate ? new Date(receivedDate) : new Date(),
+        supplier: supplier || null,
+      },
+    });
+    // Stock entered before batches were tracked stays part of the total
+    await tx.providerService.update({
+      where: { providerId_serviceId: { providerId, serviceId } },
+      data: { stock: providerServiceRecord.stock === null ? quantity : { increment: quantity } },
+    });
+    await syncBatchDates(providerId, serviceId, tx);
+    await recordStockMovement({
+      providerId,
+      serviceId,
+      batchId: created.id,
+      type: 'received',
+      quantity,
+      stockChange: quantity,
+      reason: supplier ? `Received from ${supplier}` : null,
+      actor: { actorType: 'provider_user', actorId: userId },
+    }, tx);
+    return created;
+  });
+
+  console.log('Stock batch added:', { providerId, serviceId, batchId: batch.id, quantity: batch.quantity });
+  return formatBatch(batch);
+}
+
+// Quantity changes (counts, write-offs) are applied to the service's stock as a difference
+async function updateBatch(providerId, serviceId, batchId, { quantity, expiryDate, receivedDate, supplier, reason }, userId) {
+  const batch = await prisma.$transaction(async (tx) => {
+    const current = await findBatchOrFail(providerId, serviceId, batchId, tx);
+    const updated = await tx.stockBatch.update({
+      where: { id: batchId },
+      data: {
+        ...(quantity !== undefined && { quantity }),
+        ...(expiryDate && { expiryDate: new Date(expiryDate) }),
+        ...(receivedDate && { receivedDate: new Date(receivedDate) }),
+        ...(supplier !== undefined && { supplier }),
+      },
+    });
+    const delta = updated.quantity - current.quantity;
+    if (delta !== 0) {
+      await tx.providerService.update({
+        where: { providerId_serviceId: { providerId, serviceId } },
+        data: { stock: { increment: delta } },
+      });
+      await recordStockMovement({
+        providerId,
+        serviceId,
+        batchId,
+        type: 'adjustment',
+        quantity: delta,
+        stockChange: delta,
+        reason: reason || 'Batch quantity corrected',
+        actor: { actorType: 'provider_user', actorId: userId },
+      }, tx);
+    }
+    await syncBatchDates(providerId, serviceId, tx);
+    return updated;
+  });
+
+  console.log('Stock batch updated:', { providerId, serviceId, batchId });
+  return formatBatch(batch);
+}
+
+// Batches that have been dispensed from are kept for recall tracing; zero their quantity instead
+async function deleteBatch(providerId, serviceId, batchId, userId) {
+  await prisma.$transaction(async (tx) => {
+    const batch = await findBatchOrFail(providerId, serviceId, batchId, tx);
+    const dispensed = await tx.orderItemBatch.count({ where: { batchId } });
+    if (dispensed > 0) {
+      const error = new Error('Batch has been dispensed from and cannot be deleted; set its quantity to 0 instead');
+      error.status = 400;
+      throw error;
+    }
+    await tx.stockBatch.delete({ where: { id: batchId } });
+    if (batch.quantity !== 0) {
+      await tx.providerService.update({
+        where: { providerId_serviceId: { providerId, serviceId } },
+        data: { stock: { decrement: batch.quantity } },
+      });
+      await recordStockMovement({
+        providerId,
+        serviceId,
+        type: 'adjustment',
+        quantity: batch.quantity,
+        stockChange: -batch.quantity,
+        reason: `Batch ${batch.batchNumber} deleted`,
+        actor: { actorType: 'provider_user', actorId: userId },
+      }, tx);
+    }
+    await syncBatchDates(providerId, serviceId, tx);
+  });
+
+  console.log('Stock batch deleted:', { providerId, serviceId, batchId });
+}
+
+// Takes expired or recalled stock off the shelf. The batch is kept (at a lower quantity) for recall tracing.
+async function writeOffBatch(providerId, serviceId, batchId, { type, quantity, reason }, userId) {
+  const batch = await prisma.$transaction(async (tx) => {
+    const current = await findBatchOrFail(providerId, serviceId, batchId, tx);
+    if (type === 'expired' && current.expiryDate > new Date()) {
+      const error = new Error('Batch has not expired yet');
+      error.status = 400;
+      throw error;
+    }
+    if (type === 'recall' && !current.recalledAt) {
+      const error = new Error('Batch is not under recall');
+      error.status = 400;
+      throw error;
+    }
+    const amount = quantity ?? current.quantity;
+    if (amount <= 0 || amount > current.quantity) {
+      const error = new Error(`Write-off quantity must be between 1 and ${current.quantity}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const updated = await tx.stockBatch.update({
+      where: { id: batchId },
+      data: { quantity: { decrement: amount } },
+    });
+    await tx.providerService.update({
+      where: { providerId_serviceId: { providerId, serviceId } },
+      data: { stock: { decrement: amount } },
+    });
+    await syncBatchDates(providerId, serviceId, tx);
+    await recordStockMovement({
+      providerId,
+      serviceId,
+      batchId,
+      type,
+      quantity: amount,
+      stockChange: -amount,
+      reason: reason || null,
+      actor: { actorType: 'provider_user', actorId: userId },
+    }, tx);
+    return updated;
+  });
+
+  console.log('Stock batch written off:', { providerId, serviceId, batchId, type, userId });
+  return formatBatch(batch);
+}
+
+const LAB_SERVICE_TYPES = ['diagnostic', 'diagnostic_package'];
+
+// Appointment settings for the provider and each lab service it offers; null means inherited
+async function fetchSlotSettings(providerId) {
+  const [provider, providerServices] = await Promise.all([
+    prisma.provider.findUnique({ where: { id: providerId }, select: { slotMinutes: true, slotCapacity: true, appointmentCutoffHours: true } }),
+    prisma.providerService.findMany({
+      where: { providerId, service: { type: { in: LAB_SERVICE_TYPES } } },
+      include: { service: { select: { name: true } } },
+      orderBy: { service: { name: 'asc' } },
+    }),
+  ]);
+  if (!provider) {
+    const error = new Error('Provider not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const defaults = {
+    slotMinutes: provider.slotMinutes ?? DEFAULT_SLOT_MINUTES,
+    slotCapacity: provider.slotCapacity ?? DEFAULT_SLOT_CAPACITY,
+  };
+  return {
+    defaults: {
+      ...defaults,
+      usingPlatformDefaults: { slotMinutes: provider.slotMinutes === null, slotCapacity: provider.slotCapacity === null },
+    },
+    appointmentCutoffHours: provider.appointmentCutoffHours ?? DEFAULT_APPOINTMENT_CUTOFF_HOURS,
+    services: providerServices.map(ps => ({
+      serviceId: ps.serviceId,
+      name: ps.service.name,
+      slotMinutes: ps.slotMinutes ?? defaults.slotMinutes,
+      slotCapacity: ps.slotCapacity ?? defaults.slotCapacity,
+      overrides: { slotMinutes: ps.slotMinutes, slotCapacity: ps.slotCapacity },
+    })),
+  };
+}
+
+async function updateSlotSettings(providerId, { slotMinutes, slotCapacity, appointmentCutoffHours }) {
+  await prisma.provider.update({
+    where: { id: providerId },
+    data: {
+      ...(slotMinutes !== undefined && { slotMinutes }),
+      ...(slotCapacity !== undefined && { slotCapacity }),
+      ...(appointmentCutoffHours !== undefined && { appointmentCutoffHours }),
+    },
+  });
+  console.log('Slot settings updated:', { providerId, slotMinutes, slotCapacity, appointmentCutoffHours });
+  return fetchSlotSettings(providerId);
+}
+
+async function updateServiceSlotSettings(providerId, serviceId, { slotMinutes, slotCapacity }) {
+  await findProviderServiceOrFail(providerId, serviceId);
+  await prisma.providerService.update({
+    where: { providerId_serviceId: { providerId, serviceId } },
+    data: {
+      ...(slotMinutes !== undefined && { slotMinutes }),
+      ...(slotCapacity !== undefined && { slotCapacity }),
+    },
+  });
+  console.log('Service slot settings updated:', { providerId, serviceId, slotMinutes, slotCapacity });
+  return fetchSlotSettings(providerId);
+}
+
+const DELIVERY_PRICING_FIELDS = Object.keys(DELIVERY_DEFAULTS);
+
+// Delivery pricing for the provider; null means the platform default applies
+async function fetchDeliverySettings(providerId) {
+  const provider = await prisma.provider.findUnique({
+    where: { id: providerId },
+    select: Object.fromEntries(DELIVERY_PRICING_FIELDS.map(field => [field, true])),
+  });
+  if (!provider) {
+    const error = new Error('Provider not found');
+    error.status = 404;
+    throw error;
+  }
+  return {
+    ...getDeliveryPricing(provider),
+    overrides: provider,
+  };
+}
+
+async function updateDeliverySettings(providerId, settings) {
+  const data = Object.fromEntries(DELIVERY_PRICING_FIELDS
+    .filter(field => settings[field] !== undefined)
+    .map(field => [field, settings[field]]));
+  await prisma.provider.update({ where: { id: providerId }, data });
+  console.log('Delivery settings updated:', { providerId, ...data });
+  return fetchDeliverySettings(providerId);
+}
+
 async function fetchUsers(providerId) {
   if (!providerId || isNaN(parseInt(providerId))) {
     throw new Error('Invalid provider ID');
@@ -275,10 +691,21 @@ async function registerDevice(providerId, deviceToken) {
 module.exports = {
   fetchOrders,
   updateOrderStatus,
+  requestItemRefund,
   fetchServices,
   addService,
   updateService,
   deleteService,
+  fetchBatches,
+  addBatch,
+  updateBatch,
+  deleteBatch,
+  writeOffBatch,
+  fetchSlotSettings,
+  updateSlotSettings,
+  updateServiceSlotSettings,
+  fetchDeliverySettings,
+  updateDeliverySettings,
   fetchUsers,
   registerDevice,
 };
\ No newline at end of file
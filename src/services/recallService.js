@@ -0,0 +1,357 @@
+const { PrismaClient } = require('@prisma/client');
+const { sendRecallNotification, sendProviderRecallNotification } = require('../utils/notifications');
+const prisma = new PrismaClient();
+
+// Orders in these statuses have been paid for and handed to (or are being prepared for) the patient
+const SUPPLIED_ORDER_STATUSES = ['confirmed', 'processing', 'ready_for_pickup', 'shipped', 'delivered', 'completed'];
+
+const recallInclude = {
+  service: { select: { id: true, name: true, dosage: true, form: true, nafdacCode: true } },
+  createdBy: { select: { id: true, name: true } },
+  providers: {
+    include: {
+      provider: { select: { id: true, name: true, phone: true } },
+      acknowledgedBy: { select: { id: true, name: true } },
+    },
+    orderBy: { providerId: 'asc' },
+  },
+};
+
+function formatRecall(recall) {
+  const providers = recall.providers || [];
+  return {
+    id: recall.id,
+    nafdacCode: recall.nafdacCode,
+    batchNumber: recall.batchNumber,
+    reason: recall.reason,
+    instructions: recall.instructions,
+    status: recall.status,
+    service: recall.service,
+    createdBy: recall.createdBy ? { id: recall.createdBy.id, name: recall.createdBy.name } : null,
+    createdAt: recall.createdAt,
+    closedAt: recall.closedAt,
+    acknowledgement: {
+      total: providers.length,
+      acknowledged: providers.filter(p => p.acknowledgedAt).length,
+    },
+    providers: providers.map(p => ({
+      providerId: p.providerId,
+      providerName: p.provider?.name,
+      affectedOrderCount: p.affectedOrderCount,
+      notifiedAt: p.notifiedAt,
+      acknowledgedAt: p.acknowledgedAt,
+      acknowledgedBy: p.acknowledgedBy ? { id: p.acknowledgedBy.id, name: p.acknowledgedBy.name } : null,
+      notes: p.notes,
+    })),
+  };
+}
+
+// Issues a recall for a product (optionally a single batch): takes it off sale everywhere it is
+// stocked, records every supplied order item, then notifies the patients and dispensing providers
+async function createRecall({ nafdacCode, batchNumber, reason, instructions, adminId }) {
+  const service = await prisma.service.findFirst({
+    where: { nafdacCode: { equals: nafdacCode, mode: 'insensitive' } },
+  });
+  if (!service) {
+    const error = new Error(`No product found with NAFDAC code ${nafdacCode}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const recall = await prisma.$transaction(async (tx) => {
+    const existing = await tx.drugRecall.findFirst({
+      where: { serviceId: service.id, batchNumber: batchNumber || null, status: 'active' },
+    });
+    if (existing) {
+      const error = new Error(`Recall #${existing.id} is already active for this product${batchNumber ? ' and batch' : ''}`);
+      error.status = 409;
+      throw error;
+    }
+
+    const created = await tx.drugRecall.create({
+      data: {
+        serviceId: service.id,
+        nafdacCode: service.nafdacCode,
+        batchNumber: batchNumber || null,
+        reason,
+        instructions: instructions || null,
+        createdById: adminId,
+      },
+    });
+
+    // A batch recall reaches only the providers that received that batch
+    let stockedProviderIds;
+    if (batchNumber) {
+      const batches = await tx.stockBatch.findMany({
+        where: { serviceId: service.id, batchNumber: { equals: batchNumber, mode: 'insensitive' } },
+        select: { providerId: true },
+      });
+      stockedProviderIds = [...new Set(batches.map(b => b.providerId))];
+      await tx.stockBatch.updateMany({
+        where: { serviceId: service.id, batchNumber: { equals: batchNumber, mode: 'insensitive' }, recalledAt: null },
+        data: { recalledAt: new Date() },
+      });
+    } else {
+      const providerServices = await tx.providerService.findMany({
+        where: { serviceId: service.id },
+        select: { providerId: true },
+      });
+      stockedProviderIds = providerServices.map(ps => ps.providerId);
+    }
+
+    if (stockedProviderIds.length > 0) {
+      await tx.providerService.updateMany({
+        where: { serviceId: service.id, providerId: { in: stockedProviderIds } },
+        data: { available: false },
+      });
+    }
+
+    const items = await tx.orderItem.findMany({
+      where: {
+        serviceId: service.id,
+        order: { status: { in: SUPPLIED_ORDER_STATUSES } },
+        ...(batchNumber && {
+          batches: { some: { batch: { batchNumber: { equals: batchNumber, mode: 'insensitive' } } } },
+        }),
+      },
+      include: {
+        order: { select: { id: true, patientIdentifier: true } },
+        batches: { include: { batch: { select: { batchNumber: true } } } },
+      },
+    });
+
+    if (items.length > 0) {
+      await tx.drugRecallItem.createMany({
+        data: items.map(item => ({
+          recallId: created.id,
+          orderItemId: item.id,
+          orderId: item.orderId,
+          providerId: item.providerId,
+          patientIdentifier: item.order.patientIdentifier,
+          batchNumbers: item.batches.map(b => b.batch.batchNumber),
+        })),
+      });
+    }
+
+    const providerIds = [...new Set([...stockedProviderIds, ...items.map(item => item.providerId)])];
+    if (providerIds.length > 0) {
+      await tx.drugRecallProvider.createMany({
+        data: providerIds.map(providerId => ({
+          recallId: created.id,
+          providerId,
+          affectedOrderCount: new Set(items.filter(item => item.providerId === providerId).map(item => item.orderId)).size,
+        })),
+      });
+    }
+
+    return created;
+  });
+
+  console.log('Drug recall created:', { recallId: recall.id, nafdacCode: recall.nafdacCode, batchNumber: recall.batchNumber, adminId });
+
+  await notifyRecall(recall, service);
+  return getRecall(recall.id);
+}
+
+// Notification failures are recorded per patient and provider; they never undo the recall
+async function notifyRecall(recall, service) {
+  const items = await prisma.drugRecallItem.findMany({
+    where: { recallId: recall.id, notifiedAt: null },
+    include: { orderItem: { include: { order: { select: { id: true, email: true, phone: true } } } } },
+  });
+  const notifiedOrders = new Map();
+  for (const item of items) {
+    const order = item.orderItem.order;
+    if (!notifiedOrders.has(order.id)) {
+      try {
+        await sendRecallNotification({ order, recall, service });
+        notifiedOrders.set(order.id, null);
+      } catch (error) {
+        notifiedOrders.set(order.id, error.message);
+      }
+    }
+    const notificationError = notifiedOrders.get(order.id);
+    await prisma.drugRecallItem.update({
+      where: { id: item.id },
+      data: notificationError ? { notificationError } : { notifiedAt: new Date(), notificationError: null },
+    });
+  }
+
+  const recallProviders = await prisma.drugRecallProvider.findMany({
+    where: { recallId: recall.id, notifiedAt: null },
+    include: { provider: { select: { id: true, name: true, phone: true } } },
+  });
+  for (const recallProvider of recallProviders) {
+    try {
+      const managers = await prisma.providerUser.findMany({
+        where: { providerId: recallProvider.providerId, role: 'manager' },
+        select: { email: true, name: true },
+      });
+      const orderIds = [...new Set(items.filter(item => item.providerId === recallProvider.providerId).map(item => item.orderId))];
+      await sendProviderRecallNotification({ provider: recallProvider.provider, managers, recall, service, orderIds });
+      await prisma.drugRecallProvider.update({
+        where: { id: recallProvider.id },
+        data: { notifiedAt: new Date() },
+      });
+    } catch (error) {
+      console.error('Recall provider notification failed:', { recallId: recall.id, providerId: recallProvider.providerId, message: error.message });
+    }
+  }
+}
+
+async function getRecalls({ page, limit, status }) {
+  const skip = (page - 1) * limit;
+  const where = status ? { status } : {};
+  const [recalls, total] = await prisma.$transaction([
+    prisma.drugRecall.findMany({
+      where,
+      include: recallInclude,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip,
+    }),
+    prisma.drugRecall.count({ where }),
+  ]);
+  return {
+    recalls: recalls.map(formatRecall),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+async function getRecall(recallId) {
+  const recall = await prisma.drugRecall.findUnique({
+    where: { id: recallId },
+    include: {
+      ...recallInclude,
+      items: {
+        include: { orderItem: { select: { quantity: true, order: { select: { status: true, email: true, phone: true } } } } },
+        orderBy: { orderId: 'asc' },
+      },
+    },
+  });
+  if (!recall) {
+    const error = new Error('Recall not found');
+    error.status = 404;
+    throw error;
+  }
+  return {
+    ...formatRecall(recall),
+    affectedItems: recall.items.map(item => ({
+      orderId: item.orderId,
+      orderItemId: item.orderItemId,
+      providerId: item.providerId,
+      patientIdentifier: item.patientIdentifier,
+      email: item.orderItem.order.email,
+      phone: item.orderItem.order.phone,
+      orderStatus: item.orderItem.order.status,
+      quantity: item.orderItem.quantity,
+      batchNumbers: item.batchNumbers,
+      notifiedAt: item.notifiedAt,
+      notificationError: item.notificationError,
+    })),
+  };
+}
+
+// Re-sends notifications that failed the first time
+async function renotifyRecall(recallId) {
+  const recall = await prisma.drugRecall.findUnique({ where: { id: recallId }, include: { service: true } });
+  if (!recall) {
+    const error = new Error('Recall not found');
+    error.status = 404;
+    throw error;
+  }
+  await notifyRecall(recall, recall.service);
+  return getRecall(recallId);
+}
+
+// Closing a recall does not put the product back on sale; providers re-enable it themselves
+async function closeRecall(recallId, adminId) {
+  const recall = await prisma.drugRecall.findUnique({ where: { id: recallId } });
+  if (!recall) {
+    const error = new Error('Recall not found');
+    error.status = 404;
+    throw error;
+  }
+  if (recall.status === 'closed') {
+    const error = new Error('Recall is already closed');
+    error.status = 400;
+    throw error;
+  }
+
+  const closed = await prisma.drugRecall.update({
+    where: { id: recallId },
+    data: { status: 'closed', closedAt: new Date() },
+    include: recallInclude,
+  });
+  console.log('Drug recall closed:', { recallId, adminId });
+  return formatRecall(closed);
+}
+
+async function getProviderRecalls(providerId, { pendingOnly } = {}) {
+  const recallProviders = await prisma.drugRecallProvider.findMany({
+    where: { providerId, ...(pendingOnly && { acknowledgedAt: null }) },
+    include: {
+      recall: { include: { service: { select: { id: true, name: true, dosage: true, form: true } } } },
+      acknowledgedBy: { select: { id: true, name: true } },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+  const items = await prisma.drugRecallItem.findMany({
+    where: { providerId, recallId: { in: recallProviders.map(rp => rp.recallId) } },
+    select: { recallId: true, orderId: true, orderItemId: true, batchNumbers: true },
+  });
+
+  return recallProviders.map(rp => ({
+    recallId: rp.recallId,
+    nafdacCode: rp.recall.nafdacCode,
+    batchNumber: rp.recall.batchNumber,
+    reason: rp.recall.reason,
+    instructions: rp.recall.instructions,
+    status: rp.recall.status,
+    service: rp.recall.service,
+    issuedAt: rp.recall.createdAt,
+    acknowledgedAt: rp.acknowledgedAt,
+    acknowledgedBy: rp.acknowledgedBy ? { id: rp.acknowledgedBy.id, name: rp.acknowledgedBy.name } : null,
+    notes: rp.notes,
+    affectedOrders: items
+      .filter(item => item.recallId === rp.recallId)
+      .map(item => ({ orderId: item.orderId, orderItemId: item.orderItemId, batchNumbers: item.batchNumbers })),
+  }));
+}
+
+async function acknowledgeRecall(recallId, providerId, userId, notes) {
+  const recallProvider = await prisma.drugRecallProvider.findUnique({
+    where: { recallId_providerId: { recallId, providerId } },
+  });
+  if (!recallProvider) {
+    const error = new Error('Recall not found');
+    error.status = 404;
+    throw error;
+  }
+  if (recallProvider.acknowledgedAt) {
+    const error = new Error('Recall has already been acknowledged');
+    error.status = 400;
+    throw error;
+  }
+
+  const acknowledged = await prisma.drugRecallProvider.update({
+    where: { id: recallProvider.id },
+    data: { acknowledgedAt: new Date(), acknowledgedById: userId, notes: notes || null },
+  });
+  console.log('Drug recall acknowledged:', { recallId, providerId, userId });
+  return {
+    recallId: acknowledged.recallId,
+    acknowledgedAt: acknowledged.acknowledgedAt,
+    notes: acknowledged.notes,
+  };
+}
+
+module.exports = {
+  createRecall,
+  getRecalls,
+  getRecall,
+  renotifyRecall,
+  closeRecall,
+  getProviderRecalls,
+  acknowledgeRecall,
+};
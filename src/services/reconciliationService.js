@@ -0,0 +1,280 @@
+const { PrismaClient } = require('@prisma/client');
+const { getPaymentGateway } = require('../utils/payment');
+const paymentService = require('./paymentService');
+const { transitionOrderStatus } = require('../utils/orderStateMachine');
+const { HOLD_MINUTES, holdOrderStock } = require('../utils/stockReservations');
+const prisma = new PrismaClient();
+
+// Orders cancelled by cleanupTimedOutOrders while the patient had in fact paid
+const PAYMENT_TIMEOUT_REASON = 'Payment timeout';
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Unresolved discrepancies are only recorded once per transaction and type, however many runs see them
+async function recordDiscrepancy(run, data) {
+  if (!data.autoFixed) {
+    const existing = await prisma.paymentDiscrepancy.findFirst({
+      where: { transactionReference: data.transactionReference, type: data.type, resolved: false },
+    });
+    if (existing) return { discrepancy: existing, created: false };
+  }
+  const discrepancy = await prisma.paymentDiscrepancy.create({
+    data: {
+      runId: run.id,
+      ...data,
+      resolved: Boolean(data.autoFixed),
+      resolvedAt: data.autoFixed ? new Date() : null,
+    },
+  });
+  console.log('Payment discrepancy recorded:', { id: discrepancy.id, type: discrepancy.type, autoFixed: discrepancy.autoFixed, transactionReference: discrepancy.transactionReference });
+  return { discrepancy, created: true };
+}
+
+// Puts timed-out orders back to pending so the payment can be applied to them. The stock released by
+// the cleanup is held again; if it has been sold in the meantime the orders are left for an admin.
+async function reinstateTimedOutOrders(orders) {
+  const timedOut = orders.filter((o) => o.status === 'cancelled' && o.cancelReason === PAYMENT_TIMEOUT_REASON && o.paymentStatus !== 'paid');
+  if (timedOut.length === 0) return [];
+
+  await prisma.$transaction(async (tx) => {
+    for (const order of timedOut) {
+      try {
+        await holdOrderStock(order.id, { minutes: HOLD_MINUTES.checkout }, tx);
+      } catch (error) {
+        if (error.status === 409) error.message = `Insufficient stock to reinstate order ${order.id}`;
+        throw error;
+      }
+      await transitionOrderStatus(order.id, 'pending', {
+        reason: 'Reinstated by payment reconciliation: gateway recorded a successful payment',
+        data: { cancelReason: null, cancelledAt: null },
+        force: true,
+      }, tx);
+    }
+  });
+
+  console.log('Timed-out orders reinstated for paid transaction:', { orderIds: timedOut.map((o) => o.id) });
+  return timedOut.map((o) => o.id);
+}
+
+async function reconcileTransaction(run, gatewayTransaction) {
+  const { reference, status: gatewayStatus, amount: gatewayAmount, fees } = gatewayTransaction;
+  const transactionRef = await prisma.transactionReference.findUnique({ where: { transactionReference: reference } });
+
+  if (!transactionRef) {
+    if (gatewayStatus !== 'success') return { fixed: false, discrepancy: false };
+    const { created } = await recordDiscrepancy(run, {
+      transactionReference: reference,
+      orderIds: [],
+      type: 'unknown_transaction',
+      gatewayStatus,
+      gatewayAmount,
+      notes: 'Successful gateway transaction with no matching TransactionReference',
+    });
+    return { fixed: false, discrepancy: created };
+  }
+  if (transactionRef.gateway !== run.gateway) {
+    return { fixed: false, discrepancy: false };
+  }
+
+  const orders = await prisma.order.findMany({
+    where: { paymentReference: { in: transactionRef.orderReferences } },
+    include: { items: true },
+  });
+  const orderIds = orders.map((o) => o.id);
+  const base = {
+    transactionReference: reference,
+    orderIds,
+    gatewayStatus,
+    localStatus: transactionRef.status,
+    gatewayAmount,
+  };
+
+  if (gatewayStatus === 'success') {
+    if (transactionRef.status === 'amount_mismatch') {
+      const { created } = await recordDiscrepancy(run, { ...base, type: 'amount_mismatch' });
+      return { fixed: false, discrepancy: created };
+    }
+
+    let reinstated;
+    try {
+      reinstated = await reinstateTimedOutOrders(orders);
+    } catch (error) {
+      if (error.status !== 409) throw error;
+      const { created } = await recordDiscrepancy(run, { ...base, type: 'cancelled_but_paid', notes: error.message });
+      return { fixed: false, discrepancy: created };
+    }
+
+    if (transactionRef.status === 'success' || transactionRef.status === 'refunded') {
+      if (reinstated.length === 0) return { fixed: false, discrepancy: false };
+      await paymentService.confirmTransactionPayment(transactionRef, { fees, amount: gatewayAmount });
+      await recordDiscrepancy(run, { ...base, type: 'cancelled_but_paid', autoFixed: true, notes: `Reinstated orders ${reinstated.join(', ')} and marked them paid` });
+      return { fixed: true, discrepancy: true };
+    }
+
+    // pending or failed locally: the webhook and the verify redirect were both missed
+    const expectedAmount = roundAmount(
+      orders
+        .filter((o) => o.status === 'pending' || reinstated.includes(o.id))
+        .reduce((sum, o) => sum + o.totalPrice, 0)
+    );
+    try {
+      await paymentService.confirmTransactionPayment(
+        { ...transactionRef, paidAt: gatewayTransaction.paidAt || transactionRef.paidAt },
+        { fees, amount: gatewayAmount }
+      );
+    } catch (error) {
+      if (error.status !== 409) throw error;
+      const { created } = await recordDiscrepancy(run, { ...base, type: 'amount_mismatch', localAmount: roundAmount(error.expectedAmount ?? expectedAmount) });
+      return { fixed: false, discrepancy: created };
+    }
+    await recordDiscrepancy(run, {
+      ...base,
+      type: reinstated.length > 0 ? 'cancelled_but_paid' : 'paid_not_recorded',
+      localAmount: expectedAmount,
+      autoFixed: true,
+      notes: reinstated.length > 0 ? `Reinstated orders ${reinstated.join(', ')} and marked them paid` : 'Marked paid from gateway record',
+    });
+    return { fixed: true, discrepancy: true };
+  }
+
+  if (gatewayStatus === 'failed') {
+    if (transactionRef.status === 'success') {
+      // Never reverse a recorded payment automatically
+      const { created } = await recordDiscrepancy(run, { ...base, type: 'recorded_not_paid' });
+      return { fixed: false, discrepancy: created };
+    }
+    if (transactionRef.status === 'pending') {
+      await paymentService.failTransactionPayment(transactionRef);
+      return { fixed: true, discrepancy: false };
+    }
+  }
+
+  return { fixed: false, discrepancy: false };
+}
+
+// Matches gateway transactions created in [from, to] against our TransactionReference and Order
+// records, fixing what is safe to fix and recording the rest for admins
+async function reconcilePayments({ gateway: gatewayName, from, to } = {}) {
+  const gateway = getPaymentGateway(gatewayName);
+  const windowHours = parseInt(process.env.RECONCILIATION_WINDOW_HOURS || '48', 10);
+  // Leave recent transactions to the webhook and verify flow
+  const windowEnd = to ? new Date(to) : new Date(Date.now() - 15 * 60 * 1000);
+  const windowStart = from ? new Date(from) : new Date(windowEnd.getTime() - windowHours * 60 * 60 * 1000);
+
+  const run = await prisma.reconciliationRun.create({
+    data: { gateway: gateway.name, windowStart, windowEnd },
+  });
+  const counts = { checkedCount: 0, fixedCount: 0, discrepancyCount: 0 };
+
+  try {
+    const gatewayTransactions = await gateway.listTransactions({ from: windowStart, to: windowEnd });
+    const seen = new Set();
+
+    for (const gatewayTransaction of gatewayTransactions) {
+      seen.add(gatewayTransaction.reference);
+      counts.checkedCount += 1;
+      try {
+        const outcome = await reconcileTransaction(run, gatewayTransaction);
+        if (outcome.fixed) counts.fixedCount += 1;
+        if (outcome.discrepancy) counts.discrepancyCount += 1;
+      } catch (error) {
+        console.error('Reconciliation error for transaction:', { reference: gatewayTransaction.reference, message: error.message });
+      }
+    }
+
+    const localOnly = await prisma.transactionReference.findMany({
+      where: {
+        gateway: gateway.name,
+        status: 'success',
+        createdAt: { gte: windowStart, lte: windowEnd },
+        transactionReference: { notIn: [...seen] },
+      },
+    });
+    for (const transactionRef of localOnly) {
+      counts.checkedCount += 1;
+      const { created } = await recordDiscrepancy(run, {
+        transactionReference: transactionRef.transactionReference,
+        orderIds: [],
+        type: 'missing_at_gateway',
+        localStatus: transactionRef.status,
+      });
+      if (created) counts.discrepancyCount += 1;
+    }
+
+    const completed = await prisma.reconciliationRun.update({
+      where: { id: run.id },
+      data: { ...counts, status: 'completed', completedAt: new Date() },
+    });
+    console.log('Payment reconciliation completed:', { runId: run.id, gateway: gateway.name, ...counts });
+    return completed;
+  } catch (error) {
+    console.error('Payment reconciliation failed:', { runId: run.id, message: error.message });
+    return prisma.reconciliationRun.update({
+      where: { id: run.id },
+      data: { ...counts, status: 'failed', error: error.message, completedAt: new Date() },
+    });
+  }
+}
+
+async function getReconciliationRuns({ page, limit }) {
+  const skip = (page - 1) * limit;
+  const [runs, total] = await prisma.$transaction([
+    prisma.reconciliationRun.findMany({ orderBy: { startedAt: 'desc' }, take: limit, skip }),
+    prisma.reconciliationRun.count(),
+  ]);
+  return {
+    runs,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+async function getDiscrepancies({ page, limit, resolved, type }) {
+  const skip = (page - 1) * limit;
+  const where = {};
+  if (resolved !== undefined) where.resolved = resolved;
+  if (type) where.type = type;
+  const [discrepancies, total] = await prisma.$transaction([
+    prisma.paymentDiscrepancy.findMany({
+      where,
+      include: { resolvedBy: { select: { id: true, name: true } } },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip,
+    }),
+    prisma.paymentDiscrepancy.count({ where }),
+  ]);
+  return {
+    discrepancies,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+async function resolveDiscrepancy(id, adminId, notes) {
+  const discrepancy = await prisma.paymentDiscrepancy.findUnique({ where: { id } });
+  if (!discrepancy) {
+    const error = new Error('Discrepancy not found');
+    error.status = 404;
+    throw error;
+  }
+  if (discrepancy.resolved) {
+    const error = new Error('Discrepancy is already resolved');
+    error.status = 400;
+    throw error;
+  }
+
+  const resolved = await prisma.paymentDiscrepancy.update({
+    where: { id },
+    data: { resolved: true, resolvedAt: new Date(), resolvedById: adminId, notes },
+  });
+  console.log('Payment discrepancy resolved:', { id, adminId });
+  return resolved;
+}
+
+module.exports = {
+  reconcilePayments,
+  getReconciliationRuns,
+  getDiscrepancies,
+  resolveDiscrepancy,
+};
@@ -0,0 +1,394 @@
+const { PrismaClient } = require('@prisma/client');
+const { getPaymentGateway } = require('../utils/payment');
+const { sendRefundNotification } = require('../utils/notifications');
+const settlementService = require('./settlementService');
+const prisma = new PrismaClient();
+
+// Refunds in these states count against the amount still available to refund
+const COMMITTED_REFUND_STATUSES = ['pending_approval', 'approved', 'processing', 'processed'];
+
+function formatRefund(refund) {
+  return {
+    id: refund.id,
+    orderId: refund.orderId,
+    orderItemId: refund.orderItemId,
+    transactionReference: refund.transactionReference,
+    gateway: refund.gateway,
+    amount: refund.amount,
+    reason: refund.reason,
+    status: refund.status,
+    automatic: refund.automatic,
+    requestedBy: refund.requestedBy,
+    reviewedBy: refund.reviewedBy ? { id: refund.reviewedBy.id, name: refund.reviewedBy.name } : null,
+    reviewNotes: refund.reviewNotes,
+    gatewayRefundReference: refund.gatewayRefundReference,
+    failureReason: refund.failureReason,
+    createdAt: refund.createdAt,
+    processedAt: refund.processedAt,
+  };
+}
+
+const refundInclude = {
+  reviewedBy: { select: { id: true, name: true } },
+};
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Payment statuses of an order that has money captured against it
+const PAID_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+// The successful transaction that captured payment for an order, if any. An order marked paid whose
+// transaction was never marked successful (reconciled or confirmed by another path) falls back to the
+// latest transaction that carried it.
+async function findPaidTransaction(order, client = prisma) {
+  if (!order.paymentReference) return null;
+  const transactionRef = await client.transactionReference.findFirst({
+    where: { orderReferences: { has: order.paymentReference }, status: 'success' },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (transactionRef || !PAID_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    return transactionRef;
+  }
+  return client.transactionReference.findFirst({
+    where: { orderReferences: { has: order.paymentReference } },
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+// Creates refund records for a whole order or for selected items. Automatic refunds are sent to the
+// gateway straight away; the rest wait in pending_approval for an admin.
+async function requestRefund({ orderId, orderItemIds, reason, requestedBy, automatic = false }) {
+  const refunds = await prisma.$transaction(async (tx) => {
+    // Locked so concurrent requests for the same order (a cancellation and an item refund, say) sum the
+    // committed refunds one after the other and can't both take the remaining amount
+    await tx.$queryRaw`SELECT id FROM "Order" WHERE id = ${orderId} FOR UPDATE`;
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: { items: true, refunds: { where: { status: { in: COMMITTED_REFUND_STATUSES } } } },
+    });
+    if (!order) {
+      const error = new Error('Order not found');
+      error.status = 404;
+      throw error;
+    }
+    if (order.paymentStatus === 'refunded') {
+      const error = new Error('Order has already been refunded');
+      error.status = 400;
+      throw error;
+    }
+
+    const transactionRef = await findPaidTransaction(order, tx);
+    if (!transactionRef) {
+      const error = new Error('Order has no captured payment to refund');
+      error.status = 400;
+      throw error;
+    }
+
+    const committed = order.refunds.reduce((sum, r) => sum + r.amount, 0);
+    let remaining = roundAmount(order.totalPrice - committed);
+    if (remaining <= 0) {
+      const error = new Error('Nothing left to refund for this order');
+      error.status = 400;
+      throw error;
+    }
+
+    // One refund per item keeps partial fulfilment traceable; a whole-order refund covers the balance
+    const lines = [];
+    if (orderItemIds && orderItemIds.length > 0) {
+      for (const itemId of orderItemIds) {
+        const item = order.items.find((i) => i.id === itemId);
+        if (!item) {
+          const error = new Error(`Order item ${itemId} not found on order ${orderId}`);
+          error.status = 400;
+          throw error;
+        }
+        const itemCommitted = order.refunds
+          .filter((r) => r.orderItemId === item.id)
+          .reduce((sum, r) => sum + r.amount, 0);
+        const amount = Math.min(roundAmount(item.price * item.quantity - itemCommitted), remaining);
+        if (amount <= 0) continue;
+        lines.push({ orderItemId: item.id, amount });
+        remaining = roundAmount(remaining - amount);
+      }
+      if (lines.length === 0) {
+        const error = new Error('Selected items have already been refunded');
+        error.status = 400;
+        throw error;
+      }
+    } else {
+      lines.push({ orderItemId: null, amount: remaining });
+    }
+
+    const created = [];
+    for (const line of lines) {
+      created.push(await tx.refund.create({
+        data: {
+          orderId: order.id,
+          orderItemId: line.orderItemId,
+          transactionReference: transactionRef.transactionReference,
+          gateway: transactionRef.gateway,
+          amount: line.amount,
+          reason,
+          requestedBy,
+          automatic,
+          status: automatic ? 'approved' : 'pending_approval',
+        },
+      }));
+    }
+    return created;
+  });
+
+  console.log('Refunds requested:', { orderId, refundIds: refunds.map((r) => r.id), automatic, requestedBy });
+
+  if (!automatic) {
+    return refunds.map(formatRefund);
+  }
+
+  const processed = [];
+  for (const refund of refunds) {
+    processed.push(await processRefund(refund.id));
+  }
+  return processed;
+}
+
+// Refunds whatever was paid for an order that has just been cancelled; unpaid orders are left alone
+async function refundCancelledOrder(orderId, reason, requestedBy) {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order || order.paymentStatus === 'refunded') {
+    return [];
+  }
+  if (!(await findPaidTransaction(order))) {
+    // Paid with nothing on record to refund through; the money has to go back by hand
+    if (PAID_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      console.error('Cancelled paid order has no transaction to refund:', { orderId, paymentReference: order.paymentReference, reason });
+    }
+    return [];
+  }
+  try {
+    return await requestRefund({ orderId, reason, requestedBy, automatic: true });
+  } catch (error) {
+    // Nothing left to refund is not a failure for a cancellation
+    if (error.status === 400) {
+      console.log('Cancelled order not refunded:', { orderId, reason: error.message });
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function processRefund(refundId) {
+  const refund = await prisma.refund.findUnique({ where: { id: refundId } });
+  if (!refund) {
+    const error = new Error('Refund not found');
+    error.status = 404;
+    throw error;
+  }
+  if (refund.status !== 'approved') {
+    const error = new Error(`Refund cannot be processed from status ${refund.status}`);
+    error.status = 400;
+    throw error;
+  }
+
+  let gatewayResult;
+  try {
+    gatewayResult = await getPaymentGateway(refund.gateway).refund({
+      reference: refund.transactionReference,
+      amount: refund.amount,
+    });
+  } catch (error) {
+    console.error('Gateway refund error:', { refundId, message: error.message });
+    const failed = await prisma.refund.update({
+      where: { id: refundId },
+      data: { status: 'failed', failureReason: error.message },
+      include: refundInclude,
+    });
+    return formatRefund(failed);
+  }
+
+  // Gateways that settle synchronously report 'processed'; others confirm later through the refund webhook
+  if (gatewayResult.status === 'processed') {
+    return completeRefund(refundId, gatewayResult.refundReference);
+  }
+
+  const processing = await prisma.refund.update({
+    where: { id: refundId },
+    data: { status: 'processing', gatewayRefundReference: gatewayResult.refundReference },
+    include: { ...refundInclude, order: true },
+  });
+  await notifyPatient(processing.order, processing);
+
+  console.log('Refund submitted to gateway:', { refundId, gateway: refund.gateway, gatewayStatus: gatewayResult.status });
+  return formatRefund(processing);
+}
+
+// Marks a refund as settled and moves the order to refunded or partially_refunded
+// Conditional on the refund still being in flight, so a redelivered webhook doesn't settle it twice
+async function completeRefund(refundId, gatewayRefundReference) {
+  const refund = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.refund.updateMany({
+      where: { id: refundId, status: { in: ['approved', 'processing'] } },
+      data: {
+        status: 'processed',
+        processedAt: new Date(),
+        ...(gatewayRefundReference && { gatewayRefundReference }),
+      },
+    });
+    if (count === 0) return null;
+    const updated = await tx.refund.findUnique({ where: { id: refundId }, include: { ...refundInclude, order: true } });
+
+    const { _sum } = await tx.refund.aggregate({
+      where: { orderId: updated.orderId, status: 'processed' },
+      _sum: { amount: true },
+    });
+    const refundedTotal = _sum.amount || 0;
+    await tx.order.update({
+      where: { id: updated.orderId },
+      data: {
+        paymentStatus: refundedTotal >= roundAmount(updated.order.totalPrice) ? 'refunded' : 'partially_refunded',
+        updatedAt: new Date(),
+      },
+    });
+
+    return updated;
+  });
+  if (!refund) {
+    console.log('Refund already settled:', { refundId });
+    return formatRefund(await prisma.refund.findUnique({ where: { id: refundId }, include: refundInclude }));
+  }
+
+  try {
+    await settlementService.recordRefundSettlement(refund);
+  } catch (error) {
+    console.error('Refund settlement ledger error:', { refundId, message: error.message });
+  }
+  await notifyPatient(refund.order, refund);
+
+  console.log('Refund processed:', { refundId, orderId: refund.orderId, amount: refund.amount });
+  return formatRefund(refund);
+}
+
+// Called from the refund webhook: settles the refund the event is about, found by the gateway's refund
+// reference or else by amount among those still processing. `initiated` is false when none of the
+// transaction's refunds came from us, i.e. it was refunded from the gateway dashboard.
+async function completeTransactionRefunds(transactionRef, { refundReference, amount } = {}) {
+  const refunds = await prisma.refund.findMany({
+    where: { transactionReference: transactionRef.transactionReference },
+    orderBy: { createdAt: 'asc' },
+  });
+  if (refunds.length === 0) {
+    return { initiated: false, settled: 0 };
+  }
+
+  const refund = (refundReference && refunds.find((r) => r.gatewayRefundReference === refundReference))
+    || (amount != null && refunds.find((r) => r.status === 'processing' && Math.round(r.amount * 100) === Math.round(amount * 100)));
+  if (!refund) {
+    console.warn('Refund webhook matched no refund:', { transactionReference: transactionRef.transactionReference, refundReference, amount });
+    return { initiated: true, settled: 0 };
+  }
+  if (!['approved', 'processing'].includes(refund.status)) {
+    return { initiated: true, settled: 0 };
+  }
+  await completeRefund(refund.id, refundReference);
+  return { initiated: true, settled: 1 };
+}
+
+async function approveRefund(refundId, adminId, reviewNotes) {
+  const refund = await prisma.refund.findUnique({ where: { id: refundId } });
+  if (!refund) {
+    const error = new Error('Refund not found');
+    error.status = 404;
+    throw error;
+  }
+  // Failed refunds can be approved again to retry the gateway call
+  if (!['pending_approval', 'failed'].includes(refund.status)) {
+    const error = new Error(`Refund is already ${refund.status}`);
+    error.status = 400;
+    throw error;
+  }
+
+  // Conditional on the status just read, so two admins approving at once can't both send it to the gateway
+  const { count } = await prisma.refund.updateMany({
+    where: { id: refundId, status: refund.status },
+    data: { status: 'approved', reviewedById: adminId, reviewNotes: reviewNotes || refund.reviewNotes, failureReason: null },
+  });
+  if (count !== 1) {
+    const error = new Error('Refund is already being processed');
+    error.status = 409;
+    throw error;
+  }
+
+  console.log('Refund approved:', { refundId, adminId });
+  return processRefund(refundId);
+}
+
+async function denyRefund(refundId, adminId, reviewNotes) {
+  const refund = await prisma.refund.findUnique({ where: { id: refundId } });
+  if (!refund) {
+    const error = new Error('Refund not found');
+    error.status = 404;
+    throw error;
+  }
+  if (refund.status !== 'pending_approval') {
+    const error = new Error(`Refund is already ${refund.status}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const { count } = await prisma.refund.updateMany({
+    where: { id: refundId, status: 'pending_approval' },
+    data: { status: 'denied', reviewedById: adminId, reviewNotes },
+  });
+  if (count !== 1) {
+    const error = new Error('Refund is already being processed');
+    error.status = 409;
+    throw error;
+  }
+  const denied = await prisma.refund.findUnique({ where: { id: refundId }, include: { ...refundInclude, order: true } });
+  await notifyPatient(denied.order, denied);
+
+  console.log('Refund denied:', { refundId, adminId });
+  return formatRefund(denied);
+}
+
+async function getRefunds({ page, limit, status, orderId }) {
+  const skip = (page - 1) * limit;
+  const where = {};
+  if (status) where.status = status;
+  if (orderId) where.orderId = orderId;
+  const [refunds, total] = await prisma.$transaction([
+    prisma.refund.findMany({
+      where,
+      include: refundInclude,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip,
+    }),
+    prisma.refund.count({ where }),
+  ]);
+  console.log('Refunds fetched:', { count: refunds.length, total });
+  return {
+    refunds: refunds.map(formatRefund),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+// Notification failures are logged but never undo a refund
+async function notifyPatient(order, refund) {
+  try {
+    await sendRefundNotification({ order, refund });
+  } catch (error) {
+    console.error('Refund notification failed:', { refundId: refund.id, message: error.message });
+  }
+}
+
+module.exports = {
+  requestRefund,
+  refundCancelledOrder,
+  processRefund,
+  completeTransactionRefunds,
+  approveRefund,
+  denyRefund,
+  getRefunds,
+};
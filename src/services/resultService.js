@@ -0,0 +1,429 @@
+const { PrismaClient } = require('@prisma/client');
+const path = require('path');
+const { formatServiceDisplayName } = require('../utils/serviceUtils');
+const { selectReferenceRange, flagValue, isCriticalFlag } = require('../utils/resultUtils');
+const { sendCriticalResultAlert } = require('../utils/notifications');
+const { transitionOrderStatus } = require('../utils/orderStateMachine');
+const { RESULT_UPLOAD_DIR } = require('../utils/upload');
+const prisma = new PrismaClient();
+
+const RESULT_ELIGIBLE_ORDER_STATUSES = ['confirmed', 'processing', 'sample_collected', 'result_ready'];
+const LAB_SERVICE_TYPES = ['diagnostic', 'diagnostic_package'];
+
+function formatResult(result) {
+  return {
+    id: result.id,
+    orderId: result.orderId,
+    orderItemId: result.orderItemId,
+    patientIdentifier: result.patientIdentifier,
+    service: result.service ? {
+      id: result.service.id,
+      name: result.service.name,
+      displayName: formatServiceDisplayName(result.service),
+    } : null,
+    fileUrl: result.fileUrl ? `/api/providers/results/${result.id}/file` : null,
+    value: result.value,
+    values: (result.values || []).map(formatResultValue),
+    hasCriticalValue: result.hasCriticalValue,
+    patientSex: result.patientSex,
+    patientAgeYears: result.patientAgeYears,
+    status: result.status,
+    reviewNotes: result.reviewNotes,
+    uploadedBy: result.uploadedBy ? { id: result.uploadedBy.id, name: result.uploadedBy.name } : null,
+    reviewedBy: result.reviewedBy ? { id: result.reviewedBy.id, name: result.reviewedBy.name, role: result.reviewedBy.role } : null,
+    uploadedAt: result.uploadedAt,
+    reviewedAt: result.reviewedAt,
+    releasedAt: result.releasedAt,
+  };
+}
+
+function formatResultValue(resultValue) {
+  return {
+    analyteId: resultValue.analyteId,
+    code: resultValue.analyte?.code,
+    name: resultValue.analyte?.name,
+    value: resultValue.numericValue ?? resultValue.textValue,
+    unit: resultValue.unit,
+    referenceLow: resultValue.referenceLow,
+    referenceHigh: resultValue.referenceHigh,
+    flag: resultValue.flag,
+  };
+}
+
+const resultInclude = {
+  service: { select: { id: true, name: true, type: true, testType: true, dosage: true, form: true } },
+  uploadedBy: { select: { id: true, name: true } },
+  reviewedBy: { select: { id: true, name: true, role: true } },
+  values: {
+    include: { analyte: { select: { code: true, name: true, sortOrder: true } } },
+    orderBy: { analyte: { sortOrder: 'asc' } },
+  },
+};
+
+// Matches submitted values to the service's analytes and flags each one against its reference range
+function buildResultValues(analytes, values, patientSex, patientAgeYears) {
+  const submitted = new Map((values || []).map(v => [String(v.code).toUpperCase(), v.value]));
+
+  const unknownCodes = [...submitted.keys()].filter(code => !analytes.some(a => a.code.toUpperCase() === code));
+  if (unknownCodes.length) {
+    const error = new Error(`Unknown analyte codes: ${unknownCodes.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return analytes.map(analyte => {
+    const raw = submitted.get(analyte.code.toUpperCase());
+    if (raw === undefined || raw === null || raw === '') {
+      const error = new Error(`Value for ${analyte.name} (${analyte.code}) is required`);
+      error.status = 400;
+      throw error;
+    }
+
+    if (analyte.valueType !== 'numeric') {
+      return { analyteId: analyte.id, textValue: String(raw), unit: analyte.unit, flag: null, name: analyte.name };
+    }
+
+    const numericValue = Number(raw);
+    if (isNaN(numericValue)) {
+      const error = new Error(`Value for ${analyte.name} (${analyte.code}) must be numeric`);
+      error.status = 400;
+      throw error;
+    }
+
+    const range = selectReferenceRange(analyte.referenceRanges, patientSex, patientAgeYears);
+    return {
+      analyteId: analyte.id,
+      numericValue,
+      unit: analyte.unit,
+      referenceLow: range?.low ?? null,
+      referenceHigh: range?.high ?? null,
+      flag: flagValue(numericValue, range),
+      name: analyte.name,
+    };
+  });
+}
+
+async function notifyCriticalValues(orderItem, criticalValues) {
+  try {
+    const [provider, managers] = await Promise.all([
+      prisma.provider.findUnique({ where: { id: orderItem.providerId }, select: { name: true, phone: true } }),
+      prisma.providerUser.findMany({
+        where: { providerId: orderItem.providerId, role: 'manager' },
+        select: { email: true, name: true },
+      }),
+    ]);
+    await sendCriticalResultAlert({ order: orderItem.order, provider, managers, criticalValues });
+  } catch (error) {
+    // Alert failures must not block the lab from recording the result
+    console.error('Critical value notification failed:', { orderItemId: orderItem.id, message: error.message });
+  }
+}
+
+async function findProviderResult(resultId, providerId) {
+  const result = await prisma.result.findFirst({
+    where: { id: parseInt(resultId), orderItem: { providerId: parseInt(providerId) } },
+  });
+  if (!result) {
+    const error = new Error('Result not found');
+    error.status = 404;
+    throw error;
+  }
+  return result;
+}
+
+async function uploadResult({ providerId, userId, orderItemId, value, values, patientSex, patientAgeYears, fileUrl }) {
+  if (!providerId || isNaN(parseInt(providerId)) || !orderItemId || isNaN(parseInt(orderItemId))) {
+    throw new Error('Invalid provider or order item ID');
+  }
+
+  const orderItem = await prisma.orderItem.findFirst({
+    where: { id: parseInt(orderItemId), providerId: parseInt(providerId) },
+    include: {
+      order: true,
+      result: true,
+      service: {
+        include: {
+          analytes: { include: { referenceRanges: true }, orderBy: { sortOrder: 'asc' } },
+        },
+      },
+    },
+  });
+  if (!orderItem) {
+    const error = new Error('Order item not found for provider');
+    error.status = 404;
+    throw error;
+  }
+  if (!LAB_SERVICE_TYPES.includes(orderItem.service.type)) {
+    const error = new Error('Results can only be uploaded for diagnostic services');
+    error.status = 400;
+    throw error;
+  }
+  if (!RESULT_ELIGIBLE_ORDER_STATUSES.includes(orderItem.order.status) || !['paid', 'partially_refunded'].includes(orderItem.order.paymentStatus)) {
+    const error = new Error(`Cannot upload results for an order in ${orderItem.order.status} status`);
+    error.status = 400;
+    throw error;
+  }
+  if (orderItem.result && ['reviewed', 'available'].includes(orderItem.result.status)) {
+    const error = new Error('Result has already been reviewed and cannot be replaced');
+    error.status = 400;
+    throw error;
+  }
+
+  const isStructured = orderItem.service.analytes.length > 0;
+  if (!isStructured && !value && !fileUrl) {
+    const error = new Error('A result file or value is required');
+    error.status = 400;
+    throw error;
+  }
+  const resultValues = isStructured
+    ? buildResultValues(orderItem.service.analytes, values, patientSex, patientAgeYears)
+    : [];
+  const criticalValues = resultValues
+    .filter(v => isCriticalFlag(v.flag))
+    .map(v => ({ name: v.name, value: v.numericValue, unit: v.unit, flag: v.flag }));
+
+  const data = {
+    fileUrl: fileUrl || null,
+    value: value || null,
+    patientSex: patientSex || null,
+    patientAgeYears: patientAgeYears ?? null,
+    hasCriticalValue: criticalValues.length > 0,
+    status: 'pending',
+    uploadedById: userId,
+    reviewedById: null,
+    reviewNotes: null,
+    reviewedAt: null,
+    uploadedAt: new Date(),
+  };
+
+  const result = await prisma.$transaction(async (tx) => {
+    const saved = await tx.result.upsert({
+      where: { orderItemId: orderItem.id },
+      update: data,
+      create: {
+        ...data,
+        orderId: orderItem.orderId,
+        orderItemId: orderItem.id,
+        serviceId: orderItem.serviceId,
+        patientIdentifier: orderItem.order.patientIdentifier,
+      },
+    });
+
+    await tx.resultValue.deleteMany({ where: { resultId: saved.id } });
+    if (resultValues.length) {
+      await tx.resultValue.createMany({
+        data: resultValues.map(({ name, ...v }) => ({ ...v, resultId: saved.id })),
+      });
+    }
+
+    // A result means the sample was taken; walk-in orders often skip marking it, and releasing
+    // the result later can only move the order on from sample_collected
+    if (orderItem.order.status === 'confirmed') {
+      await transitionOrderStatus(orderItem.orderId, 'sample_collected', { actorType: 'provider_user', actorId: userId, reason: 'Result uploaded' }, tx);
+    }
+
+    return tx.result.findUnique({ where: { id: saved.id }, include: resultInclude });
+  });
+
+  console.log('Result uploaded:', { resultId: result.id, orderItemId: orderItem.id, providerId, userId, criticalCount: criticalValues.length });
+
+  if (criticalValues.length) {
+    await notifyCriticalValues(orderItem, criticalValues);
+  }
+
+  return formatResult(result);
+}
+
+async function fetchResults(providerId, { status } = {}) {
+  if (!providerId || isNaN(parseInt(providerId))) {
+    throw new Error('Invalid provider ID');
+  }
+
+  const results = await prisma.result.findMany({
+    where: {
+      orderItem: { providerId: parseInt(providerId) },
+      ...(status && { status }),
+    },
+    include: resultInclude,
+    orderBy: { uploadedAt: 'desc' },
+  });
+
+  console.log('Results fetched:', { providerId, count: results.length });
+  return results.map(formatResult);
+}
+
+async function reviewResult({ resultId, providerId, userId, status, reviewNotes }) {
+  if (!['reviewed', 'rejected'].includes(status)) {
+    throw new Error('Invalid review status');
+  }
+  if (status === 'rejected' && !reviewNotes) {
+    const error = new Error('Review notes are required when rejecting a result');
+    error.status = 400;
+    throw error;
+  }
+
+  const result = await findProviderResult(resultId, providerId);
+  if (result.status !== 'pending') {
+    const error = new Error(`Result is already ${result.status}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const updatedResult = await prisma.result.update({
+    where: { id: result.id },
+    data: {
+      status,
+      reviewedById: userId,
+      reviewNotes: reviewNotes || null,
+      reviewedAt: new Date(),
+    },
+    include: resultInclude,
+  });
+
+  console.log('Result reviewed:', { resultId: result.id, status, reviewedById: userId });
+  return formatResult(updatedResult);
+}
+
+async function releaseResult({ resultId, providerId, userId }) {
+  const result = await findProviderResult(resultId, providerId);
+  if (result.status !== 'reviewed') {
+    const error = new Error('Only reviewed results can be released');
+    error.status = 400;
+    throw error;
+  }
+
+  const { releasedResult, orderStatus } = await prisma.$transaction(async (tx) => {
+    const releasedResult = await tx.result.update({
+      where: { id: result.id },
+      data: { status: 'available', releasedAt: new Date() },
+      include: resultInclude,
+    });
+
+    const labItems = await tx.orderItem.findMany({
+      where: { orderId: result.orderId, service: { type: { in: LAB_SERVICE_TYPES } } },
+      include: { result: { select: { status: true } } },
+    });
+    const allReleased = labItems.every(item => item.result?.status === 'available');
+    const orderStatus = allReleased ? 'completed' : 'result_ready';
+
+    // Orders always pass through result_ready, so the timeline shows when results first became available
+    const actor = { actorType: 'provider_user', actorId: userId };
+    await transitionOrderStatus(result.orderId, 'result_ready', { ...actor, reason: 'Lab result released' }, tx);
+    if (allReleased) {
+      await transitionOrderStatus(result.orderId, 'completed', { ...actor, reason: 'All lab results released' }, tx);
+    }
+
+    return { releasedResult, orderStatus };
+  });
+
+  console.log('Result released:', { resultId: result.id, orderId: result.orderId, orderStatus, releasedBy: userId });
+  return { result: formatResult(releasedResult), orderStatus };
+}
+
+async function getResultTemplate(serviceId) {
+  const service = await prisma.service.findUnique({
+    where: { id: parseInt(serviceId) },
+    include: {
+      analytes: { include: { referenceRanges: true }, orderBy: { sortOrder: 'asc' } },
+    },
+  });
+  if (!service) {
+    const error = new Error('Service not found');
+    error.status = 404;
+    throw error;
+  }
+
+  return {
+    serviceId: service.id,
+    name: service.name,
+    template: service.resultFormat,
+    structured: service.analytes.length > 0,
+    analytes: service.analytes.map(analyte => ({
+      code: analyte.code,
+      name: analyte.name,
+      unit: analyte.unit,
+      valueType: analyte.valueType,
+      referenceRanges: analyte.referenceRanges.map(range => ({
+        sex: range.sex,
+        ageMinYears: range.ageMinYears,
+        ageMaxYears: range.ageMaxYears,
+        low: range.low,
+        high: range.high,
+        criticalLow: range.criticalLow,
+        criticalHigh: range.criticalHigh,
+      })),
+    })),
+  };
+}
+
+async function getReleasedResults(trackingCode) {
+  const orders = await prisma.order.findMany({
+    where: { trackingCode },
+    select: { id: true },
+  });
+  if (orders.length === 0) {
+    const error = new Error('Orders not found for tracking code');
+    error.status = 404;
+    throw error;
+  }
+
+  // Only released results are ever returned to patients
+  const results = await prisma.result.findMany({
+    where: {
+      orderId: { in: orders.map(o => o.id) },
+      status: 'available',
+    },
+    include: resultInclude,
+    orderBy: { releasedAt: 'desc' },
+  });
+
+  console.log('Released results fetched:', { trackingCode, count: results.length });
+  return results.map(result => ({
+    id: result.id,
+    orderId: result.orderId,
+    service: formatResult(result).service,
+    fileUrl: result.fileUrl ? `/api/track/results/${result.id}/file?trackingCode=${encodeURIComponent(trackingCode)}` : null,
+    value: result.value,
+    values: result.values.map(formatResultValue),
+    reviewedBy: result.reviewedBy ? { name: result.reviewedBy.name, role: result.reviewedBy.role } : null,
+    releasedAt: result.releasedAt,
+  }));
+}
+
+// A result's fileUrl holds the name of its file in the private result folder
+function resultFilePath(result) {
+  if (!result.fileUrl) {
+    const error = new Error('Result has no file');
+    error.status = 404;
+    throw error;
+  }
+  return path.resolve(RESULT_UPLOAD_DIR, path.basename(result.fileUrl));
+}
+
+async function getProviderResultFile(resultId, providerId) {
+  return resultFilePath(await findProviderResult(resultId, providerId));
+}
+
+// Patients only get the file of a released result on an order under their tracking code
+async function getReleasedResultFile(resultId, trackingCode) {
+  const result = await prisma.result.findFirst({
+    where: { id: resultId, status: 'available', releasedAt: { not: null }, order: { trackingCode } },
+  });
+  if (!result) {
+    const error = new Error('Result not found');
+    error.status = 404;
+    throw error;
+  }
+  return resultFilePath(result);
+}
+
+module.exports = {
+  uploadResult,
+  fetchResults,
+  reviewResult,
+  releaseResult,
+  getResultTemplate,
+  getReleasedResults,
+  getProviderResultFile,
+  getReleasedResultFile,
+};
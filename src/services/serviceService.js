@@ -1,5 +1,8 @@
 const { PrismaClient } = require('@prisma/client');
 const { formatServiceDisplayName } = require('../utils/serviceUtils.js');
+const { getActiveHoldTotals, holdKey } = require('../utils/stockReservations');
+const { getUnsellableBatchTotals } = require('../utils/stockBatches');
+const { loadProviderSchedules, isOpenAt, getHoursForDate } = require('../utils/operatingHours');
 const prisma = new PrismaClient();
 
 async function getSampleService(type) {
@@ -51,7 +54,7 @@ async function getServiceSuggestions(searchTerm, type) {
   }));
 }
 
-async function searchServices({ q, serviceId, page, limit, lat, lng, radius, state, lga, ward, sortBy, homeCollection, type }) {
+async function searchServices({ q, serviceId, page, limit, lat, lng, radius, state, lga, ward, sortBy, homeCollection, openNow, type }) {
   const pageNum = parseInt(page, 10);
   const limitNum = parseInt(limit, 10);
   const skip = (pageNum - 1) * limitNum;
@@ -63,7 +66,7 @@ async function searchServices({ q, serviceId, page, limit, lat, lng, radius, sta
       status: 'verified',
       isActive: true,
     },
-    ...(type === 'medication' ? { stock: { gt: 0 } } : { available: true }),
+    ...(type === 'medication' ? { stock: { gt: 0 }, available: true } : { available: true }),
   };
 
   if (state) {
@@ -176,18 +179,40 @@ async function searchServices({ q, serviceId, page, limit, lat, lng, radius, sta
     providerIdsWithDistance.map(entry => [entry.id, entry.distance_km])
   );
 
+  // Expired or recalled batches and stock held by other patients' carts and checkouts can't be sold to this one
+  const stockedPairs = services.flatMap(service => service.providerServices
+    .filter(ps => ps.stock !== null)
+    .map(ps => ({ providerId: ps.providerId, serviceId: service.id })));
+  const providerIds = [...new Set(services.flatMap(service => service.providerServices.map(ps => ps.providerId)))];
+  const [holdTotals, unsellableTotals, schedules] = await Promise.all([
+    getActiveHoldTotals(stockedPairs),
+    getUnsellableBatchTotals(stockedPairs),
+    loadProviderSchedules(providerIds),
+  ]);
+  const now = new Date();
+
   const result = services.map(service => {
-    let availability = service.providerServices.map(ps => ({
-      providerId: ps.providerId,
-      providerName: ps.provider.name,
-      address: ps.provider.address,
-      stock: ps.stock,
-      price: ps.price,
-      expiryDate: ps.expiryDate,
-      resultTurnaroundHours: ps.resultTurnaroundHours,
-      homeCollectionAvailable: ps.provider.homeCollectionAvailable,
-      distance_km: distanceMap.get(ps.providerId) ? parseFloat(distanceMap.get(ps.providerId).toFixed(2)) : null,
-    }));
+    let availability = service.providerServices.map(ps => {
+      const schedule = schedules.get(ps.providerId);
+      return {
+        providerId: ps.providerId,
+        providerName: ps.provider.name,
+        address: ps.provider.address,
+        stock: ps.stock,
+        availableStock: ps.stock !== null
+          ? Math.max(ps.stock - (unsellableTotals.get(holdKey(ps.providerId, service.id)) || 0) - (holdTotals.get(holdKey(ps.providerId, service.id)) || 0), 0)
+          : null,
+        price: ps.price,
+        expiryDate: ps.expiryDate,
+        resultTurnaroundHours: ps.resultTurnaroundHours,
+        homeCollectionAvailable: ps.provider.homeCollectionAvailable,
+        distance_km: distanceMap.get(ps.providerId) ? parseFloat(distanceMap.get(ps.providerId).toFixed(2)) : null,
+        openNow: schedule ? isOpenAt(schedule, now) : false,
+        todayHours: schedule ? getHoursForDate(schedule, now) : null,
+      };
+    })
+      .filter(entry => service.type !== 'medication' || entry.availableStock > 0)
+      .filter(entry => openNow !== 'true' || entry.openNow);
 
     // Sort availability
     if (sortBy === 'closest' && lat && lng) {
@@ -0,0 +1,356 @@
+const { PrismaClient } = require('@prisma/client');
+const { getPaymentGateway } = require('../utils/payment');
+const prisma = new PrismaClient();
+
+// Ledger amounts are signed from the provider's point of view: credits are positive, debits negative.
+// Entries not yet attached to a payout (and not settled directly by the gateway) make up the balance owed.
+
+const DEFAULT_COMMISSION_RATE = parseFloat(process.env.PLATFORM_COMMISSION_RATE || '0.1');
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function commissionRateFor(provider) {
+  return provider?.commissionRate ?? DEFAULT_COMMISSION_RATE;
+}
+
+// Gross value of an order per provider, the same grouping recalculateOrderTotal uses for its subtotals.
+// The delivery fee goes to the order's provider, whose riders make the delivery.
+function providerSubtotals(items, order = {}) {
+  const subtotals = items.reduce((acc, item) => {
+    acc[item.providerId] = (acc[item.providerId] || 0) + item.price * item.quantity;
+    return acc;
+  }, {});
+  if (order.deliveryFee > 0 && order.providerId) {
+    subtotals[order.providerId] = (subtotals[order.providerId] || 0) + order.deliveryFee;
+  }
+  return subtotals;
+}
+
+async function loadProviders(providerIds, client = prisma) {
+  const providers = await client.provider.findMany({
+    where: { id: { in: providerIds.map(Number) } },
+    select: { id: true, name: true, commissionRate: true, paystackSubaccountCode: true },
+  });
+  return new Map(providers.map((p) => [p.id, p]));
+}
+
+// Paystack split settlement: when enabled and every provider in the payment has a subaccount,
+// each provider's share net of commission goes straight to its subaccount
+async function buildSplits(gatewayName, providerTotals) {
+  if (gatewayName !== 'paystack' || process.env.PAYSTACK_SPLIT_SETTLEMENT !== 'true') {
+    return null;
+  }
+  const providerIds = Object.keys(providerTotals);
+  const providers = await loadProviders(providerIds);
+  if (providerIds.some((id) => !providers.get(Number(id))?.paystackSubaccountCode)) {
+    return null;
+  }
+  return providerIds.map((id) => {
+    const provider = providers.get(Number(id));
+    return {
+      accountCode: provider.paystackSubaccountCode,
+      amount: roundAmount(providerTotals[id] * (1 - commissionRateFor(provider))),
+    };
+  });
+}
+
+// Records earnings, commission and gateway fees for the paid orders of a transaction. Safe to call
+// more than once: every entry has a deterministic key.
+async function recordTransactionSettlement(transactionRef, orders, { fees } = {}) {
+  const paidOrders = orders.filter((o) => o.paymentStatus === 'paid');
+  if (paidOrders.length === 0) return [];
+
+  const orderSubtotals = paidOrders.map((order) => ({ order, subtotals: providerSubtotals(order.items, order) }));
+  const transactionGross = orderSubtotals.reduce(
+    (sum, { subtotals }) => sum + Object.values(subtotals).reduce((s, v) => s + v, 0),
+    0
+  );
+  const totalFees = fees ?? getPaymentGateway(transactionRef.gateway).estimateFee(transactionGross);
+  const providers = await loadProviders([...new Set(orderSubtotals.flatMap(({ subtotals }) => Object.keys(subtotals)))]);
+  const settledAt = transactionRef.splitSettlement ? transactionRef.paidAt || new Date() : null;
+
+  const entries = [];
+  for (const { order, subtotals } of orderSubtotals) {
+    for (const [providerId, gross] of Object.entries(subtotals)) {
+      const provider = providers.get(Number(providerId));
+      const rate = commissionRateFor(provider);
+      const feeShare = transactionGross > 0 ? roundAmount(totalFees * (gross / transactionGross)) : 0;
+      const base = {
+        providerId: Number(providerId),
+        orderId: order.id,
+        transactionReference: transactionRef.transactionReference,
+        settledAt,
+      };
+      const keyPrefix = `order:${order.id}:provider:${providerId}`;
+
+      entries.push(
+        { ...base, entryKey: `${keyPrefix}:earning`, type: 'earning', amount: roundAmount(gross), description: `Order #${order.id}` },
+        { ...base, entryKey: `${keyPrefix}:commission`, type: 'commission', amount: -roundAmount(gross * rate), description: `Platform commission (${(rate * 100).toFixed(1)}%)` }
+      );
+      if (feeShare > 0) {
+        entries.push({ ...base, entryKey: `${keyPrefix}:gateway_fee`, type: 'gateway_fee', amount: -feeShare, description: `${transactionRef.gateway} processing fee` });
+      }
+    }
+  }
+
+  await prisma.ledgerEntry.createMany({ data: entries, skipDuplicates: true });
+
+  console.log('Transaction settlement recorded:', {
+    transactionReference: transactionRef.transactionReference,
+    orderIds: paidOrders.map((o) => o.id),
+    totalFees,
+    splitSettlement: transactionRef.splitSettlement,
+  });
+  return entries;
+}
+
+// Records the earnings for orders that were paid for before they could be confirmed (those waiting on a
+// prescription) once they are, against the transaction that paid for them
+async function recordOrderSettlement(orderIds) {
+  const orders = await prisma.order.findMany({
+    where: { id: { in: orderIds }, paymentStatus: 'paid' },
+    select: {
+      id: true,
+      providerId: true,
+      deliveryFee: true,
+      paymentReference: true,
+      paymentStatus: true,
+      items: { select: { providerId: true, price: true, quantity: true } },
+    },
+  });
+  const references = orders.map((o) => o.paymentReference).filter(Boolean);
+  if (references.length === 0) return [];
+
+  const transactionRefs = await prisma.transactionReference.findMany({
+    where: { status: 'success', orderReferences: { hasSome: references } },
+  });
+  const entries = [];
+  for (const transactionRef of transactionRefs) {
+    const transactionOrders = orders.filter((o) => transactionRef.orderReferences.includes(o.paymentReference));
+    entries.push(...await recordTransactionSettlement(transactionRef, transactionOrders));
+  }
+  return entries;
+}
+
+// Debits a processed refund from the providers that were paid for it, and hands back the commission on it
+async function recordRefundSettlement(refund) {
+  const items = await prisma.orderItem.findMany({
+    where: refund.orderItemId ? { id: refund.orderItemId } : { orderId: refund.orderId },
+    select: { providerId: true, price: true, quantity: true },
+  });
+  const subtotals = providerSubtotals(items);
+  const gross = Object.values(subtotals).reduce((sum, v) => sum + v, 0);
+  if (gross <= 0) return [];
+
+  const providers = await loadProviders(Object.keys(subtotals));
+  const entries = [];
+  for (const [providerId, subtotal] of Object.entries(subtotals)) {
+    const amount = roundAmount(refund.amount * (subtotal / gross));
+    const rate = commissionRateFor(providers.get(Number(providerId)));
+    const base = {
+      providerId: Number(providerId),
+      orderId: refund.orderId,
+      refundId: refund.id,
+      transactionReference: refund.transactionReference,
+    };
+    const keyPrefix = `refund:${refund.id}:provider:${providerId}`;
+    entries.push(
+      { ...base, entryKey: `${keyPrefix}:refund`, type: 'refund', amount: -amount, description: `Refund #${refund.id} for order #${refund.orderId}` },
+      { ...base, entryKey: `${keyPrefix}:commission_reversal`, type: 'commission_reversal', amount: roundAmount(amount * rate), description: `Commission returned on refund #${refund.id}` }
+    );
+  }
+
+  await prisma.ledgerEntry.createMany({ data: entries, skipDuplicates: true });
+  console.log('Refund settlement recorded:', { refundId: refund.id, orderId: refund.orderId });
+  return entries;
+}
+
+const unpaidEntryFilter = { payoutId: null, settledAt: null };
+
+// Advisory lock key held while a payout batch is built
+const PAYOUT_BATCH_LOCK_KEY = 7301;
+
+async function getProviderBalances() {
+  const balances = await prisma.ledgerEntry.groupBy({
+    by: ['providerId'],
+    where: unpaidEntryFilter,
+    _sum: { amount: true },
+  });
+  const providers = await loadProviders(balances.map((b) => b.providerId));
+  return balances
+    .map((b) => ({
+      providerId: b.providerId,
+      providerName: providers.get(b.providerId)?.name || 'Unknown',
+      balance: roundAmount(b._sum.amount || 0),
+    }))
+    .sort((a, b) => b.balance - a.balance);
+}
+
+async function getProviderStatement(providerId, { from, to } = {}) {
+  const provider = await prisma.provider.findUnique({
+    where: { id: providerId },
+    select: { id: true, name: true, commissionRate: true, paystackSubaccountCode: true },
+  });
+  if (!provider) {
+    const error = new Error('Provider not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const createdAt = {};
+  if (from) createdAt.gte = new Date(from);
+  if (to) createdAt.lte = new Date(to);
+  const where = { providerId, ...(from || to ? { createdAt } : {}) };
+
+  const [entries, balance, payouts] = await Promise.all([
+    prisma.ledgerEntry.findMany({ where, orderBy: { createdAt: 'desc' } }),
+    prisma.ledgerEntry.aggregate({ where: { providerId, ...unpaidEntryFilter }, _sum: { amount: true } }),
+    prisma.payout.findMany({ where: { providerId }, orderBy: { createdAt: 'desc' }, take: 20 }),
+  ]);
+
+  const totals = entries.reduce((acc, entry) => {
+    acc[entry.type] = roundAmount((acc[entry.type] || 0) + entry.amount);
+    acc.net = roundAmount(acc.net + entry.amount);
+    return acc;
+  }, { earning: 0, commission: 0, gateway_fee: 0, refund: 0, commission_reversal: 0, adjustment: 0, net: 0 });
+
+  return {
+    provider: {
+      id: provider.id,
+      name: provider.name,
+      commissionRate: commissionRateFor(provider),
+      splitSettlement: Boolean(provider.paystackSubaccountCode),
+    },
+    period: { from: from || null, to: to || null },
+    totals,
+    balance: roundAmount(balance._sum.amount || 0),
+    entries: entries.map((e) => ({
+      id: e.id,
+      type: e.type,
+      amount: e.amount,
+      description: e.description,
+      orderId: e.orderId,
+      refundId: e.refundId,
+      payoutId: e.payoutId,
+      settledByGateway: Boolean(e.settledAt),
+      createdAt: e.createdAt,
+    })),
+    payouts,
+  };
+}
+
+// Groups every provider's outstanding balance into one payout batch. Providers whose balance is below
+// the minimum (or negative, e.g. after refunds) carry it over to the next batch.
+async function createPayoutBatch({ adminId, providerIds, minimumAmount }) {
+  const minimum = minimumAmount ?? parseFloat(process.env.PAYOUT_MINIMUM_AMOUNT || '1000');
+  const cutoff = new Date();
+  const where = {
+    ...unpaidEntryFilter,
+    createdAt: { lte: cutoff },
+    ...(providerIds && providerIds.length > 0 && { providerId: { in: providerIds } }),
+  };
+
+  const batch = await prisma.$transaction(async (tx) => {
+    // Batch runs queue up on this lock, so a second run reads the balances after the first has claimed
+    // its entries instead of paying the same entries out again
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${PAYOUT_BATCH_LOCK_KEY}::bigint)`;
+    const balances = await tx.ledgerEntry.groupBy({ by: ['providerId'], where, _sum: { amount: true } });
+    const eligible = balances.filter((b) => roundAmount(b._sum.amount || 0) >= minimum && (b._sum.amount || 0) > 0);
+    if (eligible.length === 0) {
+      const error = new Error('No provider balances are due for payout');
+      error.status = 400;
+      throw error;
+    }
+
+    const created = await tx.payoutBatch.create({
+      data: {
+        createdById: adminId,
+        totalAmount: roundAmount(eligible.reduce((sum, b) => sum + b._sum.amount, 0)),
+      },
+    });
+    for (const balance of eligible) {
+      const payout = await tx.payout.create({
+        data: { batchId: created.id, providerId: balance.providerId, amount: roundAmount(balance._sum.amount) },
+      });
+      await tx.ledgerEntry.updateMany({
+        where: { ...where, providerId: balance.providerId },
+        data: { payoutId: payout.id },
+      });
+    }
+    return tx.payoutBatch.findUnique({
+      where: { id: created.id },
+      include: { payouts: { include: { provider: { select: { id: true, name: true } } } } },
+    });
+  });
+
+  console.log('Payout batch created:', { batchId: batch.id, payouts: batch.payouts.length, totalAmount: batch.totalAmount });
+  return batch;
+}
+
+async function getPayoutBatches({ page, limit }) {
+  const skip = (page - 1) * limit;
+  const [batches, total] = await prisma.$transaction([
+    prisma.payoutBatch.findMany({
+      include: {
+        createdBy: { select: { id: true, name: true } },
+        payouts: { select: { id: true, providerId: true, amount: true, status: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip,
+    }),
+    prisma.payoutBatch.count(),
+  ]);
+  return {
+    batches,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+// Payouts are settled outside the platform (bank transfer); admins record the outcome here
+async function updatePayoutStatus(payoutId, { status, reference, failureReason }) {
+  const payout = await prisma.payout.findUnique({ where: { id: payoutId } });
+  if (!payout) {
+    const error = new Error('Payout not found');
+    error.status = 404;
+    throw error;
+  }
+  if (payout.status !== 'pending') {
+    const error = new Error(`Payout is already ${payout.status}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (status === 'failed') {
+      // Release the entries so they are picked up by the next batch
+      await tx.ledgerEntry.updateMany({ where: { payoutId }, data: { payoutId: null } });
+    }
+    return tx.payout.update({
+      where: { id: payoutId },
+      data: {
+        status,
+        reference,
+        failureReason: status === 'failed' ? failureReason : null,
+        paidAt: status === 'paid' ? new Date() : null,
+      },
+    });
+  });
+
+  console.log('Payout updated:', { payoutId, status });
+  return updated;
+}
+
+module.exports = {
+  buildSplits,
+  recordTransactionSettlement,
+  recordOrderSettlement,
+  recordRefundSettlement,
+  getProviderBalances,
+  getProviderStatement,
+  createPayoutBatch,
+  getPayoutBatches,
+  updatePayoutStatus,
+};
@@ -15,6 +15,8 @@ async function trackOrders(trackingCode) {
       id: true,
       patientIdentifier: true,
       totalPrice: true,
+      deliveryFee: true,
+      deliveryDistanceKm: true,
       address: true,
       fulfillmentMethod: true,
       fulfillmentType: true,
@@ -56,6 +58,13 @@ async function trackOrders(trackingCode) {
       provider: {
         select: { id: true, name: true, address: true },
       },
+      delivery: {
+        select: { status: true, dispatchedAt: true, deliveredAt: true, rider: { select: { name: true } } },
+      },
+      statusHistory: {
+        select: { fromStatus: true, toStatus: true, actorType: true, reason: true, createdAt: true },
+        orderBy: { createdAt: 'asc' },
+      },
       items: {
         select: {
           id: true,
@@ -100,6 +109,8 @@ async function trackOrders(trackingCode) {
       id: order.id,
       patientIdentifier: order.patientIdentifier,
       totalPrice: order.totalPrice,
+      deliveryFee: order.deliveryFee,
+      deliveryDistanceKm: order.deliveryDistanceKm,
       address: order.address,
       fulfillmentMethod: order.fulfillmentMethod,
       fulfillmentType: order.fulfillmentType,
@@ -111,6 +122,19 @@ async function trackOrders(trackingCode) {
       filledAt: order.filledAt,
       cancelledAt: order.cancelledAt,
       cancelReason: order.cancelReason,
+      delivery: order.delivery ? {
+        status: order.delivery.status,
+        rider: order.delivery.rider?.name || null,
+        dispatchedAt: order.delivery.dispatchedAt,
+        deliveredAt: order.delivery.deliveredAt,
+      } : null,
+      timeline: order.statusHistory.map(entry => ({
+        status: entry.toStatus,
+        previousStatus: entry.fromStatus,
+        actor: entry.actorType,
+        reason: entry.reason,
+        at: entry.createdAt,
+      })),
       prescription: order.prescription ? {
         id: order.prescription.id,
         status: order.prescription.status,
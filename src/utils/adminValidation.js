@@ -1,4 +1,5 @@
 const z = require('zod');
+const { isValidTimeZone } = require('./timezone');
 
 const paginationSchema = z.object({
   page: z.preprocess(
@@ -11,6 +12,9 @@ const paginationSchema = z.object({
   ),
 });
 
+// IANA name such as Africa/Lagos; slots and opening hours are read in this zone
+const timeZoneSchema = z.string().max(64).refine(isValidTimeZone, 'Invalid timezone');
+
 const editProviderSchema = z.object({
   name: z.string().min(1, 'Provider name required'),
   address: z.string().min(1, 'Address required'),
@@ -22,6 +26,9 @@ const editProviderSchema = z.object({
   logoUrl: z.string().url('Invalid URL').optional().or(z.literal('')).transform((val) => (val === '' ? undefined : val)),
   isActive: z.boolean(),
   homeCollectionAvailable: z.boolean().optional(),
+  timezone: timeZoneSchema.optional(),
+  commissionRate: z.number().min(0).max(1, 'Commission rate must be between 0 and 1').nullable().optional(),
+  paystackSubaccountCode: z.string().regex(/^ACCT_[A-Za-z0-9]+$/, 'Invalid Paystack subaccount code').nullable().optional(),
 }).merge(paginationSchema);
 
 const createServiceSchema = z.object({
@@ -37,6 +44,7 @@ const createServiceSchema = z.object({
   testType: z.string().optional(),
   testCode: z.string().optional(),
   prepInstructions: z.string().optional(),
+  resultFormat: z.string().optional(),
   prescriptionRequired: z.boolean(),
   imageUrl: z.preprocess((val) => (val === '' ? undefined : val), z.string().url('Invalid URL').optional()),
 });
@@ -54,10 +62,37 @@ const updateServiceSchema = z.object({
   testType: z.string().optional(),
   testCode: z.string().optional(),
   prepInstructions: z.string().optional(),
+  resultFormat: z.string().optional(),
   prescriptionRequired: z.boolean(),
   imageUrl: z.preprocess((val) => (val === '' ? undefined : val), z.string().url('Must be a valid URL').optional()),
 });
 
+const referenceRangeSchema = z.object({
+  sex: z.enum(['male', 'female']).optional(),
+  ageMinYears: z.number().int().min(0).optional(),
+  ageMaxYears: z.number().int().min(0).optional(),
+  low: z.number().optional(),
+  high: z.number().optional(),
+  criticalLow: z.number().optional(),
+  criticalHigh: z.number().optional(),
+}).refine((range) => range.low === undefined || range.high === undefined || range.low <= range.high, {
+  message: 'Reference low must not exceed high',
+}).refine((range) => range.ageMinYears === undefined || range.ageMaxYears === undefined || range.ageMinYears <= range.ageMaxYears, {
+  message: 'Minimum age must not exceed maximum age',
+});
+
+const serviceAnalytesSchema = z.object({
+  analytes: z.array(z.object({
+    code: z.string().min(1, 'Analyte code required').max(50),
+    name: z.string().min(1, 'Analyte name required'),
+    unit: z.string().max(50).optional(),
+    valueType: z.enum(['numeric', 'text']).default('numeric'),
+    referenceRanges: z.array(referenceRangeSchema).default([]),
+  })).refine((analytes) => new Set(analytes.map(a => a.code.toUpperCase())).size === analytes.length, {
+    message: 'Analyte codes must be unique',
+  }),
+});
+
 const serviceFilterSchema = z.object({
   name: z.string().optional(),
   genericName: z.string().optional(),
@@ -70,6 +105,7 @@ const serviceFilterSchema = z.object({
 const prescriptionFilterSchema = z.object({
   status: z.enum(['pending', 'verified', 'rejected']).optional(),
   patientIdentifier: z.string().optional(),
+  escalated: z.enum(['true', 'false']).optional().transform((val) => val === undefined ? undefined : val === 'true'),
 }).merge(paginationSchema);
 
 const orderFilterSchema = z.object({
@@ -77,6 +113,69 @@ const orderFilterSchema = z.object({
   patientIdentifier: z.string().optional(),
 }).merge(paginationSchema);
 
+const refundFilterSchema = z.object({
+  status: z.enum(['pending_approval', 'approved', 'processing', 'processed', 'failed', 'denied']).optional(),
+  orderId: z.string().regex(/^\d+$/).optional().transform(val => (val ? Number(val) : undefined)),
+}).merge(paginationSchema);
+
+const refundDecisionSchema = z.object({
+  reviewNotes: z.string().trim().max(1000).optional(),
+});
+
+const denyRefundSchema = z.object({
+  reviewNotes: z.string().trim().min(1, 'Reason required').max(1000),
+});
+
+const createRefundSchema = z.object({
+  itemIds: z.array(z.number().int().positive()).min(1).optional(),
+  reason: z.string().trim().min(3, 'Reason required').max(500),
+});
+
+const statementFilterSchema = z.object({
+  from: z.string().refine(val => !isNaN(Date.parse(val)), 'Invalid from date').optional(),
+  to: z.string().refine(val => !isNaN(Date.parse(val)), 'Invalid to date').optional(),
+});
+
+const createPayoutBatchSchema = z.object({
+  providerIds: z.array(z.number().int().positive()).optional(),
+  minimumAmount: z.number().min(0).optional(),
+});
+
+const updatePayoutSchema = z.object({
+  status: z.enum(['paid', 'failed']),
+  reference: z.string().trim().min(1).max(100).optional(),
+  failureReason: z.string().trim().max(500).optional(),
+}).refine(data => data.status !== 'paid' || data.reference, {
+  message: 'Transfer reference required for paid payouts',
+  path: ['reference'],
+});
+
+const discrepancyFilterSchema = z.object({
+  resolved: z.enum(['true', 'false']).optional().transform(val => (val === undefined ? undefined : val === 'true')),
+  type: z.enum(['unknown_transaction', 'paid_not_recorded', 'cancelled_but_paid', 'recorded_not_paid', 'missing_at_gateway', 'amount_mismatch']).optional(),
+}).merge(paginationSchema);
+
+const resolveDiscrepancySchema = z.object({
+  notes: z.string().trim().min(1, 'Resolution notes required').max(1000),
+});
+
+const reconciliationRunSchema = z.object({
+  gateway: z.string().optional(),
+  from: z.string().refine(val => !isNaN(Date.parse(val)), 'Invalid from date').optional(),
+  to: z.string().refine(val => !isNaN(Date.parse(val)), 'Invalid to date').optional(),
+});
+
+const createRecallSchema = z.object({
+  nafdacCode: z.string().trim().min(1, 'NAFDAC code required').max(50),
+  batchNumber: z.string().trim().min(1).max(100).optional(),
+  reason: z.string().trim().min(1, 'Reason required').max(1000),
+  instructions: z.string().trim().max(1000).optional(),
+});
+
+const recallFilterSchema = z.object({
+  status: z.enum(['active', 'closed']).optional(),
+}).merge(paginationSchema);
+
 const adminUserFilterSchema = z.object({
   role: z.enum(['admin', 'support']).optional(),
   email: z.string().optional(),
@@ -84,11 +183,47 @@ const adminUserFilterSchema = z.object({
 }).merge(paginationSchema);
 
 const providerUserFilterSchema = z.object({
-  role: z.enum(['manager', 'pharmacist', 'technician']).optional(),
+  role: z.enum(['manager', 'pharmacist', 'lab_scientist', 'pathologist', 'radiologist', 'technician', 'phlebotomist', 'rider']).optional(),
   email: z.string().optional(),
   providerId: z.string().regex(/^\d+$/).optional().transform(Number),
 }).merge(paginationSchema);
 
+const timeOfDaySchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format');
+
+// Days may have several periods (e.g. a lunch break) but they must not overlap; days left out are closed
+const weeklyHoursSchema = z.array(z.object({
+  day: z.enum(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']),
+  opensAt: timeOfDaySchema,
+  closesAt: timeOfDaySchema,
+}).refine((period) => period.opensAt < period.closesAt, {
+  message: 'closesAt must be after opensAt',
+  path: ['closesAt'],
+})).max(28).refine((periods) => periods.every((period, i) => periods.every((other, j) => i === j
+  || other.day !== period.day || other.closesAt <= period.opensAt || other.opensAt >= period.closesAt)), {
+  message: 'Opening periods on the same day must not overlap',
+});
+
+const dateOnlySchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format')
+  .refine(val => !isNaN(Date.parse(val)), 'Invalid date');
+
+// Without opensAt/closesAt the provider is closed for the whole range; with them it keeps reduced hours
+const scheduleExceptionSchema = z.object({
+  startDate: dateOnlySchema,
+  endDate: dateOnlySchema.optional(),
+  opensAt: timeOfDaySchema.optional(),
+  closesAt: timeOfDaySchema.optional(),
+  reason: z.string().max(255).optional(),
+}).refine((exception) => !exception.endDate || exception.endDate >= exception.startDate, {
+  message: 'endDate must not be before startDate',
+  path: ['endDate'],
+}).refine((exception) => Boolean(exception.opensAt) === Boolean(exception.closesAt), {
+  message: 'Provide both opensAt and closesAt for reduced hours, or neither for a closure',
+  path: ['closesAt'],
+}).refine((exception) => !exception.opensAt || exception.opensAt < exception.closesAt, {
+  message: 'closesAt must be after opensAt',
+  path: ['closesAt'],
+});
+
 const registerSchema = z.object({
   provider: z.object({
     name: z.string().min(1, 'Provider name required'),
@@ -102,6 +237,8 @@ const registerSchema = z.object({
     licenseNumber: z.string().min(1, 'License number required').optional(),
     logoUrl: z.string().url('Invalid URL').optional(),
     homeCollectionAvailable: z.boolean().optional(),
+    weeklyHours: weeklyHoursSchema.optional(),
+    timezone: timeZoneSchema.optional(),
   }),
   user: z.object({
     name: z.string().min(1, 'User name required'),
@@ -115,23 +252,35 @@ const loginSchema = z.object({
   password: z.string().min(1, 'Password required'),
 });
 
+// Licence numbers are stored upper-case without spaces, so the same licence can't register twice
+const licenseNumberSchema = z.string()
+  .transform(value => value.replace(/\s+/g, '').toUpperCase())
+  .pipe(z.string().regex(/^[A-Z0-9][A-Z0-9/-]{3,49}$/, 'Invalid licence number'));
+
+// Pharmacists verify prescriptions under their PCN licence, so one is required when adding them
 const addUserSchema = z.object({
   name: z.string().min(1, 'User name required'),
   email: z.string().email('Invalid email'),
   password: z.string().min(8, 'Password must be at least 8 characters'),
-  role: z.enum(['pharmacist', 'technician']),
-});
+  role: z.enum(['pharmacist', 'technician', 'lab_scientist', 'pathologist', 'radiologist', 'phlebotomist', 'rider']),
+  licenseNumber: licenseNumberSchema.optional(),
+  licenseBody: z.string().trim().toUpperCase().max(20).optional(),
+}).refine(data => data.role !== 'pharmacist' || data.licenseNumber, { message: 'A licence number is required for pharmacists', path: ['licenseNumber'] });
 
 const editUserSchema = z.object({
   name: z.string().min(1, 'User name required'),
   email: z.string().email('Invalid email'),
   password: z.string().min(8, 'Password must be at least 8 characters').optional(),
+  licenseNumber: licenseNumberSchema.optional(),
+  licenseBody: z.string().trim().toUpperCase().max(20).optional(),
 });
 
 const editProfileSchema = z.object({
   user: z.object({
     name: z.string().min(1, 'User name required'),
     email: z.string().email('Invalid email'),
+    licenseNumber: licenseNumberSchema.optional(),
+    licenseBody: z.string().trim().toUpperCase().max(20).optional(),
   }),
   provider: z.object({
     name: z.string().min(1, 'Provider name required'),
@@ -144,6 +293,8 @@ const editProfileSchema = z.object({
     phone: z.string().regex(/^\+?\d{10,15}$/, 'Invalid phone number'),
     logoUrl: z.string().url('Invalid URL').optional(),
     homeCollectionAvailable: z.boolean().optional(),
+    weeklyHours: weeklyHoursSchema.optional(),
+    timezone: timeZoneSchema.optional(),
   }),
 });
 
@@ -158,13 +309,47 @@ const adminLoginSchema = z.object({
   password: z.string().min(1, 'Password required'),
 });
 
+const prescriberRegisterSchema = z.object({
+  name: z.string().min(1, 'Name required'),
+  email: z.string().email('Invalid email'),
+  password: z.string().min(8, 'Password must be at least 8 characters'),
+  phone: z.string().regex(/^\+?\d{10,15}$/, 'Invalid phone number').optional(),
+  licenseNumber: licenseNumberSchema,
+  licenseBody: z.enum(['MDCN', 'NMCN']).default('MDCN'),
+  specialty: z.string().max(100).optional(),
+  practiceName: z.string().max(255).optional(),
+});
+
+const prescriberFilterSchema = z.object({
+  status: z.enum(['pending', 'verified', 'suspended']).optional(),
+  search: z.string().optional(),
+}).merge(paginationSchema);
+
+const prescriberStatusSchema = z.object({
+  status: z.enum(['verified', 'suspended']),
+  reason: z.string().min(1).max(255).optional(),
+}).refine(data => data.status !== 'suspended' || data.reason, { message: 'A reason is required to suspend a prescriber', path: ['reason'] });
+
 module.exports = {
   editProviderSchema,
   createServiceSchema,
   updateServiceSchema,
+  serviceAnalytesSchema,
   serviceFilterSchema,
   prescriptionFilterSchema,
   orderFilterSchema,
+  refundFilterSchema,
+  refundDecisionSchema,
+  denyRefundSchema,
+  createRefundSchema,
+  statementFilterSchema,
+  createPayoutBatchSchema,
+  updatePayoutSchema,
+  discrepancyFilterSchema,
+  resolveDiscrepancySchema,
+  reconciliationRunSchema,
+  createRecallSchema,
+  recallFilterSchema,
   adminUserFilterSchema,
   providerUserFilterSchema,
   registerSchema,
@@ -172,7 +357,11 @@ module.exports = {
   addUserSchema,
   editUserSchema,
   editProfileSchema,
+  scheduleExceptionSchema,
   adminRegisterSchema,
   adminLoginSchema,
+  prescriberRegisterSchema,
+  prescriberFilterSchema,
+  prescriberStatusSchema,
   paginationSchema,
 };
\ No newline at end of file
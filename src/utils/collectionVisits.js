@@ -0,0 +1,71 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Visits that are still to happen; the rest are closed
+const OPEN_VISIT_STATUSES = ['pending', 'assigned', 'en_route', 'arrived'];
+
+// The visit covers every home-collection slot on the order, from the earliest start to the latest end
+function visitWindow(items) {
+  const booked = items.filter(item => item.timeSlotStart && item.appointmentStatus !== 'cancelled');
+  if (booked.length === 0) return { scheduledStart: null, scheduledEnd: null };
+  return {
+    scheduledStart: new Date(Math.min(...booked.map(item => item.timeSlotStart.getTime()))),
+    scheduledEnd: new Date(Math.max(...booked.map(item => (item.timeSlotEnd || item.timeSlotStart).getTime()))),
+  };
+}
+
+async function loadHomeCollectionItems(orderId, tx) {
+  return tx.orderItem.findMany({
+    where: { orderId, fulfillmentMethod: 'home_collection' },
+    select: { providerId: true, timeSlotStart: true, timeSlotEnd: true, appointmentStatus: true },
+  });
+}
+
+// Opens the collection visit for a confirmed home-collection order. Runs inside the status
+// transition; an address from the patient's address book is already located, a typed one is
+// geocoded later, outside the transaction.
+async function openCollectionVisit(orderId, tx = prisma) {
+  const items = await loadHomeCollectionItems(orderId, tx);
+  if (items.length === 0) return null;
+  const order = await tx.order.findUnique({ where: { id: orderId }, select: { providerId: true, address: true } });
+  const visit = await tx.collectionVisit.upsert({
+    where: { orderId },
+    create: {
+      orderId,
+      providerId: order.providerId ?? items[0].providerId,
+      address: order.address,
+      ...visitWindow(items),
+    },
+    update: {},
+  });
+  await tx.$executeRaw`
+    UPDATE "CollectionVisit" v
+    SET location = o."deliveryLocation"
+    FROM "Order" o
+    WHERE v.id = ${visit.id} AND o.id = v."orderId" AND v.location IS NULL AND o."deliveryLocation" IS NOT NULL
+  `;
+  return visit;
+}
+
+// Keeps an open visit's window in line with the order's appointments after a reschedule
+async function syncCollectionVisitWindow(orderId, tx = prisma) {
+  const items = await loadHomeCollectionItems(orderId, tx);
+  return tx.collectionVisit.updateMany({
+    where: { orderId, status: { in: OPEN_VISIT_STATUSES } },
+    data: visitWindow(items),
+  });
+}
+
+async function cancelCollectionVisit(orderId, tx = prisma) {
+  return tx.collectionVisit.updateMany({
+    where: { orderId, status: { in: OPEN_VISIT_STATUSES } },
+    data: { status: 'cancelled' },
+  });
+}
+
+module.exports = {
+  OPEN_VISIT_STATUSES,
+  openCollectionVisit,
+  syncCollectionVisitWindow,
+  cancelCollectionVisit,
+};
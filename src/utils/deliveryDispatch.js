@@ -0,0 +1,30 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Deliveries that are still to happen; the rest are closed
+const OPEN_DELIVERY_STATUSES = ['pending', 'assigned', 'out_for_delivery'];
+
+// Opens the delivery for a confirmed delivery order so a rider can be assigned. Runs inside the
+// status transition.
+async function openDelivery(orderId, tx = prisma) {
+  const order = await tx.order.findUnique({ where: { id: orderId }, select: { providerId: true } });
+  if (!order?.providerId) return null;
+  return tx.delivery.upsert({
+    where: { orderId },
+    create: { orderId, providerId: order.providerId },
+    update: {},
+  });
+}
+
+async function cancelDelivery(orderId, tx = prisma) {
+  return tx.delivery.updateMany({
+    where: { orderId, status: { in: OPEN_DELIVERY_STATUSES } },
+    data: { status: 'cancelled' },
+  });
+}
+
+module.exports = {
+  OPEN_DELIVERY_STATUSES,
+  openDelivery,
+  cancelDelivery,
+};
@@ -0,0 +1,98 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Delivery is priced from the straight-line distance between the provider and the patient's address:
+// a base fee covers the first few kilometres, then a per-km rate applies up to the provider's limit.
+// A provider's own rules override these platform defaults.
+const DELIVERY_DEFAULTS = {
+  deliveryBaseFee: parseFloat(process.env.DELIVERY_BASE_FEE || '1000'),
+  deliveryFeePerKm: parseFloat(process.env.DELIVERY_FEE_PER_KM || '150'),
+  deliveryIncludedKm: parseFloat(process.env.DELIVERY_INCLUDED_KM || '3'),
+  deliveryMaxKm: parseFloat(process.env.DELIVERY_MAX_KM || '30'),
+  freeDeliveryThreshold: null,
+};
+
+const DELIVERY_METHODS = ['home_delivery', 'delivery'];
+
+function getDeliveryPricing(provider) {
+  return Object.fromEntries(Object.entries(DELIVERY_DEFAULTS)
+    .map(([key, fallback]) => [key, provider?.[key] ?? fallback]));
+}
+
+// Fees are rounded up to the whole naira
+function quoteDeliveryFee(pricing, distanceKm, subtotal) {
+  if (distanceKm > pricing.deliveryMaxKm) {
+    return { deliverable: false, fee: null, distanceKm };
+  }
+  if (pricing.freeDeliveryThreshold !== null && subtotal >= pricing.freeDeliveryThreshold) {
+    return { deliverable: true, fee: 0, distanceKm };
+  }
+  const extraKm = Math.max(distanceKm - pricing.deliveryIncludedKm, 0);
+  return { deliverable: true, fee: Math.ceil(pricing.deliveryBaseFee + extraKm * pricing.deliveryFeePerKm), distanceKm };
+}
+
+// Works out the fee for an order's delivery items. Orders without a provider (carts) or without
+// delivery items pay nothing; the distance comes from PostGIS once checkout has located the address.
+async function calculateOrderDeliveryFee(orderId, items, subtotal, tx = prisma) {
+  if (!items.some(item => DELIVERY_METHODS.includes(item.fulfillmentMethod))) {
+    return { fee: 0, distanceKm: null };
+  }
+  const [row] = await tx.$queryRaw`
+    SELECT p.id AS "providerId", p.name,
+      ST_DistanceSphere(p.location, o."deliveryLocation") / 1000 AS distance_km
+    FROM "Order" o
+    JOIN "Provider" p ON p.id = o."providerId"
+    WHERE o.id = ${orderId}
+  `;
+  if (!row || row.distance_km === null) {
+    if (row) console.warn('Delivery address not located; no delivery fee applied', { orderId });
+    return { fee: 0, distanceKm: null };
+  }
+
+  const provider = await tx.provider.findUnique({ where: { id: row.providerId } });
+  const distanceKm = Math.round(Number(row.distance_km) * 100) / 100;
+  const quote = quoteDeliveryFee(getDeliveryPricing(provider), distanceKm, subtotal);
+  if (!quote.deliverable) {
+    const error = new Error(`The delivery address is ${distanceKm} km from ${row.name}, which delivers up to ${getDeliveryPricing(provider).deliveryMaxKm} km`);
+    error.status = 400;
+    throw error;
+  }
+  return { fee: quote.fee, distanceKm };
+}
+
+// Checkout refuses delivery from a provider whose delivery radius doesn't reach the patient's address
+async function assertWithinDeliveryRadius(providerIds, { latitude, longitude }, tx = prisma) {
+  const rows = await tx.$queryRaw`
+    SELECT id, name, "deliveryMaxKm",
+      ST_DistanceSphere(location, ST_SetSRID(ST_MakePoint(${longitude}, ${latitude}), 4326)) / 1000 AS distance_km
+    FROM "Provider"
+    WHERE id = ANY(${providerIds})
+  `;
+  const outOfRange = rows
+    .map(row => ({ ...row, distanceKm: Math.round(Number(row.distance_km) * 100) / 100, maxKm: getDeliveryPricing(row).deliveryMaxKm }))
+    .filter(row => row.distance_km !== null && row.distanceKm > row.maxKm);
+  if (outOfRange.length > 0) {
+    const error = new Error(`Delivery is not available to this address from ${outOfRange
+      .map(row => `${row.name} (${row.distanceKm} km away, delivers up to ${row.maxKm} km)`).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+async function setDeliveryLocation(orderId, { latitude, longitude }, tx = prisma) {
+  await tx.$executeRaw`
+    UPDATE "Order"
+    SET "deliveryLocation" = ST_SetSRID(ST_MakePoint(${longitude}, ${latitude}), 4326)
+    WHERE id = ${orderId}
+  `;
+}
+
+module.exports = {
+  DELIVERY_DEFAULTS,
+  DELIVERY_METHODS,
+  getDeliveryPricing,
+  quoteDeliveryFee,
+  calculateOrderDeliveryFee,
+  assertWithinDeliveryRadius,
+  setDeliveryLocation,
+};
@@ -0,0 +1,21 @@
+const NodeGeocoder = require('node-geocoder');
+
+const geocoder = NodeGeocoder({
+  provider: 'opencage',
+  apiKey: process.env.OPENCAGE_API_KEY,
+});
+
+// Best-effort lookup for addresses typed by patients; returns null rather than throwing so a
+// booking is never blocked on the geocoder
+async function geocodeAddress(address) {
+  if (!address) return null;
+  try {
+    const [result] = await geocoder.geocode(/nigeria/i.test(address) ? address : `${address}, Nigeria`);
+    return result ? { latitude: result.latitude, longitude: result.longitude } : null;
+  } catch (error) {
+    console.error('Geocoding error:', { address, message: error.message });
+    return null;
+  }
+}
+
+module.exports = { geocoder, geocodeAddress };
@@ -1,6 +1,7 @@
 const geoData = require('../../data/full.json');
 
-function validateLocation(state, lga, ward, latitude, longitude) {
+// Looks a ward up in the geo data, case-insensitively; returns the canonical names and the ward's coordinates
+function findWard(state, lga, ward) {
   const stateData = geoData.find(s => s.state.toLowerCase() === state.toLowerCase());
   if (!stateData) {
     throw new Error('Invalid state');
@@ -13,6 +14,17 @@ function validateLocation(state, lga, ward, latitude, longitude) {
   if (!wardData) {
     throw new Error('Invalid ward for selected LGA');
   }
+  return {
+    state: stateData.state,
+    lga: lgaData.name,
+    ward: wardData.name,
+    latitude: wardData.latitude,
+    longitude: wardData.longitude,
+  };
+}
+
+function validateLocation(state, lga, ward, latitude, longitude) {
+  const wardData = findWard(state, lga, ward);
   const latDiff = Math.abs(wardData.latitude - latitude);
   const lngDiff = Math.abs(wardData.longitude - longitude);
   if (latDiff > 0.0001 || lngDiff > 0.0001) {
@@ -21,4 +33,14 @@ function validateLocation(state, lga, ward, latitude, longitude) {
   return { latitude: wardData.latitude, longitude: wardData.longitude };
 }
 
-module.exports = { validateLocation };
\ No newline at end of file
+// Great-circle distance in km, for checks that don't need a database round trip
+function distanceKm(a, b) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+module.exports = { findWard, validateLocation, distanceKm };
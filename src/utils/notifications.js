@@ -1,4 +1,5 @@
 const isValidEmail = require('./validation').isValidEmail;
+const { formatZoned } = require('./timezone');
 const sgMail = require('@sendgrid/mail');
 const twilio = require('twilio');
 const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
@@ -12,9 +13,12 @@ async function sendVerificationNotification(prescription, status, order) {
     return;
   }
 
-  const message = status === 'verified'
-    ? `Your order #${order.id} has been confirmed! Track it with code: ${order.trackingCode}. Visit ${process.env.NEXT_PUBLIC_API_URL}/track?trackingCode=${encodeURIComponent(order.trackingCode)}`
-    : `Your prescription for order #${order.id} was rejected. Reason: ${prescription.rejectReason || 'Invalid prescription'}. Please re-upload at ${process.env.NEXT_PUBLIC_API_URL}/status-check`;
+  const messages = {
+    verified: `Your order #${order.id} has been confirmed! Track it with code: ${order.trackingCode}. Visit ${process.env.NEXT_PUBLIC_API_URL}/track?trackingCode=${encodeURIComponent(order.trackingCode)}`,
+    reupload_requested: `We could not verify the prescription for order #${order.id} yet${prescription.rejectReason ? `: ${prescription.rejectReason}` : ''}. Please upload a clearer copy at ${process.env.NEXT_PUBLIC_API_URL}/status-check`,
+  };
+  const message = messages[status]
+    || `Your prescription for order #${order.id} was rejected. Reason: ${prescription.rejectReason || 'Invalid prescription'}. Please re-upload at ${process.env.NEXT_PUBLIC_API_URL}/status-check`;
 
   try {
     if (email && isValidEmail(email)) {
@@ -49,4 +53,383 @@ async function sendVerificationNotification(prescription, status, order) {
   }
 }
 
-module.exports = { sendVerificationNotification };
\ No newline at end of file
+async function sendCriticalResultAlert({ order, provider, managers, criticalValues }) {
+  const patientMessage = `An urgent lab result for your order #${order.id} at ${provider.name} needs your attention. Please contact ${provider.name} on ${provider.phone} as soon as possible.`;
+  const managerMessage = `Critical result alert for order #${order.id}: ${criticalValues
+    .map(v => `${v.name} ${v.value}${v.unit ? ` ${v.unit}` : ''} (${v.flag.replace('_', ' ')})`)
+    .join('; ')}. Please contact the patient immediately.`;
+
+  try {
+    if (order.email && isValidEmail(order.email)) {
+      await sgMail.send({
+        to: order.email,
+        from: process.env.SENDGRID_FROM_EMAIL || 'no-reply@manzu.example.com',
+        subject: 'Urgent: Lab Result Requires Attention',
+        text: patientMessage,
+        html: `
+          <div style="font-family: Arial, sans-serif; color: #225F91; padding: 20px;">
+            <h2>Urgent Lab Result</h2>
+            <p>${patientMessage}</p>
+          </div>
+        `,
+      });
+      console.log('Critical result email sent to patient:', { to: order.email, orderId: order.id });
+    }
+
+    if (order.phone) {
+      await client.messages.create({
+        body: patientMessage,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to: order.phone,
+      });
+      console.log('Critical result SMS sent to patient:', { to: order.phone, orderId: order.id });
+    }
+
+    for (const manager of managers) {
+      if (manager.email && isValidEmail(manager.email)) {
+        await sgMail.send({
+          to: manager.email,
+          from: process.env.SENDGRID_FROM_EMAIL || 'no-reply@manzu.example.com',
+          subject: `Critical Result Alert - Order #${order.id}`,
+          text: managerMessage,
+        });
+        console.log('Critical result email sent to manager:', { to: manager.email, orderId: order.id });
+      }
+    }
+
+    if (provider.phone) {
+      await client.messages.create({
+        body: managerMessage,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to: provider.phone,
+      });
+      console.log('Critical result SMS sent to provider:', { to: provider.phone, orderId: order.id });
+    }
+  } catch (error) {
+    console.error('Critical result alert error:', { error: error.message, orderId: order.id });
+    throw new Error('Failed to send critical result alert');
+  }
+}
+
+async function sendRefundNotification({ order, refund }) {
+  if (!order.email && !order.phone) {
+    console.warn('No contact information provided for refund notification', { orderId: order.id, refundId: refund.id });
+    return;
+  }
+
+  const amount = `NGN ${refund.amount.toFixed(2)}`;
+  const message = refund.status === 'processed'
+    ? `Your refund of ${amount} for order #${order.id} has been processed. It may take a few business days to reflect on your account.`
+    : refund.status === 'denied'
+      ? `Your refund request for order #${order.id} was declined. ${refund.reviewNotes ? `Reason: ${refund.reviewNotes}. ` : ''}Please contact support if you have questions.`
+      : `A refund of ${amount} for order #${order.id} has been initiated. Reason: ${refund.reason}.`;
+
+  try {
+    if (order.email && isValidEmail(order.email)) {
+      await sgMail.send({
+        to: order.email,
+        from: process.env.SENDGRID_FROM_EMAIL || 'no-reply@manzu.example.com',
+        subject: `Refund Update - Order #${order.id}`,
+        text: message,
+        html: `
+          <div style="font-family: Arial, sans-serif; color: #225F91; padding: 20px;">
+            <h2>Refund Update</h2>
+            <p>${message}</p>
+          </div>
+        `,
+      });
+      console.log('Refund email sent:', { to: order.email, orderId: order.id, refundId: refund.id });
+    }
+
+    if (order.phone) {
+      await client.messages.create({
+        body: message,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to: order.phone,
+      });
+      console.log('Refund SMS sent:', { to: order.phone, orderId: order.id, refundId: refund.id });
+    }
+  } catch (error) {
+    console.error('Refund notification error:', { error: error.message, refundId: refund.id });
+    throw new Error('Failed to send refund notification');
+  }
+}
+
+async function sendRecallNotification({ order, recall, service }) {
+  if (!order.email && !order.phone) {
+    console.warn('No contact information provided for recall notification', { orderId: order.id, recallId: recall.id });
+    return;
+  }
+
+  const product = `${service.name}${service.dosage ? ` ${service.dosage}` : ''}`;
+  const message = `Safety recall: ${product} (NAFDAC ${recall.nafdacCode}${recall.batchNumber ? `, batch ${recall.batchNumber}` : ''}) supplied with your order #${order.id} has been recalled. Reason: ${recall.reason}. ${recall.instructions || 'Please stop using it and contact the pharmacy that supplied it.'}`;
+
+  try {
+    if (order.email && isValidEmail(order.email)) {
+      await sgMail.send({
+        to: order.email,
+        from: process.env.SENDGRID_FROM_EMAIL || 'no-reply@manzu.example.com',
+        subject: `Important: Medication Recall - Order #${order.id}`,
+        text: message,
+        html: `
+          <div style="font-family: Arial, sans-serif; color: #225F91; padding: 20px;">
+            <h2>Medication Recall</h2>
+            <p>${message}</p>
+          </div>
+        `,
+      });
+      console.log('Recall email sent:', { to: order.email, orderId: order.id, recallId: recall.id });
+    }
+
+    if (order.phone) {
+      await client.messages.create({
+        body: message,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to: order.phone,
+      });
+      console.log('Recall SMS sent:', { to: order.phone, orderId: order.id, recallId: recall.id });
+    }
+  } catch (error) {
+    console.error('Recall notification error:', { error: error.message, recallId: recall.id, orderId: order.id });
+    throw new Error('Failed to send recall notification');
+  }
+}
+
+async function sendProviderRecallNotification({ provider, managers, recall, service, orderIds }) {
+  const product = `${service.name}${service.dosage ? ` ${service.dosage}` : ''}`;
+  const message = `NAFDAC recall #${recall.id}: ${product} (NAFDAC ${recall.nafdacCode}${recall.batchNumber ? `, batch ${recall.batchNumber}` : ''}). Reason: ${recall.reason}. It has been made unavailable at ${provider.name}.${orderIds.length ? ` Affected orders: ${orderIds.map(id => `#${id}`).join(', ')}.` : ''} Please quarantine remaining stock and acknowledge the recall in your dashboard.`;
+
+  try {
+    for (const manager of managers) {
+      if (manager.email && isValidEmail(manager.email)) {
+        await sgMail.send({
+          to: manager.email,
+          from: process.env.SENDGRID_FROM_EMAIL || 'no-reply@manzu.example.com',
+          subject: `Drug Recall - ${product}`,
+          text: message,
+        });
+        console.log('Recall email sent to manager:', { to: manager.email, recallId: recall.id });
+      }
+    }
+
+    if (provider.phone) {
+      await client.messages.create({
+        body: message,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to: provider.phone,
+      });
+      console.log('Recall SMS sent to provider:', { to: provider.phone, recallId: recall.id });
+    }
+  } catch (error) {
+    console.error('Provider recall notification error:', { error: error.message, recallId: recall.id, providerId: provider.id });
+    throw new Error('Failed to send provider recall notification');
+  }
+}
+
+async function sendInventoryAlertDigest({ provider, managers, alerts }) {
+  const lines = alerts.map(alert => `- ${alert.title}`);
+  const message = `Inventory alerts for ${provider.name}:\n${lines.join('\n')}\nSee your notification inbox for details.`;
+  const smsMessage = `${provider.name}: ${alerts.length} new inventory alert${alerts.length === 1 ? '' : 's'} (${alerts.filter(a => a.type === 'out_of_stock').length} out of stock, ${alerts.filter(a => a.type === 'expired' || a.type === 'near_expiry').length} expiry). Check your dashboard inbox.`;
+
+  try {
+    for (const manager of managers) {
+      if (manager.email && isValidEmail(manager.email)) {
+        await sgMail.send({
+          to: manager.email,
+          from: process.env.SENDGRID_FROM_EMAIL || 'no-reply@manzu.example.com',
+          subject: `Inventory Alerts - ${provider.name}`,
+          text: message,
+          html: `
+            <div style="font-family: Arial, sans-serif; color: #225F91; padding: 20px;">
+              <h2>Inventory Alerts</h2>
+              <ul>${alerts.map(alert => `<li><strong>${alert.title}</strong><br>${alert.message}</li>`).join('')}</ul>
+            </div>
+          `,
+        });
+        console.log('Inventory alert email sent to manager:', { to: manager.email, providerId: provider.id, alerts: alerts.length });
+      }
+    }
+
+    if (provider.phone) {
+      await client.messages.create({
+        body: smsMessage,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to: provider.phone,
+      });
+      console.log('Inventory alert SMS sent to provider:', { to: provider.phone, providerId: provider.id });
+    }
+  } catch (error) {
+    console.error('Inventory alert notification error:', { error: error.message, providerId: provider.id });
+    throw new Error('Failed to send inventory alert notification');
+  }
+}
+
+// `services` are the tests booked for the same slot; their preparation instructions (e.g. fasting) are included
+async function sendAppointmentReminder({ order, provider, timeSlotStart, services, hoursBefore }) {
+  if (!order.email && !order.phone) {
+    console.warn('No contact information provided for appointment reminder', { orderId: order.id });
+    return;
+  }
+
+  // Patients read the time as it is at the provider
+  const when = formatZoned(timeSlotStart, "EEE d MMM yyyy 'at' HH:mm", provider.timezone);
+  const names = services.map(service => service.name).join(', ');
+  const prep = services.filter(service => service.prepInstructions);
+  const lead = hoursBefore <= 2 ? 'in about 2 hours' : 'tomorrow';
+  const message = `Reminder: your appointment at ${provider.name} for ${names} is ${lead} (${when}). Order #${order.id}.`
+    + (prep.length > 0 ? ` Preparation: ${prep.map(service => `${service.name} - ${service.prepInstructions}`).join('; ')}` : '');
+
+  try {
+    if (order.email && isValidEmail(order.email)) {
+      await sgMail.send({
+        to: order.email,
+        from: process.env.SENDGRID_FROM_EMAIL || 'no-reply@manzu.example.com',
+        subject: `Appointment Reminder - ${provider.name}`,
+        text: message,
+        html: `
+          <div style="font-family: Arial, sans-serif; color: #225F91; padding: 20px;">
+            <h2>Appointment Reminder</h2>
+            <p>Your appointment at <strong>${provider.name}</strong> for ${names} is on <strong>${when}</strong>.</p>
+            ${provider.address ? `<p>Address: ${provider.address}</p>` : ''}
+            ${prep.length > 0 ? `<h3>How to prepare</h3><ul>${prep.map(service => `<li><strong>${service.name}:</strong> ${service.prepInstructions}</li>`).join('')}</ul>` : ''}
+            <p>Order #${order.id}</p>
+          </div>
+        `,
+      });
+      console.log('Appointment reminder email sent:', { to: order.email, orderId: order.id, hoursBefore });
+    }
+
+    if (order.phone) {
+      await client.messages.create({
+        body: message,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to: order.phone,
+      });
+      console.log('Appointment reminder SMS sent:', { to: order.phone, orderId: order.id, hoursBefore });
+    }
+  } catch (error) {
+    console.error('Appointment reminder error:', { error: error.message, orderId: order.id });
+    throw new Error('Failed to send appointment reminder');
+  }
+}
+
+// The patient reads this code out to the rider at the door; it is the proof of delivery
+async function sendDeliveryOtp({ order, provider, otp, riderName }) {
+  if (!order.email && !order.phone) {
+    console.warn('No contact information provided for delivery OTP', { orderId: order.id });
+    return;
+  }
+
+  const message = `Your order #${order.id} from ${provider.name} is on its way${riderName ? ` with ${riderName}` : ''}. `
+    + `Give the rider this code when it arrives: ${otp}. Do not share it before you receive your order.`;
+
+  try {
+    if (order.phone) {
+      await client.messages.create({
+        body: message,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to: order.phone,
+      });
+      console.log('Delivery OTP SMS sent:', { to: order.phone, orderId: order.id });
+    }
+
+    if (order.email && isValidEmail(order.email)) {
+      await sgMail.send({
+        to: order.email,
+        from: process.env.SENDGRID_FROM_EMAIL || 'no-reply@manzu.example.com',
+        subject: `Your order is out for delivery - ${provider.name}`,
+        text: message,
+        html: `
+          <div style="font-family: Arial, sans-serif; color: #225F91; padding: 20px;">
+            <h2>Your order is on its way</h2>
+            <p>Order #${order.id} from <strong>${provider.name}</strong> is out for delivery${riderName ? ` with ${riderName}` : ''}.</p>
+            <p>Give the rider this code when your order arrives:</p>
+            <p style="font-size: 24px; letter-spacing: 4px;"><strong>${otp}</strong></p>
+            <p>Do not share it before you receive your order.</p>
+          </div>
+        `,
+      });
+      console.log('Delivery OTP email sent:', { to: order.email, orderId: order.id });
+    }
+  } catch (error) {
+    console.error('Delivery OTP error:', { error: error.message, orderId: order.id });
+    throw new Error('Failed to send delivery code');
+  }
+}
+
+// Sends the patient the code for an e-prescription their clinician has issued
+async function sendEPrescriptionNotification({ prescription, prescriber, services }) {
+  const { email, phone } = prescription;
+  if (!email && !phone) {
+    console.warn('No contact information provided for e-prescription', { prescriptionId: prescription.id });
+    return;
+  }
+
+  const names = services.map(service => service.name).join(', ');
+  const message = `${prescriber.name} has sent you a prescription for ${names}. `
+    + `Use code ${prescription.redeemCode} at checkout on ${process.env.NEXT_PUBLIC_API_URL} to order it.`;
+
+  try {
+    if (phone) {
+      await client.messages.create({
+        body: message,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to: phone,
+      });
+      console.log('E-prescription SMS sent:', { to: phone, prescriptionId: prescription.id });
+    }
+
+    if (email && isValidEmail(email)) {
+      await sgMail.send({
+        to: email,
+        from: process.env.SENDGRID_FROM_EMAIL || 'no-reply@manzu.example.com',
+        subject: `Your prescription from ${prescriber.name}`,
+        text: message,
+        html: `
+          <div style="font-family: Arial, sans-serif; color: #225F91; padding: 20px;">
+            <h2>You have a new prescription</h2>
+            <p><strong>${prescriber.name}</strong>${prescriber.practiceName ? ` (${prescriber.practiceName})` : ''} has prescribed:</p>
+            <ul>${services.map(service => `<li>${service.name}</li>`).join('')}</ul>
+            <p>Use this code at checkout to order it:</p>
+            <p style="font-size: 24px; letter-spacing: 2px;"><strong>${prescription.redeemCode}</strong></p>
+          </div>
+        `,
+      });
+      console.log('E-prescription email sent:', { to: email, prescriptionId: prescription.id });
+    }
+  } catch (error) {
+    console.error('E-prescription notification error:', { error: error.message, prescriptionId: prescription.id });
+    throw new Error('Failed to send prescription code');
+  }
+}
+
+// Prescriptions that sat in a pharmacy's queue past their review deadline, for the admins to pick up
+async function sendPrescriptionEscalation({ admins, prescriptions }) {
+  const describe = (prescription) => `#${prescription.id} (${prescription.priority}) at ${prescription.providerName}, due ${prescription.slaDueAt.toISOString()}`;
+  const message = `${prescriptions.length} prescription${prescriptions.length === 1 ? ' has' : 's have'} passed the pharmacist review deadline and need an admin:\n${prescriptions.map(p => `- ${describe(p)}`).join('\n')}`;
+
+  try {
+    for (const admin of admins) {
+      if (admin.email && isValidEmail(admin.email)) {
+        await sgMail.send({
+          to: admin.email,
+          from: process.env.SENDGRID_FROM_EMAIL || 'no-reply@manzu.example.com',
+          subject: `Prescription reviews overdue (${prescriptions.length})`,
+          text: message,
+          html: `
+            <div style="font-family: Arial, sans-serif; color: #225F91; padding: 20px;">
+              <h2>Prescription Reviews Overdue</h2>
+              <ul>${prescriptions.map(p => `<li>${describe(p)}</li>`).join('')}</ul>
+            </div>
+          `,
+        });
+        console.log('Prescription escalation email sent:', { to: admin.email, prescriptions: prescriptions.length });
+      }
+    }
+  } catch (error) {
+    console.error('Prescription escalation notification error:', { error: error.message });
+    throw new Error('Failed to send prescription escalation');
+  }
+}
+
+module.exports = { sendVerificationNotification, sendCriticalResultAlert, sendRefundNotification, sendRecallNotification, sendProviderRecallNotification, sendInventoryAlertDigest, sendAppointmentReminder, sendDeliveryOtp, sendEPrescriptionNotification, sendPrescriptionEscalation };
\ No newline at end of file
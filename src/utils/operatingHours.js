@@ -0,0 +1,169 @@
+const { PrismaClient } = require('@prisma/client');
+const { DEFAULT_TIMEZONE, zonedDateKey, zonedDayOfWeek, zonedDateTime } = require('./timezone');
+const prisma = new PrismaClient();
+
+// A provider's hours come from, in order of precedence: a schedule exception covering the date
+// (holiday, temporary closure or reduced hours), its weekly opening periods, the legacy
+// "HH:mm-HH:mm" operatingHours string, and finally 09:00-17:00 every day. All of them are wall-clock
+// times in the provider's timezone.
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_PERIOD = { opensAt: '09:00', closesAt: '17:00' };
+
+function parseLegacyHours(operatingHours) {
+  const match = operatingHours?.match(/^\s*(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})\s*$/);
+  return match ? { opensAt: match[1], closesAt: match[2] } : null;
+}
+
+// Exception dates are stored as calendar dates (midnight UTC)
+function exceptionCovers(exception, key) {
+  return exception.startDate.toISOString().slice(0, 10) <= key && exception.endDate.toISOString().slice(0, 10) >= key;
+}
+
+// The instant `time` ('HH:mm') occurs on the provider's calendar day containing `date`
+function atTime(date, time, timeZone = DEFAULT_TIMEZONE) {
+  return zonedDateTime(zonedDateKey(date, timeZone), time, timeZone);
+}
+
+// `schedule` is { timeZone, operatingHours, openingHours, exceptions } as loaded by loadProviderSchedules
+function getHoursForDate(schedule, date) {
+  const timeZone = schedule.timeZone || DEFAULT_TIMEZONE;
+  const key = zonedDateKey(date, timeZone);
+  const exception = (schedule.exceptions || [])
+    .filter(e => exceptionCovers(e, key))
+    .sort((a, b) => b.createdAt - a.createdAt)[0];
+  if (exception) {
+    const periods = exception.opensAt ? [{ opensAt: exception.opensAt, closesAt: exception.closesAt }] : [];
+    return { date: key, open: periods.length > 0, periods, reason: exception.reason || (periods.length ? 'Special hours' : 'Closed') };
+  }
+
+  if (schedule.openingHours && schedule.openingHours.length > 0) {
+    const periods = schedule.openingHours
+      .filter(p => p.dayOfWeek === zonedDayOfWeek(date, timeZone))
+      .sort((a, b) => a.opensAt.localeCompare(b.opensAt))
+      .map(p => ({ opensAt: p.opensAt, closesAt: p.closesAt }));
+    return { date: key, open: periods.length > 0, periods, reason: periods.length ? null : 'Closed' };
+  }
+
+  const period = parseLegacyHours(schedule.operatingHours) || DEFAULT_PERIOD;
+  return { date: key, open: true, periods: [period], reason: null };
+}
+
+function isOpenAt(schedule, when = new Date()) {
+  const timeZone = schedule.timeZone || DEFAULT_TIMEZONE;
+  return getHoursForDate(schedule, when).periods
+    .some(p => atTime(when, p.opensAt, timeZone) <= when && when < atTime(when, p.closesAt, timeZone));
+}
+
+// True when the whole of [start, end] falls inside one opening period
+function isWithinOpeningHours(schedule, start, end) {
+  const timeZone = schedule.timeZone || DEFAULT_TIMEZONE;
+  return getHoursForDate(schedule, start).periods
+    .some(p => atTime(start, p.opensAt, timeZone) <= start && end <= atTime(start, p.closesAt, timeZone));
+}
+
+// Schedules keyed by providerId; only exceptions that have not ended yet are loaded. Yesterday's
+// UTC date is the cut-off so providers ahead of UTC still see exceptions for their today.
+async function loadProviderSchedules(providerIds, client = prisma) {
+  if (!providerIds || providerIds.length === 0) return new Map();
+  const since = new Date(`${zonedDateKey(new Date(Date.now() - 24 * 60 * 60 * 1000), 'UTC')}T00:00:00.000Z`);
+  const providers = await client.provider.findMany({
+    where: { id: { in: providerIds } },
+    select: {
+      id: true,
+      timezone: true,
+      operatingHours: true,
+      openingHours: true,
+      scheduleExceptions: { where: { endDate: { gte: since } }, orderBy: { startDate: 'asc' } },
+    },
+  });
+  return new Map(providers.map(p => [p.id, {
+    timeZone: p.timezone || DEFAULT_TIMEZONE,
+    operatingHours: p.operatingHours,
+    openingHours: p.openingHours,
+    exceptions: p.scheduleExceptions,
+  }]));
+}
+
+async function loadProviderSchedule(providerId, client = prisma) {
+  const schedules = await loadProviderSchedules([providerId], client);
+  const schedule = schedules.get(providerId);
+  if (!schedule) {
+    const error = new Error('Provider not found');
+    error.status = 404;
+    throw error;
+  }
+  return schedule;
+}
+
+// Throws a 400 when the provider is not open for the whole slot
+async function assertOpenForSlot(providerId, start, end, { providerName } = {}, client = prisma) {
+  const schedule = await loadProviderSchedule(providerId, client);
+  if (!isWithinOpeningHours(schedule, start, end)) {
+    const hours = getHoursForDate(schedule, start);
+    const name = providerName || 'The provider';
+    const error = new Error(hours.open
+      ? `${name} is not open at the selected time (open ${hours.periods.map(p => `${p.opensAt}-${p.closesAt}`).join(', ')} on ${hours.date})`
+      : `${name} is closed on ${hours.date}${hours.reason && hours.reason !== 'Closed' ? ` (${hours.reason})` : ''}`);
+    error.status = 400;
+    throw error;
+  }
+  return schedule;
+}
+
+// Replaces the weekly schedule; `weeklyHours` is [{ day: 'monday', opensAt, closesAt }]
+async function replaceWeeklyHours(providerId, weeklyHours, client = prisma) {
+  await client.providerOpeningHours.deleteMany({ where: { providerId } });
+  if (weeklyHours.length > 0) {
+    await client.providerOpeningHours.createMany({
+      data: weeklyHours.map(p => ({
+        providerId,
+        dayOfWeek: DAY_NAMES.indexOf(p.day),
+        opensAt: p.opensAt,
+        closesAt: p.closesAt,
+      })),
+    });
+  }
+}
+
+function formatWeeklyHours(openingHours) {
+  return [...openingHours]
+    .sort((a, b) => a.dayOfWeek - b.dayOfWeek || a.opensAt.localeCompare(b.opensAt))
+    .map(p => ({ day: DAY_NAMES[p.dayOfWeek], opensAt: p.opensAt, closesAt: p.closesAt }));
+}
+
+function formatScheduleException(exception) {
+  return {
+    id: exception.id,
+    startDate: exception.startDate.toISOString().slice(0, 10),
+    endDate: exception.endDate.toISOString().slice(0, 10),
+    closed: !exception.opensAt,
+    opensAt: exception.opensAt,
+    closesAt: exception.closesAt,
+    reason: exception.reason,
+  };
+}
+
+function formatSchedule(schedule) {
+  return {
+    timeZone: schedule.timeZone || DEFAULT_TIMEZONE,
+    weeklyHours: formatWeeklyHours(schedule.openingHours || []),
+    usingDefaultHours: !schedule.openingHours || schedule.openingHours.length === 0,
+    exceptions: (schedule.exceptions || []).map(formatScheduleException),
+    openNow: isOpenAt(schedule),
+    today: getHoursForDate(schedule, new Date()),
+  };
+}
+
+module.exports = {
+  DAY_NAMES,
+  atTime,
+  getHoursForDate,
+  isOpenAt,
+  isWithinOpeningHours,
+  loadProviderSchedules,
+  loadProviderSchedule,
+  assertOpenForSlot,
+  replaceWeeklyHours,
+  formatScheduleException,
+  formatSchedule,
+};
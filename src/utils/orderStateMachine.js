@@ -0,0 +1,157 @@
+const { PrismaClient } = require('@prisma/client');
+const { commitOrderStock, releaseOrderStock } = require('./stockReservations');
+const { openCollectionVisit, cancelCollectionVisit } = require('./collectionVisits');
+const { openDelivery, cancelDelivery } = require('./deliveryDispatch');
+const { recordPrescriptionDispense, reversePrescriptionDispense } = require('./prescriptionUsage');
+const prisma = new PrismaClient();
+
+// Statuses an order passes through before it is paid for and handed to the provider
+const PRE_FULFILMENT_TRANSITIONS = {
+  cart: ['pending', 'pending_prescription', 'pending_testorder', 'partially_completed', 'cancelled'],
+  partially_completed: ['cart', 'pending', 'pending_prescription', 'cancelled'],
+  pending_prescription: ['pending', 'confirmed', 'cancelled'],
+  pending_testorder: ['pending', 'confirmed', 'cancelled'],
+  pending: ['pending_prescription', 'confirmed', 'cancelled'],
+};
+
+// Legal transitions once an order is confirmed, per service type and fulfillment method
+const FULFILMENT_FLOWS = {
+  medication_pickup: {
+    confirmed: ['processing', 'ready_for_pickup', 'cancelled'],
+    processing: ['ready_for_pickup', 'cancelled'],
+    ready_for_pickup: ['completed', 'cancelled'],
+  },
+  medication_delivery: {
+    confirmed: ['processing', 'shipped', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: ['completed'],
+  },
+  lab_visit: {
+    confirmed: ['sample_collected', 'cancelled'],
+    sample_collected: ['processing', 'result_ready', 'cancelled'],
+    processing: ['result_ready'],
+    result_ready: ['completed'],
+  },
+  lab_home_collection: {
+    confirmed: ['sample_collected', 'cancelled'],
+    sample_collected: ['processing', 'result_ready', 'cancelled'],
+    processing: ['result_ready'],
+    result_ready: ['completed'],
+  },
+};
+
+// Reaching one of these means the provider has handed the order over
+const FILLED_STATUSES = ['delivered', 'ready_for_pickup', 'completed'];
+
+const LAB_SERVICE_TYPES = ['diagnostic', 'diagnostic_package'];
+const DELIVERY_METHODS = ['home_delivery', 'delivery'];
+
+// Picks the fulfilment flow from the order's items: lab tests follow the sample/result flow,
+// medications follow pick-up or delivery depending on how the patient chose to receive them
+function getOrderFlow(order) {
+  const items = order.items || [];
+  const isLab = items.some(item => LAB_SERVICE_TYPES.includes(item.service?.type));
+  const methods = items.map(item => item.fulfillmentMethod).filter(Boolean);
+
+  if (isLab) {
+    return methods.includes('home_collection') ? 'lab_home_collection' : 'lab_visit';
+  }
+  return methods.some(method => DELIVERY_METHODS.includes(method)) ? 'medication_delivery' : 'medication_pickup';
+}
+
+function getAllowedTransitions(flow, fromStatus) {
+  return PRE_FULFILMENT_TRANSITIONS[fromStatus] || FULFILMENT_FLOWS[flow]?.[fromStatus] || [];
+}
+
+function canTransition(flow, fromStatus, toStatus) {
+  return getAllowedTransitions(flow, fromStatus).includes(toStatus);
+}
+
+// Moves an order to a new status and records the change in OrderStatusHistory. `force` skips the
+// transition check and is reserved for system corrections such as payment reconciliation.
+// Confirming an order commits its stock holds and opens a home-collection visit or a delivery
+// where one is needed; cancelling it releases the holds and calls the visit or delivery off.
+// Call it inside a transaction: the order row stays locked until that transaction ends.
+async function transitionOrderStatus(orderId, toStatus, { actorType = 'system', actorId = null, reason = null, data = {}, include, force = false } = {}, tx = prisma) {
+  // Locked for the rest of the caller's transaction, so two paths confirming or cancelling the same
+  // order at once run one after the other and the second sees the first's status
+  await tx.$queryRaw`SELECT id FROM "Order" WHERE id = ${orderId} FOR UPDATE`;
+  const order = await tx.order.findUnique({
+    where: { id: orderId },
+    include: {
+      items: { select: { fulfillmentMethod: true, service: { select: { type: true } } } },
+    },
+  });
+  if (!order) {
+    const error = new Error('Order not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const updateData = { ...data, status: toStatus, updatedAt: new Date() };
+
+  // Same status: only the accompanying fields change, nothing to record
+  if (order.status === toStatus) {
+    return tx.order.update({ where: { id: orderId }, data: updateData, ...(include && { include }) });
+  }
+
+  const flow = getOrderFlow(order);
+  if (!force && !canTransition(flow, order.status, toStatus)) {
+    const allowed = getAllowedTransitions(flow, order.status);
+    const error = new Error(`Cannot move order from ${order.status} to ${toStatus}${allowed.length ? ` (allowed: ${allowed.join(', ')})` : ''}`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (FILLED_STATUSES.includes(toStatus) && !order.filledAt) {
+    updateData.filledAt = new Date();
+  }
+  if (toStatus === 'cancelled') {
+    updateData.cancelledAt = order.cancelledAt || new Date();
+    if (reason && !updateData.cancelReason) updateData.cancelReason = reason;
+  }
+
+  const updatedOrder = await tx.order.update({
+    where: { id: orderId },
+    data: updateData,
+    ...(include && { include }),
+  });
+  const actor = { actorType, actorId };
+  if (toStatus === 'confirmed') {
+    await commitOrderStock(orderId, { actor }, tx);
+    await recordPrescriptionDispense(orderId, tx);
+    if (flow === 'lab_home_collection') {
+      await openCollectionVisit(orderId, tx);
+    } else if (flow === 'medication_delivery') {
+      await openDelivery(orderId, tx);
+    }
+  } else if (toStatus === 'cancelled') {
+    await releaseOrderStock(orderId, reason || 'Order cancelled', { actor }, tx);
+    await cancelCollectionVisit(orderId, tx);
+    await cancelDelivery(orderId, tx);
+    await reversePrescriptionDispense(orderId, tx);
+  }
+
+  await tx.orderStatusHistory.create({
+    data: {
+      orderId,
+      fromStatus: order.status,
+      toStatus,
+      actorType,
+      actorId,
+      reason,
+    },
+  });
+
+  console.log('Order status transitioned:', { orderId, from: order.status, to: toStatus, flow, actorType, actorId });
+  return updatedOrder;
+}
+
+module.exports = {
+  FILLED_STATUSES,
+  getOrderFlow,
+  getAllowedTransitions,
+  canTransition,
+  transitionOrderStatus,
+};
@@ -1,13 +1,15 @@
 const { PrismaClient } = require('@prisma/client');
+const { calculateOrderDeliveryFee } = require('./deliveryFees');
 const prisma = new PrismaClient();
 
-// Modified recalculateOrderTotal to accept tx
+// Modified recalculateOrderTotal to accept tx. The total includes the delivery fee for orders that
+// are delivered; the fee is credited to the order's provider in the subtotals.
 async function recalculateOrderTotal(orderId, tx = prisma) {
   try {
     console.log(`Recalculating totalPrice for order ${orderId}`);
     const items = await tx.orderItem.findMany({
       where: { orderId },
-      select: { price: true, quantity: true, providerId: true, serviceId: true },
+      select: { price: true, quantity: true, providerId: true, serviceId: true, fulfillmentMethod: true },
     });
 
     console.log(`Order ${orderId} items:`, items);
@@ -16,12 +18,12 @@ async function recalculateOrderTotal(orderId, tx = prisma) {
       console.log(`No items found for order ${orderId}, setting totalPrice to 0`);
       const updatedOrder = await tx.order.update({
         where: { id: orderId },
-        data: { totalPrice: 0, updatedAt: new Date() },
+        data: { totalPrice: 0, deliveryFee: 0, deliveryDistanceKm: null, updatedAt: new Date() },
       });
       return { updatedOrder, subtotals: {} };
     }
 
-    const total = items.reduce((sum, item) => {
+    const itemsTotal = items.reduce((sum, item) => {
       const itemTotal = item.price * item.quantity;
       console.log(`Item serviceId: ${item.serviceId}, providerId: ${item.providerId}, price: ${item.price}, quantity: ${item.quantity}, total: ${itemTotal}`);
       return sum + itemTotal;
@@ -33,16 +35,24 @@ async function recalculateOrderTotal(orderId, tx = prisma) {
       return acc;
     }, {});
 
-    console.log(`Calculated totalPrice: ${total}, subtotals:`, subtotals);
+    const delivery = await calculateOrderDeliveryFee(orderId, items, itemsTotal, tx);
+    const total = itemsTotal + delivery.fee;
+    if (delivery.fee > 0) {
+      const { providerId } = await tx.order.findUnique({ where: { id: orderId }, select: { providerId: true } });
+      subtotals[providerId] = (subtotals[providerId] || 0) + delivery.fee;
+    }
+
+    console.log(`Calculated totalPrice: ${total} (delivery fee ${delivery.fee}), subtotals:`, subtotals);
     const updatedOrder = await tx.order.update({
       where: { id: orderId },
-      data: { totalPrice: total, updatedAt: new Date() },
+      data: { totalPrice: total, deliveryFee: delivery.fee, deliveryDistanceKm: delivery.distanceKm, updatedAt: new Date() },
     });
     console.log(`After update - Order ${orderId} totalPrice: ${updatedOrder.totalPrice}`);
 
     return { updatedOrder, subtotals };
   } catch (error) {
     console.error(`Error recalculating totalPrice for order ${orderId}:`, error);
+    if (error.status) throw error;
     throw new Error(`Failed to recalculate order total: ${error.message}`);
   }
 }
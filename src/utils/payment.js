@@ -0,0 +1,344 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Every gateway adapter exposes the same interface. Amounts are always in Naira;
+// adapters convert to the gateway's own unit (e.g. kobo for Paystack).
+//   initialize({ email, amount, reference, callbackUrl, metadata, splits }) -> { reference, authorizationUrl }
+//   verify(reference) -> { reference, status: 'success' | 'failed' | 'pending', amount, fees, paidAt }
+//   refund({ reference, amount }) -> { reference, status, refundReference }
+//   parseWebhook({ rawBody, headers, body }) -> { type, reference, amount, fees, refundReference } | null when the signature is invalid
+//     (refundReference is the gateway's id for the refund, on refund events)
+//   estimateFee(amount) -> fee in Naira, used when the gateway does not report one
+//   listTransactions({ from, to }) -> [{ reference, status, amount, fees, paidAt }] created in the window
+// splits ([{ accountCode, amount }]) settle part of the payment straight to provider subaccounts;
+// gateways without split support ignore it.
+// Webhook types are normalised to 'payment.success', 'payment.failed' and 'refund.processed'.
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a), 'utf8');
+  const bufferB = Buffer.from(String(b), 'utf8');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function createPaystackGateway({ secretKey = process.env.PAYSTACK_SECRET_KEY } = {}) {
+  const client = axios.create({
+    baseURL: 'https://api.paystack.co',
+    headers: {
+      Authorization: `Bearer ${secretKey}`,
+      'Content-Type': 'application/json',
+    },
+  });
+
+  const statusMap = { success: 'success', failed: 'failed', abandoned: 'failed', reversed: 'failed' };
+  const eventMap = { 'charge.success': 'payment.success', 'charge.failed': 'payment.failed', 'refund.processed': 'refund.processed' };
+
+  return {
+    name: 'paystack',
+
+    async initialize({ email, amount, reference, callbackUrl, metadata, splits }) {
+      const response = await client.post('/transaction/initialize', {
+        email,
+        amount: Math.round(amount * 100),
+        reference,
+        callback_url: callbackUrl,
+        ...(metadata && { metadata }),
+        ...(splits && splits.length > 0 && {
+          split: {
+            type: 'flat',
+            bearer_type: 'all-proportional',
+            subaccounts: splits.map((split) => ({ subaccount: split.accountCode, share: Math.round(split.amount * 100) })),
+          },
+        }),
+      });
+      if (!response.data.status) {
+        throw new Error('Failed to initialize payment: ' + JSON.stringify(response.data));
+      }
+      return { reference, authorizationUrl: response.data.data.authorization_url };
+    },
+
+    async verify(reference) {
+      const response = await client.get(`/transaction/verify/${encodeURIComponent(reference)}`);
+      const data = response.data.data || {};
+      return {
+        reference,
+        status: response.data.status ? statusMap[data.status] || 'pending' : 'failed',
+        amount: data.amount != null ? data.amount / 100 : null,
+        fees: data.fees != null ? data.fees / 100 : null,
+        paidAt: data.paid_at ? new Date(data.paid_at) : null,
+      };
+    },
+
+    async refund({ reference, amount }) {
+      const response = await client.post('/refund', {
+        transaction: reference,
+        ...(amount != null && { amount: Math.round(amount * 100) }),
+      });
+      if (!response.data.status) {
+        throw new Error('Failed to initiate refund: ' + JSON.stringify(response.data));
+      }
+      return {
+        reference,
+        status: response.data.data?.status || 'pending',
+        refundReference: response.data.data?.id ? String(response.data.data.id) : null,
+      };
+    },
+
+    parseWebhook({ rawBody, headers, body }) {
+      const signature = headers['x-paystack-signature'];
+      if (!rawBody || !signature || !secretKey) return null;
+      const expected = crypto.createHmac('sha512', secretKey).update(rawBody).digest('hex');
+      if (!safeEqual(expected, signature)) return null;
+
+      const data = body.data || {};
+      return {
+        type: eventMap[body.event] || body.event,
+        reference: body.event === 'refund.processed'
+          ? data.transaction_reference || data.transaction?.reference
+          : data.reference,
+        amount: data.amount != null ? data.amount / 100 : null,
+        fees: data.fees != null ? data.fees / 100 : null,
+        refundReference: body.event === 'refund.processed' && data.id != null ? String(data.id) : null,
+      };
+    },
+
+    async listTransactions({ from, to }) {
+      const transactions = [];
+      let page = 1;
+      let pageCount = 1;
+      do {
+        const response = await client.get('/transaction', {
+          params: { from: from.toISOString(), to: to.toISOString(), perPage: 100, page },
+        });
+        for (const data of response.data.data || []) {
+          transactions.push({
+            reference: data.reference,
+            status: statusMap[data.status] || 'pending',
+            amount: data.amount != null ? data.amount / 100 : null,
+            fees: data.fees != null ? data.fees / 100 : null,
+            paidAt: data.paid_at ? new Date(data.paid_at) : null,
+          });
+        }
+        pageCount = response.data.meta?.pageCount || 1;
+        page += 1;
+      } while (page <= pageCount);
+      return transactions;
+    },
+
+    // Local card rate: 1.5% plus NGN 100 (waived under NGN 2,500), capped at NGN 2,000
+    estimateFee(amount) {
+      const fee = amount * 0.015 + (amount >= 2500 ? 100 : 0);
+      return Math.min(Math.round(fee * 100) / 100, 2000);
+    },
+  };
+}
+
+function createFlutterwaveGateway({
+  secretKey = process.env.FLUTTERWAVE_SECRET_KEY,
+  webhookHash = process.env.FLUTTERWAVE_WEBHOOK_HASH,
+} = {}) {
+  const client = axios.create({
+    baseURL: 'https://api.flutterwave.com/v3',
+    headers: {
+      Authorization: `Bearer ${secretKey}`,
+      'Content-Type': 'application/json',
+    },
+  });
+
+  const statusMap = { successful: 'success', failed: 'failed', cancelled: 'failed' };
+
+  async function fetchTransaction(reference) {
+    const response = await client.get('/transactions/verify_by_reference', { params: { tx_ref: reference } });
+    return response.data;
+  }
+
+  return {
+    name: 'flutterwave',
+
+    async initialize({ email, amount, reference, callbackUrl, metadata }) {
+      const response = await client.post('/payments', {
+        tx_ref: reference,
+        amount,
+        currency: 'NGN',
+        redirect_url: callbackUrl,
+        customer: { email },
+        ...(metadata && { meta: metadata }),
+      });
+      if (response.data.status !== 'success') {
+        throw new Error('Failed to initialize payment: ' + JSON.stringify(response.data));
+      }
+      return { reference, authorizationUrl: response.data.data.link };
+    },
+
+    async verify(reference) {
+      const result = await fetchTransaction(reference);
+      const data = result.data || {};
+      return {
+        reference,
+        status: result.status === 'success' ? statusMap[data.status] || 'pending' : 'failed',
+        amount: data.amount ?? null,
+        fees: data.app_fee ?? null,
+        paidAt: data.created_at ? new Date(data.created_at) : null,
+      };
+    },
+
+    async refund({ reference, amount }) {
+      const transaction = await fetchTransaction(reference);
+      if (transaction.status !== 'success' || !transaction.data?.id) {
+        throw new Error('Failed to initiate refund: transaction not found');
+      }
+      const response = await client.post(`/transactions/${transaction.data.id}/refund`, {
+        ...(amount != null && { amount }),
+      });
+      if (response.data.status !== 'success') {
+        throw new Error('Failed to initiate refund: ' + JSON.stringify(response.data));
+      }
+      return {
+        reference,
+        status: response.data.data?.status || 'pending',
+        refundReference: response.data.data?.id ? String(response.data.data.id) : null,
+      };
+    },
+
+    parseWebhook({ headers, body }) {
+      const signature = headers['verif-hash'];
+      if (!signature || !webhookHash || !safeEqual(webhookHash, signature)) return null;
+
+      const data = body.data || {};
+      let type = body.event;
+      if (body.event === 'charge.completed') {
+        type = data.status === 'successful' ? 'payment.success' : 'payment.failed';
+      } else if (body.event === 'refund.completed') {
+        type = 'refund.processed';
+      }
+      if (type === 'refund.processed') {
+        return { type, reference: data.tx_ref, amount: data.amount_refunded ?? data.amount ?? null, fees: null, refundReference: data.id != null ? String(data.id) : null };
+      }
+      return { type, reference: data.tx_ref, amount: data.amount ?? null, fees: data.app_fee ?? null };
+    },
+
+    async listTransactions({ from, to }) {
+      const transactions = [];
+      let page = 1;
+      let totalPages = 1;
+      do {
+        const response = await client.get('/transactions', {
+          params: { from: from.toISOString().slice(0, 10), to: to.toISOString().slice(0, 10), page },
+        });
+        for (const data of response.data.data || []) {
+          const createdAt = data.created_at ? new Date(data.created_at) : null;
+          // The API filters by whole days; trim to the requested window
+          if (createdAt && (createdAt < from || createdAt > to)) continue;
+          transactions.push({
+            reference: data.tx_ref,
+            status: statusMap[data.status] || 'pending',
+            amount: data.amount ?? null,
+            fees: data.app_fee ?? null,
+            paidAt: createdAt,
+          });
+        }
+        totalPages = response.data.meta?.page_info?.total_pages || 1;
+        page += 1;
+      } while (page <= totalPages);
+      return transactions;
+    },
+
+    // Local card rate: 1.4%, capped at NGN 2,000
+    estimateFee(amount) {
+      return Math.min(Math.round(amount * 1.4) / 100, 2000);
+    },
+  };
+}
+
+// Local gateway for development and tests: no network calls, outcome set by FAKE_PAYMENT_OUTCOME.
+// Its webhooks are signed with FAKE_GATEWAY_SECRET; without one every webhook is refused.
+function createFakeGateway({
+  outcome = process.env.FAKE_PAYMENT_OUTCOME || 'success',
+  secret = process.env.FAKE_GATEWAY_SECRET,
+} = {}) {
+  const transactions = new Map();
+
+  return {
+    name: 'fake',
+
+    async initialize({ amount, reference, callbackUrl }) {
+      transactions.set(reference, { reference, amount, status: outcome, paidAt: new Date(), refunded: 0 });
+      const separator = callbackUrl && callbackUrl.includes('?') ? '&' : '?';
+      return { reference, authorizationUrl: `${callbackUrl || ''}${separator}reference=${encodeURIComponent(reference)}` };
+    },
+
+    async verify(reference) {
+      const transaction = transactions.get(reference);
+      return {
+        reference,
+        status: transaction ? transaction.status : outcome,
+        amount: transaction ? transaction.amount : null,
+        fees: transaction ? 0 : null,
+        paidAt: transaction ? transaction.paidAt : null,
+      };
+    },
+
+    async refund({ reference, amount }) {
+      const transaction = transactions.get(reference);
+      if (transaction) {
+        transaction.refunded += amount ?? transaction.amount;
+      }
+      return { reference, status: 'processed', refundReference: `fake_refund_${Date.now()}` };
+    },
+
+    parseWebhook({ headers, body }) {
+      const signature = headers['x-fake-signature'];
+      if (!signature || !secret || !safeEqual(secret, signature)) return null;
+      return { type: body.event, reference: body.reference, amount: body.amount ?? null, fees: body.fees ?? null, refundReference: body.refundReference ?? null };
+    },
+
+    estimateFee() {
+      return 0;
+    },
+
+    async listTransactions({ from, to }) {
+      return [...transactions.values()]
+        .filter((t) => t.paidAt >= from && t.paidAt <= to)
+        .map((t) => ({ reference: t.reference, status: t.status, amount: t.amount, fees: 0, paidAt: t.paidAt }));
+    },
+  };
+}
+
+const gatewayFactories = {
+  paystack: createPaystackGateway,
+  flutterwave: createFlutterwaveGateway,
+};
+// The fake gateway confirms whatever it is told to, so it is only offered when asked for outside production
+if (process.env.ENABLE_FAKE_GATEWAY === 'true' && process.env.NODE_ENV !== 'production') {
+  gatewayFactories.fake = createFakeGateway;
+}
+const gatewayInstances = {};
+
+function registerGateway(name, factory) {
+  gatewayFactories[name] = factory;
+  delete gatewayInstances[name];
+}
+
+function isSupportedGateway(name) {
+  return Object.prototype.hasOwnProperty.call(gatewayFactories, name);
+}
+
+// Returns the named gateway, or the one configured through PAYMENT_GATEWAY (Paystack by default)
+function getPaymentGateway(name) {
+  const gatewayName = name || process.env.PAYMENT_GATEWAY || 'paystack';
+  if (!isSupportedGateway(gatewayName)) {
+    throw new Error(`Unsupported payment gateway: ${gatewayName}`);
+  }
+  if (!gatewayInstances[gatewayName]) {
+    gatewayInstances[gatewayName] = gatewayFactories[gatewayName]();
+  }
+  return gatewayInstances[gatewayName];
+}
+
+module.exports = {
+  getPaymentGateway,
+  registerGateway,
+  isSupportedGateway,
+  createPaystackGateway,
+  createFlutterwaveGateway,
+  createFakeGateway,
+};
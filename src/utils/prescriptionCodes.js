@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// E-prescription codes carry the prescription's ID and an HMAC of it, so a mistyped or made-up code is
+// turned away before the database is touched. Codes are short enough to read out or type at checkout.
+const CODE_SECRET = process.env.PRESCRIPTION_CODE_SECRET || process.env.JWT_SECRET;
+const SIGNATURE_LENGTH = 10;
+
+function signature(prescriptionId) {
+  return crypto.createHmac('sha256', CODE_SECRET)
+    .update(`prescription:${prescriptionId}`)
+    .digest('hex')
+    .slice(0, SIGNATURE_LENGTH)
+    .toUpperCase();
+}
+
+function signPrescriptionCode(prescriptionId) {
+  return `RX-${prescriptionId.toString(36).toUpperCase()}-${signature(prescriptionId)}`;
+}
+
+// Returns the prescription ID for a genuine code, or null
+function verifyPrescriptionCode(code) {
+  const match = String(code || '').trim().toUpperCase().match(/^RX-([0-9A-Z]+)-([0-9A-F]+)$/);
+  if (!match) return null;
+  const prescriptionId = parseInt(match[1], 36);
+  const expected = Buffer.from(signature(prescriptionId));
+  const given = Buffer.from(match[2]);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  return prescriptionId;
+}
+
+module.exports = { signPrescriptionCode, verifyPrescriptionCode };
@@ -0,0 +1,190 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// A prescription item authorises its quantity once plus once per refill. Each order that dispenses it
+// uses one fill and counts towards the quantity; once either runs out, or the prescription passes its
+// validity date, it no longer covers the service and the patient needs a new one.
+const PRESCRIPTION_VALIDITY_DAYS = parseInt(process.env.PRESCRIPTION_VALIDITY_DAYS || '30', 10);
+
+function defaultValidUntil(from = new Date()) {
+  return new Date(from.getTime() + PRESCRIPTION_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function isExpired(prescription, now = new Date()) {
+  return Boolean(prescription.validUntil) && prescription.validUntil <= now;
+}
+
+function itemAllowance(item) {
+  const fillsAllowed = 1 + (item.refillsAllowed || 0);
+  const authorisedQuantity = (item.quantity || 1) * fillsAllowed;
+  const remainingQuantity = Math.max(authorisedQuantity - item.dispensedQuantity, 0);
+  const fillsRemaining = Math.max(fillsAllowed - item.fillCount, 0);
+  return {
+    fillsAllowed,
+    fillsRemaining,
+    authorisedQuantity,
+    dispensedQuantity: item.dispensedQuantity,
+    remainingQuantity,
+    exhausted: remainingQuantity === 0 || fillsRemaining === 0,
+  };
+}
+
+// 'usable', 'expired' or 'exhausted' for the given service; null when the prescription doesn't include it
+function serviceUsability(prescription, serviceId, now = new Date()) {
+  const item = prescription.prescriptionItems.find(i => i.serviceId === Number(serviceId));
+  if (!item) return null;
+  if (isExpired(prescription, now)) return 'expired';
+  return itemAllowance(item).exhausted ? 'exhausted' : 'usable';
+}
+
+// Verified prescriptions that still cover at least one service, newest first
+async function findUsablePrescriptions(patientIdentifier, tx = prisma) {
+  const now = new Date();
+  const prescriptions = await tx.prescription.findMany({
+    where: {
+      patientIdentifier,
+      status: 'verified',
+      OR: [{ validUntil: null }, { validUntil: { gt: now } }],
+    },
+    include: { prescriptionItems: true },
+    orderBy: [{ createdAt: 'desc' }],
+  });
+  return prescriptions.filter(p => p.prescriptionItems.some(item => !itemAllowance(item).exhausted));
+}
+
+// The newest usable prescription covering all the services, or else the one covering the most
+function pickPrescription(prescriptions, serviceIds) {
+  let best = null;
+  let bestCount = 0;
+  for (const prescription of prescriptions) {
+    const count = serviceIds.filter(id => serviceUsability(prescription, id) === 'usable').length;
+    if (count === serviceIds.length) return prescription;
+    if (count > bestCount) {
+      best = prescription;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// Throws when an order would take more than the prescription has left for a service
+function assertCoversQuantity(prescription, serviceId, quantity, serviceName) {
+  const usability = serviceUsability(prescription, serviceId);
+  if (usability === 'expired') {
+    const error = new Error(`The prescription for ${serviceName} expired on ${prescription.validUntil.toISOString().slice(0, 10)}`);
+    error.status = 400;
+    throw error;
+  }
+  const item = prescription.prescriptionItems.find(i => i.serviceId === Number(serviceId));
+  const { remainingQuantity, exhausted } = itemAllowance(item);
+  if (exhausted) {
+    const error = new Error(`The prescription for ${serviceName} has no refills left`);
+    error.status = 400;
+    throw error;
+  }
+  if (quantity > remainingQuantity) {
+    const error = new Error(`The prescription allows ${remainingQuantity} more of ${serviceName}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+// The prescription items an order still has to draw on (those without a live dispense for it) with the
+// quantity it takes, read under a row lock so concurrent confirmations against the same prescription queue
+// up. Call inside the transaction that confirms the order.
+async function lockOrderPrescriptionLines(orderId, tx) {
+  const order = await tx.order.findUnique({
+    where: { id: orderId },
+    select: { prescriptionId: true, items: { select: { serviceId: true, quantity: true, service: { select: { name: true } } } } },
+  });
+  if (!order?.prescriptionId) return [];
+  const prescriptionItems = await tx.$queryRaw`
+    SELECT id, "serviceId", quantity, "refillsAllowed", "dispensedQuantity", "fillCount"
+    FROM "PrescriptionItem"
+    WHERE "prescriptionId" = ${order.prescriptionId}
+    ORDER BY id
+    FOR UPDATE
+  `;
+  const dispensed = await tx.prescriptionDispense.findMany({ where: { orderId, reversedAt: null }, select: { prescriptionItemId: true } });
+  const dispensedItemIds = new Set(dispensed.map(d => d.prescriptionItemId));
+
+  return prescriptionItems
+    .filter(item => !dispensedItemIds.has(item.id))
+    .map(item => {
+      const orderItems = order.items.filter(orderItem => orderItem.serviceId === item.serviceId);
+      return {
+        item,
+        quantity: orderItems.reduce((sum, orderItem) => sum + orderItem.quantity, 0),
+        serviceName: orderItems[0]?.service.name,
+      };
+    })
+    .filter(line => line.quantity > 0);
+}
+
+function shortfallMessage({ item, quantity, serviceName }) {
+  const { remainingQuantity, fillsRemaining } = itemAllowance(item);
+  if (fillsRemaining === 0) return `The prescription for ${serviceName} has no refills left`;
+  if (quantity > remainingQuantity) return `The prescription allows ${remainingQuantity} more of ${serviceName}`;
+  return null;
+}
+
+// Why the order's prescription can no longer cover it (another order used it up since checkout), or null.
+// Locks the prescription items until the transaction ends.
+async function findPrescriptionShortfall(orderId, tx = prisma) {
+  for (const line of await lockOrderPrescriptionLines(orderId, tx)) {
+    const message = shortfallMessage(line);
+    if (message) return message;
+  }
+  return null;
+}
+
+// Records what a confirmed order takes from its prescription: one fill and the quantity ordered per
+// prescribed service. Runs inside the status transition and refuses to go past the allowance; recording
+// twice for an order is a no-op.
+async function recordPrescriptionDispense(orderId, tx = prisma) {
+  for (const line of await lockOrderPrescriptionLines(orderId, tx)) {
+    const message = shortfallMessage(line);
+    if (message) {
+      const error = new Error(message);
+      error.status = 409;
+      throw error;
+    }
+
+    const { item, quantity } = line;
+    await tx.prescriptionDispense.upsert({
+      where: { prescriptionItemId_orderId: { prescriptionItemId: item.id, orderId } },
+      create: { prescriptionItemId: item.id, orderId, quantity },
+      update: { quantity, reversedAt: null, createdAt: new Date() },
+    });
+    await tx.prescriptionItem.update({
+      where: { id: item.id },
+      data: { dispensedQuantity: { increment: quantity }, fillCount: { increment: 1 } },
+    });
+  }
+}
+
+// Gives a cancelled order's fill and quantity back to the prescription
+async function reversePrescriptionDispense(orderId, tx = prisma) {
+  const dispenses = await tx.prescriptionDispense.findMany({ where: { orderId, reversedAt: null } });
+  for (const dispense of dispenses) {
+    await tx.prescriptionDispense.update({ where: { id: dispense.id }, data: { reversedAt: new Date() } });
+    await tx.prescriptionItem.update({
+      where: { id: dispense.prescriptionItemId },
+      data: { dispensedQuantity: { decrement: dispense.quantity }, fillCount: { decrement: 1 } },
+    });
+  }
+}
+
+module.exports = {
+  PRESCRIPTION_VALIDITY_DAYS,
+  defaultValidUntil,
+  isExpired,
+  itemAllowance,
+  serviceUsability,
+  findUsablePrescriptions,
+  pickPrescription,
+  assertCoversQuantity,
+  findPrescriptionShortfall,
+  recordPrescriptionDispense,
+  reversePrescriptionDispense,
+};
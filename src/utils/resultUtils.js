@@ -0,0 +1,28 @@
+// Picks the most specific reference range for the patient: sex- and age-bound ranges beat generic ones
+function selectReferenceRange(ranges, sex, ageYears) {
+  const candidates = (ranges || []).filter(range => {
+    if (range.sex && sex && range.sex.toLowerCase() !== sex.toLowerCase()) return false;
+    if (range.sex && !sex) return false;
+    if (range.ageMinYears != null && (ageYears == null || ageYears < range.ageMinYears)) return false;
+    if (range.ageMaxYears != null && (ageYears == null || ageYears > range.ageMaxYears)) return false;
+    return true;
+  });
+
+  const specificity = range => (range.sex ? 2 : 0) + (range.ageMinYears != null || range.ageMaxYears != null ? 1 : 0);
+  return candidates.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+}
+
+function flagValue(value, range) {
+  if (!range || value == null || isNaN(value)) return null;
+  if (range.criticalLow != null && value <= range.criticalLow) return 'critical_low';
+  if (range.criticalHigh != null && value >= range.criticalHigh) return 'critical_high';
+  if (range.low != null && value < range.low) return 'low';
+  if (range.high != null && value > range.high) return 'high';
+  return 'normal';
+}
+
+function isCriticalFlag(flag) {
+  return flag === 'critical_low' || flag === 'critical_high';
+}
+
+module.exports = { selectReferenceRange, flagValue, isCriticalFlag };
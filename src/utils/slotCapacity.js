@@ -0,0 +1,94 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Slot length and the number of patients a provider can see per slot. A service's own settings
+// override the provider's, which override these platform defaults. A service's own capacity is shared
+// only by bookings for that service; the provider's by the bookings for every other service.
+// capacityServiceId says which applies: the service, or null for the whole provider.
+const DEFAULT_SLOT_MINUTES = parseInt(process.env.SLOT_MINUTES || '30', 10);
+const DEFAULT_SLOT_CAPACITY = parseInt(process.env.SLOT_CAPACITY || '1', 10);
+
+// How close to the appointment a patient may still reschedule or cancel; providers can override it
+const DEFAULT_APPOINTMENT_CUTOFF_HOURS = parseInt(process.env.APPOINTMENT_CUTOFF_HOURS || '12', 10);
+
+// Carts don't hold a slot; a booking counts once the patient has checked out and until the
+// order or the appointment itself is cancelled
+const NON_BOOKING_STATUSES = ['cart', 'cancelled'];
+
+function bookingFilter(excludeOrderIds = []) {
+  return {
+    OR: [{ appointmentStatus: null }, { appointmentStatus: { not: 'cancelled' } }],
+    order: {
+      status: { notIn: NON_BOOKING_STATUSES },
+      ...(excludeOrderIds.length > 0 && { id: { notIn: excludeOrderIds } }),
+    },
+  };
+}
+
+async function getSlotSettings(providerId, serviceId, client = prisma) {
+  const [provider, providerService] = await Promise.all([
+    client.provider.findUnique({ where: { id: providerId }, select: { slotMinutes: true, slotCapacity: true } }),
+    serviceId
+      ? client.providerService.findUnique({
+        where: { providerId_serviceId: { providerId, serviceId } },
+        select: { slotMinutes: true, slotCapacity: true },
+      })
+      : null,
+  ]);
+  const hasServiceCapacity = providerService?.slotCapacity != null;
+  return {
+    slotMinutes: providerService?.slotMinutes ?? provider?.slotMinutes ?? DEFAULT_SLOT_MINUTES,
+    slotCapacity: hasServiceCapacity ? providerService.slotCapacity : provider?.slotCapacity ?? DEFAULT_SLOT_CAPACITY,
+    capacityServiceId: hasServiceCapacity ? serviceId : null,
+  };
+}
+
+// The bookings sharing a capacity: those for the service when it has its own, otherwise every booking at
+// the provider except those for services that have their own
+async function capacityScope(providerId, capacityServiceId, client = prisma) {
+  if (capacityServiceId) return { providerId, serviceId: capacityServiceId };
+  const ownCapacity = await client.providerService.findMany({
+    where: { providerId, slotCapacity: { not: null } },
+    select: { serviceId: true },
+  });
+  return { providerId, ...(ownCapacity.length > 0 && { serviceId: { notIn: ownCapacity.map(ps => ps.serviceId) } }) };
+}
+
+// Bookings overlapping [start, end) that share the capacity named by capacityServiceId (see getSlotSettings)
+async function countSlotBookings(providerId, capacityServiceId, start, end, { excludeOrderIds = [] } = {}, client = prisma) {
+  return client.orderItem.count({
+    where: {
+      ...(await capacityScope(providerId, capacityServiceId, client)),
+      timeSlotStart: { lt: end },
+      timeSlotEnd: { gt: start },
+      ...bookingFilter(excludeOrderIds),
+    },
+  });
+}
+
+// Claims a place in a slot inside `tx`. A transaction-scoped advisory lock on the capacity being shared
+// (the service's, or the provider's under key 0) makes concurrent checkouts for it queue up, so the
+// count can't go stale before the booking is written. Call this before creating the order item and keep
+// both in the same transaction.
+async function reserveSlot(providerId, serviceId, start, end, { excludeOrderIds = [] } = {}, tx = prisma) {
+  const { slotCapacity, capacityServiceId } = await getSlotSettings(providerId, serviceId, tx);
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(${providerId}::int, ${capacityServiceId || 0}::int)`;
+  const booked = await countSlotBookings(providerId, capacityServiceId, start, end, { excludeOrderIds }, tx);
+  if (booked >= slotCapacity) {
+    const error = new Error('The selected time slot is fully booked; please choose another time');
+    error.status = 409;
+    throw error;
+  }
+  return { slotCapacity, booked: booked + 1, remaining: slotCapacity - booked - 1 };
+}
+
+module.exports = {
+  DEFAULT_SLOT_MINUTES,
+  DEFAULT_SLOT_CAPACITY,
+  DEFAULT_APPOINTMENT_CUTOFF_HOURS,
+  bookingFilter,
+  getSlotSettings,
+  capacityScope,
+  countSlotBookings,
+  reserveSlot,
+};
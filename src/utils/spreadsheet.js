@@ -0,0 +1,153 @@
+const ExcelJS = require('exceljs');
+
+// Reads and writes simple tabular sheets (a header row, then one record per row) as CSV or XLSX.
+// CSV is parsed here rather than through ExcelJS so codes like "0012" are kept as text.
+
+const SUPPORTED_FORMATS = ['csv', 'xlsx'];
+
+function detectFormat({ originalname = '', mimetype = '' }) {
+  const name = originalname.toLowerCase();
+  if (name.endsWith('.xlsx') || mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return 'xlsx';
+  }
+  if (name.endsWith('.csv') || mimetype === 'text/csv') {
+    return 'csv';
+  }
+  return null;
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ExcelJS cells can hold rich text, formulas and hyperlinks; reduce them to plain values
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return cellValue(value.result);
+    if ('text' in value) return cellValue(value.text);
+    return '';
+  }
+  return value;
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let col = 1; col <= worksheet.columnCount; col++) {
+      values.push(cellValue(row.getCell(col).value));
+    }
+    rows[rowNumber - 1] = values;
+  });
+  return Array.from(rows, row => row || []);
+}
+
+// Returns the header names and one object per data row, with the sheet row number for error reporting.
+// `normalizeHeader` maps a raw header to a field name, or null to ignore the column.
+async function readSheet(file, normalizeHeader) {
+  const format = detectFormat(file);
+  if (!format) {
+    const error = new Error('Unsupported file type; upload a .csv or .xlsx file');
+    error.status = 400;
+    throw error;
+  }
+
+  const rows = format === 'csv' ? parseCsv(file.buffer.toString('utf8')) : await readXlsx(file.buffer);
+  if (rows.length === 0) {
+    const error = new Error('The file is empty');
+    error.status = 400;
+    throw error;
+  }
+
+  const headers = rows[0].map(header => normalizeHeader(String(header).trim()));
+  const records = [];
+  rows.slice(1).forEach((values, index) => {
+    const isBlank = values.every(value => value === '' || value === null || value === undefined);
+    if (isBlank) return;
+    const record = {};
+    headers.forEach((field, col) => {
+      if (!field) return;
+      const value = values[col];
+      record[field] = typeof value === 'string' ? value.trim() : value ?? '';
+    });
+    records.push({ rowNumber: index + 2, values: record });
+  });
+
+  return { format, headers: headers.filter(Boolean), records };
+}
+
+// `columns` is a list of { key, header }; returns a Buffer in the requested format
+async function writeSheet(columns, records, format, sheetName = 'Sheet1') {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: Math.max(column.header.length + 2, 14) }));
+    records.forEach(record => worksheet.addRow(columns.map(column => record[column.key] ?? null)));
+    worksheet.getRow(1).font = { bold: true };
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  const lines = [
+    columns.map(column => toCsvField(column.header)).join(','),
+    ...records.map(record => columns.map(column => toCsvField(record[column.key])).join(',')),
+  ];
+  return Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  detectFormat,
+  parseCsv,
+  readSheet,
+  writeSheet,
+};
@@ -0,0 +1,109 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// ProviderService.stock stays the running total; batches say which lots that stock is made of.
+// Expired and recalled batches are still counted in stock (they are physically on the shelf) but can
+// never be sold, so availability subtracts them.
+
+function batchKey(providerId, serviceId) {
+  return `${providerId}:${serviceId}`;
+}
+
+function unsellableBatchFilter() {
+  return { OR: [{ expiryDate: { lte: new Date() } }, { recalledAt: { not: null } }] };
+}
+
+// Quantity sitting in expired or recalled batches per provider/service, keyed by `${providerId}:${serviceId}`
+async function getUnsellableBatchTotals(pairs, tx = prisma) {
+  if (!pairs || pairs.length === 0) return new Map();
+  const totals = await tx.stockBatch.groupBy({
+    by: ['providerId', 'serviceId'],
+    where: {
+      quantity: { gt: 0 },
+      AND: [
+        unsellableBatchFilter(),
+        { OR: pairs.map(({ providerId, serviceId }) => ({ providerId, serviceId })) },
+      ],
+    },
+    _sum: { quantity: true },
+  });
+  return new Map(totals.map((t) => [batchKey(t.providerId, t.serviceId), t._sum.quantity || 0]));
+}
+
+async function getUnsellableBatchQuantity(providerId, serviceId, tx = prisma) {
+  const totals = await getUnsellableBatchTotals([{ providerId, serviceId }], tx);
+  return totals.get(batchKey(providerId, serviceId)) || 0;
+}
+
+// First-expiry-first-out: takes the item's quantity from the sellable batches that expire soonest
+// and records where it came from. Whatever the batches cannot cover (stock entered before batches
+// were tracked, or an oversell) is left unallocated.
+async function allocateOrderItemBatches(orderItem, tx = prisma) {
+  const batches = await tx.$queryRaw`
+    SELECT id, quantity FROM "StockBatch"
+    WHERE "providerId" = ${orderItem.providerId}
+      AND "serviceId" = ${orderItem.serviceId}
+      AND quantity > 0
+      AND "expiryDate" > NOW()
+      AND "recalledAt" IS NULL
+    ORDER BY "expiryDate" ASC, id ASC
+    FOR UPDATE
+  `;
+
+  let remaining = orderItem.quantity;
+  const allocations = [];
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+    const quantity = Math.min(batch.quantity, remaining);
+    await tx.stockBatch.update({
+      where: { id: batch.id },
+      data: { quantity: { decrement: quantity } },
+    });
+    allocations.push(await tx.orderItemBatch.upsert({
+      where: { orderItemId_batchId: { orderItemId: orderItem.id, batchId: batch.id } },
+      update: { quantity: { increment: quantity } },
+      create: { orderItemId: orderItem.id, batchId: batch.id, quantity },
+    }));
+    remaining -= quantity;
+  }
+
+  if (remaining > 0 && batches.length > 0) {
+    console.warn('Batches could not cover order item:', { orderItemId: orderItem.id, unallocated: remaining });
+  }
+  return allocations;
+}
+
+// Puts an order item's dispensed quantities back into the batches they came from
+async function returnOrderItemBatches(orderItemId, tx = prisma) {
+  const allocations = await tx.orderItemBatch.findMany({ where: { orderItemId } });
+  for (const allocation of allocations) {
+    await tx.stockBatch.update({
+      where: { id: allocation.batchId },
+      data: { quantity: { increment: allocation.quantity } },
+    });
+  }
+  await tx.orderItemBatch.deleteMany({ where: { orderItemId } });
+  return allocations.length;
+}
+
+// Keeps the ProviderService summary dates pointing at the next batch to be dispensed
+async function syncBatchDates(providerId, serviceId, tx = prisma) {
+  const next = await tx.stockBatch.findFirst({
+    where: { providerId, serviceId, quantity: { gt: 0 }, expiryDate: { gt: new Date() }, recalledAt: null },
+    orderBy: [{ expiryDate: 'asc' }, { id: 'asc' }],
+  });
+  if (!next) return null;
+  return tx.providerService.update({
+    where: { providerId_serviceId: { providerId, serviceId } },
+    data: { expiryDate: next.expiryDate, receivedDate: next.receivedDate ?? undefined },
+  });
+}
+
+module.exports = {
+  batchKey,
+  getUnsellableBatchTotals,
+  getUnsellableBatchQuantity,
+  allocateOrderItemBatches,
+  returnOrderItemBatches,
+  syncBatchDates,
+};
@@ -0,0 +1,81 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Every change to a provider's stock is written to the StockMovement ledger. `stockChange` is the
+// signed effect on on-hand stock (0 for reserved/released holds, which only change what is
+// available) and `stockAfter` is the on-hand figure once the change is applied.
+const SYSTEM_ACTOR = { actorType: 'system', actorId: null };
+
+// Holds are placed on a patient's order; patients are guests, so there is no actor id
+const PATIENT_ACTOR = { actorType: 'patient', actorId: null };
+
+async function currentStock(providerId, serviceId, tx) {
+  const providerService = await tx.providerService.findUnique({
+    where: { providerId_serviceId: { providerId, serviceId } },
+    select: { stock: true },
+  });
+  return providerService ? providerService.stock : null;
+}
+
+// Call after the stock change has been applied, inside the same transaction, so `stockAfter` is exact
+async function recordStockMovement({
+  providerId,
+  serviceId,
+  type,
+  quantity,
+  stockChange = 0,
+  batchId = null,
+  orderId = null,
+  orderItemId = null,
+  reservationId = null,
+  stockTakeId = null,
+  reason = null,
+  actor = SYSTEM_ACTOR,
+}, tx = prisma) {
+  return tx.stockMovement.create({
+    data: {
+      providerId,
+      serviceId,
+      type,
+      quantity: Math.abs(quantity),
+      stockChange,
+      stockAfter: await currentStock(providerId, serviceId, tx),
+      batchId,
+      orderId,
+      orderItemId,
+      reservationId,
+      stockTakeId,
+      reason,
+      actorType: actor.actorType,
+      actorId: actor.actorId ?? null,
+    },
+  });
+}
+
+function formatMovement(movement) {
+  return {
+    id: movement.id,
+    serviceId: movement.serviceId,
+    serviceName: movement.service?.name,
+    batchId: movement.batchId,
+    batchNumber: movement.batch?.batchNumber ?? null,
+    type: movement.type,
+    quantity: movement.quantity,
+    stockChange: movement.stockChange,
+    stockAfter: movement.stockAfter,
+    orderId: movement.orderId,
+    orderItemId: movement.orderItemId,
+    reservationId: movement.reservationId,
+    stockTakeId: movement.stockTakeId,
+    actor: { type: movement.actorType, id: movement.actorId },
+    reason: movement.reason,
+    createdAt: movement.createdAt,
+  };
+}
+
+module.exports = {
+  SYSTEM_ACTOR,
+  PATIENT_ACTOR,
+  recordStockMovement,
+  formatMovement,
+};
@@ -0,0 +1,309 @@
+const { PrismaClient } = require('@prisma/client');
+const { getUnsellableBatchQuantity, allocateOrderItemBatches, returnOrderItemBatches, syncBatchDates } = require('./stockBatches');
+const { SYSTEM_ACTOR, PATIENT_ACTOR, recordStockMovement } = require('./stockMovements');
+const prisma = new PrismaClient();
+
+// Stock is only deducted once an order is paid for. Until then carts and checkouts hold it with an
+// expiring reservation, so available stock is always stock minus unsellable batches and active holds.
+const HOLD_MINUTES = {
+  cart: parseInt(process.env.CART_HOLD_MINUTES || '30', 10),
+  checkout: parseInt(process.env.CHECKOUT_HOLD_MINUTES || '60', 10),
+  prescription: parseInt(process.env.PRESCRIPTION_HOLD_MINUTES || '2880', 10),
+};
+
+function holdKey(providerId, serviceId) {
+  return `${providerId}:${serviceId}`;
+}
+
+function activeHoldFilter(excludeOrderIds = []) {
+  return {
+    status: 'active',
+    expiresAt: { gt: new Date() },
+    ...(excludeOrderIds.length > 0 && { orderId: { notIn: excludeOrderIds } }),
+  };
+}
+
+// Quantity held per provider/service, keyed by `${providerId}:${serviceId}`
+async function getActiveHoldTotals(pairs, { excludeOrderIds = [] } = {}, tx = prisma) {
+  if (!pairs || pairs.length === 0) return new Map();
+  const totals = await tx.stockReservation.groupBy({
+    by: ['providerId', 'serviceId'],
+    where: {
+      ...activeHoldFilter(excludeOrderIds),
+      OR: pairs.map(({ providerId, serviceId }) => ({ providerId, serviceId })),
+    },
+    _sum: { quantity: true },
+  });
+  return new Map(totals.map((t) => [holdKey(t.providerId, t.serviceId), t._sum.quantity || 0]));
+}
+
+// Stock that is neither expired, recalled nor held by anyone else; null for services without stock
+// tracking (e.g. lab tests). Services taken off sale (e.g. by a recall) have nothing available.
+// Inside a transaction the ProviderService row is locked so concurrent holds queue behind each other.
+async function getAvailableStock(providerId, serviceId, { excludeOrderIds = [] } = {}, tx = prisma) {
+  const [row] = await tx.$queryRaw`
+    SELECT stock, available FROM "ProviderService"
+    WHERE "providerId" = ${providerId} AND "serviceId" = ${serviceId}
+    FOR UPDATE
+  `;
+  if (!row) {
+    const error = new Error('Service not available at this provider');
+    error.status = 404;
+    throw error;
+  }
+  if (row.stock === null) return null;
+  if (!row.available) {
+    const error = new Error('Service is currently unavailable at this provider');
+    error.status = 409;
+    throw error;
+  }
+
+  const { _sum } = await tx.stockReservation.aggregate({
+    where: { ...activeHoldFilter(excludeOrderIds), providerId, serviceId },
+    _sum: { quantity: true },
+  });
+  const unsellable = await getUnsellableBatchQuantity(providerId, serviceId, tx);
+  return row.stock - unsellable - (_sum.quantity || 0);
+}
+
+// Places or refreshes an order's hold on a provider's service. The hold covers the full quantity
+// given (not an increment) and its expiry is pushed out to `minutes` from now.
+async function holdStock(orderId, { providerId, serviceId, quantity, minutes = HOLD_MINUTES.cart, excludeOrderIds = [] }, tx = prisma) {
+  const available = await getAvailableStock(providerId, serviceId, { excludeOrderIds: [orderId, ...excludeOrderIds] }, tx);
+  if (available === null) return null;
+  if (available < quantity) {
+    const error = new Error(available > 0 ? `Insufficient stock: only ${available} available` : 'Insufficient stock');
+    error.status = 409;
+    throw error;
+  }
+
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+  const existing = await tx.stockReservation.findFirst({
+    where: { orderId, providerId, serviceId, status: 'active' },
+  });
+  if (existing) {
+    const updated = await tx.stockReservation.update({
+      where: { id: existing.id },
+      data: { quantity, expiresAt },
+    });
+    // Refreshing the expiry alone is not a movement
+    const change = quantity - existing.quantity;
+    if (change !== 0) {
+      await recordStockMovement({
+        providerId,
+        serviceId,
+        type: change > 0 ? 'reserved' : 'released',
+        quantity: change,
+        orderId,
+        reservationId: updated.id,
+        reason: 'Hold quantity changed',
+        actor: PATIENT_ACTOR,
+      }, tx);
+    }
+    return updated;
+  }
+  const created = await tx.stockReservation.create({
+    data: { orderId, providerId, serviceId, quantity, expiresAt },
+  });
+  await recordStockMovement({
+    providerId,
+    serviceId,
+    type: 'reserved',
+    quantity,
+    orderId,
+    reservationId: created.id,
+    actor: PATIENT_ACTOR,
+  }, tx);
+  return created;
+}
+
+// Holds every stock-tracked item on an order, e.g. when checkout moves cart items onto a new order
+async function holdOrderStock(orderId, { minutes, excludeOrderIds = [] } = {}, tx = prisma) {
+  const items = await tx.orderItem.findMany({ where: { orderId } });
+  const holds = [];
+  for (const item of items) {
+    const hold = await holdStock(orderId, {
+      providerId: item.providerId,
+      serviceId: item.serviceId,
+      quantity: item.quantity,
+      minutes,
+      excludeOrderIds,
+    }, tx);
+    if (hold) holds.push(hold);
+  }
+  return holds;
+}
+
+async function releaseStockHold(orderId, { providerId, serviceId }, reason, tx = prisma) {
+  const holds = await tx.stockReservation.findMany({
+    where: { orderId, providerId, serviceId, status: 'active' },
+  });
+  for (const hold of holds) {
+    await tx.stockReservation.update({
+      where: { id: hold.id },
+      data: { status: 'released', releaseReason: reason, releasedAt: new Date() },
+    });
+    await recordStockMovement({
+      providerId,
+      serviceId,
+      type: 'released',
+      quantity: hold.quantity,
+      orderId,
+      reservationId: hold.id,
+      reason,
+      actor: PATIENT_ACTOR,
+    }, tx);
+  }
+  return { count: holds.length };
+}
+
+// Converts an order's holds into stock deductions once it is paid for, dispensing from batches
+// first-expiry-first-out. Items whose hold expired (or that never had one) are still deducted: the
+// patient has paid, so the provider owes the goods.
+async function commitOrderStock(orderId, { actor = SYSTEM_ACTOR } = {}, tx = prisma) {
+  const items = await tx.orderItem.findMany({
+    where: { orderId },
+    include: { providerService: { select: { stock: true } } },
+  });
+  const reservations = await tx.stockReservation.findMany({
+    where: { orderId, status: { in: ['active', 'expired', 'committed'] } },
+  });
+
+  const committed = [];
+  for (const item of items) {
+    if (!item.providerService || item.providerService.stock === null) continue;
+    const forItem = reservations.filter((r) => r.providerId === item.providerId && r.serviceId === item.serviceId);
+    if (forItem.some((r) => r.status === 'committed')) continue;
+
+    const now = new Date();
+    const hold = forItem.find((r) => r.status === 'active') || forItem.find((r) => r.status === 'expired');
+    const reservation = hold
+      ? await tx.stockReservation.update({
+        where: { id: hold.id },
+        data: { status: 'committed', quantity: item.quantity, committedAt: now },
+      })
+      : await tx.stockReservation.create({
+        data: {
+          orderId,
+          providerId: item.providerId,
+          serviceId: item.serviceId,
+          quantity: item.quantity,
+          status: 'committed',
+          expiresAt: now,
+          committedAt: now,
+        },
+      });
+
+    const providerService = await tx.providerService.update({
+      where: { providerId_serviceId: { providerId: item.providerId, serviceId: item.serviceId } },
+      data: { stock: { decrement: item.quantity } },
+      select: { stock: true },
+    });
+    if (providerService.stock < 0) {
+      console.warn('Stock oversold on payment:', { orderId, providerId: item.providerId, serviceId: item.serviceId, stock: providerService.stock });
+    }
+    await allocateOrderItemBatches(item, tx);
+    await syncBatchDates(item.providerId, item.serviceId, tx);
+    await recordStockMovement({
+      providerId: item.providerId,
+      serviceId: item.serviceId,
+      type: 'dispensed',
+      quantity: item.quantity,
+      stockChange: -item.quantity,
+      orderId,
+      orderItemId: item.id,
+      reservationId: reservation.id,
+      actor,
+    }, tx);
+    committed.push(reservation);
+  }
+
+  if (committed.length > 0) {
+    console.log('Stock committed for order:', { orderId, reservationIds: committed.map((r) => r.id) });
+  }
+  return committed;
+}
+
+// Frees everything an order holds: active holds lapse and committed deductions go back into stock
+async function releaseOrderStock(orderId, reason, { actor = SYSTEM_ACTOR } = {}, tx = prisma) {
+  const reservations = await tx.stockReservation.findMany({
+    where: { orderId, status: { in: ['active', 'committed'] } },
+  });
+  const now = new Date();
+  for (const reservation of reservations) {
+    if (reservation.status === 'committed') {
+      await tx.providerService.update({
+        where: { providerId_serviceId: { providerId: reservation.providerId, serviceId: reservation.serviceId } },
+        data: { stock: { increment: reservation.quantity } },
+      });
+      const item = await tx.orderItem.findUnique({
+        where: { orderId_providerId_serviceId: { orderId, providerId: reservation.providerId, serviceId: reservation.serviceId } },
+      });
+      if (item) {
+        await returnOrderItemBatches(item.id, tx);
+        await syncBatchDates(reservation.providerId, reservation.serviceId, tx);
+      }
+    }
+    await tx.stockReservation.update({
+      where: { id: reservation.id },
+      data: { status: 'released', releaseReason: reason, releasedAt: now },
+    });
+    await recordStockMovement({
+      providerId: reservation.providerId,
+      serviceId: reservation.serviceId,
+      type: 'released',
+      quantity: reservation.quantity,
+      stockChange: reservation.status === 'committed' ? reservation.quantity : 0,
+      orderId,
+      reservationId: reservation.id,
+      reason,
+      actor,
+    }, tx);
+  }
+
+  if (reservations.length > 0) {
+    console.log('Stock released for order:', { orderId, reason, reservationIds: reservations.map((r) => r.id) });
+  }
+  return reservations.length;
+}
+
+// A lapsed hold is logged as a 'released' movement; the 'expired' type is for expired stock written off
+async function expireStockHolds() {
+  return prisma.$transaction(async (tx) => {
+    const now = new Date();
+    const holds = await tx.stockReservation.findMany({
+      where: { status: 'active', expiresAt: { lte: now } },
+    });
+    if (holds.length === 0) return 0;
+
+    const { count } = await tx.stockReservation.updateMany({
+      where: { id: { in: holds.map((h) => h.id) }, status: 'active' },
+      data: { status: 'expired', releaseReason: 'Hold expired', releasedAt: now },
+    });
+    for (const hold of holds) {
+      await recordStockMovement({
+        providerId: hold.providerId,
+        serviceId: hold.serviceId,
+        type: 'released',
+        quantity: hold.quantity,
+        orderId: hold.orderId,
+        reservationId: hold.id,
+        reason: 'Hold expired',
+      }, tx);
+    }
+    return count;
+  }, { timeout: 60000 });
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  holdKey,
+  getActiveHoldTotals,
+  getAvailableStock,
+  holdStock,
+  holdOrderStock,
+  releaseStockHold,
+  commitOrderStock,
+  releaseOrderStock,
+  expireStockHolds,
+};
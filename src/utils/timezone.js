@@ -0,0 +1,72 @@
+const { TZDate, tz } = require('@date-fns/tz');
+const { format, addDays } = require('date-fns');
+
+// Times are stored as UTC instants; a provider's opening hours, slots and calendar days are read in
+// the provider's own timezone, never the server's. Providers without one use DEFAULT_TIMEZONE.
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Lagos';
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The calendar date ('yyyy-MM-dd') of an instant in the given timezone
+function zonedDateKey(date, timeZone = DEFAULT_TIMEZONE) {
+  return format(date, 'yyyy-MM-dd', { in: tz(timeZone) });
+}
+
+// Day of the week (0 = Sunday) of an instant in the given timezone
+function zonedDayOfWeek(date, timeZone = DEFAULT_TIMEZONE) {
+  return new TZDate(date.getTime(), timeZone).getDay();
+}
+
+// The instant at which the wall clock in `timeZone` reads `time` ('HH:mm') on `dateKey` ('yyyy-MM-dd')
+function zonedDateTime(dateKey, time, timeZone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(new TZDate(year, month - 1, day, hours, minutes, timeZone).getTime());
+}
+
+// Start and end (exclusive) of a calendar day in the given timezone
+function zonedDayBounds(dateKey, timeZone = DEFAULT_TIMEZONE) {
+  const start = zonedDateTime(dateKey, '00:00', timeZone);
+  const end = new Date(addDays(new TZDate(start.getTime(), timeZone), 1).getTime());
+  return { start, end };
+}
+
+// Reads an ISO date-time from a client. One with an offset or Z is an exact instant; one without
+// is wall-clock time in the provider's timezone, whatever the server's timezone is.
+function parseZonedDateTime(value, timeZone = DEFAULT_TIMEZONE) {
+  if (value instanceof Date) return value;
+  const text = String(value).trim();
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/);
+  if (!match) return new Date(text);
+  const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = match;
+  return new Date(new TZDate(+year, +month - 1, +day, +hours, +minutes, +seconds, timeZone).getTime());
+}
+
+// ISO 8601 with the timezone's offset, e.g. 2025-07-01T09:00:00+01:00
+function toZonedISOString(date, timeZone = DEFAULT_TIMEZONE) {
+  if (!date) return null;
+  return format(date, "yyyy-MM-dd'T'HH:mm:ssXXX", { in: tz(timeZone) });
+}
+
+function formatZoned(date, pattern, timeZone = DEFAULT_TIMEZONE) {
+  return format(date, pattern, { in: tz(timeZone) });
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  zonedDateKey,
+  zonedDayOfWeek,
+  zonedDateTime,
+  zonedDayBounds,
+  parseZonedDateTime,
+  toZonedISOString,
+  formatZoned,
+};
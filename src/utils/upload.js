@@ -1,4 +1,7 @@
 const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -21,4 +24,47 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 },
 });
 
-module.exports = { upload };
\ No newline at end of file
+// Result files are kept out of the public /uploads folder; they are only served through the result
+// file routes, which check who is asking and whether the result has been released
+const RESULT_UPLOAD_DIR = path.join('private_uploads', 'results');
+
+const resultStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(RESULT_UPLOAD_DIR, { recursive: true }, (error) => cb(error, RESULT_UPLOAD_DIR));
+  },
+  filename: (req, file, cb) => {
+    cb(null, `result-${uuidv4()}${path.extname(file.originalname).toLowerCase()}`);
+  },
+});
+
+const resultUpload = multer({
+  storage: resultStorage,
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['application/pdf', 'image/jpeg', 'image/png'];
+    if (!allowedTypes.includes(file.mimetype)) {
+      return cb(new Error('Only PDF, JPEG, or PNG files are allowed'));
+    }
+    cb(null, true);
+  },
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+// Inventory sheets are parsed straight from memory and never written to disk
+const inventoryUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'text/csv',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ];
+    const allowedExtensions = ['.csv', '.xlsx'];
+    if (!allowedTypes.includes(file.mimetype) && !allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(new Error('Only CSV or XLSX files are allowed'));
+    }
+    cb(null, true);
+  },
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+module.exports = { RESULT_UPLOAD_DIR, upload, resultUpload, inventoryUpload };
\ No newline at end of file
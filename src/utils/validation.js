@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { zonedDateKey } = require('./timezone');
 
 function isValidEmail(email) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
@@ -89,6 +90,7 @@ function validateServiceSearch(data) {
     ward: Joi.string().optional(),
     sortBy: Joi.string().valid('cheapest', 'closest').default('cheapest'),
     homeCollection: Joi.string().valid('true').optional(),
+    openNow: Joi.string().valid('true').optional(),
     type: Joi.string().valid('medication', 'diagnostic', 'diagnostic_package').optional(),
   }).or('q', 'serviceId');
   return schema.validate(data, { abortEarly: false });
@@ -134,9 +136,8 @@ function validateGetTimeSlots(data) {
       .pattern(/^\d{4}-\d{2}-\d{2}$/)
       .optional()
       .custom((value, helpers) => {
-        const inputDate = new Date(value);
-        const today = new Date(new Date().setHours(0, 0, 0, 0));
-        if (inputDate < today) {
+        // Compared as calendar dates in the platform timezone, not the server's
+        if (value < zonedDateKey(new Date())) {
           return helpers.error('date.min');
         }
         return value;
@@ -181,16 +182,42 @@ function validateAddServices(data) {
       Joi.object({
         serviceId: Joi.number().integer().required(),
         quantity: Joi.number().integer().min(1).default(1), // Default to 1 for diagnostics
+        refillsAllowed: Joi.number().integer().min(0).max(12).default(0),
       })
     ).min(1).required(),
   });
   return schema.validate(data, { abortEarly: false });
 }
 
+const PRESCRIPTION_REJECTION_CODES = ['illegible', 'incomplete', 'expired', 'not_signed', 'wrong_patient', 'dosage_unclear', 'controlled_substance', 'suspected_forgery', 'other'];
+
+// What a reviewer records alongside a decision. Annotation regions are fractions of the page (0-1), so
+// they line up with the file however large it is rendered.
+const prescriptionReviewFields = {
+  rejectionCodes: Joi.array().items(Joi.string().valid(...PRESCRIPTION_REJECTION_CODES)).unique().max(PRESCRIPTION_REJECTION_CODES.length)
+    .when('status', { is: 'reupload_requested', then: Joi.array().min(1).required() })
+    .when('status', { is: 'verified', then: Joi.forbidden() }),
+  notes: Joi.string().trim().max(2000).optional(),
+  annotations: Joi.array().items(
+    Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      x: Joi.number().min(0).max(1).required(),
+      y: Joi.number().min(0).max(1).required(),
+      width: Joi.number().greater(0).max(1).required(),
+      height: Joi.number().greater(0).max(1).required(),
+      code: Joi.string().valid(...PRESCRIPTION_REJECTION_CODES).optional(),
+      note: Joi.string().trim().max(500).optional(),
+    })
+  ).max(50).optional(),
+};
+
 function validateVerifyPrescription(data) {
   const schema = Joi.object({
     id: Joi.number().integer().required(),
-    status: Joi.string().valid('pending', 'verified', 'rejected').required(),
+    status: Joi.string().valid('pending', 'verified', 'rejected', 'reupload_requested').required(),
+    rejectReason: Joi.string().trim().max(255).when('status', { is: 'rejected', then: Joi.required(), otherwise: Joi.optional() }),
+    validUntil: Joi.date().iso().greater('now').optional(),
+    ...prescriptionReviewFields,
   });
   return schema.validate(data, { abortEarly: false });
 }
@@ -205,6 +232,97 @@ function validateGuestOrder(data) {
   return schema.validate(data, { abortEarly: false });
 }
 
+function validateRedeemPrescription(data) {
+  const schema = Joi.object({
+    code: Joi.string().trim().max(32).required(),
+    patientIdentifier: Joi.string().required(),
+    email: Joi.string().custom((value, helpers) => {
+      if (!isValidEmail(value)) {
+        return helpers.error('any.invalid', { message: 'Invalid email format' });
+      }
+      return value;
+    }, 'email validation').optional(),
+    phone: Joi.string().custom((value, helpers) => {
+      if (!isValidPhone(value)) {
+        return helpers.error('any.invalid', { message: 'Invalid phone number format' });
+      }
+      return value;
+    }, 'phone validation').optional(),
+  }).or('email', 'phone');
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateEPrescription(data) {
+  const schema = Joi.object({
+    patientName: Joi.string().trim().max(255).optional(),
+    patientPhone: Joi.string().custom((value, helpers) => {
+      if (!isValidPhone(value)) {
+        return helpers.error('any.invalid', { message: 'Invalid phone number format (e.g., 09031615501 or +2349031615501)' });
+      }
+      return value;
+    }, 'phone validation').optional(),
+    patientEmail: Joi.string().custom((value, helpers) => {
+      if (!isValidEmail(value)) {
+        return helpers.error('any.invalid', { message: 'Invalid email format' });
+      }
+      return value;
+    }, 'email validation').optional(),
+    diagnosis: Joi.string().trim().max(500).optional(),
+    notes: Joi.string().trim().max(1000).optional(),
+    validUntil: Joi.date().iso().greater('now').optional(),
+    items: Joi.array().items(
+      Joi.object({
+        serviceId: Joi.number().integer().required(),
+        quantity: Joi.number().integer().min(1).max(1000).default(1),
+        refillsAllowed: Joi.number().integer().min(0).max(12).default(0),
+        instructions: Joi.string().trim().max(500).optional(),
+      })
+    ).min(1).max(20).required(),
+  }).or('patientPhone', 'patientEmail');
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateFetchPrescriberPrescriptions(data) {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    redeemed: Joi.boolean().optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateFetchPrescriptionQueue(data) {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid('pending', 'verified', 'rejected').optional(),
+    priority: Joi.string().valid('stat', 'urgent', 'routine').optional(),
+    claim: Joi.string().valid('mine', 'unclaimed').optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validatePrescriptionPriority(data) {
+  const schema = Joi.object({
+    prescriptionId: Joi.number().integer().required(),
+    priority: Joi.string().valid('stat', 'urgent', 'routine').required(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateReviewPrescription(data) {
+  const schema = Joi.object({
+    prescriptionId: Joi.number().integer().required(),
+    status: Joi.string().valid('verified', 'rejected', 'reupload_requested').required(),
+    rejectReason: Joi.string().trim().max(255)
+      .when('status', { is: 'rejected', then: Joi.required() })
+      .when('status', { is: 'verified', then: Joi.forbidden() }),
+    validUntil: Joi.date().iso().greater('now').when('status', { is: 'verified', otherwise: Joi.forbidden() }),
+    ...prescriptionReviewFields,
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
 function validateCheckout(data) {
   const schema = Joi.object({
     name: Joi.string().required(),
@@ -220,17 +338,82 @@ function validateCheckout(data) {
       }
       return value;
     }, 'phone validation').required(),
-    address: Joi.string().when('fulfillmentMethod', {
-      is: ['home_collection', 'home_delivery'],
-      then: Joi.string().required(),
-      otherwise: Joi.string().allow(null, ''),
-    }),
+    address: Joi.string().allow(null, '').optional(),
+    addressId: Joi.number().integer().optional(),
+    prescriptionCode: Joi.string().trim().max(32).optional(),
+    deliveryAddress: Joi.object(addressFields()).and('latitude', 'longitude').optional(),
     fulfillmentMethod: Joi.string().valid('lab_visit', 'home_collection', 'home_delivery', 'pick_up').required(),
     userId: Joi.string().required(),
+  })
+    .oxor('addressId', 'deliveryAddress')
+    // Deliveries need a structured address; home collection still takes a typed one
+    .when(Joi.object({ fulfillmentMethod: Joi.valid('home_delivery') }).unknown(), {
+      then: Joi.object().or('addressId', 'deliveryAddress').messages({ 'object.missing': 'A delivery address is required' }),
+    })
+    .when(Joi.object({ fulfillmentMethod: Joi.valid('home_collection') }).unknown(), {
+      then: Joi.object().or('address', 'addressId', 'deliveryAddress').messages({ 'object.missing': 'An address is required for home collection' }),
+    });
+  return schema.validate(data, { abortEarly: false });
+}
+
+// State, LGA and ward are checked against the geo data by the address service
+function addressFields({ partial = false } = {}) {
+  const required = (field) => (partial ? field.optional() : field.required());
+  return {
+    label: Joi.string().trim().max(50).allow(null, '').optional(),
+    recipientName: Joi.string().trim().max(255).allow(null, '').optional(),
+    phone: Joi.string().custom((value, helpers) => {
+      if (value && !isValidPhone(value)) {
+        return helpers.error('any.invalid', { message: 'Invalid phone number format' });
+      }
+      return value ? normalizePhone(value) : value;
+    }, 'phone validation').allow(null, '').optional(),
+    state: required(Joi.string().trim().max(100)),
+    lga: required(Joi.string().trim().max(100)),
+    ward: required(Joi.string().trim().max(100)),
+    street: required(Joi.string().trim().min(3).max(500)),
+    landmark: Joi.string().trim().max(255).allow(null, '').optional(),
+    latitude: Joi.number().min(-90).max(90).optional(),
+    longitude: Joi.number().min(-180).max(180).optional(),
+    isDefault: Joi.boolean().optional(),
+  };
+}
+
+function validateAddress(data) {
+  const schema = Joi.object({
+    ...addressFields(),
+    userId: Joi.string().required(),
+  }).and('latitude', 'longitude');
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateUpdateAddress(data) {
+  const schema = Joi.object({
+    ...addressFields({ partial: true }),
+    addressId: Joi.number().integer().required(),
+    userId: Joi.string().required(),
+  })
+    .and('latitude', 'longitude')
+    .or('label', 'recipientName', 'phone', 'state', 'lga', 'ward', 'street', 'landmark', 'latitude', 'isDefault');
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateAddressParams(data) {
+  const schema = Joi.object({
+    addressId: Joi.number().integer().required(),
+    userId: Joi.string().required(),
   });
   return schema.validate(data, { abortEarly: false });
 }
 
+function validateFetchLocations(data) {
+  const schema = Joi.object({
+    state: Joi.string().trim().max(100).optional(),
+    lga: Joi.string().trim().max(100).optional(),
+  }).with('lga', 'state');
+  return schema.validate(data, { abortEarly: false });
+}
+
 function validateSessionRetrieve(data) {
   const schema = Joi.object({
     email: Joi.string().custom((value, helpers) => {
@@ -283,6 +466,15 @@ function validateFetchOrders(data) {
   return schema.validate(data, { abortEarly: false });
 }
 
+function validateUpdateOrder(data) {
+  const schema = Joi.object({
+    orderId: Joi.number().integer().required(),
+    status: Joi.string().valid('processing', 'shipped', 'delivered', 'ready_for_pickup', 'cancelled', 'sample_collected', 'result_ready', 'completed').required(),
+    reason: Joi.string().trim().max(500).optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
 const validateUpdateOrderItem = (data) => {
   const schema = Joi.object({
     orderItemId: Joi.number().integer().required(),
@@ -355,6 +547,336 @@ function validateTracking(data) {
   return schema.validate(data, { abortEarly: false });
 }
 
+function validateUploadResult(data) {
+  const schema = Joi.object({
+    orderItemId: Joi.number().integer().required(),
+    value: Joi.string().trim().max(5000).optional().allow(null, ''),
+    values: Joi.array().items(
+      Joi.object({
+        code: Joi.string().trim().required(),
+        value: Joi.alternatives().try(Joi.number(), Joi.string().trim().max(500)).required(),
+      })
+    ).optional(),
+    patientSex: Joi.string().valid('male', 'female').optional(),
+    patientAgeYears: Joi.number().integer().min(0).max(130).optional(),
+    hasFile: Joi.boolean().required(),
+  }).custom((value, helpers) => {
+    if (!value.hasFile && !value.value && !(value.values && value.values.length)) {
+      return helpers.error('any.invalid', { message: 'A result file or value is required' });
+    }
+    return value;
+  }, 'result content validation').messages({
+    'any.invalid': 'A result file or value is required',
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateFetchResults(data) {
+  const schema = Joi.object({
+    status: Joi.string().valid('pending', 'available', 'reviewed', 'rejected').optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateReviewResult(data) {
+  const schema = Joi.object({
+    resultId: Joi.number().integer().required(),
+    status: Joi.string().valid('reviewed', 'rejected').required(),
+    reviewNotes: Joi.string().trim().max(2000).when('status', {
+      is: 'rejected',
+      then: Joi.required(),
+      otherwise: Joi.optional().allow(null, ''),
+    }),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateReleaseResult(data) {
+  const schema = Joi.object({
+    resultId: Joi.number().integer().required(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateStatement(data) {
+  const schema = Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from')),
+    }).optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateAddBatch(data) {
+  const schema = Joi.object({
+    serviceId: Joi.number().integer().required(),
+    batchNumber: Joi.string().trim().max(100).required(),
+    quantity: Joi.number().integer().min(0).required(),
+    expiryDate: Joi.date().iso().required(),
+    receivedDate: Joi.date().iso().optional().allow(null),
+    supplier: Joi.string().trim().max(255).optional().allow('', null),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateUpdateBatch(data) {
+  const schema = Joi.object({
+    serviceId: Joi.number().integer().required(),
+    batchId: Joi.number().integer().required(),
+    quantity: Joi.number().integer().min(0).optional(),
+    expiryDate: Joi.date().iso().optional(),
+    receivedDate: Joi.date().iso().optional().allow(null),
+    supplier: Joi.string().trim().max(255).optional().allow('', null),
+    reason: Joi.string().trim().max(500).optional().allow('', null),
+  }).or('quantity', 'expiryDate', 'receivedDate', 'supplier');
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateBatchParams(data) {
+  const schema = Joi.object({
+    serviceId: Joi.number().integer().required(),
+    batchId: Joi.number().integer().optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateFetchRecalls(data) {
+  const schema = Joi.object({
+    pending: Joi.boolean().optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateAcknowledgeRecall(data) {
+  const schema = Joi.object({
+    recallId: Joi.number().integer().required(),
+    notes: Joi.string().trim().max(1000).optional().allow(''),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateFetchNotifications(data) {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    unread: Joi.boolean().optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateMarkNotificationsRead(data) {
+  const schema = Joi.object({
+    notificationIds: Joi.array().items(Joi.number().integer()).min(1).unique().optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateAlertSettings(data) {
+  const schema = Joi.object({
+    lowStockThreshold: Joi.number().integer().min(0).allow(null).optional(),
+    expiryAlertDays: Joi.number().integer().min(1).max(365).allow(null).optional(),
+  }).or('lowStockThreshold', 'expiryAlertDays');
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateImportServices(data) {
+  const schema = Joi.object({
+    dryRun: Joi.boolean().default(true),
+    hasFile: Joi.boolean().valid(true).required().messages({ 'any.only': 'A CSV or XLSX file is required' }),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateExportServices(data) {
+  const schema = Joi.object({
+    format: Joi.string().valid('csv', 'xlsx').default('csv'),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateWriteOffBatch(data) {
+  const schema = Joi.object({
+    serviceId: Joi.number().integer().required(),
+    batchId: Joi.number().integer().required(),
+    type: Joi.string().valid('expired', 'recall').required(),
+    quantity: Joi.number().integer().min(1).optional(),
+    reason: Joi.string().trim().max(500).optional().allow('', null),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateFetchStockMovements(data) {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    serviceId: Joi.number().integer().optional(),
+    type: Joi.string().valid('received', 'dispensed', 'reserved', 'released', 'adjustment', 'expired', 'recall').optional(),
+    orderId: Joi.number().integer().optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }).optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateStockTake(data) {
+  const schema = Joi.object({
+    items: Joi.array().items(Joi.object({
+      serviceId: Joi.number().integer().required(),
+      batchId: Joi.number().integer().optional().allow(null),
+      countedQuantity: Joi.number().integer().min(0).required(),
+      reason: Joi.string().trim().max(500).optional().allow('', null),
+    })).min(1).max(1000).unique((a, b) => a.serviceId === b.serviceId && (a.batchId || null) === (b.batchId || null)).required(),
+    notes: Joi.string().trim().max(1000).optional().allow('', null),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateFetchStockTakes(data) {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+// Passing null goes back to the inherited setting
+function validateSlotSettings(data) {
+  const schema = Joi.object({
+    serviceId: Joi.number().integer().optional(),
+    slotMinutes: Joi.number().integer().min(5).max(240).multiple(5).allow(null).optional(),
+    slotCapacity: Joi.number().integer().min(1).max(100).allow(null).optional(),
+    appointmentCutoffHours: Joi.number().integer().min(0).max(168).allow(null).optional(),
+  }).or('slotMinutes', 'slotCapacity', 'appointmentCutoffHours');
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateRescheduleAppointment(data) {
+  const schema = Joi.object({
+    itemId: Joi.number().integer().required(),
+    timeSlotStart: Joi.string().isoDate().required(),
+    userId: Joi.string().required(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateCancelAppointment(data) {
+  const schema = Joi.object({
+    itemId: Joi.number().integer().required(),
+    reason: Joi.string().trim().max(500).optional(),
+    userId: Joi.string().required(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateFetchAppointments(data) {
+  const schema = Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().messages({ 'string.pattern.base': 'Date must be in YYYY-MM-DD format' }),
+    status: Joi.string().valid('scheduled', 'attended', 'no_show', 'cancelled').optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateMarkAttendance(data) {
+  const schema = Joi.object({
+    itemId: Joi.number().integer().required(),
+    status: Joi.string().valid('attended', 'no_show').required(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateFetchCollections(data) {
+  const schema = Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().messages({ 'string.pattern.base': 'Date must be in YYYY-MM-DD format' }),
+    status: Joi.string().valid('pending', 'assigned', 'en_route', 'arrived', 'sample_collected', 'failed', 'cancelled').optional(),
+    staffId: Joi.number().integer().optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateAssignCollection(data) {
+  const schema = Joi.object({
+    visitId: Joi.number().integer().required(),
+    staffId: Joi.number().integer().required(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateCollectionStatus(data) {
+  const schema = Joi.object({
+    visitId: Joi.number().integer().required(),
+    status: Joi.string().valid('en_route', 'arrived', 'sample_collected', 'failed').required(),
+    notes: Joi.string().trim().max(1000).optional(),
+    failureReason: Joi.string().trim().max(500).when('status', {
+      is: 'failed',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateDeliverySettings(data) {
+  const schema = Joi.object({
+    deliveryBaseFee: Joi.number().min(0).allow(null).optional(),
+    deliveryFeePerKm: Joi.number().min(0).allow(null).optional(),
+    deliveryIncludedKm: Joi.number().min(0).max(100).allow(null).optional(),
+    deliveryMaxKm: Joi.number().greater(0).max(500).allow(null).optional(),
+    freeDeliveryThreshold: Joi.number().min(0).allow(null).optional(),
+  }).or('deliveryBaseFee', 'deliveryFeePerKm', 'deliveryIncludedKm', 'deliveryMaxKm', 'freeDeliveryThreshold');
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateFetchDeliveries(data) {
+  const schema = Joi.object({
+    status: Joi.string().valid('pending', 'assigned', 'out_for_delivery', 'delivered', 'failed', 'cancelled').optional(),
+    riderId: Joi.number().integer().optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateAssignRider(data) {
+  const schema = Joi.object({
+    deliveryId: Joi.number().integer().required(),
+    riderId: Joi.number().integer().required(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateDeliveryStatus(data) {
+  const schema = Joi.object({
+    deliveryId: Joi.number().integer().required(),
+    status: Joi.string().valid('out_for_delivery', 'failed').required(),
+    notes: Joi.string().trim().max(1000).optional(),
+    failureReason: Joi.string().trim().max(500).when('status', {
+      is: 'failed',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateConfirmDelivery(data) {
+  const schema = Joi.object({
+    deliveryId: Joi.number().integer().required(),
+    otp: Joi.string().pattern(/^\d{6}$/).required().messages({ 'string.pattern.base': 'Delivery code must be 6 digits' }),
+    recipientName: Joi.string().trim().max(255).optional(),
+    notes: Joi.string().trim().max(1000).optional(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
+function validateRequestItemRefund(data) {
+  const schema = Joi.object({
+    orderId: Joi.number().integer().required(),
+    itemIds: Joi.array().items(Joi.number().integer()).min(1).unique().required(),
+    reason: Joi.string().trim().min(3).max(500).required(),
+  });
+  return schema.validate(data, { abortEarly: false });
+}
+
 
 
 
@@ -471,6 +993,7 @@ module.exports = {
   validateResume,
   validateOrderConfirmation,
   validateFetchOrders,
+  validateUpdateOrder,
   validateUpdateOrderItem,
   validateFetchServices,
   validateAddService,
@@ -478,5 +1001,48 @@ module.exports = {
   validateDeleteService,
   validateFetchUsers,
   validateRegisterDevice,
-  validateTracking
+  validateTracking,
+  validateUploadResult,
+  validateFetchResults,
+  validateReviewResult,
+  validateReleaseResult,
+  validateRequestItemRefund,
+  validateStatement,
+  validateAddBatch,
+  validateUpdateBatch,
+  validateBatchParams,
+  validateFetchRecalls,
+  validateAcknowledgeRecall,
+  validateFetchNotifications,
+  validateMarkNotificationsRead,
+  validateAlertSettings,
+  validateImportServices,
+  validateExportServices,
+  validateWriteOffBatch,
+  validateFetchStockMovements,
+  validateStockTake,
+  validateFetchStockTakes,
+  validateSlotSettings,
+  validateRescheduleAppointment,
+  validateCancelAppointment,
+  validateFetchAppointments,
+  validateMarkAttendance,
+  validateFetchCollections,
+  validateAssignCollection,
+  validateCollectionStatus,
+  validateDeliverySettings,
+  validateFetchDeliveries,
+  validateAssignRider,
+  validateDeliveryStatus,
+  validateConfirmDelivery,
+  validateAddress,
+  validateUpdateAddress,
+  validateAddressParams,
+  validateFetchLocations,
+  validateRedeemPrescription,
+  validateEPrescription,
+  validateFetchPrescriberPrescriptions,
+  validateFetchPrescriptionQueue,
+  validatePrescriptionPriority,
+  validateReviewPrescription,
 };
\ No newline at end of file